@@ -38,4 +38,11 @@ export default [
       "react/prop-types": "off",
     },
   },
+  {
+    // Node-side code: mock API server, Vite plugins, build scripts and tooling config
+    files: ["server/**/*.js", "plugins/**/*.js", "scripts/**/*.js", "*.config.js"],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ];
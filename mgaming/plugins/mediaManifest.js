@@ -0,0 +1,115 @@
+import { existsSync, readFileSync } from "node:fs";
+import path from "node:path";
+import Ajv from "ajv";
+
+import { expectedRenditions, posterPath } from "./renditions.js";
+
+/**
+ * VITE PLUGIN: MEDIA MANIFEST VERIFICATION
+ *
+ * Checks src/content/media.json whenever it is loaded:
+ * - the manifest must match src/content/media.schema.json
+ * - every `src` and `poster` must exist in public/
+ *
+ * A missing file fails `vite build` (and shows the error overlay in dev):
+ *
+ *   media.json references files that are missing from public/:
+ *     - hero-1: videos/hero-1.mp4
+ *
+ * Entries marked `"pending": true` are files that haven't been delivered yet;
+ * they only produce a warning, and the site shows their fallback instead.
+ *
+ * Video renditions and posters made by `npm run media:encode` are optional:
+ * the ones found in public/ are added to each entry (`renditions`, and
+ * `poster` when none is declared) so the browser bundle only offers files
+ * that exist.
+ *
+ * @param {object} options
+ * @param {string} options.manifest - Manifest file, relative to the project root
+ * @param {string} options.schema - JSON Schema file, relative to the project root
+ */
+export default function mediaManifest({
+  manifest = "src/content/media.json",
+  schema = "src/content/media.schema.json",
+} = {}) {
+  let manifestPath;
+  let publicDir;
+  let validate;
+
+  return {
+    name: "mgaming:media-manifest",
+    // Run before Vite's JSON plugin so we see the raw file
+    enforce: "pre",
+
+    configResolved(config) {
+      manifestPath = path.resolve(config.root, manifest);
+      publicDir = config.publicDir;
+      const ajv = new Ajv({ allErrors: true });
+      validate = ajv.compile(JSON.parse(readFileSync(path.resolve(config.root, schema), "utf8")));
+    },
+
+    transform(code, id) {
+      if (id.split("?")[0] !== manifestPath) return null;
+
+      const name = path.basename(manifestPath);
+
+      let data;
+      try {
+        data = JSON.parse(code);
+      } catch (error) {
+        this.error(`${name} is not valid JSON: ${error.message}`);
+      }
+
+      if (!validate(data)) {
+        const problems = validate.errors.map((error) => `  - ${error.instancePath || "(root)"} ${error.message}`);
+        this.error(`${name} is invalid:\n${problems.join("\n")}`);
+      }
+
+      const missing = [];
+      const pending = [];
+
+      for (const [key, entry] of Object.entries(data.media)) {
+        for (const file of [entry.src, entry.poster].filter(Boolean)) {
+          // Let dev pick up files as they are added
+          this.addWatchFile(path.join(publicDir, file));
+          if (existsSync(path.join(publicDir, file))) continue;
+
+          // Posters are never pending - a placeholder for a placeholder helps nobody
+          if (entry.pending && file === entry.src) pending.push(`  - ${key}: ${file}`);
+          else missing.push(`  - ${key}: ${file}`);
+        }
+
+        if (entry.pending && existsSync(path.join(publicDir, entry.src))) {
+          this.warn(`${key} is marked pending but ${entry.src} exists - remove "pending" to use it.`);
+        }
+      }
+
+      if (missing.length) {
+        this.error(`${name} references files that are missing from public/:\n${missing.join("\n")}`);
+      }
+      if (pending.length) {
+        this.warn(`pending media not delivered yet, showing fallbacks:\n${pending.join("\n")}`);
+      }
+
+      // ===== RENDITIONS =====
+
+      const ladder = data.renditions;
+      if (ladder) {
+        for (const [key, entry] of Object.entries(data.media)) {
+          if (entry.type !== "video" || entry.pending) continue;
+
+          entry.renditions = expectedRenditions(ladder, key, entry).filter(({ src }) => {
+            this.addWatchFile(path.join(publicDir, src));
+            return existsSync(path.join(publicDir, src));
+          });
+
+          const poster = posterPath(ladder, key);
+          this.addWatchFile(path.join(publicDir, poster));
+          if (!entry.poster && existsSync(path.join(publicDir, poster))) entry.poster = poster;
+        }
+      }
+
+      return { code: JSON.stringify(data), map: null };
+    },
+  };
+}
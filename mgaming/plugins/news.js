@@ -0,0 +1,253 @@
+import { readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+import Ajv from "ajv";
+
+import { MarkdownError, parseFrontMatter, parseMarkdown, readingTime } from "../src/lib/markdown.js";
+
+const VIRTUAL_ID = "virtual:news";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+const FEED_FILES = { rss: "news/rss.xml", atom: "news/atom.xml" };
+
+/**
+ * Escapes text for XML
+ * @param {string} text
+ */
+const xml = (text) =>
+  String(text).replace(/[<>&"']/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[char]);
+
+/**
+ * Midnight UTC of a front-matter day
+ * @param {string} day - e.g. "2026-10-12"
+ */
+const dayToDate = (day) => new Date(`${day}T00:00:00Z`);
+
+/**
+ * VITE PLUGIN: NEWS POSTS
+ *
+ * Compiles the Markdown posts in src/content/news/*.md at build time
+ * (see src/lib/markdown.js for the syntax):
+ *
+ * - `import posts from "virtual:news"` - every post's front-matter, newest
+ *   first, with `slug` (the file name) and `readingTime` (minutes) - no
+ *   bodies, so listings stay small
+ * - `import post from "src/content/news/{slug}.md"` - one post, with its
+ *   `body` as a node tree (the site lazy-loads these with import.meta.glob)
+ * - RSS 2.0 and Atom feeds written to dist/news/rss.xml and
+ *   dist/news/atom.xml, linked from index.html (and served by the dev
+ *   server at the same URLs)
+ *
+ * Front-matter must match src/content/news.schema.json and shortcodes
+ * must be known, with their required attributes; a mistake fails
+ * `vite build` (and shows the error overlay in dev) with the file and line:
+ *
+ *   news/season-four.md: line 14: unknown shortcode "Trailer" - expected one of: AnimatedTitle, VideoPreview
+ *
+ * Posts with `draft: true` only show in development.
+ *
+ * @param {object} options
+ * @param {string} options.dir - Posts directory, relative to the project root
+ * @param {string} options.schema - Front-matter JSON Schema, relative to the project root
+ * @param {string} options.siteUrl - Public URL of the site, for feed links (default: package.json `homepage`)
+ * @param {{title: string, description: string}} options.feed - Feed title and description
+ * @param {Object<string, {required?: Array<string>, optional?: Array<string>}>} options.shortcodes -
+ *   Components posts may embed - rendered by src/components/MarkdownContent.jsx
+ */
+export default function news({
+  dir = "src/content/news",
+  schema = "src/content/news.schema.json",
+  siteUrl,
+  feed = {
+    title: "MGaming News",
+    description: "Launches, tournaments, patch notes and stories from the MGaming universe.",
+  },
+  shortcodes = {
+    AnimatedTitle: { required: ["title"], optional: ["preset"] },
+    VideoPreview: { required: ["media"], optional: ["caption"] },
+  },
+} = {}) {
+  let postsDir;
+  let base;
+  let includeDrafts;
+  let validate;
+
+  // ===== POSTS =====
+
+  /**
+   * Parses and checks one post
+   * @param {string} file - Absolute path
+   * @param {string} source - File contents
+   * @returns {{meta: object, body: Array<object>}}
+   */
+  const compilePost = (file, source) => {
+    const name = path.relative(path.dirname(postsDir), file);
+    try {
+      const { data, body, bodyLine } = parseFrontMatter(source);
+      if (!validate(data)) {
+        const problems = validate.errors.map((error) => `  - ${error.instancePath || "(front-matter)"} ${error.message}`);
+        throw new MarkdownError(`front-matter is invalid:\n${problems.join("\n")}`);
+      }
+      const blocks = parseMarkdown(body, { firstLine: bodyLine, shortcodes });
+      return {
+        meta: { slug: path.basename(file, ".md"), ...data, readingTime: readingTime(blocks) },
+        body: blocks,
+      };
+    } catch (error) {
+      if (error instanceof MarkdownError) throw new Error(`${name}: ${error.message}`);
+      throw error;
+    }
+  };
+
+  const isPost = (id) => {
+    const file = id.split("?")[0];
+    return path.dirname(file) === postsDir && file.endsWith(".md");
+  };
+
+  /**
+   * Every published post's front-matter, newest first
+   * @returns {Array<object>}
+   */
+  const listPosts = () =>
+    readdirSync(postsDir)
+      .filter((file) => file.endsWith(".md"))
+      .map((file) => compilePost(path.join(postsDir, file), readFileSync(path.join(postsDir, file), "utf8")).meta)
+      .filter((meta) => includeDrafts || !meta.draft)
+      .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+
+  // ===== FEEDS =====
+
+  const postUrl = (slug) => `${siteUrl}#/news/${slug}`;
+
+  const renderRss = (posts) =>
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      "  <channel>",
+      `    <title>${xml(feed.title)}</title>`,
+      `    <link>${xml(`${siteUrl}#/news`)}</link>`,
+      `    <description>${xml(feed.description)}</description>`,
+      `    <atom:link href="${xml(siteUrl + FEED_FILES.rss)}" rel="self" type="application/rss+xml" />`,
+      ...(posts[0] ? [`    <lastBuildDate>${dayToDate(posts[0].updated ?? posts[0].date).toUTCString()}</lastBuildDate>`] : []),
+      ...posts.flatMap((post) => [
+        "    <item>",
+        `      <title>${xml(post.title)}</title>`,
+        `      <link>${xml(postUrl(post.slug))}</link>`,
+        `      <guid isPermaLink="true">${xml(postUrl(post.slug))}</guid>`,
+        `      <pubDate>${dayToDate(post.date).toUTCString()}</pubDate>`,
+        `      <description>${xml(post.summary)}</description>`,
+        ...post.tags.map((tag) => `      <category>${xml(tag)}</category>`),
+        "    </item>",
+      ]),
+      "  </channel>",
+      "</rss>",
+      "",
+    ].join("\n");
+
+  const renderAtom = (posts) =>
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <title>${xml(feed.title)}</title>`,
+      `  <subtitle>${xml(feed.description)}</subtitle>`,
+      `  <id>${xml(`${siteUrl}#/news`)}</id>`,
+      `  <link href="${xml(`${siteUrl}#/news`)}" />`,
+      `  <link href="${xml(siteUrl + FEED_FILES.atom)}" rel="self" type="application/atom+xml" />`,
+      `  <updated>${(posts[0] ? dayToDate(posts[0].updated ?? posts[0].date) : new Date()).toISOString()}</updated>`,
+      ...posts.flatMap((post) => [
+        "  <entry>",
+        `    <title>${xml(post.title)}</title>`,
+        `    <id>${xml(postUrl(post.slug))}</id>`,
+        `    <link href="${xml(postUrl(post.slug))}" />`,
+        `    <published>${dayToDate(post.date).toISOString()}</published>`,
+        `    <updated>${dayToDate(post.updated ?? post.date).toISOString()}</updated>`,
+        `    <author><name>${xml(post.author)}</name></author>`,
+        `    <summary>${xml(post.summary)}</summary>`,
+        ...post.tags.map((tag) => `    <category term="${xml(tag)}" />`),
+        "  </entry>",
+      ]),
+      "</feed>",
+      "",
+    ].join("\n");
+
+  return {
+    name: "mgaming:news",
+
+    configResolved(config) {
+      postsDir = path.resolve(config.root, dir);
+      base = config.base;
+      includeDrafts = config.command === "serve";
+      siteUrl ??= JSON.parse(readFileSync(path.resolve(config.root, "package.json"), "utf8")).homepage ?? "/";
+      if (!siteUrl.endsWith("/")) siteUrl += "/";
+      const ajv = new Ajv({ allErrors: true });
+      validate = ajv.compile(JSON.parse(readFileSync(path.resolve(config.root, schema), "utf8")));
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+      this.addWatchFile(postsDir);
+      try {
+        return `export default ${JSON.stringify(listPosts())};`;
+      } catch (error) {
+        this.error(error.message);
+      }
+    },
+
+    transform(code, id) {
+      if (!isPost(id)) return null;
+      try {
+        const { meta, body } = compilePost(id.split("?")[0], code);
+        return { code: `export default ${JSON.stringify({ ...meta, body })};`, map: null };
+      } catch (error) {
+        this.error(error.message);
+      }
+    },
+
+    // New, removed or edited posts change the listing too
+    configureServer(server) {
+      server.watcher.add(postsDir);
+      const refresh = (file) => {
+        if (!isPost(file)) return;
+        const listing = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (listing) server.moduleGraph.invalidateModule(listing);
+        server.ws.send({ type: "full-reload" });
+      };
+      server.watcher.on("add", refresh);
+      server.watcher.on("unlink", refresh);
+      server.watcher.on("change", refresh);
+
+      // The feeds, at the URLs they have once built
+      server.middlewares.use((req, res, next) => {
+        const format = Object.keys(FEED_FILES).find((key) => req.url?.split("?")[0] === base + FEED_FILES[key]);
+        if (!format) return next();
+        try {
+          const posts = listPosts();
+          res.setHeader("Content-Type", format === "rss" ? "application/rss+xml" : "application/atom+xml");
+          res.end(format === "rss" ? renderRss(posts) : renderAtom(posts));
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+
+    generateBundle() {
+      const posts = listPosts();
+      this.emitFile({ type: "asset", fileName: FEED_FILES.rss, source: renderRss(posts) });
+      this.emitFile({ type: "asset", fileName: FEED_FILES.atom, source: renderAtom(posts) });
+    },
+
+    transformIndexHtml() {
+      return [
+        { type: "application/rss+xml", href: base + FEED_FILES.rss },
+        { type: "application/atom+xml", href: base + FEED_FILES.atom },
+      ].map(({ type, href }) => ({
+        tag: "link",
+        attrs: { rel: "alternate", type, title: feed.title, href },
+        injectTo: "head",
+      }));
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import path from "node:path";
+
+/**
+ * VIDEO RENDITION NAMING
+ *
+ * Shared by the encoder (scripts/encode-media.js) and the manifest plugin
+ * so both agree on where a rendition lives:
+ *
+ *   videos/renditions/hero-1-720p.av1.webm
+ *   videos/posters/hero-1.webp
+ *
+ * The ladder itself (heights and formats) is declared in media.json under
+ * "renditions".
+ */
+
+/**
+ * Heights of the ladder that don't upscale the source
+ * @param {object} ladder - media.json "renditions"
+ * @param {object} entry - Video entry
+ * @returns {number[]} - Largest first
+ */
+export const renditionHeights = (ladder, entry) =>
+  [...ladder.heights].filter((height) => height <= entry.height).sort((a, b) => b - a);
+
+/**
+ * Path inside public/ of one rendition
+ * @param {object} ladder - media.json "renditions"
+ * @param {string} key - Manifest key
+ * @param {number} height - Rendition height
+ * @param {{codec: string, container: string}} format
+ */
+export const renditionPath = (ladder, key, height, format) =>
+  path.posix.join(ladder.dir, `${key}-${height}p.${format.codec}.${format.container}`);
+
+/**
+ * Path inside public/ of a generated poster
+ * @param {object} ladder - media.json "renditions"
+ * @param {string} key - Manifest key
+ */
+export const posterPath = (ladder, key) => path.posix.join(ladder.posterDir, `${key}.webp`);
+
+/**
+ * Every rendition a video entry can have, best format first per height
+ * @param {object} ladder - media.json "renditions"
+ * @param {string} key - Manifest key
+ * @param {object} entry - Video entry
+ * @returns {Array<{src: string, height: number, width: number, codec: string, type: string}>}
+ */
+export const expectedRenditions = (ladder, key, entry) =>
+  renditionHeights(ladder, entry).flatMap((height) =>
+    ladder.formats.map((format) => ({
+      src: renditionPath(ladder, key, height, format),
+      height,
+      // Even widths keep every encoder happy (matches ffmpeg's scale=-2)
+      width: Math.round((entry.width * height) / entry.height / 2) * 2,
+      codec: format.codec,
+      type: format.type,
+    }))
+  );
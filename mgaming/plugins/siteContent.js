@@ -0,0 +1,105 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import Ajv from "ajv";
+
+import { findUnknownPaths, mergeContent } from "../src/content/merge.js";
+
+/**
+ * VITE PLUGIN: SITE CONTENT VALIDATION
+ *
+ * Validates src/content/site.json against src/content/site.schema.json
+ * whenever the file is loaded. A mistake in the content fails `vite build`
+ * (and shows the error overlay in dev) with the exact path of every
+ * problem, e.g.:
+ *
+ *   site.json is invalid:
+ *     - /contact/methods/1/href must match pattern "^(#[\w-]*|/|https?://|mailto:|tel:)"
+ *     - /footer/socialLinks/0 must have required property 'label'
+ *
+ * Locale overrides (src/content/locales/*.json) are checked too: every key
+ * must exist in site.json, and the merged result must satisfy the schema.
+ *
+ * Other content files get their own instance, e.g. the game catalog, which
+ * has no translations:
+ *
+ *   siteContent({ content: "src/content/games.json", schema: "src/content/games.schema.json", locales: null })
+ *
+ * @param {object} options
+ * @param {string} options.content - Content file, relative to the project root
+ * @param {string} options.schema - JSON Schema file, relative to the project root
+ * @param {string|null} options.locales - Directory of locale overrides, relative to the project root (null: none)
+ */
+export default function siteContent({
+  content = "src/content/site.json",
+  schema = "src/content/site.schema.json",
+  locales = "src/content/locales",
+} = {}) {
+  let contentPath;
+  let localesDir;
+  let validate;
+
+  /**
+   * Formats Ajv errors into one readable line each
+   * @param {Array} errors
+   */
+  const formatErrors = (errors) =>
+    errors
+      .map((error) => {
+        const where = error.instancePath || "(root)";
+        const detail = error.params?.allowedValues
+          ? ` (${error.params.allowedValues.join(", ")})`
+          : error.params?.additionalProperty
+            ? ` ("${error.params.additionalProperty}")`
+            : "";
+        return `  - ${where} ${error.message}${detail}`;
+      })
+      .join("\n");
+
+  return {
+    name: "mgaming:site-content",
+    // Run before Vite's JSON plugin so we see the raw file
+    enforce: "pre",
+
+    configResolved(config) {
+      contentPath = path.resolve(config.root, content);
+      localesDir = locales && path.resolve(config.root, locales);
+      const schemaPath = path.resolve(config.root, schema);
+      const ajv = new Ajv({ allErrors: true });
+      validate = ajv.compile(JSON.parse(readFileSync(schemaPath, "utf8")));
+    },
+
+    transform(code, id) {
+      const file = id.split("?")[0];
+      const isBase = file === contentPath;
+      const isLocale = Boolean(localesDir) && path.dirname(file) === localesDir && file.endsWith(".json");
+      if (!isBase && !isLocale) return null;
+
+      const name = path.relative(path.dirname(contentPath), file);
+
+      let data;
+      try {
+        data = JSON.parse(code);
+      } catch (error) {
+        this.error(`${name} is not valid JSON: ${error.message}`);
+      }
+
+      if (isLocale) {
+        // Compare against the file on disk - the base may not be loaded yet
+        this.addWatchFile(contentPath);
+        const base = JSON.parse(readFileSync(contentPath, "utf8"));
+
+        const unknown = findUnknownPaths(base, data);
+        if (unknown.length) {
+          this.error(`${name} overrides keys that don't exist in ${path.basename(contentPath)}:\n${unknown.map((key) => `  - ${key}`).join("\n")}`);
+        }
+        data = mergeContent(base, data);
+      }
+
+      if (!validate(data)) {
+        this.error(`${name} is invalid:\n${formatErrors(validate.errors)}`);
+      }
+
+      return null;
+    },
+  };
+}
@@ -0,0 +1,124 @@
+import { spawnSync } from "node:child_process";
+import { existsSync, mkdirSync, readFileSync, statSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { expectedRenditions, posterPath } from "../plugins/renditions.js";
+
+/**
+ * VIDEO RENDITION ENCODER
+ *
+ * Makes the renditions and posters declared by the "renditions" ladder in
+ * src/content/media.json with a locally installed ffmpeg:
+ *
+ *   npm run media:encode                 # everything that is missing or stale
+ *   npm run media:encode -- --force      # re-encode everything
+ *   npm run media:encode -- hero-1 hero-3
+ *
+ * Output goes to public/ next to the sources. Nothing else needs updating:
+ * the media manifest plugin offers every rendition it finds at build time.
+ *
+ * Environment variables:
+ * - FFMPEG   ffmpeg binary to run (default "ffmpeg" from PATH)
+ */
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const publicDir = path.join(root, "public");
+const FFMPEG = process.env.FFMPEG || "ffmpeg";
+
+// Encoder settings per codec - quality-based, sized for looping backgrounds
+const codecArgs = {
+  av1: ["-c:v", "libaom-av1", "-crf", "34", "-b:v", "0", "-cpu-used", "6", "-row-mt", "1"],
+  vp9: ["-c:v", "libvpx-vp9", "-crf", "36", "-b:v", "0", "-deadline", "good", "-cpu-used", "4", "-row-mt", "1"],
+  h264: ["-c:v", "libx264", "-crf", "24", "-preset", "slow", "-profile:v", "high", "-movflags", "+faststart"],
+};
+
+// Posters are taken a second in, past fade-ins
+const posterTime = "1";
+const posterHeight = 720;
+
+// ===== HELPERS =====
+
+const run = (args) => {
+  const result = spawnSync(FFMPEG, ["-hide_banner", "-loglevel", "error", "-y", ...args], { stdio: "inherit" });
+  if (result.error) throw result.error;
+  if (result.status !== 0) throw new Error(`ffmpeg exited with code ${result.status}`);
+};
+
+/**
+ * Output is missing or older than its source
+ */
+const isStale = (output, source) => !existsSync(output) || statSync(output).mtimeMs < statSync(source).mtimeMs;
+
+const checkFfmpeg = () => {
+  const result = spawnSync(FFMPEG, ["-version"], { encoding: "utf8" });
+  if (result.error || result.status !== 0) {
+    console.error(`[media] "${FFMPEG}" was not found. Install ffmpeg or point FFMPEG at the binary.`);
+    process.exit(1);
+  }
+};
+
+// ===== MAIN =====
+
+const main = () => {
+  const args = process.argv.slice(2);
+  const force = args.includes("--force");
+  const only = args.filter((arg) => !arg.startsWith("--"));
+
+  const { media, renditions: ladder } = JSON.parse(readFileSync(path.join(root, "src/content/media.json"), "utf8"));
+  if (!ladder) {
+    console.error('[media] media.json has no "renditions" ladder - nothing to encode.');
+    process.exit(1);
+  }
+
+  const unknown = only.filter((key) => media[key]?.type !== "video");
+  if (unknown.length) {
+    console.error(`[media] Not videos in media.json: ${unknown.join(", ")}`);
+    process.exit(1);
+  }
+
+  checkFfmpeg();
+  mkdirSync(path.join(publicDir, ladder.dir), { recursive: true });
+  mkdirSync(path.join(publicDir, ladder.posterDir), { recursive: true });
+
+  let encoded = 0;
+  let failed = 0;
+
+  for (const [key, entry] of Object.entries(media)) {
+    if (entry.type !== "video" || (only.length && !only.includes(key))) continue;
+
+    const source = path.join(publicDir, entry.src);
+    if (entry.pending || !existsSync(source)) {
+      console.log(`[media] ${key}: skipped, ${entry.src} hasn't been delivered`);
+      continue;
+    }
+
+    const jobs = expectedRenditions(ladder, key, entry).map((rendition) => ({
+      output: path.join(publicDir, rendition.src),
+      args: ["-i", source, "-an", "-vf", `scale=-2:${rendition.height}`, "-pix_fmt", "yuv420p", ...codecArgs[rendition.codec]],
+    }));
+    jobs.push({
+      output: path.join(publicDir, posterPath(ladder, key)),
+      args: ["-ss", posterTime, "-i", source, "-frames:v", "1", "-vf", `scale=-2:${Math.min(posterHeight, entry.height)}`, "-c:v", "libwebp", "-quality", "80"],
+    });
+
+    for (const job of jobs) {
+      const name = path.relative(publicDir, job.output);
+      if (!force && !isStale(job.output, source)) continue;
+
+      console.log(`[media] ${key}: ${name}`);
+      try {
+        run([...job.args, job.output]);
+        encoded += 1;
+      } catch (error) {
+        console.error(`[media] ${key}: ${name} failed - ${error.message}`);
+        failed += 1;
+      }
+    }
+  }
+
+  console.log(`[media] ${encoded} file(s) written${failed ? `, ${failed} failed` : ""}.`);
+  if (failed) process.exit(1);
+};
+
+main();
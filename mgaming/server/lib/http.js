@@ -0,0 +1,58 @@
+/**
+ * Small helpers shared by the mock API routes. No dependencies - only the
+ * Node standard library - so the server starts without an install step.
+ */
+
+/**
+ * Adds permissive CORS headers so the dev site can call the server directly
+ * @param {import("node:http").ServerResponse} res
+ */
+export const applyCors = (res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+};
+
+/**
+ * Writes a JSON response
+ * @param {import("node:http").ServerResponse} res
+ * @param {number} status - HTTP status code
+ * @param {any} body - Value serialised as JSON
+ */
+export const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+};
+
+/**
+ * Reads and parses a JSON request body (max 1 MB). Every route takes an
+ * object, so anything else - `null`, an array, a bare string - is a 400.
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {Promise<object>} - Parsed body, or an empty object when there is none
+ */
+export const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      raw += chunk;
+      if (raw.length > 1_000_000) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (!raw) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return reject(Object.assign(new Error("Request body is not valid JSON"), { status: 400 }));
+      }
+      if (typeof body !== "object" || body === null || Array.isArray(body)) {
+        return reject(Object.assign(new Error("Request body must be a JSON object"), { status: 400 }));
+      }
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
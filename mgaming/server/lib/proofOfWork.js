@@ -0,0 +1,32 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Verifies a proof of work produced by the browser's worker
+ * (src/workers/proofOfWork.worker.js): SHA-256(`${challenge}:${nonce}`)
+ * must start with `difficulty` zero bits and the challenge must be recent.
+ *
+ * @param {{challenge: string, nonce: number, difficulty: number}} proof
+ * @param {object} options
+ * @param {number} options.minDifficulty - Lowest difficulty accepted
+ * @param {number} options.maxAge - Oldest acceptable challenge (ms)
+ * @returns {boolean}
+ */
+export const verifyProofOfWork = (proof, { minDifficulty = 0, maxAge = 10 * 60 * 1000 } = {}) => {
+  if (!proof || typeof proof.challenge !== "string" || !Number.isInteger(proof.nonce)) return false;
+  if (proof.difficulty < minDifficulty) return false;
+
+  const issuedAt = Number(proof.challenge.split(":")[0]);
+  if (!issuedAt || Date.now() - issuedAt > maxAge) return false;
+
+  const digest = createHash("sha256").update(`${proof.challenge}:${proof.nonce}`).digest();
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits >= proof.difficulty;
+};
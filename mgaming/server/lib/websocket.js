@@ -0,0 +1,110 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Just enough of the WebSocket protocol (RFC 6455) for the mock server to
+ * push JSON to the site: the handshake, unfragmented text frames out, and
+ * ping and close frames in. Anything else the client sends is ignored.
+ */
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * Encodes a single, final, unmasked frame (servers never mask)
+ * @param {number} opcode
+ * @param {Buffer} payload
+ */
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const { length } = payload;
+  const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  header[0] = 0x80 | opcode;
+  if (length < 126) {
+    header[1] = length;
+  } else if (length < 65536) {
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Reads the first complete frame of a buffer
+ * @param {Buffer} buffer
+ * @returns {{opcode: number, payload: Buffer, rest: Buffer}|null} - null until the frame has fully arrived
+ */
+const decodeFrame = (buffer) => {
+  if (buffer.length < 2) return null;
+  const opcode = buffer[0] & 0x0f;
+  const masked = Boolean(buffer[1] & 0x80);
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) payload.forEach((byte, index) => (payload[index] = byte ^ mask[index % 4]));
+  return { opcode, payload, rest: buffer.subarray(offset + length) };
+};
+
+/**
+ * Completes a WebSocket handshake on an HTTP upgrade
+ *
+ * @param {import("node:http").IncomingMessage} req
+ * @param {import("node:stream").Duplex} socket
+ * @returns {{send: (text: string) => void, close: () => void, onClose: (listener: () => void) => void}|null} -
+ *   null when the request wasn't a valid WebSocket upgrade (answered with 400)
+ */
+export const acceptWebSocket = (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+    return null;
+  }
+
+  const accept = createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+  socket.write(
+    ["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join(
+      "\r\n"
+    )
+  );
+  socket.setNoDelay?.(true);
+
+  const close = () => {
+    if (!socket.destroyed) socket.end(encodeFrame(OPCODES.close));
+  };
+
+  let buffer = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (let frame = decodeFrame(buffer); frame; frame = decodeFrame(buffer)) {
+      buffer = frame.rest;
+      if (frame.opcode === OPCODES.close) close();
+      else if (frame.opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, frame.payload));
+    }
+  });
+  socket.on("error", () => socket.destroy());
+
+  return {
+    send: (text) => {
+      if (!socket.destroyed) socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+    },
+    close,
+    onClose: (listener) => socket.on("close", listener),
+  };
+};
@@ -0,0 +1,110 @@
+import http from "node:http";
+
+import { applyCors, sendJson } from "./lib/http.js";
+import { authRoutes } from "./routes/auth.js";
+import { contactRoutes } from "./routes/contact.js";
+import { gameRoutes } from "./routes/games.js";
+import { leaderboardRoutes, leaderboardUpgrades } from "./routes/leaderboards.js";
+import { newsletterRoutes } from "./routes/newsletter.js";
+import { tournamentRoutes } from "./routes/tournaments.js";
+import { decodeUriComponent } from "../src/lib/uri.js";
+
+/**
+ * LOCAL MOCK API SERVER
+ *
+ * Stand-in for the production backend so the site's network flows can be
+ * exercised end to end without any external service:
+ *
+ *   npm run mock            # listens on http://localhost:8787
+ *   npm run dev             # Vite proxies /api/* to the mock server
+ *
+ * Environment variables:
+ * - MOCK_PORT          Port to listen on (default 8787)
+ * - MOCK_LATENCY       Artificial delay per request in ms (default 300)
+ * - MOCK_FAILURE_RATE  Share of requests answered with 503, 0-1 (default 0),
+ *                      handy for watching the client retry with backoff
+ * - MOCK_LEADERBOARD_INTERVAL  ms between leaderboard updates (default 5000)
+ * - MOCK_ACCESS_TOKEN_TTL      Seconds an access token works (default 900) -
+ *                              lower it to watch the client refresh
+ */
+
+const PORT = Number(process.env.MOCK_PORT) || 8787;
+const LATENCY = Number(process.env.MOCK_LATENCY ?? 300);
+const FAILURE_RATE = Number(process.env.MOCK_FAILURE_RATE) || 0;
+
+// Route table keyed by "METHOD /path"; ":name" segments are passed to the
+// handler as `req.params.name`
+const routes = {
+  ...contactRoutes,
+  ...newsletterRoutes,
+  ...gameRoutes,
+  ...tournamentRoutes,
+  ...leaderboardRoutes,
+  ...authRoutes,
+};
+
+// WebSocket endpoints keyed by path
+const upgrades = {
+  ...leaderboardUpgrades,
+};
+
+/**
+ * Finds the handler for a request
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {{handler: Function, params: Object<string, string>}|null}
+ */
+const findRoute = (method, pathname) => {
+  const exact = routes[`${method} ${pathname}`];
+  if (exact) return { handler: exact, params: {} };
+
+  const actual = pathname.split("/");
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, pattern] = key.split(" ");
+    const expected = pattern.split("/");
+    if (routeMethod !== method || !pattern.includes("/:") || expected.length !== actual.length) continue;
+
+    const params = {};
+    const matches = expected.every((segment, index) => {
+      if (!segment.startsWith(":")) return segment === actual[index];
+      params[segment.slice(1)] = decodeUriComponent(actual[index]);
+      return Boolean(actual[index]);
+    });
+    if (matches) return { handler, params };
+  }
+  return null;
+};
+
+const server = http.createServer(async (req, res) => {
+  applyCors(res);
+  if (req.method === "OPTIONS") return sendJson(res, 204);
+
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const route = findRoute(req.method, pathname);
+  if (!route) return sendJson(res, 404, { error: `No mock route for ${req.method} ${pathname}.` });
+  req.params = route.params;
+
+  await new Promise((resolve) => setTimeout(resolve, LATENCY));
+
+  if (Math.random() < FAILURE_RATE) {
+    return sendJson(res, 503, { error: "Mock server: simulated outage, please retry." });
+  }
+
+  try {
+    await route.handler(req, res);
+  } catch (error) {
+    console.error(`[mock] ${req.method} ${pathname} failed:`, error);
+    sendJson(res, error.status || 500, { error: error.message || "Internal mock server error." });
+  }
+});
+
+server.on("upgrade", (req, socket) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const upgrade = upgrades[pathname];
+  if (!upgrade) return socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+  upgrade(req, socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`MGaming mock API listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,89 @@
+import { readJson, sendJson } from "../lib/http.js";
+import { AuthError, authErrorStatus, createAuthStore } from "../../src/lib/authData.js";
+
+/**
+ * AUTH ROUTES - speaks the "fetch" auth provider protocol
+ *
+ * POST  /api/auth/sign-up                 - `{ email, password, gamertag }` -> 201 session
+ * POST  /api/auth/sign-in                 - `{ email, password }` -> session
+ * POST  /api/auth/refresh                 - `{ refreshToken }` -> new session
+ * POST  /api/auth/sign-out                - `{ refreshToken }` -> 204
+ * POST  /api/auth/password-reset          - `{ email }` -> 202 `{ token }` (null for unknown addresses)
+ * POST  /api/auth/password-reset/confirm  - `{ token, password }` -> 204
+ * GET   /api/auth/me                      - the user of the Bearer access token
+ * PATCH /api/auth/me                      - `{ gamertag?, bio?, avatar? }` -> the updated user
+ *
+ * Refusals answer 401 / 409 / 422 with `{ code, error }` (see the AuthError
+ * codes in src/lib/authData.js). Accounts are kept in memory until the
+ * server stops. A real backend would email the reset link rather than
+ * return the token - here it is also logged. Point the client at it with
+ * VITE_AUTH_PROVIDER=fetch.
+ */
+
+// Short-lived access tokens, so refreshing can be watched in the dev tools
+const store = createAuthStore({ accessTokenTtl: (Number(process.env.MOCK_ACCESS_TOKEN_TTL) || 900) * 1000 });
+
+/**
+ * Runs a store operation, answering refusals with their status and code
+ * @param {import("node:http").ServerResponse} res
+ * @param {number} status - Status on success
+ * @param {() => Promise<any>} operation
+ */
+const respond = async (res, status, operation) => {
+  try {
+    const result = await operation();
+    return sendJson(res, status, status === 204 ? undefined : result);
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+    return sendJson(res, authErrorStatus[error.code] ?? 400, { code: error.code, error: error.message });
+  }
+};
+
+/**
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {string} - Bearer token, empty when there is none
+ */
+const readToken = (req) => /^Bearer (.+)$/.exec(req.headers.authorization ?? "")?.[1] ?? "";
+
+export const authRoutes = {
+  "POST /api/auth/sign-up": async (req, res) => {
+    const { email, password, gamertag } = await readJson(req);
+    return respond(res, 201, () => store.signUp({ email, password, gamertag }));
+  },
+
+  "POST /api/auth/sign-in": async (req, res) => {
+    const { email, password } = await readJson(req);
+    return respond(res, 200, () => store.signIn({ email, password }));
+  },
+
+  "POST /api/auth/refresh": async (req, res) => {
+    const { refreshToken } = await readJson(req);
+    return respond(res, 200, () => store.refresh(refreshToken));
+  },
+
+  "POST /api/auth/sign-out": async (req, res) => {
+    const { refreshToken } = await readJson(req);
+    return respond(res, 204, () => store.signOut(refreshToken));
+  },
+
+  "POST /api/auth/password-reset": async (req, res) => {
+    const { email } = await readJson(req);
+    return respond(res, 202, async () => {
+      const result = await store.requestPasswordReset(email);
+      if (result.token) console.log(`[mock] Password reset for ${email}: #/account/reset?token=${result.token}`);
+      return result;
+    });
+  },
+
+  "POST /api/auth/password-reset/confirm": async (req, res) => {
+    const { token, password } = await readJson(req);
+    return respond(res, 204, () => store.resetPassword({ token, password }));
+  },
+
+  "GET /api/auth/me": (req, res) => respond(res, 200, () => store.getUser(readToken(req))),
+
+  "PATCH /api/auth/me": async (req, res) => {
+    const { gamertag, bio, avatar } = await readJson(req);
+    return respond(res, 200, () => store.updateProfile(readToken(req), { gamertag, bio, avatar }));
+  },
+};
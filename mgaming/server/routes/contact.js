@@ -0,0 +1,44 @@
+import { readJson, sendJson } from "../lib/http.js";
+import { verifyProofOfWork } from "../lib/proofOfWork.js";
+
+/**
+ * CONTACT ROUTES
+ *
+ * POST /api/contact - accepts a Contact form message
+ * GET  /api/contact - lists messages received since the server started
+ *
+ * Set MOCK_POW_DIFFICULTY to require a proof of work of at least that
+ * difficulty (match it with VITE_SPAM_POW_DIFFICULTY on the client).
+ */
+
+const REQUIRED_FIELDS = ["name", "email", "subject", "message"];
+const POW_DIFFICULTY = Number(process.env.MOCK_POW_DIFFICULTY) || 0;
+
+// Messages are only kept in memory - restarting the server clears them
+const messages = [];
+
+export const contactRoutes = {
+  "POST /api/contact": async (req, res) => {
+    const body = await readJson(req);
+
+    const missing = REQUIRED_FIELDS.filter((field) => !String(body[field] ?? "").trim());
+    if (missing.length) {
+      return sendJson(res, 422, { error: `Missing required fields: ${missing.join(", ")}.`, fields: missing });
+    }
+
+    if ((POW_DIFFICULTY || body.proof) && !verifyProofOfWork(body.proof, { minDifficulty: POW_DIFFICULTY })) {
+      return sendJson(res, 422, { error: "The anti-spam check failed. Please reload the page and try again." });
+    }
+
+    // The proof of work has done its job - it isn't part of the message
+    const message = { ...body };
+    delete message.proof;
+    const entry = { id: messages.length + 1, receivedAt: new Date().toISOString(), ...message };
+    messages.push(entry);
+    console.log(`[contact] #${entry.id} from ${entry.name} <${entry.email}>: ${entry.subject}`);
+
+    return sendJson(res, 201, { id: entry.id });
+  },
+
+  "GET /api/contact": (req, res) => sendJson(res, 200, messages),
+};
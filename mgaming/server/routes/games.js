@@ -0,0 +1,44 @@
+import { readFileSync } from "node:fs";
+
+import { sendJson } from "../lib/http.js";
+import { parseGameFilters, queryGames } from "../../src/lib/gameQuery.js";
+
+/**
+ * GAME CATALOG ROUTES - speaks the "fetch" catalog provider protocol
+ *
+ * GET /api/games      - `?q=&genre=&platform=&price=&rating=&sort=&offset=&limit=`
+ *                       -> `{ items, total, facets }`
+ * GET /api/games/:id  - one game, 404 when unknown
+ *
+ * Serves src/content/games.json through the same query code as the site's
+ * "local" provider. Point the client at it with VITE_GAMES_PROVIDER=fetch.
+ */
+
+const { games } = JSON.parse(readFileSync(new URL("../../src/content/games.json", import.meta.url), "utf8"));
+
+const MAX_LIMIT = 100;
+
+/**
+ * @param {string|null} value
+ * @param {number} fallback
+ * @param {number} max
+ */
+const readInt = (value, fallback, max) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : Math.min(Math.max(number, 0), max);
+};
+
+export const gameRoutes = {
+  "GET /api/games": (req, res) => {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const offset = readInt(searchParams.get("offset"), 0, games.length);
+    const limit = readInt(searchParams.get("limit"), 24, MAX_LIMIT) || 1;
+    return sendJson(res, 200, queryGames(games, parseGameFilters(searchParams), { offset, limit }));
+  },
+
+  "GET /api/games/:id": (req, res) => {
+    const game = games.find((entry) => entry.id === req.params.id);
+    if (!game) return sendJson(res, 404, { error: `No game with id "${req.params.id}".` });
+    return sendJson(res, 200, game);
+  },
+};
@@ -0,0 +1,94 @@
+import { readFileSync } from "node:fs";
+
+import { sendJson } from "../lib/http.js";
+import { acceptWebSocket } from "../lib/websocket.js";
+import { createLeaderboard } from "../../src/lib/leaderboardData.js";
+
+/**
+ * LEADERBOARD ROUTES - speaks the "fetch" leaderboard provider protocol
+ *
+ * GET /api/leaderboards                - `{ boards: [board, ...], updatedAt }`
+ * GET /api/leaderboards/:board         - `?offset=&limit=&q=` -> `{ board, items, total, updatedAt }`, 404 when unknown
+ * GET /api/leaderboards/stream         - Server-sent events: `event: update` with `{ updatedAt, boards }`
+ * WS  /api/leaderboards/live           - WebSocket, one `{ updatedAt, boards }` message per update
+ *
+ * Both live channels send the current `{ updatedAt }` as soon as a client
+ * connects, so it can tell whether it missed anything while disconnected.
+ * The standings come from src/content/leaderboards.json, like the site's
+ * "local" provider, and change every MOCK_LEADERBOARD_INTERVAL ms (default
+ * 5000). Point the client at them with VITE_LEADERBOARD_PROVIDER=fetch.
+ */
+
+const INTERVAL = Number(process.env.MOCK_LEADERBOARD_INTERVAL) || 5000;
+
+const read = (file) => JSON.parse(readFileSync(new URL(`../../src/content/${file}`, import.meta.url), "utf8"));
+const leaderboard = createLeaderboard(read("leaderboards.json"), read("games.json").games);
+
+// Connected clients, each a function sending one update
+const clients = new Set();
+
+const broadcast = (update) => clients.forEach((send) => send(update));
+
+// Only play matches while someone is watching, so a long-running server
+// doesn't drift for nothing
+setInterval(() => clients.size && broadcast(leaderboard.tick()), INTERVAL).unref();
+
+const MAX_LIMIT = 100;
+
+/**
+ * @param {string|null} value
+ * @param {number} fallback
+ * @param {number} max
+ */
+const readInt = (value, fallback, max) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : Math.min(Math.max(number, 0), max);
+};
+
+export const leaderboardRoutes = {
+  "GET /api/leaderboards": (req, res) =>
+    sendJson(res, 200, { boards: leaderboard.boards(), updatedAt: leaderboard.updatedAt() }),
+
+  "GET /api/leaderboards/stream": (req, res) => {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+
+    const send = (update) => res.write(`event: update\ndata: ${JSON.stringify(update)}\n\n`);
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 20000);
+
+    clients.add(send);
+    send({ updatedAt: leaderboard.updatedAt() });
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(send);
+    });
+  },
+
+  "GET /api/leaderboards/:board": (req, res) => {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const page = leaderboard.query(req.params.board, {
+      offset: readInt(searchParams.get("offset"), 0, Number.MAX_SAFE_INTEGER),
+      limit: readInt(searchParams.get("limit"), 25, MAX_LIMIT) || 1,
+      q: searchParams.get("q") ?? "",
+    });
+    if (!page) return sendJson(res, 404, { error: `No leaderboard with id "${req.params.board}".` });
+    return sendJson(res, 200, page);
+  },
+};
+
+// HTTP upgrades by path
+export const leaderboardUpgrades = {
+  "/api/leaderboards/live": (req, socket) => {
+    const connection = acceptWebSocket(req, socket);
+    if (!connection) return;
+
+    const send = (update) => connection.send(JSON.stringify(update));
+    clients.add(send);
+    send({ updatedAt: leaderboard.updatedAt() });
+    connection.onClose(() => clients.delete(send));
+  },
+};
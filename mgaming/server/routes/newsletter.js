@@ -0,0 +1,50 @@
+import { randomUUID } from "node:crypto";
+
+import { readJson, sendJson } from "../lib/http.js";
+
+/**
+ * NEWSLETTER ROUTES - speaks the "webhook" provider protocol
+ *
+ * POST /api/newsletter          - `{ email }` -> 202 `{ status: "pending" }`, 409 when known
+ * GET  /api/newsletter/confirm  - `?token=` completes the double opt-in
+ * GET  /api/newsletter          - lists subscribers and their state
+ *
+ * Point the client at it with VITE_NEWSLETTER_PROVIDER=webhook.
+ */
+
+// email -> { email, token, confirmed, subscribedAt }
+const subscribers = new Map();
+
+export const newsletterRoutes = {
+  "POST /api/newsletter": async (req, res) => {
+    const { email } = await readJson(req);
+    const normalized = String(email ?? "").trim().toLowerCase();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(normalized)) {
+      return sendJson(res, 422, { error: "Please provide a valid email address." });
+    }
+    if (subscribers.has(normalized)) {
+      return sendJson(res, 409, { status: "duplicate", error: "This address is already subscribed." });
+    }
+
+    const token = randomUUID();
+    subscribers.set(normalized, { email: normalized, token, confirmed: false, subscribedAt: new Date().toISOString() });
+
+    // Stands in for the confirmation email
+    console.log(`[newsletter] confirm ${normalized}: http://${req.headers.host}/api/newsletter/confirm?token=${token}`);
+
+    return sendJson(res, 202, { status: "pending" });
+  },
+
+  "GET /api/newsletter/confirm": (req, res) => {
+    const token = new URL(req.url, `http://${req.headers.host}`).searchParams.get("token");
+    const subscriber = [...subscribers.values()].find((entry) => entry.token === token);
+    if (!subscriber) return sendJson(res, 404, { error: "Unknown or expired confirmation link." });
+
+    subscriber.confirmed = true;
+    return sendJson(res, 200, { status: "subscribed", email: subscriber.email });
+  },
+
+  "GET /api/newsletter": (req, res) =>
+    sendJson(res, 200, [...subscribers.values()].map(({ email, confirmed, subscribedAt }) => ({ email, confirmed, subscribedAt }))),
+};
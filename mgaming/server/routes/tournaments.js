@@ -0,0 +1,84 @@
+import { readFileSync } from "node:fs";
+
+import { readJson, sendJson } from "../lib/http.js";
+import {
+  checkRegistration,
+  joinGames,
+  rebaseTournaments,
+  summarizeTournament,
+  withEntries,
+} from "../../src/lib/tournamentData.js";
+
+/**
+ * TOURNAMENT ROUTES - speaks the "fetch" tournament provider protocol
+ *
+ * GET  /api/tournaments                       - `{ tournaments: [summary, ...] }`
+ * GET  /api/tournaments/:id                   - one tournament with its bracket, 404 when unknown
+ * POST /api/tournaments/:id/registrations     - `{ name, email, team? }` -> 201 `{ status: "registered" }`,
+ *                                               409 `{ status: "duplicate" | "full" | "closed" }`
+ * GET  /api/tournaments/:id/registrations     - lists the entries received
+ *
+ * Serves src/content/tournaments.json with its dates moved to today, like
+ * the site's "local" provider. Entries are kept in memory until the server
+ * stops. Point the client at it with VITE_TOURNAMENTS_PROVIDER=fetch.
+ */
+
+const read = (file) => JSON.parse(readFileSync(new URL(`../../src/content/${file}`, import.meta.url), "utf8"));
+const data = read("tournaments.json");
+const { games } = read("games.json");
+
+// tournament id -> [{ email, name, team, participant, registeredAt }]
+const entries = new Map();
+
+// Rebased on every request, so the data keeps up when the server runs past midnight
+const findTournament = (id) => {
+  const tournament = joinGames(rebaseTournaments(data), games).find((entry) => entry.id === id);
+  return tournament ? withEntries(tournament, entries.get(id)) : null;
+};
+
+export const tournamentRoutes = {
+  "GET /api/tournaments": (req, res) =>
+    sendJson(res, 200, {
+      tournaments: data.tournaments.map(({ id }) => summarizeTournament(findTournament(id))),
+    }),
+
+  "GET /api/tournaments/:id": (req, res) => {
+    const tournament = findTournament(req.params.id);
+    if (!tournament) return sendJson(res, 404, { error: `No tournament with id "${req.params.id}".` });
+    return sendJson(res, 200, tournament);
+  },
+
+  "POST /api/tournaments/:id/registrations": async (req, res) => {
+    const { id } = req.params;
+    const tournament = findTournament(id);
+    if (!tournament) return sendJson(res, 404, { error: `No tournament with id "${id}".` });
+
+    const body = await readJson(req);
+    const name = String(body.name ?? "").trim();
+    const email = String(body.email ?? "").trim().toLowerCase();
+    const team = String(body.team ?? "").trim();
+
+    if (!name || !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email)) {
+      return sendJson(res, 422, { error: "Please provide a gamertag and a valid email address." });
+    }
+    if (tournament.teamSize > 1 && !team) {
+      return sendJson(res, 422, { error: "Please provide a team name." });
+    }
+
+    const known = entries.get(id) || [];
+    const { status, participant } = checkRegistration(tournament, known, { name, email, team });
+    if (status !== "registered") {
+      return sendJson(res, 409, { status, error: `Registration refused: ${status}.` });
+    }
+
+    entries.set(id, [...known, { email, name, team, participant, registeredAt: new Date().toISOString() }]);
+    return sendJson(res, 201, { status });
+  },
+
+  "GET /api/tournaments/:id/registrations": (req, res) =>
+    sendJson(
+      res,
+      200,
+      (entries.get(req.params.id) || []).map(({ email, name, team, registeredAt }) => ({ email, name, team, registeredAt }))
+    ),
+};
@@ -1,22 +1,18 @@
-
-import About from "./components/About";
-import Contact from "./components/Contact";
-import Features from "./components/Features";
 import Footer from "./components/Footer";
-import Hero from "./components/Hero";
 import NavBar from "./components/Navbar";
-import Story from "./components/Story";
+import useAnchorNavigation from "./hooks/useAnchorNavigation";
+import RouterView from "./router/RouterView";
 
 
 function App() {
+  // In-page links scroll smoothly to their section, below the navbar
+  useAnchorNavigation();
+
   return (
     <main className="relative min-h-screen w-screen overflow-x-hidden">
       <NavBar />
-      <Hero />
-      <About />
-      <Features />
-      <Story />
-      <Contact />
+      {/* Page for the URL hash - the home page sections, a product, a policy... */}
+      <RouterView />
       <Footer />
      
     </main>
@@ -0,0 +1,9 @@
+import { createContext } from "react";
+
+/**
+ * Context shared by AuthProvider and useAuth.
+ * See AuthProvider.jsx for the value's shape.
+ */
+const AuthContext = createContext(null);
+
+export default AuthContext;
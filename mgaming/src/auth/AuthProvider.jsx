@@ -0,0 +1,277 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+import AuthContext from "./AuthContext";
+import {
+  clearStoredSession,
+  needsRefresh,
+  readStoredSession,
+  REFRESH_MARGIN,
+  REFRESH_RETRY_DELAY,
+  SESSION_STORAGE_KEY,
+  storeSession,
+} from "./config";
+import { AuthError } from "../lib/authData";
+import { getUser, refreshSession, signIn, signOut, signUp, updateProfile } from "../lib/authService";
+
+// Longest delay setTimeout handles
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * @param {{session: object|null, remember: boolean}|null} stored
+ */
+const toState = (stored) => ({ session: stored?.session ?? null, remember: stored?.remember ?? true });
+
+/**
+ * AUTH PROVIDER
+ *
+ * Keeps the player's session and exposes it through `useAuth()`:
+ * - `user` / `signedIn`: the signed-in player, null when signed out
+ * - `signIn(credentials, {remember})`, `signUp(fields, {remember, proof})`:
+ *   start a session; refusals throw an AuthError (lib/authData.js)
+ * - `signOut()`: ends it here at once, and on the backend when reachable
+ * - `updateProfile(changes)`: saves profile fields, returns the user
+ * - `getAccessToken()`: a working access token, refreshed if needed - null
+ *   when signed out
+ * - `withAccessToken(call)`: runs `call(token)`, refreshing and trying once
+ *   more if the backend turns the token down
+ *
+ * The session is stored as config.js describes and comes back on reload,
+ * checked against the backend in the background. Access tokens are
+ * refreshed shortly before they expire, when the tab comes back into view,
+ * and on demand; simultaneous refreshes share one request. Signing in or
+ * out in another tab carries over to this one.
+ */
+const AuthProvider = ({ children }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const [state, setState] = useState(() => toState(readStoredSession()));
+  const stateRef = useRef(state); // Latest state, for callbacks that outlive a render
+  const refreshRef = useRef(null); // Refresh in flight
+
+  const { session } = state;
+
+  /**
+   * @param {{session: object|null, remember: boolean}} next
+   */
+  const apply = useCallback((next) => {
+    stateRef.current = next;
+    setState(next);
+  }, []);
+
+  /**
+   * @param {object} next - Session from the backend
+   * @param {boolean} remember - Keep it after the tab closes
+   */
+  const startSession = useCallback(
+    (next, remember) => {
+      storeSession(next, remember);
+      apply({ session: next, remember });
+    },
+    [apply]
+  );
+
+  const endSession = useCallback(() => {
+    clearStoredSession();
+    apply({ session: null, remember: stateRef.current.remember });
+  }, [apply]);
+
+  /**
+   * Replaces the stored copy of the user
+   * @param {object} user
+   */
+  const setUser = useCallback(
+    (user) => {
+      const current = stateRef.current;
+      if (current.session) startSession({ ...current.session, user }, current.remember);
+    },
+    [startSession]
+  );
+
+  // ===== TOKENS =====
+
+  /**
+   * Swaps the refresh token for a new session. A refused token signs out -
+   * unless another tab got a new session with it first, which is adopted.
+   * Connectivity failures are thrown and leave the session as it is.
+   * @returns {Promise<object|null>} - The new session, null when signed out
+   */
+  const refresh = useCallback(() => {
+    refreshRef.current ??= (async () => {
+      const { session: current, remember } = stateRef.current;
+      if (!current) return null;
+
+      try {
+        const next = await refreshSession(current.refreshToken);
+        // Signed out, or in again, while the request was out
+        if (stateRef.current.session?.refreshToken !== current.refreshToken) return stateRef.current.session;
+        startSession(next, remember);
+        return next;
+      } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+        const stored = readStoredSession();
+        if (stored && stored.session.refreshToken !== current.refreshToken) {
+          apply(toState(stored));
+          return stored.session;
+        }
+        endSession();
+        return null;
+      }
+    })().finally(() => {
+      refreshRef.current = null;
+    });
+    return refreshRef.current;
+  }, [apply, startSession, endSession]);
+
+  /**
+   * @returns {Promise<string|null>} - A working access token, null when signed out
+   */
+  const getAccessToken = useCallback(async () => {
+    const current = stateRef.current.session;
+    if (!current) return null;
+    return (needsRefresh(current) ? await refresh() : current)?.accessToken ?? null;
+  }, [refresh]);
+
+  /**
+   * Calls the backend as the player
+   * @param {(accessToken: string) => Promise<any>} call
+   * @throws {AuthError} - "invalid-token" when signed out
+   */
+  const withAccessToken = useCallback(
+    async (call) => {
+      const signedOut = () => new AuthError("invalid-token", "Please sign in.");
+      const token = await getAccessToken();
+      if (!token) throw signedOut();
+
+      try {
+        return await call(token);
+      } catch (error) {
+        if (!(error instanceof AuthError && error.code === "invalid-token")) throw error;
+        // Revoked or expired early - one more try with a new token
+        const next = await refresh();
+        if (!next) throw signedOut();
+        return call(next.accessToken);
+      }
+    },
+    [getAccessToken, refresh]
+  );
+
+  // ===== ACTIONS =====
+
+  /**
+   * @param {{email: string, password: string}} credentials
+   * @param {{remember?: boolean}} options
+   * @returns {Promise<object>} - The user
+   */
+  const signInAction = useCallback(
+    async (credentials, { remember = true } = {}) => {
+      const next = await signIn(credentials);
+      startSession(next, remember);
+      return next.user;
+    },
+    [startSession]
+  );
+
+  /**
+   * @param {{email: string, password: string, gamertag: string}} fields
+   * @param {{remember?: boolean, proof?: object}} options
+   * @returns {Promise<object>} - The user
+   */
+  const signUpAction = useCallback(
+    async (fields, { remember = true, proof } = {}) => {
+      const next = await signUp(fields, { proof });
+      startSession(next, remember);
+      return next.user;
+    },
+    [startSession]
+  );
+
+  const signOutAction = useCallback(async () => {
+    const current = stateRef.current.session;
+    endSession();
+    // Signed out locally either way; the backend forgets the token when it can
+    if (current) await signOut(current.refreshToken).catch(() => {});
+  }, [endSession]);
+
+  /**
+   * @param {{gamertag?: string, bio?: string, avatar?: string}} changes
+   * @returns {Promise<object>} - The updated user
+   */
+  const updateProfileAction = useCallback(
+    async (changes) => {
+      const user = await withAccessToken((token) => updateProfile(token, changes));
+      setUser(user);
+      return user;
+    },
+    [withAccessToken, setUser]
+  );
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Check a restored session and pick up profile changes made elsewhere.
+   * Offline, the stored copy of the user stays until the backend can be asked.
+   */
+  useEffect(() => {
+    if (!stateRef.current.session) return;
+    withAccessToken(getUser)
+      .then(setUser)
+      .catch((error) => error instanceof AuthError && endSession());
+  }, [withAccessToken, setUser, endSession]);
+
+  /**
+   * EFFECT: Refresh shortly before the access token expires, retrying while the backend can't be reached
+   */
+  useEffect(() => {
+    if (!session) return;
+    let timer;
+    const schedule = (delay) => {
+      timer = setTimeout(() => refresh().catch(() => schedule(REFRESH_RETRY_DELAY)), Math.min(Math.max(delay, 0), MAX_TIMEOUT));
+    };
+    schedule(Date.parse(session.expiresAt) - REFRESH_MARGIN - Date.now());
+    return () => clearTimeout(timer);
+  }, [session, refresh]);
+
+  /**
+   * EFFECT: Timers sleep in background tabs - catch up when the tab is back
+   */
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      const current = stateRef.current.session;
+      if (document.visibilityState === "visible" && current && needsRefresh(current)) refresh().catch(() => {});
+    };
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => document.removeEventListener("visibilitychange", handleVisibilityChange);
+  }, [refresh]);
+
+  /**
+   * EFFECT: Follow sign-ins, refreshes and sign-outs of other tabs
+   */
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== SESSION_STORAGE_KEY && e.key !== null) return;
+      apply(toState(readStoredSession()));
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [apply]);
+
+  // ===== CONTEXT VALUE =====
+
+  const value = useMemo(
+    () => ({
+      user: session?.user ?? null,
+      signedIn: Boolean(session),
+      signIn: signInAction,
+      signUp: signUpAction,
+      signOut: signOutAction,
+      updateProfile: updateProfileAction,
+      getAccessToken,
+      withAccessToken,
+    }),
+    [session, signInAction, signUpAction, signOutAction, updateProfileAction, getAccessToken, withAccessToken]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,70 @@
+import { readStorageJson, writeStorage, writeStorageJson } from "../lib/storage";
+
+/**
+ * SESSION STORAGE
+ *
+ * The signed-in session - tokens plus a copy of the user, so the navbar
+ * can show the avatar straight away - is kept under one key:
+ * - in localStorage when the player ticked "Keep me signed in", shared by
+ *   every tab and surviving restarts
+ * - in sessionStorage otherwise, gone when the tab closes
+ *
+ * Tokens in web storage can be read by any script on the page; the site
+ * never injects HTML (lib/markup.js, lib/markdown.js), which keeps that
+ * surface small.
+ */
+
+export const SESSION_STORAGE_KEY = "mgaming:session";
+
+// Refresh the access token this long before it expires
+export const REFRESH_MARGIN = 60 * 1000;
+
+// Wait before trying again when a refresh couldn't reach the backend
+export const REFRESH_RETRY_DELAY = 30 * 1000;
+
+/**
+ * @param {boolean} remember
+ * @returns {{area: "local"|"session"}} - Storage helper options
+ */
+const storageFor = (remember) => ({ area: remember ? "local" : "session" });
+
+/**
+ * The stored session, if any
+ * @returns {{session: object, remember: boolean}|null}
+ */
+export const readStoredSession = () => {
+  for (const remember of [true, false]) {
+    const session = readStorageJson(SESSION_STORAGE_KEY, null, storageFor(remember));
+    if (session?.refreshToken) return { session, remember };
+  }
+  return null;
+};
+
+/**
+ * @param {object} session
+ * @param {boolean} remember - localStorage rather than sessionStorage
+ */
+export const storeSession = (session, remember) => {
+  writeStorage(SESSION_STORAGE_KEY, null, storageFor(!remember));
+  writeStorageJson(SESSION_STORAGE_KEY, session, storageFor(remember));
+};
+
+export const clearStoredSession = () => {
+  for (const remember of [true, false]) writeStorage(SESSION_STORAGE_KEY, null, storageFor(remember));
+};
+
+/**
+ * @param {{expiresAt: string}} session
+ * @param {number} now
+ * @returns {boolean} - The access token has expired or is about to
+ */
+export const needsRefresh = (session, now = Date.now()) => Date.parse(session.expiresAt) - REFRESH_MARGIN <= now;
+
+/**
+ * A `next` query value that is safe to go to after signing in: a route of
+ * this site, and not one of the sign-in pages themselves
+ * @param {string|null} next - e.g. "/tournaments/nexus-tactics-open"
+ * @returns {string}
+ */
+export const safeRedirect = (next) =>
+  next && next.startsWith("/") && !next.startsWith("//") && !next.startsWith("/account/") ? next : "/account";
@@ -3,6 +3,10 @@ import { useGSAP } from "@gsap/react";
 import { ScrollTrigger } from "gsap/all";
 
 import AnimatedTitle from "./AnimatedTitle";
+import MediaSource from "./MediaSource";
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+import useSection from "../hooks/useSection";
 
 // Register GSAP plugins for scroll-triggered animations
 gsap.registerPlugin(ScrollTrigger);
@@ -25,6 +29,10 @@ gsap.registerPlugin(ScrollTrigger);
  */
 
 const About = () => {
+  const { t } = useI18n();
+  const { mode } = useMotion();
+  const sectionRef = useSection("about"); // Anchor for the navbar
+
   // ===== GSAP SCROLL ANIMATION SETUP =====
   
   /**
@@ -33,8 +41,23 @@ const About = () => {
    * This hook ensures animations are properly initialized and
    * cleaned up when the component mounts/unmounts, preventing
    * memory leaks and conflicting animations.
+   *
+   * Lite motion swaps the pinned expansion for a fade-in of the framed image;
+   * reduced motion shows the framed image as is.
    */
   useGSAP(() => {
+    if (mode === "reduced") return;
+
+    if (mode === "lite") {
+      gsap.from(".mask-clip-path", {
+        opacity: 0,
+        duration: 0.8,
+        ease: "power1.out",
+        scrollTrigger: { trigger: "#clip", start: "top 80%", toggleActions: "play none none reverse" },
+      });
+      return;
+    }
+
     // Create timeline for coordinated clip path animation
     const clipAnimation = gsap.timeline({
       scrollTrigger: {
@@ -80,11 +103,11 @@ const About = () => {
       // ease: "power2.inOut",  // Custom easing for more dramatic effect
       // transformOrigin: "center center", // Ensure expansion from center
     });
-  });
+  }, { dependencies: [mode], revertOnUpdate: true });
   // ===== COMPONENT RENDER =====
   return (
     // Main about section with full screen dimensions
-    <div id="about" className="min-h-screen w-screen">  
+    <div id="about" ref={sectionRef} className="min-h-screen w-screen">
       {/* ===== CONTENT HEADER SECTION ===== */}
       {/* 
         Header content positioned above the animated clip section
@@ -104,7 +127,7 @@ const About = () => {
           - Responsive sizing: text-sm on mobile, md:text-[10px] on medium+ screens
         */}
         <p className="font-general text-sm uppercase md:text-[10px]">
-          Welcome to Zentry
+          {t("about.eyebrow")}
         </p>
 
         {/* ===== MAIN TITLE ===== */}
@@ -117,7 +140,7 @@ const About = () => {
             - text-center: Center-aligned text
         */}
         <AnimatedTitle
-          title="Disc<b>o</b>ver the world's <br /> largest shared <b>a</b>dventure"
+          title={t("about.title")}
           containerClass="mt-5 !text-black text-center"
         />
 
@@ -132,11 +155,10 @@ const About = () => {
         */}
         <div className="about-subtext">
           {/* Primary description - bold statement about the gaming experience */}
-          <p>The Game of Games begins—your life, now an epic MMORPG</p>
+          <p>{t("about.subtext")}</p>
           {/* Secondary description - more detailed explanation with muted styling */}
           <p className="text-gray-500">
-            Zentry unites every player from countless games and platforms, both
-            digital and physical, into a unified Play Economy
+            {t("about.subtextMuted")}
           </p>
         </div>
       </div>
@@ -179,9 +201,9 @@ const About = () => {
             - Optimized for web (WebP format recommended)
             - Consider lazy loading for performance
           */}
-          <img
-            src="img/about.webp"
-            alt="Epic gaming world landscape showing the vast Zentry universe with interconnected realms and digital adventures"
+          <MediaSource
+            media="about"
+            alt={t("about.imageAlt")}
             className="absolute left-0 top-0 size-full object-cover"
           />
         </div>
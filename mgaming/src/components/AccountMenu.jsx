@@ -0,0 +1,257 @@
+import { useEffect, useId, useRef, useState } from "react";
+import gsap from "gsap";
+import { useGSAP } from "@gsap/react";
+import clsx from "clsx";
+
+import Button from "./Button";
+import PlayerAvatar from "./PlayerAvatar";
+import useAuth from "../hooks/useAuth";
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+import useRouter from "../hooks/useRouter";
+import { authEnabled } from "../lib/authService";
+
+/**
+ * ACCOUNT MENU
+ *
+ * The navbar's account control. Signed out it is a "Sign in" link that
+ * comes back to the current page afterwards; signed in it is the player's
+ * avatar, opening a menu with their profile and "Sign out". Nothing at
+ * all without an auth backend (see authService).
+ *
+ * Follows the ARIA menu button pattern, like the Products menu:
+ * - the avatar opens it on click, Enter, Space or ↓ (↑ starts at the end)
+ * - ↑ ↓ move through the items, Home / End jump to the ends
+ * - Escape closes and returns to the avatar, Tab closes and moves on, and
+ *   so do a click outside and scrolling (the navbar slides away)
+ *
+ * ANIMATION: The menu drops in; reduced motion shows it at once.
+ *
+ * @param {string} className - Classes for the wrapper
+ */
+const AccountMenu = ({ className }) => {
+  const { t } = useI18n();
+  const { user, signOut } = useAuth();
+  const { path } = useRouter();
+  const { reducedMotion } = useMotion();
+  const buttonId = useId();
+  const menuId = useId();
+
+  const [open, setOpen] = useState(false);
+
+  const wrapperRef = useRef(null);
+  const buttonRef = useRef(null);
+  const panelRef = useRef(null);
+  const itemRefs = useRef([]);
+  const pendingFocusRef = useRef(null); // Item to focus once the menu is mounted
+
+  // ===== OPEN / CLOSE =====
+
+  /**
+   * @param {number} focusIndex - Item to focus once open
+   */
+  const openMenu = (focusIndex = 0) => {
+    pendingFocusRef.current = focusIndex;
+    setOpen(true);
+  };
+
+  /**
+   * @param {boolean} returnFocus - Put focus back on the avatar
+   */
+  const closeMenu = (returnFocus = false) => {
+    setOpen(false);
+    if (returnFocus) buttonRef.current?.focus({ preventScroll: true });
+  };
+
+  /**
+   * Focuses an item, wrapping around the ends
+   * @param {number} index
+   */
+  const focusItem = (index) => {
+    const items = itemRefs.current.filter(Boolean);
+    items[(index + items.length) % items.length]?.focus({ preventScroll: true });
+  };
+
+  // ===== EVENT HANDLERS =====
+
+  const handleButtonKeyDown = (e) => {
+    if (e.key !== "ArrowDown" && e.key !== "ArrowUp") return;
+    e.preventDefault();
+    const index = e.key === "ArrowDown" ? 0 : -1;
+    if (open) focusItem(index);
+    else openMenu(index);
+  };
+
+  const handleMenuKeyDown = (e) => {
+    const current = itemRefs.current.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case "ArrowDown":
+        focusItem(current + 1);
+        break;
+      case "ArrowUp":
+        focusItem(current - 1);
+        break;
+      case "Home":
+        focusItem(0);
+        break;
+      case "End":
+        focusItem(-1);
+        break;
+      case "Escape":
+        e.stopPropagation();
+        closeMenu(true);
+        break;
+      case "Tab":
+        closeMenu();
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  const handleSignOut = () => {
+    closeMenu();
+    signOut();
+  };
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Focus the requested item once the menu is there
+   */
+  useEffect(() => {
+    if (!open || pendingFocusRef.current === null) return;
+    focusItem(pendingFocusRef.current);
+    pendingFocusRef.current = null;
+  }, [open]);
+
+  /**
+   * EFFECT: A click outside or scrolling closes the menu
+   */
+  useEffect(() => {
+    if (!open) return;
+
+    const handlePointerDown = (e) => {
+      if (!wrapperRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleScroll = () => setOpen(false);
+
+    document.addEventListener("pointerdown", handlePointerDown);
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => {
+      document.removeEventListener("pointerdown", handlePointerDown);
+      window.removeEventListener("scroll", handleScroll);
+    };
+  }, [open]);
+
+  /**
+   * EFFECT: Signing out (here or in another tab) closes the menu
+   */
+  useEffect(() => {
+    if (!user) setOpen(false);
+  }, [user]);
+
+  // ===== GSAP ANIMATIONS =====
+
+  /**
+   * ANIMATION: Menu drops in
+   */
+  useGSAP(
+    () => {
+      if (!open || reducedMotion || !panelRef.current) return;
+      gsap.fromTo(
+        panelRef.current,
+        { autoAlpha: 0, y: -8, scale: 0.97 },
+        { autoAlpha: 1, y: 0, scale: 1, duration: 0.25, ease: "power2.out" }
+      );
+    },
+    { dependencies: [open] }
+  );
+
+  // ===== COMPONENT RENDER =====
+
+  if (!authEnabled) return null;
+
+  if (!user) {
+    // Come back here afterwards - unless "here" is one of the account screens
+    const next = path.startsWith("/account") || path === "/" ? "" : `?next=${encodeURIComponent(path)}`;
+    return (
+      <Button
+        href={`#/account/sign-in${next}`}
+        title={t("nav.signIn")}
+        variant="ghost"
+        size="sm"
+        containerClass={className}
+      />
+    );
+  }
+
+  const itemClass =
+    "block w-full rounded-xl px-3 py-2 text-start text-sm text-blue-50 outline-none transition-colors duration-300 hover:bg-white/10 focus:bg-white/10";
+
+  return (
+    <div ref={wrapperRef} className={clsx("relative", className)}>
+      <button
+        ref={buttonRef}
+        id={buttonId}
+        type="button"
+        onClick={(e) => (open ? closeMenu() : openMenu(e.detail === 0 ? 0 : null))}
+        onKeyDown={handleButtonKeyDown}
+        aria-label={t("nav.accountMenu", { gamertag: user.gamertag })}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        aria-controls={open ? menuId : undefined}
+        className="flex rounded-full ring-offset-2 ring-offset-slate-900 transition duration-300 hover:ring-2 hover:ring-purple-400/60 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-cyan-400"
+      >
+        <PlayerAvatar user={user} />
+      </button>
+
+      {open && (
+        <div
+          ref={panelRef}
+          className="absolute end-0 top-full z-50 mt-4 w-64 rounded-2xl border border-purple-500/20 bg-slate-900/95 p-2 shadow-2xl shadow-purple-500/10 backdrop-blur-lg"
+        >
+          {/* Who is signed in */}
+          <div className="flex items-center gap-3 border-b border-white/10 px-3 pb-3 pt-2">
+            <PlayerAvatar user={user} />
+            <div className="min-w-0">
+              <p className="truncate font-robert-medium text-blue-50">{user.gamertag}</p>
+              <p className="truncate text-xs text-blue-50/60">{user.email}</p>
+            </div>
+          </div>
+
+          <ul id={menuId} role="menu" aria-labelledby={buttonId} onKeyDown={handleMenuKeyDown} className="mt-2 grid gap-1">
+            <li role="none">
+              <a
+                ref={(node) => (itemRefs.current[0] = node)}
+                href="#/account"
+                role="menuitem"
+                tabIndex={-1}
+                onClick={() => closeMenu()}
+                className={itemClass}
+              >
+                {t("nav.profile")}
+              </a>
+            </li>
+            <li role="none">
+              <button
+                ref={(node) => (itemRefs.current[1] = node)}
+                type="button"
+                role="menuitem"
+                tabIndex={-1}
+                onClick={handleSignOut}
+                className={itemClass}
+              >
+                {t("nav.signOut")}
+              </button>
+            </li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountMenu;
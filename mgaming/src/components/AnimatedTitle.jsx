@@ -1,55 +1,151 @@
 import { gsap } from "gsap";
-import { useEffect, useRef } from "react";
+import { useGSAP } from "@gsap/react";
+import { useMemo, useRef } from "react";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
 import clsx from "clsx";
 
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+import { parseMarkup, renderMarkup } from "../lib/markup";
+import { splitCharacters, splitLines, splitWords } from "../lib/textSegments";
+import { defaultTitlePreset, getTitlePreset, replayModes } from "../lib/titlePresets";
+
 gsap.registerPlugin(ScrollTrigger);
 
-const AnimatedTitle = ({ title, containerClass }) => {
+// Elements handed to a preset's animate() for each kind of split
+const targetSelectors = {
+  word: ".animated-word",
+  char: ".animated-char",
+  line: ".animated-line",
+};
+
+/**
+ * Groups words written without spaces between them (Chinese, Japanese, Thai...)
+ * so they wrap as a run instead of getting the gap used between words
+ * @param {Array<{joined: boolean}>} words - Output of `splitWords`
+ */
+const groupJoinedWords = (words) =>
+  words.reduce((groups, word) => {
+    if (word.joined && groups.length) groups[groups.length - 1].push(word);
+    else groups.push([word]);
+    return groups;
+  }, []);
+
+/**
+ * Title revealed on scroll with a named animation preset
+ *
+ * `title` may contain `<b>`, `<em>`, `<span class="...">` and `<br />`
+ * (see lib/markup.js) - it is parsed, never injected as HTML.
+ *
+ * @param {string} title - Title markup
+ * @param {string} containerClass - Additional CSS classes
+ * @param {string} preset - Reveal style: words, chars, lines, mask-slide, fade, typewriter, scramble or a custom one (see lib/titlePresets.js)
+ * @param {string} start - ScrollTrigger start position
+ * @param {string} end - ScrollTrigger end position
+ * @param {number} stagger - Delay between words / characters / lines (preset default when omitted)
+ * @param {string} ease - GSAP ease (preset default when omitted)
+ * @param {number} duration - Duration of each unit's tween (preset default when omitted)
+ * @param {boolean|number} scrub - Tie progress to the scrollbar instead of playing on enter
+ * @param {"reverse"|"restart"|"once"} replay - What happens when the title leaves and re-enters
+ *
+ * Outside full motion every preset falls back to a plain fade.
+ */
+const AnimatedTitle = ({
+  title,
+  containerClass,
+  preset: presetName = defaultTitlePreset,
+  start = "100 bottom",
+  end = "center bottom",
+  stagger,
+  ease,
+  duration,
+  scrub = false,
+  replay = "reverse",
+}) => {
   const containerRef = useRef(null);
+  const { locale } = useI18n();
+  const { fullMotion } = useMotion();
+  const preset = getTitlePreset(fullMotion ? presetName : "fade");
+
+  // Lines of word groups, each word keeping its own formatting
+  const lines = useMemo(
+    () => splitLines(parseMarkup(title)).map((line) => groupJoinedWords(splitWords(line, locale))),
+    [title, locale]
+  );
 
-  useEffect(() => {
-    const ctx = gsap.context(() => {
+  useGSAP(
+    () => {
       const titleAnimation = gsap.timeline({
         scrollTrigger: {
           trigger: containerRef.current,
-          start: "100 bottom",
-          end: "center bottom",
-          toggleActions: "play none none reverse",
+          start,
+          end,
+          ...(scrub ? { scrub } : replayModes[replay] || replayModes.reverse),
         },
       });
 
-      titleAnimation.to(
-        ".animated-word",
-        {
-          opacity: 1,
-          transform: "translate3d(0, 0, 0) rotateY(0deg) rotateX(0deg)",
-          ease: "power2.inOut",
-          stagger: 0.02,
-        },
-        0
-      );
-    }, containerRef);
+      const targets = gsap.utils.toArray(targetSelectors[preset.split], containerRef.current);
+      const options = {
+        stagger: stagger ?? preset.defaults.stagger,
+        ease: ease ?? preset.defaults.ease,
+        duration: duration ?? preset.defaults.duration,
+      };
 
-    return () => ctx.revert(); // Clean up on unmount
-  }, []);
+      // A cleanup returned by the preset runs when the context reverts
+      return preset.animate(titleAnimation, targets, options);
+    },
+    {
+      scope: containerRef,
+      // Re-run for the new words when the title, locale or settings change
+      dependencies: [lines, preset, start, end, stagger, ease, duration, scrub, replay],
+      revertOnUpdate: true,
+    }
+  );
+
+  /**
+   * Renders a word, split into characters when the preset animates those
+   * @param {{nodes: Array<object>}} word
+   * @param {string} key
+   */
+  const renderWord = (word, key) => (
+    <span key={key} className="animated-word">
+      {preset.split === "char"
+        ? splitCharacters(word.nodes, locale).map((character, index) => (
+            <span key={index} className="animated-char">
+              {renderMarkup(character.nodes)}
+            </span>
+          ))
+        : renderMarkup(word.nodes)}
+    </span>
+  );
 
   return (
-    <div ref={containerRef} className={clsx("animated-title", containerClass)}>
-      {title.split("<br />").map((line, index) => (
-        <div
-          key={index}
-          className="flex-center max-w-full flex-wrap gap-2 px-10 md:gap-3"
-        >
-          {line.split(" ").map((word, idx) => (
-            <span
-              key={idx}
-              className="animated-word"
-              dangerouslySetInnerHTML={{ __html: word }}
-            />
-          ))}
-        </div>
-      ))}
+    <div ref={containerRef} className={clsx("animated-title", preset.className, containerClass)}>
+      {lines.map((groups, index) => {
+        const line = (
+          <div key={index} className="animated-line">
+            {groups.map((group, idx) => {
+              const words = group.map((word, wordIndex) => renderWord(word, `${idx}-${wordIndex}`));
+
+              if (words.length === 1) return words[0];
+              return (
+                <span key={idx} className="flex flex-wrap">
+                  {words}
+                </span>
+              );
+            })}
+          </div>
+        );
+
+        // Mask presets slide each line in from behind its own clipping box
+        return preset.mask ? (
+          <div key={index} className="overflow-hidden">
+            {line}
+          </div>
+        ) : (
+          line
+        );
+      })}
     </div>
   );
 };
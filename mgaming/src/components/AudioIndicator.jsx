@@ -0,0 +1,71 @@
+import { useEffect, useRef } from "react";
+import clsx from "clsx";
+
+import useMotion from "../hooks/useMotion";
+import { backgroundMusic } from "../lib/audioEngine";
+
+// Height of a silent bar, as a share of the full height
+const restLevel = 0.25;
+
+/**
+ * AUDIO INDICATOR
+ *
+ * Equalizer bars driven by the music's AnalyserNode - each bar follows one
+ * frequency band. Heights are written straight to the DOM every frame, so
+ * React doesn't re-render 60 times a second.
+ *
+ * Reduced motion keeps the bars still: raised while playing, low when not.
+ *
+ * @param {boolean} active - Music is playing
+ * @param {number} bars - Number of bars
+ * @param {string} className - Classes for the wrapper
+ */
+const AudioIndicator = ({ active, bars = 4, className }) => {
+  const { reducedMotion } = useMotion();
+  const barRefs = useRef([]);
+
+  /**
+   * EFFECT: Follow the frequency data while playing
+   */
+  useEffect(() => {
+    const setLevels = (levels) =>
+      barRefs.current.forEach((bar, index) => {
+        if (bar) bar.style.transform = `scaleY(${restLevel + levels[index] * (1 - restLevel)})`;
+      });
+
+    if (!active || reducedMotion) {
+      setLevels(Array(bars).fill(active ? 0.6 : 0));
+      return;
+    }
+
+    let frame;
+    const tick = () => {
+      setLevels(backgroundMusic.getLevels(bars));
+      frame = requestAnimationFrame(tick);
+    };
+    tick();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      setLevels(Array(bars).fill(0));
+    };
+  }, [active, bars, reducedMotion]);
+
+  return (
+    <span aria-hidden="true" className={clsx("flex h-4 items-end space-x-0.5", className)}>
+      {Array.from({ length: bars }, (_, index) => (
+        <span
+          key={index}
+          ref={(node) => (barRefs.current[index] = node)}
+          className={clsx(
+            "block h-full w-1 origin-bottom rounded-full bg-gradient-to-t from-purple-500 to-cyan-400 transition-opacity duration-300",
+            active ? "opacity-100 shadow-sm shadow-purple-400" : "opacity-40"
+          )}
+          style={{ transform: `scaleY(${restLevel})` }}
+        />
+      ))}
+    </span>
+  );
+};
+
+export default AudioIndicator;
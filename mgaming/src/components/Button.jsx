@@ -1,50 +1,147 @@
+import { forwardRef } from "react";
 import clsx from "clsx";
 
+/**
+ * Colour presets - the gradients the sections used to repeat inline
+ */
+const variants = {
+  // Light pill, the original look
+  light: "bg-violet-50 text-black",
+  // Purple → blue gradient (navbar, forms, calls to action)
+  primary:
+    "bg-gradient-to-r from-purple-600 to-blue-600 text-white shadow-lg hover:from-purple-500 hover:to-blue-500 hover:shadow-purple-500/25",
+  // Purple → cyan gradient with a thin border (hero)
+  accent:
+    "border border-purple-400/30 bg-gradient-to-r from-purple-600 to-cyan-600 text-white shadow-lg hover:from-purple-500 hover:to-cyan-500 hover:shadow-purple-500/25",
+  // Translucent glass, for secondary actions on dark backgrounds
+  ghost: "border border-white/30 bg-white/10 text-white shadow-lg hover:border-purple-400/50 hover:bg-white/20",
+};
+
+const sizes = {
+  sm: "px-5 py-2",
+  md: "px-7 py-3",
+  lg: "px-9 py-4",
+};
+
 /**
  * REUSABLE BUTTON COMPONENT
- * 
+ *
  * A highly customizable button with advanced hover animations
  * Features a skew text effect that creates a dynamic transition
- * 
+ *
+ * Renders a <button> by default (type="button"), an <a> when given `href`,
+ * or any element / component passed as `as` (e.g. a router link). Other
+ * props - onClick, type, aria-*, target... - are passed through, and the
+ * ref points at the rendered element.
+ *
+ * Disabled and loading buttons can't be activated: <button> gets the
+ * `disabled` attribute, anything else `aria-disabled` and no tab stop.
+ * Loading also shows a spinner in place of the left icon and sets aria-busy.
+ *
  * @param {string} id - Unique identifier for the button element
  * @param {string} title - Text content displayed on the button
  * @param {ReactNode} rightIcon - Icon component positioned on the right side
  * @param {ReactNode} leftIcon - Icon component positioned on the left side
  * @param {string} containerClass - Additional CSS classes for styling customization
+ * @param {"light"|"primary"|"accent"|"ghost"} variant - Colour preset
+ * @param {"sm"|"md"|"lg"} size - Padding preset
+ * @param {string|React.ElementType} as - Element or component to render
+ * @param {string} href - Link target; renders an <a> unless `as` is given
+ * @param {boolean} disabled - Can't be activated
+ * @param {boolean} loading - Busy: disabled, with a spinner
  */
-const Button = ({ id, title, rightIcon, leftIcon, containerClass }) => {
-  return (
-    // Main button element with dynamic class composition
-    <button
-      id={id}
-      className={clsx(
-        // Base button styles - creates foundation appearance
-        "group relative z-10 w-fit cursor-pointer overflow-hidden rounded-full bg-violet-50 px-7 py-3 text-black",
-        // Custom classes passed from parent component
-        containerClass
-      )}
-    >
-      {/* Left icon - conditionally rendered if provided */}
-      {leftIcon}
-
-      {/* Text container with advanced hover animation */}
-      <span className="relative inline-flex overflow-hidden font-general text-xs uppercase">
-        
-        {/* Primary text layer - visible by default */}
-        <div className="translate-y-0 skew-y-0 transition duration-500 group-hover:translate-y-[-160%] group-hover:skew-y-12">
-          {title}
-        </div>
-        
-        {/* Secondary text layer - hidden initially, animates on hover */}
-        <div className="absolute translate-y-[164%] skew-y-12 transition duration-500 group-hover:translate-y-0 group-hover:skew-y-0">
-          {title}
-        </div>
-      </span>
-
-      {/* Right icon - conditionally rendered if provided */}
-      {rightIcon}
-    </button>
-  );
-};
+const Button = forwardRef(
+  (
+    {
+      id,
+      title,
+      children,
+      rightIcon,
+      leftIcon,
+      containerClass,
+      variant = "light",
+      size = "md",
+      as,
+      href,
+      type,
+      disabled = false,
+      loading = false,
+      onClick,
+      ...props
+    },
+    ref
+  ) => {
+    const Component = as || (href ? "a" : "button");
+    const isNativeButton = Component === "button";
+    const inactive = disabled || loading;
+
+    /**
+     * Links can't be disabled natively - swallow the click instead
+     * @param {MouseEvent} e
+     */
+    const handleClick = (e) => {
+      if (inactive) {
+        e.preventDefault();
+        return;
+      }
+      onClick?.(e);
+    };
+
+    return (
+      // Main button element with dynamic class composition
+      <Component
+        ref={ref}
+        id={id}
+        href={href}
+        type={isNativeButton ? type || "button" : type}
+        disabled={isNativeButton ? inactive : undefined}
+        aria-disabled={!isNativeButton && inactive ? true : undefined}
+        tabIndex={!isNativeButton && inactive ? -1 : undefined}
+        aria-busy={loading || undefined}
+        onClick={handleClick}
+        {...props}
+        className={clsx(
+          // Base button styles - creates foundation appearance
+          "group relative z-10 inline-flex w-fit cursor-pointer items-center justify-center gap-1 overflow-hidden rounded-full transition-all duration-300",
+          variants[variant],
+          sizes[size],
+          // Inactive: dimmed, with a not-allowed cursor
+          inactive && "cursor-not-allowed opacity-60",
+          // Custom classes passed from parent component
+          containerClass
+        )}
+      >
+        {/* Left icon - replaced by a spinner while loading */}
+        {loading ? (
+          <span
+            aria-hidden="true"
+            className="size-3.5 shrink-0 animate-spin rounded-full border-2 border-current border-t-transparent"
+          />
+        ) : (
+          leftIcon
+        )}
+
+        {/* Text container with advanced hover animation */}
+        <span className="relative inline-flex overflow-hidden font-general text-xs uppercase">
+
+          {/* Primary text layer - visible by default */}
+          <div className="translate-y-0 skew-y-0 transition duration-500 group-hover:translate-y-[-160%] group-hover:skew-y-12">
+            {title ?? children}
+          </div>
+
+          {/* Secondary text layer - hidden initially, animates on hover */}
+          <div aria-hidden="true" className="absolute translate-y-[164%] skew-y-12 transition duration-500 group-hover:translate-y-0 group-hover:skew-y-0">
+            {title ?? children}
+          </div>
+        </span>
+
+        {/* Right icon - conditionally rendered if provided */}
+        {rightIcon}
+      </Component>
+    );
+  }
+);
+
+Button.displayName = "Button";
 
-export default Button;
\ No newline at end of file
+export default Button;
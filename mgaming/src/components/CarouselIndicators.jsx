@@ -0,0 +1,87 @@
+import { FaPause, FaPlay } from "react-icons/fa";
+import clsx from "clsx";
+
+import useI18n from "../hooks/useI18n";
+
+/**
+ * CAROUSEL INDICATORS
+ *
+ * One button per slide; the active one fills up over the autoplay interval
+ * and freezes while autoplay is paused. An optional play / pause button
+ * lets touch and keyboard users stop autoplay (hover can't do that for them).
+ *
+ * @param {number} count - Number of slides
+ * @param {number} index - Zero-based active slide
+ * @param {Function} onSelect - Called with the slide index to show
+ * @param {boolean} autoplay - Whether autoplay is enabled at all
+ * @param {boolean} isPlaying - Autoplay is currently running
+ * @param {boolean} userPaused - The visitor paused autoplay with the button
+ * @param {number} interval - Autoplay interval (ms), drives the fill animation
+ * @param {Function} onTogglePlay - Play / pause button handler
+ * @param {string} className - Additional CSS classes
+ * @param {object} props - Other props are passed to the wrapper (e.g. mouse handlers)
+ */
+const CarouselIndicators = ({
+  count,
+  index,
+  onSelect,
+  autoplay = false,
+  isPlaying = false,
+  userPaused = false,
+  interval = 8000,
+  onTogglePlay,
+  className = "",
+  ...props
+}) => {
+  const { t } = useI18n();
+
+  return (
+    <div role="group" aria-label={t("hero.carousel.label")} className={clsx("flex items-center gap-3", className)} {...props}>
+      {Array.from({ length: count }, (_, slide) => {
+        const isActive = slide === index;
+
+        return (
+          <button
+            key={slide}
+            type="button"
+            onClick={() => onSelect(slide)}
+            aria-label={t("hero.carousel.goTo", { index: slide + 1, count })}
+            aria-current={isActive || undefined}
+            className="group py-3"
+          >
+            <span className="block h-1 w-10 overflow-hidden rounded-full bg-white/30 transition-colors duration-300 group-hover:bg-white/50">
+              {isActive && (
+                <span
+                  // Remount per slide so the fill starts over
+                  key={`${index}-${autoplay}`}
+                  className={clsx(
+                    "block h-full rounded-full bg-gradient-to-r from-purple-400 to-cyan-400",
+                    autoplay ? "carousel-progress" : "w-full"
+                  )}
+                  style={
+                    autoplay
+                      ? { animationDuration: `${interval}ms`, animationPlayState: isPlaying ? "running" : "paused" }
+                      : undefined
+                  }
+                />
+              )}
+            </span>
+          </button>
+        );
+      })}
+
+      {autoplay && onTogglePlay && (
+        <button
+          type="button"
+          onClick={onTogglePlay}
+          aria-label={userPaused ? t("hero.carousel.play") : t("hero.carousel.pause")}
+          className="rounded-full border border-white/30 p-2 text-xs text-white transition-colors duration-300 hover:border-purple-400/60 hover:text-cyan-400"
+        >
+          {userPaused ? <FaPlay /> : <FaPause />}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CarouselIndicators;
@@ -1,8 +1,22 @@
-import { useState } from "react";
-import { FaEnvelope, FaPhone, FaMapMarkerAlt, FaGamepad, FaUsers, FaTrophy } from "react-icons/fa";
+import { useEffect, useState } from "react";
+import clsx from "clsx";
 import { TiLocationArrow } from "react-icons/ti";
 import AnimatedTitle from "./AnimatedTitle";
 import Button from "./Button";
+import ContentIcon from "./ContentIcon";
+import FieldError from "./FieldError";
+import MediaSource from "./MediaSource";
+import HoneypotField from "./HoneypotField";
+import useAuth from "../hooks/useAuth";
+import useFormValidation from "../hooks/useFormValidation";
+import useI18n from "../hooks/useI18n";
+import useSection from "../hooks/useSection";
+import useSiteContent from "../hooks/useSiteContent";
+import useSpamGuard from "../hooks/useSpamGuard";
+import { describeError } from "../i18n/errors";
+import { authEnabled } from "../lib/authService";
+import { contactSchema } from "../lib/formSchemas";
+import { startContactQueue, submitContactMessage } from "../lib/contactService";
 
 /**
  * CONTACT COMPONENT WITH MODERN DESIGN AND COMPREHENSIVE FUNCTIONALITY
@@ -21,14 +35,14 @@ import Button from "./Button";
 
 /**
  * Reusable image component with clipping effects
- * @param {string} src - Image source URL
+ * @param {string} src - Media manifest key (see src/content/media.json)
  * @param {string} clipClass - CSS classes for clipping effects
  * @param {string} alt - Alt text for accessibility
  */
 const ImageClipBox = ({ src, clipClass, alt = "Decorative gaming image" }) => (
   <div className={clipClass}>
-    <img 
-      src={src} 
+    <MediaSource 
+      media={src} 
       alt={alt}
       className="w-full h-full object-cover"
       loading="lazy" // Performance optimization
@@ -36,118 +50,97 @@ const ImageClipBox = ({ src, clipClass, alt = "Decorative gaming image" }) => (
   </div>
 );
 
-// ===== CONFIGURATION DATA =====
-
-/**
- * Contact methods with icons and interactive elements
- */
-const contactMethods = [
-  {
-    icon: <FaEnvelope className="text-purple-400" />,
-    title: "Email Us",
-    description: "Get in touch via email",
-    value: "mk86215@gmail.com",
-    href: "mailto:mk86215@gmail.com",
-    bgColor: "from-purple-500/20 to-blue-500/20"
-  },
-  {
-    icon: <FaPhone className="text-blue-400" />,
-    title: "Call Us",
-    description: "Speak with our team",
-    value: "+91 933417XXXX",
-    href: "tel:+91933417XXXX",
-    bgColor: "from-blue-500/20 to-cyan-500/20"
-  },
-  {
-    icon: <FaMapMarkerAlt className="text-green-400" />,
-    title: "Visit Us",
-    description: "Our location",
-    value: "Bhilai, Chattisgarh",
-    href: "#location",
-    bgColor: "from-green-500/20 to-emerald-500/20"
-  }
-];
-
-/**
- * Gaming statistics for visual appeal
- */
-const gamingStats = [
-  {
-    icon: <FaGamepad className="text-purple-400" />,
-    number: "150+",
-    label: "Games Available",
-  },
-  {
-    icon: <FaUsers className="text-blue-400" />,
-    number: "2M+",
-    label: "Active Players",
-  },
-  {
-    icon: <FaTrophy className="text-yellow-400" />,
-    number: "500+",
-    label: "Tournaments",
-  }
-];
-
 // ===== MAIN CONTACT COMPONENT =====
 
 const Contact = () => {
+  // ===== TRANSLATED CONTENT =====
+
+  const { t } = useI18n();
+  const { signedIn } = useAuth();
+  // Contact methods and community stats - edit them in src/content/site.json
+  const { methods: contactMethods, stats: gamingStats } = useSiteContent().contact;
+  const sectionRef = useSection("contact"); // Anchor for the navbar
+
   // ===== STATE MANAGEMENT =====
   
-  // Form data state
-  const [formData, setFormData] = useState({
-    name: "",
-    email: "",
-    subject: "",
-    message: ""
-  });
+  // Form data and per-field errors, driven by the contact validation schema
+  const { errors, getFieldProps, errorId, validateAll, reset } = useFormValidation(contactSchema);
+
+  // Honeypot, time-to-submit, rate limit and optional proof-of-work checks
+  const { honeypotProps, guard, markSubmitted } = useSpamGuard("contact");
 
   // UI state management
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [submitStatus, setSubmitStatus] = useState(null); // 'success' | 'error' | null
+  const [submitStatus, setSubmitStatus] = useState(null); // 'success' | 'queued' | 'mailto' | 'error' | null
+  const [statusMessage, setStatusMessage] = useState(""); // Extra detail shown in the status banner
 
-  // ===== EVENT HANDLERS =====
+  // ===== SIDE EFFECTS =====
 
   /**
-   * Handles form input changes
-   * @param {Event} e - Input change event
+   * EFFECT: Deliver messages that were queued while offline
+   * Flushes on mount and every time the browser comes back online
    */
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: value
-    }));
-  };
+  useEffect(
+    () =>
+      startContactQueue(({ sent }) => {
+        if (sent) {
+          setSubmitStatus("success");
+          setStatusMessage("");
+        }
+      }),
+    []
+  );
+
+  // ===== EVENT HANDLERS =====
 
   /**
    * Handles form submission
+   * Validates every field first and moves focus to the first invalid one
    * @param {Event} e - Form submit event
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    const { isValid, values } = validateAll();
+    if (!isValid) return;
+
     setIsSubmitting(true);
     setSubmitStatus(null);
+    setStatusMessage("");
 
     try {
-      // Simulate API call - replace with actual implementation
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Reset form on success
-      setFormData({ name: "", email: "", subject: "", message: "" });
-      setSubmitStatus('success');
+      // Rejections throw a SpamError, described in the error banner
+      const proof = await guard();
+      const { status } = await submitContactMessage({ ...values, ...(proof && { proof }) });
+
+      // Reset form once the message is delivered, queued or handed off
+      markSubmitted();
+      reset();
+      setSubmitStatus(status === "sent" ? "success" : status);
     } catch (error) {
       setSubmitStatus('error');
+      setStatusMessage(describeError(error, t));
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  /**
+   * Input styling with a red border for fields that failed validation
+   * @param {string} name - Field name
+   */
+  const fieldClass = (name) =>
+    `w-full px-4 py-3 bg-white/10 border rounded-xl text-white placeholder-gray-400 focus:outline-none focus:ring-2 transition-all duration-300 ${
+      errors[name]
+        ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
+        : "border-gray-600 focus:border-purple-400 focus:ring-purple-400/20"
+    }`;
+
   // ===== COMPONENT RENDER =====
 
   return (
     // Main contact section with proper ID for navigation
-    <section id="contact" className="my-20 min-h-96 w-screen px-10">
+    <section id="contact" ref={sectionRef} className="my-20 min-h-96 w-screen px-10">
       {/* Main container with dark gradient background */}
       <div className="relative rounded-2xl bg-gradient-to-br from-black via-gray-900 to-slate-900 py-24 text-white overflow-hidden shadow-2xl shadow-purple-500/20">
         
@@ -155,28 +148,28 @@ const Contact = () => {
         {/* Left side decorative elements - hidden on mobile */}
         <div className="absolute -left-20 top-0 hidden h-full w-72 overflow-hidden sm:block lg:left-20 lg:w-96 opacity-30">
           <ImageClipBox
-            src={`${import.meta.env.BASE_URL}img/contact-1.webp`}
+            src="contact-1"
             clipClass="contact-clip-path-1"
-            alt="Gaming character background decoration"
+            alt={t("contact.images.characterBackground")}
           />
           <ImageClipBox
-            src={`${import.meta.env.BASE_URL}img/contact-2.webp`}
+            src="contact-2"
             clipClass="contact-clip-path-2 lg:translate-y-40 translate-y-60`"
-            alt="Gaming scene background decoration"
+            alt={t("contact.images.sceneBackground")}
           />
         </div>
 
         {/* Right side character images */}
         <div className="absolute -top-40 left-20 w-60 sm:top-1/2 md:left-auto md:right-10 lg:top-20 lg:w-80 opacity-40">
           <ImageClipBox
-  src={`${import.meta.env.BASE_URL}img/swordman-partial.webp`}
+  src="swordman-partial"
   clipClass="absolute md:scale-125"
-  alt="Gaming character partial view"
+  alt={t("contact.images.characterPartial")}
 />
           <ImageClipBox
-            src={`${import.meta.env.BASE_URL}img/swordman.webp`}  // Use BASE_URL
+            src="swordman"
             clipClass="sword-man-clip-path md:scale-125"
-            alt="Gaming character full view"
+            alt={t("contact.images.characterFull")}
           />
         </div>
 
@@ -187,18 +180,18 @@ const Contact = () => {
           <div className="text-center mb-16">
             {/* Brand tagline */}
             <p className="mb-6 font-general text-sm uppercase tracking-wider text-purple-300">
-              Join MGaming Community
+              {t("contact.eyebrow")}
             </p>
 
             {/* Main heading with animated title */}
             <AnimatedTitle
-              title="let&#39;s b<b>u</b>ild the <br /> new era of <br /> g<b>a</b>ming t<b>o</b>gether."
+              title={t("contact.title")}
               className="special-font !md:text-[6.2rem] w-full font-zentry !text-5xl !font-black !leading-[.9] bg-gradient-to-r from-white via-purple-200 to-cyan-200 bg-clip-text text-transparent"
             />
 
             {/* Description text */}
             <p className="mt-6 text-gray-300 text-lg max-w-2xl mx-auto leading-relaxed">
-              Ready to revolutionize gaming? Connect with us and be part of the next generation gaming experience.
+              {t("contact.description")}
             </p>
           </div>
 
@@ -210,7 +203,7 @@ const Contact = () => {
               
               {/* Contact Methods */}
               <div className="space-y-6">
-                <h3 className="text-2xl font-bold text-purple-300 mb-6">Get in Touch</h3>
+                <h3 className="text-2xl font-bold text-purple-300 mb-6">{t("contact.getInTouch")}</h3>
                 {contactMethods.map((method, index) => (
                   <a
                     key={index}
@@ -220,7 +213,7 @@ const Contact = () => {
                     <div className="flex items-center gap-4">
                       {/* Icon with gradient background */}
                       <div className={`p-3 rounded-xl bg-gradient-to-r ${method.bgColor} group-hover:scale-110 transition-transform duration-300`}>
-                        {method.icon}
+                        <ContentIcon name={method.icon} className={method.iconClass} />
                       </div>
                       <div>
                         <h4 className="font-semibold text-white group-hover:text-purple-300 transition-colors">
@@ -236,16 +229,25 @@ const Contact = () => {
 
               {/* Gaming Statistics */}
               <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-                <h3 className="text-xl font-bold text-purple-300 mb-6">Our Gaming Community</h3>
+                <h3 className="text-xl font-bold text-purple-300 mb-6">{t("contact.communityTitle")}</h3>
                 <div className="grid grid-cols-1 gap-4">
                   {gamingStats.map((stat, index) => (
-                    <div key={index} className="flex items-center gap-4">
+                    <div key={index} className="relative flex items-center gap-4">
                       <div className="p-2 rounded-lg bg-white/10">
-                        {stat.icon}
+                        <ContentIcon name={stat.icon} className={stat.iconClass} />
                       </div>
                       <div>
                         <p className="text-2xl font-bold text-white">{stat.number}</p>
-                        <p className="text-gray-400 text-sm">{stat.label}</p>
+                        <p className="text-gray-400 text-sm">
+                          {stat.href ? (
+                            // Stretched over the whole stat
+                            <a href={stat.href} className="transition-colors duration-300 after:absolute after:inset-0 hover:text-cyan-400">
+                              {stat.label}
+                            </a>
+                          ) : (
+                            stat.label
+                          )}
+                        </p>
                       </div>
                     </div>
                   ))}
@@ -255,97 +257,105 @@ const Contact = () => {
 
             {/* ===== RIGHT COLUMN: CONTACT FORM ===== */}
             <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20">
-              <h3 className="text-2xl font-bold text-purple-300 mb-6">Send us a Message</h3>
+              <h3 className="text-2xl font-bold text-purple-300 mb-6">{t("contact.form.title")}</h3>
               
               {/* Contact Form */}
-              <form onSubmit={handleSubmit} className="space-y-6">
+              <form onSubmit={handleSubmit} noValidate className="relative space-y-6">
+                {/* Anti-spam honeypot - invisible to people */}
+                <HoneypotField name="website" {...honeypotProps} />
                 
                 {/* Name Input */}
                 <div>
                   <label htmlFor="name" className="block text-sm font-medium text-gray-300 mb-2">
-                    Your Name *
+                    {t("contact.form.nameLabel")}
                   </label>
                   <input
                     type="text"
-                    id="name"
-                    name="name"
-                    value={formData.name}
-                    onChange={handleInputChange}
+                    {...getFieldProps("name")}
                     required
-                    className="w-full px-4 py-3 bg-white/10 border border-gray-600 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-purple-400 focus:ring-2 focus:ring-purple-400/20 transition-all duration-300"
-                    placeholder="Enter your full name"
+                    className={fieldClass("name")}
+                    placeholder={t("contact.form.namePlaceholder")}
                   />
+                  <FieldError id={errorId("name")} message={errors.name} />
                 </div>
 
                 {/* Email Input */}
                 <div>
                   <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-2">
-                    Email Address *
+                    {t("contact.form.emailLabel")}
                   </label>
                   <input
                     type="email"
-                    id="email"
-                    name="email"
-                    value={formData.email}
-                    onChange={handleInputChange}
+                    {...getFieldProps("email")}
                     required
-                    className="w-full px-4 py-3 bg-white/10 border border-gray-600 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-purple-400 focus:ring-2 focus:ring-purple-400/20 transition-all duration-300"
-                    placeholder="your.email@example.com"
+                    className={fieldClass("email")}
+                    placeholder={t("contact.form.emailPlaceholder")}
                   />
+                  <FieldError id={errorId("email")} message={errors.email} />
                 </div>
 
                 {/* Subject Input */}
                 <div>
                   <label htmlFor="subject" className="block text-sm font-medium text-gray-300 mb-2">
-                    Subject *
+                    {t("contact.form.subjectLabel")}
                   </label>
                   <input
                     type="text"
-                    id="subject"
-                    name="subject"
-                    value={formData.subject}
-                    onChange={handleInputChange}
+                    {...getFieldProps("subject")}
                     required
-                    className="w-full px-4 py-3 bg-white/10 border border-gray-600 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-purple-400 focus:ring-2 focus:ring-purple-400/20 transition-all duration-300"
-                    placeholder="What's this about?"
+                    className={fieldClass("subject")}
+                    placeholder={t("contact.form.subjectPlaceholder")}
                   />
+                  <FieldError id={errorId("subject")} message={errors.subject} />
                 </div>
 
                 {/* Message Textarea */}
                 <div>
                   <label htmlFor="message" className="block text-sm font-medium text-gray-300 mb-2">
-                    Message *
+                    {t("contact.form.messageLabel")}
                   </label>
                   <textarea
-                    id="message"
-                    name="message"
-                    value={formData.message}
-                    onChange={handleInputChange}
+                    {...getFieldProps("message")}
                     required
                     rows={5}
-                    className="w-full px-4 py-3 bg-white/10 border border-gray-600 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-purple-400 focus:ring-2 focus:ring-purple-400/20 transition-all duration-300 resize-vertical"
-                    placeholder="Tell us about your gaming ideas, feedback, or questions..."
+                    className={`${fieldClass("message")} resize-y`}
+                    placeholder={t("contact.form.messagePlaceholder")}
                   />
+                  <FieldError id={errorId("message")} message={errors.message} />
                 </div>
 
                 {/* Submit Button */}
                 <Button
-                  title={isSubmitting ? "Sending..." : "Send Message"}
+                  type="submit"
+                  title={isSubmitting ? t("contact.form.sending") : t("contact.form.submit")}
                   rightIcon={!isSubmitting && <TiLocationArrow />}
-                  containerClass={`w-full bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-500 hover:to-blue-500 text-white flex items-center justify-center gap-2 shadow-xl hover:shadow-purple-500/30 transition-all duration-300 ${isSubmitting ? 'opacity-75 cursor-not-allowed' : 'hover:scale-105'}`}
-                  disabled={isSubmitting}
+                  variant="primary"
+                  loading={isSubmitting}
+                  containerClass={clsx("w-full gap-2", !isSubmitting && "hover:scale-105")}
                 />
 
                 {/* Status Messages */}
                 {submitStatus === 'success' && (
                   <div className="p-4 bg-green-500/20 border border-green-500/50 rounded-xl text-green-300 text-center">
-                    🎉 Message sent successfully! We'll get back to you soon.
+                    {t("contact.status.success")}
+                  </div>
+                )}
+                
+                {submitStatus === 'queued' && (
+                  <div className="rounded-xl border border-yellow-500/50 bg-yellow-500/20 p-4 text-center text-yellow-200">
+                    {t("contact.status.queued")}
+                  </div>
+                )}
+
+                {submitStatus === 'mailto' && (
+                  <div className="rounded-xl border border-blue-500/50 bg-blue-500/20 p-4 text-center text-blue-200">
+                    {t("contact.status.mailto")}
                   </div>
                 )}
                 
                 {submitStatus === 'error' && (
-                  <div className="p-4 bg-red-500/20 border border-red-500/50 rounded-xl text-red-300 text-center">
-                    ❌ Failed to send message. Please try again or contact us directly.
+                  <div role="alert" className="p-4 bg-red-500/20 border border-red-500/50 rounded-xl text-red-300 text-center">
+                    {t("contact.status.error", { detail: statusMessage || t("contact.status.errorFallback") })}
                   </div>
                 )}
               </form>
@@ -356,19 +366,23 @@ const Contact = () => {
           <div className="text-center mt-16">
             <div className="bg-gradient-to-r from-purple-600/20 to-blue-600/20 backdrop-blur-lg rounded-2xl p-8 border border-purple-400/30">
               <h3 className="text-2xl font-bold text-white mb-4">
-                Ready to Level Up Your Gaming Experience?
+                {t("contact.cta.title")}
               </h3>
               <p className="text-gray-300 mb-6 max-w-2xl mx-auto">
-                Join thousands of gamers already part of our community. Experience the future of gaming today.
+                {t("contact.cta.body")}
               </p>
               <div className="flex flex-col sm:flex-row gap-4 justify-center">
+                {/* Joining is a player account - or the profile, once signed in */}
                 <Button
-                  title="Join Community"
-                  containerClass="bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-500 hover:to-blue-500 text-white shadow-lg hover:shadow-purple-500/25 transition-all duration-300 hover:scale-105"
+                  title={t("contact.cta.join")}
+                  href={authEnabled ? (signedIn ? "#/account" : "#/account/sign-up") : undefined}
+                  variant="primary"
+                  containerClass="hover:scale-105"
                 />
                 <Button
-                  title="View Games"
-                  containerClass="bg-white/10 hover:bg-white/20 text-white border border-white/30 hover:border-purple-400/50 shadow-lg transition-all duration-300 hover:scale-105"
+                  title={t("contact.cta.viewGames")}
+                  variant="ghost"
+                  containerClass="hover:scale-105"
                 />
               </div>
             </div>
@@ -0,0 +1,14 @@
+import icons from "../content/icons";
+
+/**
+ * Renders an icon referenced by name from site content
+ *
+ * @param {string} name - Key in src/content/icons.js
+ * @param {string} className - CSS classes for the icon
+ */
+const ContentIcon = ({ name, className }) => {
+  const Icon = icons[name];
+  return Icon ? <Icon className={className} /> : null;
+};
+
+export default ContentIcon;
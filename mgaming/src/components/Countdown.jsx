@@ -0,0 +1,62 @@
+import clsx from "clsx";
+
+import useI18n from "../hooks/useI18n";
+import useNow from "../hooks/useNow";
+
+const units = [
+  { name: "days", size: 24 * 60 * 60 * 1000 },
+  { name: "hours", size: 60 * 60 * 1000 },
+  { name: "minutes", size: 60 * 1000 },
+  { name: "seconds", size: 1000 },
+];
+
+/**
+ * COUNTDOWN
+ *
+ * Days, hours, minutes and seconds left until a moment, ticking every
+ * second. Screen readers get the time to the minute instead of the ticking
+ * digits. Renders `children` once the moment has passed.
+ *
+ * @param {string} to - ISO date and time
+ * @param {string} label - What is being counted down to, e.g. "Starts in"
+ * @param {React.ReactNode} children - Shown when the countdown is over
+ * @param {string} className
+ */
+const Countdown = ({ to, label, children = null, className }) => {
+  const { t, locale } = useI18n();
+  const now = useNow();
+
+  let left = Date.parse(to) - now;
+  if (left <= 0) return children;
+
+  const parts = {};
+  for (const { name, size } of units) {
+    parts[name] = Math.floor(left / size);
+    left -= parts[name] * size;
+  }
+
+  const digits = new Intl.NumberFormat(locale, { minimumIntegerDigits: 2 });
+
+  return (
+    <div role="timer" className={className}>
+      <p className="font-general text-xs uppercase tracking-widest text-blue-50/60">{label}</p>
+      <p className="sr-only">{t("tournaments.countdown", parts)}</p>
+      <ol aria-hidden="true" className="mt-2 flex gap-2">
+        {units.map(({ name }) => (
+          <li
+            key={name}
+            className={clsx(
+              "flex min-w-14 flex-col items-center rounded-md border border-white/10 bg-white/5 px-2 py-1.5",
+              name === "days" && !parts.days && "hidden"
+            )}
+          >
+            <span className="font-robert-medium text-xl tabular-nums">{digits.format(parts[name])}</span>
+            <span className="text-[10px] uppercase tracking-wider text-blue-50/60">{t(`tournaments.units.${name}`)}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default Countdown;
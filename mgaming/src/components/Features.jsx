@@ -1,6 +1,14 @@
-import { useState, useRef } from "react";
+import { useCallback, useState, useRef } from "react";
 import { TiLocationArrow } from "react-icons/ti";
 
+import MediaSource from "./MediaSource";
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+import usePreloadStatus from "../hooks/usePreloadStatus";
+import useSection from "../hooks/useSection";
+import useSiteContent from "../hooks/useSiteContent";
+import { renderInlineMarkup } from "../lib/markup";
+
 /**
  * FEATURES COMPONENT WITH INTERACTIVE BENTO GRID LAYOUT
  * 
@@ -25,13 +33,25 @@ import { TiLocationArrow } from "react-icons/ti";
  * 
  * @param {React.ReactNode} children - Child components to render inside the tilt container
  * @param {string} className - Additional CSS classes to apply
+ * @param {string} id - Anchor id; registers the card as a section for the navbar
  */
-export const BentoTilt = ({ children, className = "" }) => {
+export const BentoTilt = ({ children, className = "", id }) => {
   // State to store the current transform style for the 3D effect
   const [transformStyle, setTransformStyle] = useState("");
+
+  // Tilting only runs with full motion
+  const { fullMotion } = useMotion();
   
   // Ref to access the DOM element for calculating mouse position
   const itemRef = useRef(null);
+  const sectionRef = useSection(id);
+  const setRefs = useCallback(
+    (node) => {
+      itemRef.current = node;
+      sectionRef(node);
+    },
+    [sectionRef]
+  );
 
   /**
    * Handles mouse movement to calculate and apply 3D tilt effect
@@ -39,8 +59,8 @@ export const BentoTilt = ({ children, className = "" }) => {
    * @param {MouseEvent} event - Mouse move event containing cursor coordinates
    */
   const handleMouseMove = (event) => {
-    // Early return if ref is not available
-    if (!itemRef.current) return;
+    // Early return if ref is not available or motion is toned down
+    if (!itemRef.current || !fullMotion) return;
 
     // Get the bounding rectangle of the element
     const { left, top, width, height } = itemRef.current.getBoundingClientRect();
@@ -68,7 +88,8 @@ export const BentoTilt = ({ children, className = "" }) => {
 
   return (
     <div
-      ref={itemRef}
+      ref={setRefs}
+      id={id}
       className={className}
       onMouseMove={handleMouseMove}
       onMouseLeave={handleMouseLeave}
@@ -93,8 +114,12 @@ export const BentoTilt = ({ children, className = "" }) => {
  * @param {React.ReactNode} title - Feature title (can include JSX for styling)
  * @param {string} description - Feature description text
  * @param {boolean} isComingSoon - Whether to show "Coming Soon" button
+ * @param {string} href - Page the card opens (the title's link covers the card)
  */
-export const BentoCard = ({ src, title, description, isComingSoon }) => {
+export const BentoCard = ({ src, title, description, isComingSoon, href }) => {
+  const { t } = useI18n();
+  const { ready } = usePreloadStatus(); // Videos wait for the hero so they don't slow it down
+
   // State for tracking cursor position within the button for radial gradient
   const [cursorPosition, setCursorPosition] = useState({ x: 0, y: 0 });
   
@@ -142,14 +167,17 @@ export const BentoCard = ({ src, title, description, isComingSoon }) => {
         - muted: Required for autoplay in most browsers
         - loop: Continuously plays for engaging background
         - object-cover: Maintains aspect ratio while filling container
+        - Only mounted once the hero has loaded
       */}
-      <video
-        src={src}
-        loop
-        muted
-        autoPlay
-        className="absolute left-0 top-0 size-full object-cover object-center"
-      />
+      {ready && (
+        <MediaSource
+          media={src}
+          loop
+          muted
+          autoPlay
+          className="absolute left-0 top-0 size-full object-cover object-center"
+        />
+      )}
       
       {/* Content Overlay */}
       {/* 
@@ -165,7 +193,16 @@ export const BentoCard = ({ src, title, description, isComingSoon }) => {
             Uses special-font class for custom typography
             Title can contain JSX elements (like <b> tags) for styling
           */}
-          <h1 className="bento-title special-font">{title}</h1>
+          <h1 className="bento-title special-font">
+            {href ? (
+              // Stretched over the whole card; the "coming soon" button stays on top
+              <a href={href} className="after:absolute after:inset-0">
+                {title}
+              </a>
+            ) : (
+              title
+            )}
+          </h1>
           
           {/* Feature Description */}
           {/* 
@@ -208,7 +245,7 @@ export const BentoCard = ({ src, title, description, isComingSoon }) => {
             {/* Button Content */}
             {/* z-20 ensures content stays above the gradient effect */}
             <TiLocationArrow className="relative z-20" />
-            <p className="relative z-20">coming soon</p>
+            <p className="relative z-20">{t("features.comingSoon")}</p>
           </div>
         )}
       </div>
@@ -232,121 +269,116 @@ export const BentoCard = ({ src, title, description, isComingSoon }) => {
  * - Video backgrounds for visual engagement
  * - Strategic use of spacing and typography
  */
-const Features = () => (
-  // Main section with dark background and bottom padding
-  <section className="bg-black pb-52">
-    {/* Container with responsive padding for content centering */}
-    <div className="container mx-auto px-3 md:px-10">
+// ===== GRID LAYOUT =====
+
+/**
+ * Tilt container classes for the products after the featured one, in order.
+ * Content decides what is shown; this decides where it sits in the grid.
+ */
+const gridSlots = [
+  // Tall card (spans 2 rows on desktop)
+  "bento-tilt_1 row-span-1 md:col-span-1 md:row-span-2",
+  // Standard card with responsive margin
+  "bento-tilt_1 row-span-1 ms-32 md:col-span-1 md:ms-0",
+  // Standard card with responsive margin
+  "bento-tilt_1 me-14 md:col-span-1 md:me-0",
+];
+
+/**
+ * Renders a product from site content as a BentoCard
+ * @param {import("../content").Product} product
+ */
+const ProductCard = ({ product }) => (
+  <BentoCard
+    src={product.video}
+    title={renderInlineMarkup(product.title)}
+    description={product.description}
+    isComingSoon={product.comingSoon}
+    href={`#/products/${product.id}`}
+  />
+);
+
+const Features = () => {
+  const { features } = useSiteContent();
+  const { ready } = usePreloadStatus();
+  const sectionRef = useSection("vault");
+  // Products, copy and media - edit them in src/content/site.json
+  const [featuredProduct, ...gridProducts] = features.products;
+
+  return (
+    // Main section with dark background and bottom padding
+    <section id="vault" ref={sectionRef} className="bg-black pb-52">
+      {/* Container with responsive padding for content centering */}
+      <div className="container mx-auto px-3 md:px-10">
       
-      {/* ===== HEADER SECTION ===== */}
-      {/* Introduction text with large padding for visual separation */}
-      <div className="px-5 py-32">
-        {/* Main headline */}
-        <p className="font-circular-web text-lg text-blue-50">
-          Into the Metagame Layer
-        </p>
+        {/* ===== HEADER SECTION ===== */}
+        {/* Introduction text with large padding for visual separation */}
+        <div className="px-5 py-32">
+          {/* Main headline */}
+          <p className="font-circular-web text-lg text-blue-50">
+            {features.intro.title}
+          </p>
         
-        {/* Descriptive subtitle with reduced opacity for hierarchy */}
-        <p className="max-w-md font-circular-web text-lg text-blue-50 opacity-50">
-          Immerse yourself in a rich and ever-expanding universe where a vibrant
-          array of products converge into an interconnected overlay experience
-          on your world.
-        </p>
-      </div>
+          {/* Descriptive subtitle with reduced opacity for hierarchy */}
+          <p className="max-w-md font-circular-web text-lg text-blue-50 opacity-50">
+            {features.intro.description}
+          </p>
+        </div>
 
-      {/* ===== FEATURED CARD (FULL WIDTH) ===== */}
-      {/* 
-        Large hero card showcasing the main "radiant" feature
-        - Full width with responsive height (h-96 on mobile, 65vh on medium+)
-        - Rounded corners and border styling via border-hsla class
-        - Overflow hidden to contain the tilt effects and video
-      */}
-      <BentoTilt className="border-hsla relative mb-7 h-96 w-full overflow-hidden rounded-md md:h-[65vh]">
-        <BentoCard
-          src="videos/feature-1.mp4"
-          title={
-            <>
-              radia<b>n</b>t
-            </>
-          }
-          description="A cross-platform metagame app, turning your activities across Web2 and Web3 games into a rewarding adventure."
-          isComingSoon
-        />
-      </BentoTilt>
+        {/* ===== FEATURED CARD (FULL WIDTH) ===== */}
+        {/* 
+          Large hero card showcasing the first product
+          - Full width with responsive height (h-96 on mobile, 65vh on medium+)
+          - Rounded corners and border styling via border-hsla class
+          - Overflow hidden to contain the tilt effects and video
+        */}
+        <BentoTilt id={featuredProduct.id} className="border-hsla relative mb-7 h-96 w-full overflow-hidden rounded-md md:h-[65vh]">
+          <ProductCard product={featuredProduct} />
+        </BentoTilt>
 
-      {/* ===== BENTO GRID SECTION ===== */}
-      {/* 
-        Complex CSS Grid layout:
-        - 135vh height for consistent vertical spacing
-        - 2 columns, 3 rows for desktop layout
-        - Strategic use of grid-span classes for varied card sizes
-        - 7-unit gap between grid items
-      */}
-      <div className="grid h-[135vh] w-full grid-cols-2 grid-rows-3 gap-7">
+        {/* ===== BENTO GRID SECTION ===== */}
+        {/* 
+          Complex CSS Grid layout:
+          - 135vh height for consistent vertical spacing
+          - 2 columns, 3 rows for desktop layout
+          - Strategic use of grid-span classes for varied card sizes
+          - 7-unit gap between grid items
+        */}
+        <div className="grid h-[135vh] w-full grid-cols-2 grid-rows-3 gap-7">
         
-        {/* Feature Card 1: "zigma" - Tall card (spans 2 rows on desktop) */}
-        <BentoTilt className="bento-tilt_1 row-span-1 md:col-span-1 md:row-span-2">
-          <BentoCard
-            src="videos/feature-2.mp4"
-            title={
-              <>
-                zig<b>m</b>a
-              </>
-            }
-            description="An anime and gaming-inspired NFT collection - the IP primed for expansion."
-            isComingSoon
-          />
-        </BentoTilt>
+          {/* Product cards placed into the grid slots */}
+          {gridProducts.map((product, index) => (
+            <BentoTilt key={product.id} id={product.id} className={gridSlots[index]}>
+              <ProductCard product={product} />
+            </BentoTilt>
+          ))}
 
-        {/* Feature Card 2: "nexus" - Standard card with responsive margin */}
-        <BentoTilt className="bento-tilt_1 row-span-1 ms-32 md:col-span-1 md:ms-0">
-          <BentoCard
-            src="videos/feature-3.mp4"
-            title={
-              <>
-                n<b>e</b>xus
-              </>
-            }
-            description="A gamified social hub, adding a new dimension of play to social interaction for Web3 communities."
-            isComingSoon
-          />
-        </BentoTilt>
-        {/* Feature Card 3: "azul" - Standard card with responsive margin */}
-        <BentoTilt className="bento-tilt_1 me-14 md:col-span-1 md:me-0">
-          <BentoCard
-            src="videos/feature-4.mp4"
-            title={
-              <>
-                az<b>u</b>l
-              </>
-            }
-            description="A cross-world AI Agent - elevating your gameplay to be more fun and productive."
-            isComingSoon
-          />
-        </BentoTilt>
-        {/* "More Coming Soon" Card - Special styling with violet background */}
-        <BentoTilt className="bento-tilt_2">
-          <div className="flex size-full flex-col justify-between bg-violet-300 p-5">
-            {/* Title with contrasting black text on light background */}
-            <h1 className="bento-title special-font max-w-64 text-black">
-              M<b>o</b>re co<b>m</b>ing s<b>o</b>on.
-            </h1>
-            {/* Large decorative arrow icon positioned at bottom-right */}
-            <TiLocationArrow className="m-5 scale-[5] self-end" />
-          </div>
-        </BentoTilt>
-        {/* Video Showcase Card - Pure video content without overlay */}
-        <BentoTilt className="bento-tilt_2">
-          <video
-            src="videos/feature-5.mp4"
-            loop
-            muted
-            autoPlay
-            className="size-full object-cover object-center"
-          />
-        </BentoTilt>
+          {/* "More Coming Soon" Card - Special styling with violet background */}
+          <BentoTilt className="bento-tilt_2">
+            <div className="flex size-full flex-col justify-between bg-violet-300 p-5">
+              {/* Title with contrasting black text on light background */}
+              <h1 className="bento-title special-font max-w-64 text-black">
+                {renderInlineMarkup(features.moreComingSoon)}
+              </h1>
+              {/* Large decorative arrow icon positioned at bottom-right */}
+              <TiLocationArrow className="m-5 scale-[5] self-end" />
+            </div>
+          </BentoTilt>
+          {/* Video Showcase Card - Pure video content without overlay */}
+          <BentoTilt className="bento-tilt_2">
+            {ready && (
+              <MediaSource
+                media={features.showcaseVideo}
+                loop
+                muted
+                autoPlay
+                className="size-full object-cover object-center"
+              />
+            )}
+          </BentoTilt>
+        </div>
       </div>
-    </div>
-  </section>
-);
-export default Features;
\ No newline at end of file
+    </section>
+  );
+};
+export default Features;
@@ -0,0 +1,21 @@
+/**
+ * Inline validation message rendered under a form field
+ *
+ * The id must match the field's `aria-describedby` so screen readers
+ * announce the message together with the input.
+ *
+ * @param {string} id - Element id referenced by the input
+ * @param {string} message - Error text; nothing is rendered when empty
+ * @param {string} className - Additional CSS classes
+ */
+const FieldError = ({ id, message, className = "" }) => {
+  if (!message) return null;
+
+  return (
+    <p id={id} role="alert" className={`mt-2 text-sm text-red-300 ${className}`}>
+      {message}
+    </p>
+  );
+};
+
+export default FieldError;
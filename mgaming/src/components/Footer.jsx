@@ -1,6 +1,12 @@
-import { FaDiscord, FaTwitter, FaYoutube, FaMedium, FaGamepad, FaEnvelope, FaPhone, FaMapMarkerAlt } from "react-icons/fa";
+import { FaGamepad } from "react-icons/fa";
 import { TiLocationArrow } from "react-icons/ti";
 
+import ContentIcon from "./ContentIcon";
+import NewsletterSignup from "./NewsletterSignup";
+import useI18n from "../hooks/useI18n";
+import useSiteContent from "../hooks/useSiteContent";
+import { newsletterEnabled } from "../lib/newsletterService";
+
 /**
  * FOOTER COMPONENT WITH COMPREHENSIVE SITE NAVIGATION AND CONTACT INFORMATION
  * 
@@ -14,99 +20,15 @@ import { TiLocationArrow } from "react-icons/ti";
  * - Accessibility features and proper semantic markup
  */
 
-// ===== CONFIGURATION DATA =====
-
-/**
- * Social media platform configuration
- * Each platform has specific branding colors for hover effects
- */
-const socialLinks = [
-  { 
-    href: "https://discord.com/mgaming", 
-    icon: <FaDiscord />, 
-    label: "Discord",
-    hoverColor: "hover:text-indigo-400" // Discord brand color
-  },
-  { 
-    href: "https://twitter.com/mgaming", 
-    icon: <FaTwitter />, 
-    label: "Twitter",
-    hoverColor: "hover:text-blue-400" // Twitter brand color
-  },
-  { 
-    href: "https://youtube.com/mgaming", 
-    icon: <FaYoutube />, 
-    label: "YouTube",
-    hoverColor: "hover:text-red-400" // YouTube brand color
-  },
-  { 
-    href: "https://medium.com/@mgaming", 
-    icon: <FaMedium />, 
-    label: "Medium",
-    hoverColor: "hover:text-green-400" // Medium brand color
-  },
-];
-
-/**
- * Footer navigation links organized by categories
- * Provides comprehensive site navigation and important pages
- */
-const footerLinks = {
-  // Gaming-related pages and features
-  gaming: [
-    { name: "Game Library", href: "#games" },
-    { name: "Tournaments", href: "#tournaments" },
-    { name: "Leaderboards", href: "#leaderboards" },
-    { name: "Gaming News", href: "#news" },
-  ],
-  // Customer support and help resources
-  support: [
-    { name: "Help Center", href: "#help" },
-    { name: "Contact Us", href: "#contact" },
-    { name: "Bug Reports", href: "#bugs" },
-    { name: "Feature Requests", href: "#features" },
-  ],
-  // Company information and business pages
-  company: [
-    { name: "About Us", href: "#about" },
-    { name: "Careers", href: "#careers" },
-    { name: "Press Kit", href: "#press" },
-    { name: "Partnerships", href: "#partners" },
-  ],
-  // Legal and policy documents
-  legal: [
-    { name: "Privacy Policy", href: "#privacy" },
-    { name: "Terms of Service", href: "#terms" },
-    { name: "Cookie Policy", href: "#cookies" },
-    { name: "DMCA", href: "#dmca" },
-  ],
-};
-
-/**
- * Contact information with interactive elements
- * Includes email, phone, and location with appropriate links
- */
-const contactInfo = [
-  { 
-    icon: <FaEnvelope className="text-purple-400" />, 
-    text: "mk86215@gmail.com",
-    href: "mailto:mk86215@gmail.com" // Opens default email client
-  },
-  { 
-    icon: <FaPhone className="text-blue-400" />, 
-    text: "+91 933417XXXX",
-    href: "tel:+91933417XXXX" // Initiates phone call on mobile devices
-  },
-  { 
-    icon: <FaMapMarkerAlt className="text-green-400" />, 
-    text: "Bhilai Chattisgarh, India",
-    href: "#location" // Could link to Google Maps or location page
-  },
-];
-
 // ===== MAIN FOOTER COMPONENT =====
 
 const Footer = () => {
+  const { t } = useI18n();
+
+  // Social platforms, link columns and contact details - edit them in src/content/site.json
+  const { footer } = useSiteContent();
+  const { socialLinks, links: footerLinks, contactInfo } = footer;
+
   // Dynamic year calculation for copyright notice
   const currentYear = new Date().getFullYear();
 
@@ -137,13 +59,12 @@ const Footer = () => {
 
             {/* Company Description */}
             <p className="text-gray-300 leading-relaxed mb-6 max-w-md">
-              Redefining the gaming experience through innovative technology, 
-              immersive gameplay, and a thriving community of passionate gamers worldwide.
+              {footer.description}
             </p>
 
             {/* Contact Information Section */}
             <div className="space-y-3">
-              <h4 className="text-lg font-semibold text-purple-300 mb-4">Get in Touch</h4>
+              <h4 className="text-lg font-semibold text-purple-300 mb-4">{t("footer.getInTouch")}</h4>
               {/* Map through contact information with interactive elements */}
               {contactInfo.map((contact, index) => (
                 <a
@@ -153,7 +74,7 @@ const Footer = () => {
                 >
                   {/* Icon with scale animation on hover */}
                   <span className="group-hover:scale-110 transition-transform duration-300">
-                    {contact.icon}
+                    <ContentIcon name={contact.icon} className={contact.iconClass} />
                   </span>
                   <span className="text-sm">{contact.text}</span>
                 </a>
@@ -163,7 +84,7 @@ const Footer = () => {
 
           {/* ===== GAMING NAVIGATION LINKS ===== */}
           <div>
-            <h4 className="text-lg font-semibold text-purple-300 mb-6">Gaming</h4>
+            <h4 className="text-lg font-semibold text-purple-300 mb-6">{t("footer.columns.gaming")}</h4>
             <ul className="space-y-3">
               {/* Generate gaming-related navigation links */}
               {footerLinks.gaming.map((link, index) => (
@@ -183,7 +104,7 @@ const Footer = () => {
 
           {/* ===== SUPPORT NAVIGATION LINKS ===== */}
           <div>
-            <h4 className="text-lg font-semibold text-purple-300 mb-6">Support</h4>
+            <h4 className="text-lg font-semibold text-purple-300 mb-6">{t("footer.columns.support")}</h4>
             <ul className="space-y-3">
               {/* Generate support-related navigation links */}
               {footerLinks.support.map((link, index) => (
@@ -204,7 +125,7 @@ const Footer = () => {
           {/* ===== COMPANY & LEGAL LINKS SECTION ===== */}
           <div>
             {/* Company Links */}
-            <h4 className="text-lg font-semibold text-purple-300 mb-6">Company</h4>
+            <h4 className="text-lg font-semibold text-purple-300 mb-6">{t("footer.columns.company")}</h4>
             <ul className="space-y-3 mb-8">
               {/* Generate company-related navigation links */}
               {footerLinks.company.map((link, index) => (
@@ -222,7 +143,7 @@ const Footer = () => {
             </ul>
 
             {/* Legal Links */}
-            <h4 className="text-lg font-semibold text-purple-300 mb-6">Legal</h4>
+            <h4 className="text-lg font-semibold text-purple-300 mb-6">{t("footer.columns.legal")}</h4>
             <ul className="space-y-3">
               {/* Generate legal and policy navigation links */}
               {footerLinks.legal.map((link, index) => (
@@ -242,30 +163,22 @@ const Footer = () => {
         </div>
 
         {/* ===== NEWSLETTER SUBSCRIPTION SECTION ===== */}
-        <div className="mt-16 pt-8 border-t border-gray-700">
-          <div className="flex flex-col lg:flex-row items-center justify-between gap-8">
+        {/* Only when signups go somewhere - see newsletterService */}
+        {newsletterEnabled && (
+          <div className="mt-16 pt-8 border-t border-gray-700">
+            <div className="flex flex-col lg:flex-row items-center justify-between gap-8">
             
-            {/* Newsletter Description */}
-            <div className="text-center lg:text-left">
-              <h4 className="text-xl font-semibold text-purple-300 mb-2">Stay Updated</h4>
-              <p className="text-gray-300 text-sm">Get the latest gaming news, updates, and exclusive content.</p>
-            </div>
+              {/* Newsletter Description */}
+              <div className="text-center lg:text-start">
+                <h4 className="text-xl font-semibold text-purple-300 mb-2">{t("newsletter.title")}</h4>
+                <p className="text-gray-300 text-sm">{t("newsletter.body")}</p>
+              </div>
             
-            {/* Newsletter Subscription Form */}
-            <div className="flex gap-3 w-full lg:w-auto">
-              {/* Email input field with glassmorphism styling */}
-              <input
-                type="email"
-                placeholder="Enter your email"
-                className="flex-1 lg:w-80 px-4 py-3 bg-white/10 border border-gray-600 rounded-xl text-white placeholder-gray-400 focus:outline-none focus:border-purple-400 focus:ring-2 focus:ring-purple-400/20 transition-all duration-300"
-              />
-              {/* Subscribe button with gradient background and hover effects */}
-              <button className="bg-gradient-to-r from-purple-600 to-blue-600 hover:from-purple-500 hover:to-blue-500 px-6 py-3 rounded-xl text-white font-medium transition-all duration-300 hover:scale-105 shadow-lg hover:shadow-purple-500/25">
-                Subscribe
-              </button>
+              {/* Newsletter Subscription Form */}
+              <NewsletterSignup source="footer" />
             </div>
           </div>
-        </div>
+        )}
       </div>
 
       {/* ===== BOTTOM BAR SECTION ===== */}
@@ -275,14 +188,14 @@ const Footer = () => {
           <div className="flex flex-col md:flex-row items-center justify-between gap-4">
             
             {/* Copyright Notice */}
-            <p className="text-center text-sm text-gray-400 md:text-left">
-              © {currentYear} MGaming. All rights reserved. Made with ❤️ for gamers worldwide.
+            <p className="text-center text-sm text-gray-400 md:text-start">
+              {t("footer.copyright", { year: currentYear })}
             </p>
 
             {/* Social Media Links Section */}
             <div className="flex items-center gap-6">
               {/* Social media label - hidden on small screens */}
-              <span className="text-sm text-gray-400 hidden sm:block">Follow us:</span>
+              <span className="text-sm text-gray-400 hidden sm:block">{t("footer.followUs")}</span>
               
               {/* Social media icons with platform-specific hover colors */}
               <div className="flex gap-4">
@@ -296,7 +209,7 @@ const Footer = () => {
                     className={`text-gray-400 ${link.hoverColor} transition-all duration-300 hover:scale-110 p-2 rounded-lg hover:bg-white/10`}
                     title={link.label} // Tooltip on hover
                   >
-                    {link.icon}
+                    <ContentIcon name={link.icon} />
                   </a>
                 ))}
               </div>
@@ -309,7 +222,7 @@ const Footer = () => {
             >
               {/* Rotated arrow icon pointing upward */}
               <TiLocationArrow className="rotate-90" />
-              Back to Top
+              {t("footer.backToTop")}
             </button>
           </div>
         </div>
@@ -0,0 +1,92 @@
+import { forwardRef, useState } from "react";
+import { FaEye, FaEyeSlash } from "react-icons/fa";
+import clsx from "clsx";
+
+import FieldError from "./FieldError";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * FORM FIELD
+ *
+ * Label, input and inline error in the style of the registration form,
+ * for the account screens. Spread `getFieldProps(name)` from
+ * useFormValidation into it - the ref reaches the input, so the first
+ * invalid field still gets focus.
+ *
+ * Password fields get a show / hide toggle.
+ *
+ * @param {string} label
+ * @param {string} error - Validation message
+ * @param {string} errorId - Id the input's aria-describedby points at when invalid
+ * @param {string} hint - Help text under the input, e.g. password rules
+ * @param {ReactNode} action - Shown opposite the label, e.g. a "Forgot password?" link
+ * @param {boolean} multiline - Textarea instead of an input
+ * @param {string} className - Classes for the wrapper
+ */
+const FormField = forwardRef(
+  ({ label, error, errorId, hint, action, multiline = false, type = "text", className, ...props }, ref) => {
+    const { t } = useI18n();
+    const [revealed, setRevealed] = useState(false);
+
+    const password = type === "password";
+    const hintId = hint ? `${props.id}-hint` : undefined;
+    const describedBy = clsx(props["aria-describedby"], hintId) || undefined;
+
+    const inputClass = clsx(
+      "w-full rounded-xl border bg-white/10 px-4 py-3 text-white transition-all duration-300 placeholder:text-gray-400 focus:outline-none focus:ring-2 disabled:opacity-60",
+      error
+        ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
+        : "border-gray-600 focus:border-purple-400 focus:ring-purple-400/20",
+      password && "pe-12"
+    );
+
+    return (
+      <div className={className}>
+        <div className="mb-2 flex items-baseline justify-between gap-4">
+          <label htmlFor={props.id} className="block text-sm font-medium text-gray-300">
+            {label}
+          </label>
+          {action}
+        </div>
+
+        <div className="relative">
+          {multiline ? (
+            <textarea ref={ref} {...props} aria-describedby={describedBy} className={clsx(inputClass, "resize-none")} />
+          ) : (
+            <input
+              ref={ref}
+              type={password && revealed ? "text" : type}
+              {...props}
+              aria-describedby={describedBy}
+              className={inputClass}
+            />
+          )}
+
+          {password && (
+            <button
+              type="button"
+              onClick={() => setRevealed((value) => !value)}
+              aria-label={t("account.showPassword")}
+              aria-pressed={revealed}
+              aria-controls={props.id}
+              className="flex-center absolute inset-y-0 end-0 w-12 text-gray-400 transition-colors duration-300 hover:text-white"
+            >
+              {revealed ? <FaEyeSlash aria-hidden="true" /> : <FaEye aria-hidden="true" />}
+            </button>
+          )}
+        </div>
+
+        {hint && (
+          <p id={hintId} className="mt-2 text-xs text-gray-400">
+            {hint}
+          </p>
+        )}
+        <FieldError id={errorId} message={error} />
+      </div>
+    );
+  }
+);
+
+FormField.displayName = "FormField";
+
+export default FormField;
@@ -0,0 +1,94 @@
+import { FaStar } from "react-icons/fa";
+import clsx from "clsx";
+
+import MediaSource from "./MediaSource";
+import { BentoTilt } from "./Features";
+import useI18n from "../hooks/useI18n";
+
+// ===== GAME DETAILS =====
+
+/**
+ * GamePrice - "Free", or the USD price in the reader's number format
+ * @param {number} price - USD, 0 for free to play
+ * @param {string} className
+ */
+export const GamePrice = ({ price, className }) => {
+  const { t, locale } = useI18n();
+  return (
+    <span className={className}>
+      {price === 0 ? t("games.free") : new Intl.NumberFormat(locale, { style: "currency", currency: "USD" }).format(price)}
+    </span>
+  );
+};
+
+/**
+ * GameRating - Star and score, read out as "Rated 4.5 out of 5"
+ * @param {number} rating - 0 to 5
+ * @param {string} className
+ */
+export const GameRating = ({ rating, className }) => {
+  const { t, locale } = useI18n();
+  return (
+    <span className={clsx("inline-flex items-center gap-1", className)}>
+      <FaStar aria-hidden="true" className="text-yellow-400" />
+      <span aria-hidden="true">{new Intl.NumberFormat(locale, { minimumFractionDigits: 1 }).format(rating)}</span>
+      <span className="sr-only">{t("games.rating", { rating })}</span>
+    </span>
+  );
+};
+
+// ===== GAME CARD =====
+
+/**
+ * GAME CARD
+ *
+ * One game in the Game Library grid, styled like the Features bento cards:
+ * the cover fills the tilting card and the details sit on a gradient at
+ * the bottom. The title links to the game's page and covers the card.
+ *
+ * @param {object} game - Catalog entry (src/content/games.json)
+ * @param {string} className - Classes for the card, e.g. its height
+ */
+const GameCard = ({ game, className }) => {
+  const { t } = useI18n();
+
+  return (
+    <BentoTilt className={clsx("border-hsla group relative overflow-hidden rounded-md bg-black", className)}>
+      <MediaSource
+        media={game.cover}
+        loading="lazy"
+        className="absolute left-0 top-0 size-full object-cover object-center opacity-70 transition duration-500 group-hover:scale-105 group-hover:opacity-100"
+      />
+
+      <div className="relative z-10 flex size-full flex-col justify-between bg-gradient-to-t from-black via-black/40 to-transparent p-5 text-blue-50">
+        <ul className="flex flex-wrap gap-2">
+          {game.genres.map((genre) => (
+            <li
+              key={genre}
+              className="rounded-full border border-white/20 bg-black/50 px-3 py-1 font-general text-[10px] uppercase tracking-wider"
+            >
+              {t(`games.genres.${genre}`)}
+            </li>
+          ))}
+        </ul>
+
+        <div>
+          <h3 className="special-font font-zentry text-3xl uppercase leading-none md:text-4xl">
+            {/* Stretched over the whole card */}
+            <a href={`#/games/${game.id}`} className="after:absolute after:inset-0">
+              {game.title}
+            </a>
+          </h3>
+          <p className="mt-1 text-xs text-blue-50/60">{game.developer}</p>
+
+          <div className="mt-4 flex items-center justify-between text-sm">
+            <GameRating rating={game.rating} />
+            <GamePrice price={game.price} className="font-robert-medium" />
+          </div>
+        </div>
+      </div>
+    </BentoTilt>
+  );
+};
+
+export default GameCard;
@@ -0,0 +1,109 @@
+import clsx from "clsx";
+
+import useI18n from "../hooks/useI18n";
+import { priceRanges, ratingSteps } from "../lib/gameQuery";
+
+// Multiple choice facets, in display order, with their label prefix in the messages
+const listFacets = [
+  { name: "genre", labels: "games.genres" },
+  { name: "platform", labels: "games.platforms" },
+  { name: "price", labels: "games.prices" },
+];
+
+/**
+ * GAME FILTERS
+ *
+ * Facet panel of the Game Library: checkboxes for genre, platform and
+ * price, radio buttons for the minimum rating. Each option shows how many
+ * games it would give with the other filters as they are; options that
+ * would give none are disabled unless already picked.
+ *
+ * @param {object} filters - Current filters (lib/gameQuery.js)
+ * @param {object|null} facets - Counts from the last query; null while the first one loads
+ * @param {(filters: object) => void} onChange - Receives the new filters
+ * @param {string} className
+ */
+const GameFilters = ({ filters, facets, onChange, className }) => {
+  const { t } = useI18n();
+
+  if (!facets) return null;
+
+  /**
+   * @param {string} name - Facet
+   * @param {string} value - Option
+   */
+  const toggle = (name, value) => {
+    const selected = filters[name];
+    onChange({
+      ...filters,
+      [name]: selected.includes(value) ? selected.filter((entry) => entry !== value) : [...selected, value],
+    });
+  };
+
+  const optionClass = (disabled) =>
+    clsx(
+      "flex cursor-pointer items-center gap-3 rounded px-2 py-1.5 text-sm transition-colors duration-200 hover:bg-white/5",
+      disabled && "cursor-not-allowed opacity-40 hover:bg-transparent"
+    );
+
+  return (
+    <div className={clsx("flex flex-col gap-8", className)}>
+      {listFacets.map(({ name, labels }) => {
+        // Price ranges keep their order; the others come sorted from the query
+        const options = name === "price" ? Object.keys(priceRanges) : Object.keys(facets[name]);
+        return (
+          <fieldset key={name}>
+            <legend className="mb-3 font-general text-xs uppercase tracking-widest text-blue-50/60">
+              {t(`games.facets.${name}`)}
+            </legend>
+            {options.map((value) => {
+              const checked = filters[name].includes(value);
+              const count = facets[name][value] ?? 0;
+              const disabled = !checked && count === 0;
+              return (
+                <label key={value} className={optionClass(disabled)}>
+                  <input
+                    type="checkbox"
+                    checked={checked}
+                    disabled={disabled}
+                    onChange={() => toggle(name, value)}
+                    className="size-4 accent-violet-300"
+                  />
+                  <span className="flex-1">{t(`${labels}.${value}`)}</span>
+                  <span className="text-xs tabular-nums text-blue-50/50">{count}</span>
+                </label>
+              );
+            })}
+          </fieldset>
+        );
+      })}
+
+      <fieldset>
+        <legend className="mb-3 font-general text-xs uppercase tracking-widest text-blue-50/60">
+          {t("games.facets.rating")}
+        </legend>
+        {[0, ...ratingSteps].map((rating) => {
+          const count = rating ? facets.rating[rating] ?? 0 : null;
+          const checked = filters.rating === rating;
+          const disabled = !checked && count === 0;
+          return (
+            <label key={rating} className={optionClass(disabled)}>
+              <input
+                type="radio"
+                name="game-rating"
+                checked={checked}
+                disabled={disabled}
+                onChange={() => onChange({ ...filters, rating })}
+                className="size-4 accent-violet-300"
+              />
+              <span className="flex-1">{rating ? t("games.minRating", { rating }) : t("games.anyRating")}</span>
+              {count !== null && <span className="text-xs tabular-nums text-blue-50/50">{count}</span>}
+            </label>
+          );
+        })}
+      </fieldset>
+    </div>
+  );
+};
+
+export default GameFilters;
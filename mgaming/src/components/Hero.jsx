@@ -2,81 +2,222 @@ import gsap from "gsap";
 import { useGSAP } from "@gsap/react";
 import { ScrollTrigger } from "gsap/all";
 import { TiLocationArrow } from "react-icons/ti";
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 
 import Button from "./Button";
+import CarouselIndicators from "./CarouselIndicators";
+import MediaSource from "./MediaSource";
+import TrailerModal from "./TrailerModal";
 import VideoPreview from "./VideoPreview";
+import useCarousel from "../hooks/useCarousel";
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+import usePreloadStatus from "../hooks/usePreloadStatus";
+import useSwipe from "../hooks/useSwipe";
+import { renderInlineMarkup } from "../lib/markup";
+import { heroPreload } from "../lib/preload";
 
 // Register GSAP ScrollTrigger plugin for scroll-based animations
 gsap.registerPlugin(ScrollTrigger);
 
-const Hero = () => {
+// ===== CONSTANTS =====
+
+const totalVideos = 4; // Total number of hero videos available
+
+// The three video elements the loading screen waits for
+const videoTasks = {
+  preview: "video:preview",
+  next: "video:next",
+  background: "video:background",
+};
+
+/**
+ * Reads the deep-linked video from `?hero=3` (1-based, like the file names)
+ * @returns {number} - Zero-based carousel index
+ */
+const getLinkedVideo = () => {
+  const linked = Number(new URLSearchParams(window.location.search).get("hero"));
+  return Number.isInteger(linked) && linked >= 1 && linked <= totalVideos ? linked - 1 : 0;
+};
+
+/**
+ * Keys typed into form fields shouldn't move the carousel
+ * @param {EventTarget} target
+ */
+const isEditable = (target) => target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+
+/**
+ * HERO SECTION
+ *
+ * @param {boolean} autoplay - Advance videos automatically (off with reduced motion)
+ * @param {number} interval - Time per video while autoplaying (ms)
+ */
+const Hero = ({ autoplay = true, interval = 8000 }) => {
+  const { t, dir } = useI18n();
+  const { fullMotion, reducedMotion } = useMotion();
+
   // ===== STATE MANAGEMENT =====
   
-  // Video carousel states
-  const [currentIndex, setCurrentIndex] = useState(1); // Current video index (1-4)
-  const [hasClicked, setHasClicked] = useState(false); // Tracks if mini video has been clicked
+  // Video carousel state - the carousel is zero-based, video files are 1-based
+  const carousel = useCarousel({
+    count: totalVideos,
+    initialIndex: getLinkedVideo(),
+    autoplay: autoplay && !reducedMotion,
+    interval,
+  });
+  const { pause, resume } = carousel;
+  const currentIndex = carousel.index + 1; // Current video index (1-4)
+  const hasNavigated = carousel.hasMoved; // Whether the visitor or autoplay has changed videos yet
   
-  // Loading states
-  const [loading, setLoading] = useState(true); // Controls loading screen visibility
-  const [loadedVideos, setLoadedVideos] = useState(0); // Counter for loaded videos
+  // Loading states - videos, fonts and critical images (see lib/preload.js)
+  const preload = usePreloadStatus();
+  const loading = !preload.ready; // Loaded, failed or timed out - reveal either way
+  const percent = Math.round(preload.progress * 100);
+  // Loading screen has faded out - coming back from another page, it never shows
+  const [overlayHidden, setOverlayHidden] = useState(preload.ready);
+
+  // Trailer modal - opened from the "Watch trailer" button, grows out of its rect
+  const [trailerOrigin, setTrailerOrigin] = useState(null);
+  const isTrailerOpen = trailerOrigin !== null;
 
-  // ===== CONSTANTS =====
-  
-  const totalVideos = 4; // Total number of hero videos available
-  
   // ===== REFS FOR DOM MANIPULATION =====
   
   const nextVdRef = useRef(null); // Reference to the next video element for playback control
+  const loaderRef = useRef(null); // Loading screen, faded out once ready
+  const heroRef = useRef(null); // Hero container, watched to scope keyboard control
+  const isInViewRef = useRef(true); // Arrow keys only drive the carousel while it is on screen
 
   // ===== EVENT HANDLERS =====
   
   /**
-   * Handles video load completion
-   * Increments the loaded video counter for loading state management
+   * Shows another video with the #next-video grow transition
+   * @param {"next"|"previous"|number} target - Direction or zero-based index
    */
-  const handleVideoLoad = () => {
-    setLoadedVideos((prev) => prev + 1);
+  const showVideo = (target) => {
+    if (target === "next") carousel.next();
+    else if (target === "previous") carousel.previous();
+    else carousel.goTo(target);
   };
 
+  /**
+   * Opens the trailer from the clicked button's position
+   * @param {MouseEvent} e
+   */
+  const openTrailer = (e) => setTrailerOrigin(e.currentTarget.getBoundingClientRect());
+
+  const closeTrailer = useCallback(() => setTrailerOrigin(null), []);
+
   /**
    * Handles mini video click interaction
-   * Triggers video transition animation and updates current index
+   * Triggers video transition animation and advances to the next video
    */
-  const handleMiniVdClick = () => {
-    setHasClicked(true);
-    // Cycle through videos (1-4), reset to 1 after 4
-    setCurrentIndex((prevIndex) => (prevIndex % totalVideos) + 1);
-  };
+  const handleMiniVdClick = () => showVideo("next");
+
+  // Swiping moves through videos like the arrow keys do (mirrored in RTL)
+  const swipeHandlers = useSwipe({
+    onSwipeLeft: () => showVideo(dir === "rtl" ? "previous" : "next"),
+    onSwipeRight: () => showVideo(dir === "rtl" ? "next" : "previous"),
+  });
 
   /**
-   * Generates video source path based on index
+   * Media manifest key of a hero video (see src/content/media.json)
    * @param {number} index - Video index number
-   * @returns {string} - Complete video file path
+   * @returns {string} - Manifest key
    */
-  const getVideoSrc = (index) => `videos/hero-${index}.mp4`;
+  const getVideoSrc = (index) => `hero-${index}`;
 
   // ===== SIDE EFFECTS =====
   
   /**
-   * EFFECT: Manage loading state based on video load progress
-   * Hides loading screen when all videos (except one) are loaded
+   * EFFECT: Start the preload manager
+   * The video tasks are declared first so fast fonts can't finish it early;
+   * a failed video counts as loaded (MediaSource shows its fallback)
    */
   useEffect(() => {
-    if (loadedVideos === totalVideos - 1) {
-      setLoading(false);
-    }
-  }, [loadedVideos]);
+    Object.values(videoTasks).forEach((id) => heroPreload.task(id));
+    heroPreload.start();
+  }, []);
+
+  /**
+   * EFFECT: Hold autoplay until the videos have loaded
+   */
+  useEffect(() => {
+    if (loading) pause("loading");
+    else resume("loading");
+  }, [loading, pause, resume]);
+
+  /**
+   * EFFECT: Hold autoplay while the trailer is open
+   */
+  useEffect(() => {
+    if (isTrailerOpen) pause("trailer");
+    else resume("trailer");
+  }, [isTrailerOpen, pause, resume]);
+
+  /**
+   * EFFECT: Keep ?hero= in sync once the visitor has moved on from the first video
+   * replaceState keeps the back button for real navigation
+   */
+  useEffect(() => {
+    if (!hasNavigated) return;
+    const url = new URL(window.location.href);
+    url.searchParams.set("hero", String(currentIndex));
+    window.history.replaceState(window.history.state, "", url);
+  }, [hasNavigated, currentIndex]);
+
+  /**
+   * EFFECT: Track whether the hero is on screen for keyboard control
+   */
+  useEffect(() => {
+    const observer = new IntersectionObserver(([entry]) => {
+      isInViewRef.current = entry.isIntersecting;
+    });
+    observer.observe(heroRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  /**
+   * EFFECT: Left / right arrow keys change videos while the hero is visible
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (isTrailerOpen || !isInViewRef.current || e.altKey || e.ctrlKey || e.metaKey || isEditable(e.target)) return;
+
+      const forward = dir === "rtl" ? "ArrowLeft" : "ArrowRight";
+      const backward = dir === "rtl" ? "ArrowRight" : "ArrowLeft";
+      if (e.key === forward) showVideo("next");
+      else if (e.key === backward) showVideo("previous");
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
 
   // ===== GSAP ANIMATIONS =====
+
+  /**
+   * ANIMATION: Fade the loading screen out once ready, then unmount it
+   */
+  useGSAP(
+    () => {
+      if (loading || !loaderRef.current) return;
+      gsap.to(loaderRef.current, {
+        autoAlpha: 0,
+        duration: reducedMotion ? 0 : 0.6,
+        ease: "power1.out",
+        onComplete: () => setOverlayHidden(true),
+      });
+    },
+    { dependencies: [loading] }
+  );
   
   /**
-   * ANIMATION: Video transition when mini video is clicked
+   * ANIMATION: Video transition whenever the carousel changes videos
    * Creates smooth scaling and positioning transitions between videos
    */
   useGSAP(
     () => {
-      if (hasClicked) {
+      if (hasNavigated) {
         // Make next video visible and animate it to full size
         gsap.set("#next-video", { visibility: "visible" });
         gsap.to("#next-video", {
@@ -86,7 +227,7 @@ const Hero = () => {
           height: "100%",
           duration: 1,
           ease: "power1.inOut",
-          onStart: () => nextVdRef.current.play(), // Start video playback
+          onStart: () => nextVdRef.current?.play?.(), // Start video playback (fallbacks have nothing to play)
         });
         // Animate current video with scale effect
         gsap.from("#current-video", {
@@ -106,8 +247,11 @@ const Hero = () => {
   /**
    * ANIMATION: Video frame clipping animation on scroll
    * Creates a dynamic shape transition effect as user scrolls
+   * Lite and reduced motion keep the frame as a static full rectangle
    */
   useGSAP(() => {
+    if (!fullMotion) return;
+
     // Set initial clipped polygon shape and border radius
     gsap.set("#video-frame", {
       clipPath: "polygon(14% 0, 72% 0, 88% 90%, 0 95%)",
@@ -125,17 +269,24 @@ const Hero = () => {
         scrub: true, // Smooth animation tied to scroll position
       },
     });
-  });
+  }, { dependencies: [fullMotion], revertOnUpdate: true });
 
   // ===== COMPONENT RENDER =====
   
   return (
     // Main hero container - full viewport height
-    <div className="relative h-dvh w-screen overflow-x-hidden">
+    <div
+      ref={heroRef}
+      className="relative h-dvh w-screen overflow-x-hidden"
+      {...swipeHandlers}
+    >
       
       {/* ===== LOADING SCREEN ===== */}
-      {loading && (
-        <div className="flex-center absolute z-[100] h-dvh w-screen overflow-hidden bg-gradient-to-br from-slate-900 via-purple-900 to-slate-800">
+      {!overlayHidden && (
+        <div
+          ref={loaderRef}
+          className="flex-center absolute z-[100] h-dvh w-screen flex-col gap-8 overflow-hidden bg-gradient-to-br from-slate-900 via-purple-900 to-slate-800"
+        >
           {/* Loading animation - three bouncing dots */}
           {/* Credit: https://uiverse.io/G4b413l/tidy-walrus-92 */}
           <div className="three-body">
@@ -143,6 +294,26 @@ const Hero = () => {
             <div className="three-body__dot"></div>
             <div className="three-body__dot"></div>
           </div>
+
+          {/* Progress bar - videos, fonts and critical images */}
+          <div className="flex w-48 flex-col items-center gap-2">
+            <div
+              role="progressbar"
+              aria-label={t("hero.loading.label")}
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={percent}
+              className="h-1 w-full overflow-hidden rounded-full bg-white/10"
+            >
+              <div
+                className="h-full rounded-full bg-gradient-to-r from-purple-500 to-cyan-400 transition-[width] duration-300"
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+            <p className="font-general text-[10px] uppercase tracking-widest text-blue-50/70" aria-live="polite">
+              {t("hero.loading.progress", { percent })}
+            </p>
+          </div>
         </div>
       )}
 
@@ -153,21 +324,26 @@ const Hero = () => {
       >
         <div>
           {/* ===== MINI VIDEO PREVIEW (CENTER) ===== */}
-          <div className="mask-clip-path absolute-center absolute z-50 size-64 cursor-pointer overflow-hidden rounded-lg border-2 border-purple-500/30 shadow-xl shadow-purple-500/20">
+          {/* Hovering the preview pauses autoplay so it can't change under the cursor */}
+          <div
+            className="mask-clip-path absolute-center absolute z-50 size-64 cursor-pointer overflow-hidden rounded-lg border-2 border-purple-500/30 shadow-xl shadow-purple-500/20"
+            onMouseEnter={() => pause("hover")}
+            onMouseLeave={() => resume("hover")}
+          >
             <VideoPreview>
               <div
                 onClick={handleMiniVdClick}
                 className="origin-center scale-50 opacity-0 transition-all duration-500 ease-in hover:scale-100 hover:opacity-100"
               >
                 {/* Preview video that shows next video in sequence */}
-                <video
+                <MediaSource
                   ref={nextVdRef}
-                  src={getVideoSrc((currentIndex % totalVideos) + 1)}
+                  media={getVideoSrc((currentIndex % totalVideos) + 1)}
                   loop
                   muted
                   id="current-video"
                   className="size-64 origin-center scale-150 object-cover object-center"
-                  onLoadedData={handleVideoLoad}
+                  {...heroPreload.videoHandlers(videoTasks.preview)}
                 />
               </div>
             </VideoPreview>
@@ -175,33 +351,33 @@ const Hero = () => {
 
           {/* ===== TRANSITION VIDEO (HIDDEN) ===== */}
           {/* Used for smooth transitions between main videos */}
-          <video
+          <MediaSource
             ref={nextVdRef}
-            src={getVideoSrc(currentIndex)}
+            media={getVideoSrc(currentIndex)}
             loop
             muted
             id="next-video"
             className="absolute-center invisible absolute z-20 size-64 object-cover object-center"
-            onLoadedData={handleVideoLoad}
+            {...heroPreload.videoHandlers(videoTasks.next)}
           />
           
           {/* ===== MAIN BACKGROUND VIDEO ===== */}
           {/* Primary video that fills the entire background */}
-          <video
-            src={getVideoSrc(
+          <MediaSource
+            media={getVideoSrc(
               currentIndex === totalVideos - 1 ? 1 : currentIndex
             )}
             autoPlay
             loop
             muted
             className="absolute left-0 top-0 size-full object-cover object-center"
-            onLoadedData={handleVideoLoad}
+            {...heroPreload.videoHandlers(videoTasks.background)}
           />
         </div>
 
         {/* ===== BRAND TITLE (BOTTOM RIGHT) ===== */}
         <h1 className="special-font hero-heading absolute bottom-5 right-5 z-40 text-transparent bg-gradient-to-r from-purple-400 to-cyan-400 bg-clip-text">
-          G<b>A</b>MING
+          {renderInlineMarkup(t("hero.brand"))}
         </h1>
 
         {/* ===== MAIN CONTENT OVERLAY ===== */}
@@ -209,29 +385,49 @@ const Hero = () => {
           <div className="mt-24 px-5 sm:px-10">
             {/* Main hero heading */}
             <h1 className="special-font hero-heading text-transparent bg-gradient-to-r from-cyan-400 via-purple-400 to-cyan-300 bg-clip-text">
-              redefi<b>n</b>e
+              {renderInlineMarkup(t("hero.heading"))}
             </h1>
 
             {/* Hero description text */}
             <p className="mb-5 max-w-64 font-robert-regular text-gray-200 text-shadow">
-              Enter the Metagame Layer <br /> Unleash the Play Economy
+              {renderInlineMarkup(t("hero.tagline"))}
             </p>
 
             {/* Call-to-action button */}
             <Button
               id="watch-trailer"
-              title="Watch trailer"
+              title={t("hero.watchTrailer")}
               leftIcon={<TiLocationArrow />}
-              containerClass="bg-gradient-to-r from-purple-600 to-cyan-600 text-white hover:from-purple-500 hover:to-cyan-500 flex-center gap-1 shadow-lg hover:shadow-purple-500/25 transition-all duration-300 border border-purple-400/30"
+              onClick={openTrailer}
+              variant="accent"
+              aria-haspopup="dialog"
             />
           </div>
         </div>
+
+        {/* ===== CAROUSEL INDICATORS (BOTTOM LEFT) ===== */}
+        <CarouselIndicators
+          count={totalVideos}
+          index={carousel.index}
+          onSelect={showVideo}
+          autoplay={autoplay && !reducedMotion}
+          isPlaying={carousel.isPlaying}
+          userPaused={carousel.pausedBy.includes("user")}
+          interval={interval}
+          onTogglePlay={() => (carousel.pausedBy.includes("user") ? resume("user") : pause("user"))}
+          onMouseEnter={() => pause("hover")}
+          onMouseLeave={() => resume("hover")}
+          className="absolute bottom-5 start-5 z-50 sm:start-10"
+        />
       </div>
       {/* ===== SECONDARY BRAND TITLE (BOTTOM RIGHT) ===== */}
       {/* Duplicate title for layering effect */}
       <h1 className="special-font hero-heading absolute bottom-5 right-5 text-gray-800/30">
-        G<b>A</b>MING
+        {renderInlineMarkup(t("hero.brand"))}
       </h1>
+
+      {/* ===== TRAILER MODAL ===== */}
+      <TrailerModal open={isTrailerOpen} onClose={closeTrailer} origin={trailerOrigin} />
     </div>
   );
 };
@@ -0,0 +1,27 @@
+/**
+ * Hidden form field that only bots fill in
+ *
+ * Moved off-screen rather than `display: none` - some bots skip fields
+ * that are not rendered at all. Screen readers and keyboard users never
+ * reach it thanks to `aria-hidden` and `tabIndex={-1}`.
+ *
+ * @param {string} name - Field name; pick something tempting like "website"
+ * @param {string} value - Controlled value from useSpamGuard
+ * @param {Function} onChange - Change handler from useSpamGuard
+ */
+const HoneypotField = ({ name = "website", value, onChange }) => (
+  <div aria-hidden="true" className="absolute left-[-9999px] size-px overflow-hidden">
+    <label htmlFor={`hp-${name}`}>Leave this field empty</label>
+    <input
+      type="text"
+      id={`hp-${name}`}
+      name={name}
+      value={value}
+      onChange={onChange}
+      tabIndex={-1}
+      autoComplete="off"
+    />
+  </div>
+);
+
+export default HoneypotField;
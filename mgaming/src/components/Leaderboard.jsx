@@ -0,0 +1,273 @@
+import { useCallback, useEffect, useRef } from "react";
+import clsx from "clsx";
+import gsap from "gsap";
+import { useGSAP } from "@gsap/react";
+import { Flip } from "gsap/Flip";
+
+import Button from "./Button";
+import Pagination from "./Pagination";
+import useI18n from "../hooks/useI18n";
+import useLeaderboard from "../hooks/useLeaderboard";
+import useMotion from "../hooks/useMotion";
+
+gsap.registerPlugin(Flip);
+
+// Top three ranks
+const medalStyles = ["text-yellow-300", "text-slate-300", "text-amber-600"];
+
+const liveStyles = {
+  live: "border-green-500/50 text-green-300",
+  connecting: "border-white/20 text-blue-50/60",
+  polling: "border-violet-300/50 text-violet-300",
+  offline: "border-yellow-500/50 text-yellow-200",
+};
+
+/**
+ * Flag emoji of a country, from its ISO 3166-1 alpha-2 code
+ * @param {string} code - e.g. "BR"
+ */
+const flag = (code) => String.fromCodePoint(...[...code].map((letter) => 0x1f1e6 + letter.charCodeAt(0) - 65));
+
+/**
+ * LEADERBOARD
+ *
+ * A page of one board (global, season or a game) as a table: rank, places
+ * moved since the last update, player, wins, win rate and points. Rows
+ * are updated live through the leaderboard service; when positions
+ * change, rows glide to their new places (GSAP Flip) and changed scores
+ * flash. Reduced motion swaps the rows without animation.
+ *
+ * @param {string} board - Board id
+ * @param {number} page - 1-based
+ * @param {number} pageSize
+ * @param {string} q - Gamertag search
+ * @param {(page: number) => void} onPageChange
+ */
+const Leaderboard = ({ board, page, pageSize = 25, q = "", onPageChange }) => {
+  const { t, locale } = useI18n();
+  const { reducedMotion } = useMotion();
+
+  // ===== REFS =====
+
+  const tableRef = useRef(null);
+  const flipStateRef = useRef(null); // Row positions measured just before a live update
+  const scoresRef = useRef(new Map()); // Player id -> score on screen, to flash the ones that change
+
+  /**
+   * Measures the rows on screen, so the next render can animate from there
+   */
+  const captureRows = useCallback(() => {
+    if (reducedMotion || !tableRef.current) return;
+    flipStateRef.current = Flip.getState(tableRef.current.querySelectorAll("[data-flip-id]"));
+  }, [reducedMotion]);
+
+  // ===== STATE MANAGEMENT =====
+
+  const { items, total, updatedAt, status, live, retry } = useLeaderboard(board, {
+    page,
+    pageSize,
+    q,
+    onBeforeUpdate: captureRows,
+  });
+
+  const pageCount = Math.ceil(total / pageSize);
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Back to the last page when the board shrinks under the current one
+   */
+  useEffect(() => {
+    if (status === "ready" && pageCount > 0 && page > pageCount) onPageChange(pageCount);
+  }, [status, page, pageCount, onPageChange]);
+
+  // ===== ANIMATIONS =====
+
+  /**
+   * ANIMATION: Rank changes
+   * Rows slide from where they were measured to their new places, players
+   * new to the page fade in and changed scores flash
+   */
+  useGSAP(
+    () => {
+      const state = flipStateRef.current;
+      const previousScores = scoresRef.current;
+      flipStateRef.current = null;
+      scoresRef.current = new Map(items.map((row) => [row.player.id, row.score]));
+      if (!state) return;
+
+      const rows = gsap.utils.toArray("[data-flip-id]", tableRef.current);
+      Flip.from(state, {
+        targets: rows,
+        duration: 0.7,
+        ease: "power2.inOut",
+        onEnter: (elements) => gsap.fromTo(elements, { opacity: 0 }, { opacity: 1, duration: 0.5 }),
+      });
+
+      const changed = rows.filter((row) => {
+        const id = row.dataset.flipId;
+        return previousScores.has(id) && previousScores.get(id) !== scoresRef.current.get(id);
+      });
+      if (changed.length) {
+        gsap.fromTo(
+          changed,
+          { backgroundColor: "rgba(196, 181, 253, 0.2)" },
+          { backgroundColor: "rgba(196, 181, 253, 0)", duration: 1.6, ease: "power1.out", clearProps: "backgroundColor" }
+        );
+      }
+    },
+    { dependencies: [items], scope: tableRef }
+  );
+
+  // ===== FORMATTING =====
+
+  const number = new Intl.NumberFormat(locale);
+  const percent = new Intl.NumberFormat(locale, { style: "percent" });
+  const time = new Intl.DateTimeFormat(locale, { timeStyle: "medium" });
+  const regions = new Intl.DisplayNames(locale, { type: "region" });
+
+  /**
+   * Places moved since the last update
+   * @param {number|null} change
+   */
+  const renderChange = (change) => {
+    if (change === null) {
+      return <span className="font-general text-[10px] uppercase tracking-wider text-violet-300">{t("leaderboards.new")}</span>;
+    }
+    if (!change) {
+      return (
+        <span aria-label={t("leaderboards.steady")} className="text-blue-50/30">
+          –
+        </span>
+      );
+    }
+    const up = change > 0;
+    return (
+      <span
+        aria-label={t(up ? "leaderboards.up" : "leaderboards.down", { count: Math.abs(change) })}
+        className={clsx("tabular-nums", up ? "text-green-300" : "text-red-300")}
+      >
+        {up ? "▲" : "▼"} {number.format(Math.abs(change))}
+      </span>
+    );
+  };
+
+  // ===== COMPONENT RENDER =====
+
+  const columns = ["rank", "change", "player", "wins", "winRate", "points"];
+
+  return (
+    <div>
+      {/* ===== LIVE STATUS ===== */}
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3 text-xs">
+        <span
+          role="status"
+          className={clsx("flex items-center gap-2 rounded-full border px-3 py-1 font-general uppercase tracking-wider", liveStyles[live])}
+        >
+          <span
+            aria-hidden="true"
+            className={clsx("size-2 rounded-full bg-current", live === "live" && !reducedMotion && "animate-pulse")}
+          />
+          {t(`leaderboards.live.${live}`)}
+        </span>
+        {updatedAt && (
+          <span className="text-blue-50/50">
+            {t("leaderboards.updated", { time: time.format(new Date(updatedAt)) })}
+          </span>
+        )}
+      </div>
+
+      {status === "error" ? (
+        <div role="alert" className="flex-center flex-col gap-6 rounded-md border border-white/10 py-24 text-center">
+          <p className="max-w-md">{t("leaderboards.loadFailed")}</p>
+          <Button title={t("leaderboards.retry")} variant="primary" onClick={retry} />
+        </div>
+      ) : status === "loading" && !items.length ? (
+        <div role="status" className="flex-center flex-col gap-4 py-32">
+          <div className="three-body">
+            <div className="three-body__dot"></div>
+            <div className="three-body__dot"></div>
+            <div className="three-body__dot"></div>
+          </div>
+          <span className="sr-only">{t("leaderboards.loading")}</span>
+        </div>
+      ) : !items.length ? (
+        <div className="flex-center flex-col gap-4 rounded-md border border-dashed border-white/20 px-6 py-24 text-center">
+          <p className="font-robert-medium text-lg">
+            {q ? t("leaderboards.noMatches", { q }) : t("leaderboards.empty")}
+          </p>
+          {q && <p className="text-sm text-blue-50/60">{t("leaderboards.noMatchesHint")}</p>}
+        </div>
+      ) : (
+        <>
+          {/* ===== STANDINGS ===== */}
+          <div className="overflow-x-auto rounded-md border border-white/10">
+            <table
+              ref={tableRef}
+              aria-busy={status === "loading"}
+              className={clsx("w-full min-w-[36rem] text-sm transition-opacity duration-300", status === "loading" && "opacity-60")}
+            >
+              <caption className="sr-only">{t("leaderboards.caption", { page, count: pageCount })}</caption>
+              <thead className="bg-white/5 font-general text-[10px] uppercase tracking-wider text-blue-50/60">
+                <tr>
+                  {columns.map((column) => (
+                    <th
+                      key={column}
+                      scope="col"
+                      className={clsx(
+                        "px-4 py-3",
+                        column === "player" ? "text-start" : column === "rank" || column === "change" ? "w-16 text-center" : "w-24 text-end"
+                      )}
+                    >
+                      {t(`leaderboards.table.${column}`)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((row) => (
+                  <tr key={row.player.id} data-flip-id={row.player.id} className="border-t border-white/10">
+                    <td
+                      className={clsx(
+                        "px-4 py-3 text-center font-robert-medium tabular-nums",
+                        medalStyles[row.rank - 1] ?? "text-blue-50/60"
+                      )}
+                    >
+                      {number.format(row.rank)}
+                    </td>
+                    <td className="px-4 py-3 text-center text-xs">{renderChange(row.change)}</td>
+                    <th scope="row" className="px-4 py-3 text-start font-normal">
+                      <span className="flex items-center gap-3">
+                        <span role="img" aria-label={regions.of(row.player.country)} title={regions.of(row.player.country)}>
+                          {flag(row.player.country)}
+                        </span>
+                        <span className="truncate font-robert-medium">{row.player.name}</span>
+                      </span>
+                    </th>
+                    <td className="px-4 py-3 text-end tabular-nums text-blue-50/80">{number.format(row.wins)}</td>
+                    <td className="px-4 py-3 text-end tabular-nums text-blue-50/80">
+                      {row.matches ? percent.format(row.wins / row.matches) : "–"}
+                    </td>
+                    <td className="px-4 py-3 text-end font-robert-medium tabular-nums text-violet-300">
+                      {number.format(row.score)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <Pagination
+            page={page}
+            count={pageCount}
+            onChange={onPageChange}
+            label={t("leaderboards.pages")}
+            className="mt-8"
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,33 @@
+import useI18n from "../hooks/useI18n";
+
+/**
+ * LOCALE SWITCHER
+ *
+ * Native <select> so keyboard, screen reader and mobile pickers work out of
+ * the box. Each option is labelled in its own language and carries its
+ * `lang` so it is pronounced correctly.
+ *
+ * @param {string} className - Additional CSS classes
+ */
+const LocaleSwitcher = ({ className = "" }) => {
+  const { locale, locales, setLocale, t } = useI18n();
+
+  return (
+    <label className={`relative flex items-center ${className}`}>
+      <span className="sr-only">{t("locale.label")}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="cursor-pointer rounded-xl border border-gray-600/30 bg-gray-800/60 px-3 py-2 font-general text-xs uppercase text-gray-200 transition-all duration-300 hover:border-purple-400/50 focus:border-purple-400 focus:outline-none focus:ring-2 focus:ring-purple-400/20"
+      >
+        {locales.map(({ code, label }) => (
+          <option key={code} value={code} lang={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LocaleSwitcher;
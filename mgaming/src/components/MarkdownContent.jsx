@@ -0,0 +1,153 @@
+import { createElement } from "react";
+import clsx from "clsx";
+
+import AnimatedTitle from "./AnimatedTitle";
+import MediaSource from "./MediaSource";
+import VideoPreview from "./VideoPreview";
+
+/**
+ * Components posts can embed with a shortcode - keep in step with the
+ * `shortcodes` option of plugins/news.js, which checks their attributes
+ *
+ *   {{< AnimatedTitle title="Se<b>a</b>son f<b>o</b>ur" preset="chars" >}}
+ *   {{< VideoPreview media="feature-2" caption="Hover to tilt" >}}
+ */
+const shortcodes = {
+  AnimatedTitle: ({ title, preset }) => (
+    <AnimatedTitle title={title} preset={preset} containerClass="my-16 !px-0 !text-5xl md:!text-7xl" />
+  ),
+  VideoPreview: ({ media, caption }) => (
+    <figure className="my-10">
+      <div className="border-hsla relative aspect-video overflow-hidden rounded-lg">
+        <VideoPreview>
+          <MediaSource media={media} alt={caption ?? ""} loop muted autoPlay lazy className="size-full object-cover object-center" />
+        </VideoPreview>
+      </div>
+      {caption && <figcaption className="mt-3 text-center text-sm text-blue-50/60">{caption}</figcaption>}
+    </figure>
+  ),
+};
+
+const headingStyles = {
+  2: "mt-14 text-3xl md:text-4xl",
+  3: "mt-10 text-2xl",
+  4: "mt-8 text-xl",
+};
+
+/**
+ * @param {Array<object>} nodes - Inline nodes
+ * @param {string} keyPrefix
+ */
+const renderInline = (nodes, keyPrefix = "") =>
+  nodes.map((node, index) => {
+    const key = `${keyPrefix}${index}`;
+    switch (node.type) {
+      case "text":
+        return node.value;
+      case "break":
+        return <br key={key} />;
+      case "code":
+        return (
+          <code key={key} className="rounded bg-white/10 px-1.5 py-0.5 font-mono text-[0.9em] text-violet-200">
+            {node.value}
+          </code>
+        );
+      case "strong":
+        return <strong key={key}>{renderInline(node.children, `${key}.`)}</strong>;
+      case "em":
+        return <em key={key}>{renderInline(node.children, `${key}.`)}</em>;
+      case "link": {
+        const external = /^(https?:|mailto:)/i.test(node.href);
+        return (
+          <a
+            key={key}
+            href={node.href}
+            {...(external && { target: "_blank", rel: "noopener noreferrer" })}
+            className="text-violet-300 underline underline-offset-4 transition-colors duration-300 hover:text-cyan-400"
+          >
+            {renderInline(node.children, `${key}.`)}
+          </a>
+        );
+      }
+      default:
+        return null;
+    }
+  });
+
+/**
+ * @param {Array<object>} blocks - Block nodes
+ * @param {string} keyPrefix
+ */
+const renderBlocks = (blocks, keyPrefix = "") =>
+  blocks.map((block, index) => {
+    const key = `${keyPrefix}${index}`;
+    switch (block.type) {
+      case "heading": {
+        // The page title is the only h1
+        const level = Math.min(6, Math.max(2, block.level));
+        return createElement(
+          `h${level}`,
+          { key, id: block.id, className: clsx("scroll-mt-28 font-robert-medium text-blue-50", headingStyles[level] ?? "mt-8 text-lg") },
+          renderInline(block.children)
+        );
+      }
+      case "paragraph":
+        return (
+          <p key={key} className="mt-5">
+            {renderInline(block.children)}
+          </p>
+        );
+      case "list":
+        return createElement(
+          block.ordered ? "ol" : "ul",
+          { key, className: clsx("mt-5 space-y-2 ps-6", block.ordered ? "list-decimal" : "list-disc marker:text-violet-300") },
+          block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)
+        );
+      case "quote":
+        return (
+          <blockquote key={key} className="mt-8 border-s-2 border-violet-300 ps-6 font-circular-web text-xl text-blue-50/90">
+            {renderBlocks(block.children, `${key}.`)}
+          </blockquote>
+        );
+      case "code":
+        return (
+          <pre key={key} dir="ltr" className="mt-6 overflow-x-auto rounded-md border border-white/10 bg-white/5 p-4 text-sm">
+            <code className="font-mono">{block.value}</code>
+          </pre>
+        );
+      case "rule":
+        return <hr key={key} className="my-12 border-white/10" />;
+      case "image":
+        return (
+          <figure key={key} className="my-10">
+            {/^https?:/i.test(block.src) ? (
+              <img src={block.src} alt={block.alt} loading="lazy" className="w-full rounded-lg" />
+            ) : (
+              <MediaSource media={block.src} alt={block.alt} loading="lazy" className="w-full rounded-lg" />
+            )}
+          </figure>
+        );
+      case "shortcode": {
+        const Shortcode = shortcodes[block.name];
+        return Shortcode ? <Shortcode key={key} {...block.props} /> : null;
+      }
+      default:
+        return null;
+    }
+  });
+
+/**
+ * MARKDOWN CONTENT
+ *
+ * Renders a news post's body - the node tree made by lib/markdown.js at
+ * build time - as React elements, with shortcodes swapped for their
+ * components. Nothing is injected as HTML.
+ *
+ * @param {Array<object>} blocks - Block nodes
+ * @param {string} className
+ */
+const MarkdownContent = ({ blocks, className }) => (
+  <div className={clsx("font-circular-web text-lg leading-relaxed text-blue-50/80", className)}>{renderBlocks(blocks)}</div>
+);
+
+export default MarkdownContent;
@@ -0,0 +1,210 @@
+import { forwardRef, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import clsx from "clsx";
+
+import useInView from "../hooks/useInView";
+import { getMedia, publicUrl, selectVideoSources } from "../lib/media";
+
+/**
+ * MEDIA SOURCE
+ *
+ * Renders a video or image declared in src/content/media.json:
+ * - `media` is a manifest key ("hero-3") or the file path ("videos/hero-3.mp4")
+ * - width / height and the poster come from the manifest
+ * - when the file fails to load - or is still `pending` - the poster is shown
+ *   instead, or a gradient box when there is no poster
+ * - `onError` also fires for pending files, so loading counters always settle
+ *
+ * Videos:
+ * - offer the rendition that suits the viewport and connection, in every
+ *   codec the ladder has, with the original file last (see lib/media.js)
+ * - `lazy` ones get no sources - so download nothing - until they come
+ *   within 200px of the screen
+ * - pause while off screen and resume when back, if they were playing
+ *
+ * Other props go to the <video> / <img>; the fallback keeps `id`, `style`
+ * and pointer handlers so GSAP targets and interactions keep working.
+ *
+ * @param {string} media - Manifest key or file path inside public/
+ * @param {string} alt - Alternative text (images) / label for the fallback
+ * @param {string} className - Classes for the media element and its fallback
+ * @param {boolean} lazy - Videos: wait until near the screen to load
+ * @param {React.ReactNode} children - Videos: extra children such as <track>
+ * @param {Function} onError - Called when the file can't be shown
+ */
+
+const defaultFallback = "bg-gradient-to-br from-slate-900 via-purple-900 to-slate-800";
+
+const videoExtensions = /\.(mp4|webm|ogv|mov)$/i;
+
+/**
+ * Props that still make sense on the fallback element
+ * @param {object} props
+ */
+const pickFallbackProps = (props) =>
+  Object.fromEntries(
+    Object.entries(props).filter(([name]) => ["id", "style", "title"].includes(name) || /^on(Mouse|Pointer|Touch|Click)/.test(name))
+  );
+
+/**
+ * Points both the forwarded ref and our own at the element
+ */
+const assignRefs = (...refs) => (node) => {
+  refs.forEach((ref) => {
+    if (typeof ref === "function") ref(node);
+    else if (ref) ref.current = node;
+  });
+};
+
+const MediaSource = forwardRef(({ media, alt = "", className, lazy = true, onError, children, ...props }, ref) => {
+  const entry = getMedia(media);
+  const src = publicUrl(entry?.src ?? media);
+  const type = entry?.type ?? (videoExtensions.test(media) ? "video" : "image");
+  const poster = entry?.poster && publicUrl(entry.poster);
+
+  // Picked once per file - a resize mustn't restart a playing video
+  const sources = useMemo(
+    () => (type === "video" ? selectVideoSources(getMedia(media), media) : []),
+    [media, type]
+  );
+  const sourcesKey = sources.map((source) => source.src).join("|");
+
+  const elementRef = useRef(null);
+  const nearScreen = useInView(elementRef, { rootMargin: "200px", once: true });
+  const onScreen = useInView(elementRef);
+  const shouldLoad = !lazy || nearScreen === true;
+  const resumeRef = useRef(false); // Was playing when it left the screen
+  const setRefs = useMemo(() => assignRefs(ref, elementRef), [ref]);
+
+  // Failure is remembered per source so a new src gets a fresh attempt
+  const [failedSrc, setFailedSrc] = useState(null);
+  const failed = Boolean(entry?.pending) || failedSrc === src;
+
+  // Latest onError without re-running the effect below when the handler changes
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onErrorRef.current = onError;
+  });
+
+  /**
+   * EFFECT: Report pending files as failed, once per source
+   */
+  useEffect(() => {
+    if (entry?.pending) onErrorRef.current?.();
+  }, [entry?.pending, src]);
+
+  /**
+   * EFFECT: Undeclared media can't be verified at build time
+   */
+  useEffect(() => {
+    if (!entry && import.meta.env.DEV) console.warn(`[media] "${media}" is not declared in src/content/media.json.`);
+  }, [entry, media]);
+
+  /**
+   * EFFECT: New sources only play after load() - an <source> change alone does nothing
+   * Layout effect so it happens before anything calls play() on the new video
+   */
+  const loadedKeyRef = useRef(sourcesKey);
+  useLayoutEffect(() => {
+    const video = elementRef.current;
+    if (loadedKeyRef.current === sourcesKey || !(video instanceof HTMLVideoElement)) return;
+    loadedKeyRef.current = sourcesKey;
+    if (shouldLoad) video.load();
+  }, [sourcesKey, shouldLoad]);
+
+  /**
+   * EFFECT: Pause videos while off screen so they stop decoding
+   */
+  useEffect(() => {
+    const video = elementRef.current;
+    if (onScreen === null || !(video instanceof HTMLVideoElement)) return;
+
+    if (!onScreen) {
+      resumeRef.current = !video.paused;
+      video.pause();
+    } else if (resumeRef.current) {
+      resumeRef.current = false;
+      video.play().catch(() => {});
+    }
+  }, [onScreen]);
+
+  const handleError = (event) => {
+    setFailedSrc(src);
+    onError?.(event);
+  };
+
+  // ===== FALLBACK =====
+
+  if (failed) {
+    if (poster) {
+      return (
+        <img
+          ref={setRefs}
+          src={poster}
+          alt={alt}
+          width={entry.width}
+          height={entry.height}
+          className={className}
+          {...pickFallbackProps(props)}
+        />
+      );
+    }
+
+    return (
+      <div
+        ref={setRefs}
+        role={alt ? "img" : undefined}
+        aria-label={alt || undefined}
+        aria-hidden={alt ? undefined : true}
+        className={clsx(className, entry?.fallback || defaultFallback)}
+        {...pickFallbackProps(props)}
+      />
+    );
+  }
+
+  // ===== MEDIA =====
+
+  if (type === "video") {
+    return (
+      <video
+        ref={setRefs}
+        poster={poster}
+        width={entry?.width}
+        height={entry?.height}
+        playsInline
+        preload={shouldLoad ? undefined : "none"}
+        {...props}
+        className={className}
+        onError={handleError}
+      >
+        {/* Sources fail one by one on the <source> - only the last means nothing can play */}
+        {shouldLoad &&
+          sources.map((source, index) => (
+            <source
+              key={source.src}
+              src={source.src}
+              type={source.type}
+              onError={index === sources.length - 1 ? handleError : undefined}
+            />
+          ))}
+        {children}
+      </video>
+    );
+  }
+
+  return (
+    <img
+      ref={setRefs}
+      src={src}
+      alt={alt}
+      width={entry?.width}
+      height={entry?.height}
+      {...props}
+      className={className}
+      onError={handleError}
+    />
+  );
+});
+
+MediaSource.displayName = "MediaSource";
+
+export default MediaSource;
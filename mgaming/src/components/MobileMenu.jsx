@@ -0,0 +1,292 @@
+import { useEffect, useId, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import gsap from "gsap";
+import { useGSAP } from "@gsap/react";
+import clsx from "clsx";
+
+import LocaleSwitcher from "./LocaleSwitcher";
+import MotionToggle from "./MotionToggle";
+import MusicControls from "./MusicControls";
+import ProductsMenu from "./ProductsMenu";
+import useActiveSection from "../hooks/useActiveSection";
+import useFocusTrap from "../hooks/useFocusTrap";
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+import useScrollLock from "../hooks/useScrollLock";
+
+// Tailwind's md breakpoint - the desktop navbar takes over from here
+const DESKTOP_QUERY = "(min-width: 768px)";
+
+// Give up waiting for an anchor target after this long
+const anchorTimeout = 1500;
+
+/**
+ * Hamburger icon that turns into a cross
+ * @param {boolean} open
+ */
+const MenuIcon = ({ open }) => (
+  <span aria-hidden="true" className="relative block h-3.5 w-5">
+    {["top-0", "top-1/2 -translate-y-1/2", "bottom-0"].map((position, index) => (
+      <span
+        key={position}
+        className={clsx(
+          "absolute left-0 block h-0.5 w-full rounded-full bg-blue-50 transition-all duration-300",
+          position,
+          open && index === 0 && "top-1/2 -translate-y-1/2 rotate-45",
+          open && index === 1 && "opacity-0",
+          open && index === 2 && "bottom-1/2 translate-y-1/2 -rotate-45"
+        )}
+      />
+    ))}
+  </span>
+);
+
+/**
+ * MOBILE MENU
+ *
+ * Hamburger button plus a full-screen overlay holding what the navbar hides
+ * below `md`: the section links, the Products menu, and the language,
+ * motion and music controls.
+ *
+ * - focus stays inside while open and returns to the hamburger afterwards
+ * - Escape, the close button or a tap on the empty backdrop close it
+ * - the page doesn't scroll behind it
+ * - after a link is tapped it stays up until its section is on screen, so
+ *   the page never flashes past mid-scroll
+ * - growing past `md` closes it
+ *
+ * ANIMATION: The overlay opens as a circle growing from the hamburger and
+ * the links slide in one after another; reduced motion skips both.
+ *
+ * @param {Array<{label: string, href: string}>} items - Section links
+ * @param {string} className - Classes for the hamburger button
+ */
+const MobileMenu = ({ items, className }) => {
+  const { t } = useI18n();
+  const { fullMotion, reducedMotion } = useMotion();
+  const menuId = useId();
+
+  const [open, setOpen] = useState(false);
+  const [rendered, setRendered] = useState(false); // Stays mounted while closing
+  const [pendingAnchor, setPendingAnchor] = useState(null); // Link tapped, waiting for its section
+
+  const toggleRef = useRef(null);
+  const overlayRef = useRef(null);
+
+  const activeSection = useActiveSection(items.map((item) => item.href.slice(1)));
+
+  useFocusTrap(overlayRef, open && rendered);
+  useScrollLock(rendered);
+
+  const close = () => setOpen(false);
+
+  /**
+   * Lets the page scroll to the section, closing once it is there
+   * @param {string} href
+   */
+  const handleLinkClick = (href) => {
+    if (!href.startsWith("#") || href === "#") {
+      close();
+      return;
+    }
+    setPendingAnchor(href);
+  };
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Mount as soon as it opens
+   */
+  useEffect(() => {
+    if (open) setRendered(true);
+  }, [open]);
+
+  /**
+   * EFFECT: Escape closes the menu
+   */
+  useEffect(() => {
+    if (!open) return;
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [open]);
+
+  /**
+   * EFFECT: The desktop navbar replaces the menu from `md` up
+   */
+  useEffect(() => {
+    if (!open) return;
+    const query = window.matchMedia(DESKTOP_QUERY);
+    const handleChange = () => query.matches && setOpen(false);
+    handleChange();
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, [open]);
+
+  /**
+   * EFFECT: Close once the tapped link's section is on screen
+   */
+  useEffect(() => {
+    if (!pendingAnchor) return;
+
+    const finish = () => {
+      setPendingAnchor(null);
+      setOpen(false);
+    };
+
+    let target = null;
+    try {
+      target = document.querySelector(pendingAnchor);
+    } catch {
+      // Not a valid selector - nothing to wait for
+    }
+    if (!target) {
+      finish();
+      return;
+    }
+
+    const observer = new IntersectionObserver(([entry]) => entry.isIntersecting && finish());
+    observer.observe(target);
+    const timer = setTimeout(finish, anchorTimeout);
+
+    return () => {
+      observer.disconnect();
+      clearTimeout(timer);
+    };
+  }, [pendingAnchor]);
+
+  // ===== GSAP ANIMATIONS =====
+
+  /**
+   * ANIMATION: Open / close
+   */
+  useGSAP(
+    () => {
+      if (!rendered || !overlayRef.current) return;
+
+      const overlay = overlayRef.current;
+      const links = overlay.querySelectorAll("[data-menu-item]");
+
+      if (reducedMotion) {
+        gsap.set(overlay, { autoAlpha: open ? 1 : 0, clipPath: "none" });
+        gsap.set(links, { opacity: 1, y: 0 });
+        if (!open) setRendered(false);
+        return;
+      }
+
+      // Circle centred on the hamburger
+      const button = toggleRef.current.getBoundingClientRect();
+      const x = button.left + button.width / 2;
+      const y = button.top + button.height / 2;
+      const closed = `circle(0px at ${x}px ${y}px)`;
+      const full = `circle(150% at ${x}px ${y}px)`;
+
+      if (open) {
+        const timeline = gsap.timeline();
+        if (fullMotion) {
+          timeline.fromTo(overlay, { autoAlpha: 1, clipPath: closed }, { clipPath: full, duration: 0.6, ease: "power3.inOut" });
+        } else {
+          timeline.fromTo(overlay, { autoAlpha: 0 }, { autoAlpha: 1, duration: 0.3 });
+        }
+        timeline.fromTo(
+          links,
+          { opacity: 0, y: 30 },
+          { opacity: 1, y: 0, duration: 0.4, stagger: 0.05, ease: "power2.out" },
+          "-=0.2"
+        );
+      } else {
+        gsap.to(overlay, {
+          ...(fullMotion ? { clipPath: closed } : { autoAlpha: 0 }),
+          duration: fullMotion ? 0.5 : 0.25,
+          ease: "power3.inOut",
+          onComplete: () => setRendered(false),
+        });
+      }
+    },
+    { dependencies: [open, rendered] }
+  );
+
+  // ===== COMPONENT RENDER =====
+
+  return (
+    <>
+      {/* Hamburger */}
+      <button
+        ref={toggleRef}
+        type="button"
+        onClick={() => setOpen((value) => !value)}
+        aria-label={open ? t("nav.closeMenu") : t("nav.openMenu")}
+        aria-expanded={open}
+        aria-controls={menuId}
+        className={clsx(
+          "flex-center size-11 rounded-xl border border-gray-600/30 bg-gray-800/60 transition-colors duration-300 hover:border-purple-400/50",
+          className
+        )}
+      >
+        <MenuIcon open={open} />
+      </button>
+
+      {rendered &&
+        createPortal(
+          <div
+            ref={overlayRef}
+            id={menuId}
+            role="dialog"
+            aria-modal="true"
+            aria-label={t("nav.menu")}
+            tabIndex={-1}
+            // Taps on the backdrop itself close; taps on its content don't
+            onClick={(e) => e.target === e.currentTarget && close()}
+            className="invisible fixed inset-0 z-[110] flex flex-col overflow-y-auto bg-gradient-to-br from-slate-900 via-purple-950 to-slate-900 px-6 pb-10 pt-28"
+          >
+            {/* Close - the hamburger stays under the overlay, with the navbar */}
+            <button
+              type="button"
+              onClick={close}
+              aria-label={t("nav.closeMenu")}
+              className="flex-center absolute end-6 top-7 size-11 rounded-xl border border-gray-600/30 bg-gray-800/60"
+            >
+              <MenuIcon open />
+            </button>
+
+            {/* Section links */}
+            <nav aria-label={t("nav.menu")}>
+              <ul className="flex flex-col gap-2">
+                {items.map((item) => (
+                  <li key={item.href} data-menu-item>
+                    <a
+                      href={item.href}
+                      onClick={() => handleLinkClick(item.href)}
+                      aria-current={activeSection === item.href.slice(1) ? "location" : undefined}
+                      className={clsx(
+                        "special-font block py-2 font-zentry text-5xl uppercase transition-colors duration-300 hover:text-cyan-400",
+                        activeSection === item.href.slice(1) ? "text-cyan-400" : "text-blue-50"
+                      )}
+                    >
+                      {item.label}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            </nav>
+
+            <div data-menu-item className="mt-8">
+              <ProductsMenu id="product-button-mobile" onNavigate={handleLinkClick} />
+            </div>
+
+            {/* Settings */}
+            <div data-menu-item className="mt-auto flex flex-wrap items-center gap-4 pt-10">
+              <LocaleSwitcher />
+              <MotionToggle />
+              <MusicControls />
+            </div>
+          </div>,
+          document.body
+        )}
+    </>
+  );
+};
+
+export default MobileMenu;
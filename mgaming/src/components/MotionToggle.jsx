@@ -0,0 +1,34 @@
+import { MdMotionPhotosOff, MdMotionPhotosOn } from "react-icons/md";
+
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+
+/**
+ * MOTION TOGGLE
+ *
+ * Switches between reduced motion and full animations. The tooltip names the
+ * active mode, including the automatic "lite" mode on slower devices.
+ *
+ * @param {string} className - Additional CSS classes
+ */
+const MotionToggle = ({ className = "" }) => {
+  const { t } = useI18n();
+  const { mode, reducedMotion, setPreference } = useMotion();
+
+  const Icon = reducedMotion ? MdMotionPhotosOff : MdMotionPhotosOn;
+
+  return (
+    <button
+      type="button"
+      onClick={() => setPreference(reducedMotion ? "full" : "reduced")}
+      aria-pressed={reducedMotion}
+      aria-label={t("motion.toggle")}
+      title={t("motion.mode", { mode })}
+      className={`rounded-xl border border-gray-600/30 bg-gray-800/60 p-2.5 text-gray-200 transition-all duration-300 hover:border-purple-400/50 hover:text-cyan-400 focus:outline-none focus:ring-2 focus:ring-purple-400/20 ${className}`}
+    >
+      <Icon className="text-lg" />
+    </button>
+  );
+};
+
+export default MotionToggle;
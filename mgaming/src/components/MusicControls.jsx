@@ -0,0 +1,144 @@
+import { useEffect, useId, useRef, useState } from "react";
+import clsx from "clsx";
+import { FaChevronDown, FaStepBackward, FaStepForward } from "react-icons/fa";
+
+import AudioIndicator from "./AudioIndicator";
+import useBackgroundMusic from "../hooks/useBackgroundMusic";
+import useI18n from "../hooks/useI18n";
+import useSiteContent from "../hooks/useSiteContent";
+
+/**
+ * MUSIC CONTROLS
+ *
+ * Navbar background music (lib/audioEngine.js):
+ * - the equalizer button switches the music on and off - remembered
+ *   between visits, like the volume
+ * - the chevron opens a small panel with the track, skip buttons and volume
+ *
+ * The panel closes on Escape or a click outside.
+ *
+ * @param {string} className - Classes for the wrapper
+ */
+const MusicControls = ({ className }) => {
+  const { t } = useI18n();
+  const { playlist } = useSiteContent().audio;
+  const music = useBackgroundMusic();
+  const [panelOpen, setPanelOpen] = useState(false);
+  const panelId = useId();
+  const containerRef = useRef(null);
+
+  const track = playlist[music.trackIndex] || playlist[0];
+
+  /**
+   * EFFECT: Close the panel on Escape or a click outside
+   */
+  useEffect(() => {
+    if (!panelOpen) return;
+
+    const handlePointerDown = (e) => {
+      if (!containerRef.current.contains(e.target)) setPanelOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") setPanelOpen(false);
+    };
+
+    document.addEventListener("pointerdown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("pointerdown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [panelOpen]);
+
+  return (
+    <div ref={containerRef} className={clsx("relative flex items-center gap-1", className)}>
+      {/* Music on / off with the live equalizer */}
+      <button
+        type="button"
+        onClick={music.toggle}
+        aria-label={t("nav.toggleAudio")}
+        aria-pressed={!music.muted}
+        className="flex items-center rounded-xl border border-gray-600/30 bg-gradient-to-r from-gray-700/50 to-gray-600/50 p-3 shadow-none backdrop-blur-sm transition-all duration-300 hover:border-purple-400/50 hover:from-purple-600/30 hover:to-cyan-600/30 hover:shadow-lg hover:shadow-purple-500/20"
+      >
+        <AudioIndicator active={music.playing} />
+      </button>
+
+      {/* Panel toggle */}
+      <button
+        type="button"
+        onClick={() => setPanelOpen((open) => !open)}
+        aria-label={t("music.settings")}
+        aria-expanded={panelOpen}
+        aria-controls={panelId}
+        className="flex-center size-6 rounded-full text-gray-300 transition-colors duration-300 hover:text-cyan-400"
+      >
+        <FaChevronDown className={clsx("text-[10px] transition-transform duration-300", { "rotate-180": panelOpen })} />
+      </button>
+
+      {/* ===== MUSIC PANEL ===== */}
+      {panelOpen && (
+        <div
+          id={panelId}
+          role="group"
+          aria-label={t("music.settings")}
+          className="absolute end-0 top-full mt-4 w-64 rounded-xl border border-purple-500/20 bg-slate-900/95 p-4 text-blue-50 shadow-2xl shadow-purple-500/10 backdrop-blur-lg"
+        >
+          <p className="font-general text-[10px] uppercase tracking-widest text-blue-50/60">
+            {music.playing ? t("music.nowPlaying") : t("music.paused")}
+          </p>
+          <p className="mt-1 truncate font-robert-medium text-sm">
+            {track.title || t("music.track", { index: music.trackIndex + 1, count: playlist.length })}
+          </p>
+
+          {/* Skip buttons - only with more than one loop */}
+          {playlist.length > 1 && (
+            <div className="mt-3 flex gap-2">
+              <button
+                type="button"
+                onClick={music.previous}
+                aria-label={t("music.previous")}
+                className="flex-center size-8 rounded-full bg-white/10 transition-colors duration-300 hover:bg-violet-300 hover:text-black"
+              >
+                <FaStepBackward className="text-xs rtl:-scale-x-100" />
+              </button>
+              <button
+                type="button"
+                onClick={music.next}
+                aria-label={t("music.next")}
+                className="flex-center size-8 rounded-full bg-white/10 transition-colors duration-300 hover:bg-violet-300 hover:text-black"
+              >
+                <FaStepForward className="text-xs rtl:-scale-x-100" />
+              </button>
+            </div>
+          )}
+
+          {/* Volume */}
+          <label className="mt-4 block">
+            <span className="font-general text-[10px] uppercase tracking-widest text-blue-50/60">
+              {t("music.volume")}
+            </span>
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.05}
+              value={music.volume}
+              onChange={(e) => music.setVolume(Number(e.target.value))}
+              aria-valuetext={`${Math.round(music.volume * 100)}%`}
+              className="mt-2 block h-1 w-full cursor-pointer accent-violet-300"
+            />
+          </label>
+
+          {/* Why it is silent, when it isn't obvious */}
+          {!music.muted && (music.blocked || music.focus === "pause") && (
+            <p className="mt-3 text-xs text-gray-400">
+              {music.blocked ? t("music.blocked") : t("music.yielding")}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MusicControls;
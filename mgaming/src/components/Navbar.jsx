@@ -1,28 +1,35 @@
-import clsx from "clsx";
 import gsap from "gsap";
 import { useWindowScroll } from "react-use";
 import { useEffect, useRef, useState } from "react";
-import { TiLocationArrow } from "react-icons/ti";
-
-import Button from "./Button";
+import clsx from "clsx";
 
-// Navigation menu items array - easily configurable
-const navItems = ["Nexus", "Vault", "Prologue", "About", "Contact"];
+import AccountMenu from "./AccountMenu";
+import LocaleSwitcher from "./LocaleSwitcher";
+import MediaSource from "./MediaSource";
+import MobileMenu from "./MobileMenu";
+import MotionToggle from "./MotionToggle";
+import MusicControls from "./MusicControls";
+import ProductsMenu from "./ProductsMenu";
+import useActiveSection from "../hooks/useActiveSection";
+import useSiteContent from "../hooks/useSiteContent";
 
 const NavBar = () => {
+  // ===== CONTENT =====
+
+  // Navigation menu items - edit them in src/content/site.json
+  const { items: navItems } = useSiteContent().navigation;
+
+  // Scroll-spy: the section on screen, if the menu links to it
+  const activeSection = useActiveSection(navItems.map((item) => item.href.slice(1)));
+
   // ===== STATE MANAGEMENT =====
   
-  // Audio control states
-  const [isAudioPlaying, setIsAudioPlaying] = useState(false); // Tracks if background music is playing
-  const [isIndicatorActive, setIsIndicatorActive] = useState(false); // Controls visual animation of audio bars
-  
   // Navigation visibility states
   const [isNavVisible, setIsNavVisible] = useState(true); // Controls navbar show/hide animation
   const [lastScrollY, setLastScrollY] = useState(0); // Stores previous scroll position for comparison
 
   // ===== REFS FOR DOM MANIPULATION =====
   
-  const audioElementRef = useRef(null); // Reference to the hidden audio element
   const navContainerRef = useRef(null); // Reference to navbar container for GSAP animations
 
   // ===== SCROLL DETECTION =====
@@ -30,31 +37,8 @@ const NavBar = () => {
   // Get current scroll position from react-use hook
   const { y: currentScrollY } = useWindowScroll();
 
-  // ===== EVENT HANDLERS =====
-  
-  /**
-   * Toggles audio playback and visual indicator animation
-   * Called when user clicks the audio button
-   */
-  const toggleAudioIndicator = () => {
-    setIsAudioPlaying((prev) => !prev);
-    setIsIndicatorActive((prev) => !prev);
-  };
-
   // ===== SIDE EFFECTS =====
   
-  /**
-   * EFFECT: Manage audio playback based on state
-   * Plays or pauses the background music when isAudioPlaying changes
-   */
-  useEffect(() => {
-    if (isAudioPlaying) {
-      audioElementRef.current.play();
-    } else {
-      audioElementRef.current.pause();
-    }
-  }, [isAudioPlaying]);
-
   /**
    * EFFECT: Handle navbar visibility based on scroll behavior
    * - At top (scroll = 0): Show navbar, remove floating style
@@ -108,18 +92,13 @@ const NavBar = () => {
           {/* ===== LEFT SECTION: Logo and Product Button ===== */}
           <div className="flex items-center gap-7">
             {/* Company logo with drop shadow */}
-            <img src="./img/logo.png" alt="logo" className="w-10 drop-shadow-lg" />
-
-            {/* Product button - hidden on mobile, visible on desktop */}
-            <Button
-              id="product-button"
-              title="Products"
-              rightIcon={<TiLocationArrow />}
-              containerClass="bg-gradient-to-r from-purple-600 to-blue-600 text-white hover:from-purple-500 hover:to-blue-500 md:flex hidden items-center justify-center gap-1 shadow-lg hover:shadow-purple-500/25 transition-all duration-300"
-            />
+            <MediaSource media="logo" alt="logo" className="w-10 drop-shadow-lg" />
+
+            {/* Products button and mega-menu - hidden on mobile, visible on desktop */}
+            <ProductsMenu id="product-button" className="hidden md:block" />
           </div>
 
-          {/* ===== RIGHT SECTION: Navigation Links and Audio Button ===== */}
+          {/* ===== RIGHT SECTION: Navigation Links, Settings and Account ===== */}
           <div className="flex h-full items-center">
             
             {/* Navigation links - hidden on mobile */}
@@ -127,45 +106,36 @@ const NavBar = () => {
               {navItems.map((item, index) => (
                 <a
                   key={index}
-                  href={`#${item.toLowerCase()}`} // Create anchor links to page sections
-                  className="nav-hover-btn text-gray-200 hover:text-cyan-400 px-4 py-2 rounded-lg transition-all duration-300 hover:bg-white/10 hover:shadow-lg hover:shadow-cyan-400/20 relative before:absolute before:bottom-0 before:left-0 before:w-0 before:h-0.5 before:bg-gradient-to-r before:from-purple-500 before:to-cyan-400 before:transition-all before:duration-300 hover:before:w-full"
+                  href={item.href} // Anchor link to a page section
+                  aria-current={activeSection === item.href.slice(1) ? "location" : undefined}
+                  className={clsx(
+                    "nav-hover-btn px-4 py-2 rounded-lg transition-all duration-300 hover:bg-white/10 hover:shadow-lg hover:shadow-cyan-400/20 relative before:absolute before:bottom-0 before:left-0 before:h-0.5 before:bg-gradient-to-r before:from-purple-500 before:to-cyan-400 before:transition-all before:duration-300 hover:text-cyan-400 hover:before:w-full",
+                    // Highlight the section currently on screen
+                    activeSection === item.href.slice(1) ? "text-cyan-400 before:w-full" : "text-gray-200 before:w-0"
+                  )}
                 >
-                  {item}
+                  {item.label}
                 </a>
               ))}
             </div>
 
-            {/* Audio control button with visual indicator bars */}
-            <button
-              onClick={toggleAudioIndicator}
-              className="ml-10 flex items-center space-x-0.5 p-3 rounded-xl border border-gray-600/30 hover:border-purple-400/50 bg-gradient-to-r from-gray-700/50 to-gray-600/50 hover:from-purple-600/30 hover:to-cyan-600/30 backdrop-blur-sm shadow-none transition-all duration-300 hover:shadow-lg hover:shadow-purple-500/20"
-            >
-              {/* Hidden audio element for background music */}
-              <audio
-                ref={audioElementRef}
-                className="hidden"
-                src="/audio/loop.mp3"
-                loop // Loop the audio continuously
-              />
-              
-              {/* Audio visualizer bars - 4 animated bars */}
-              {[1, 2, 3, 4].map((bar) => (
-                <div
-                  key={bar}
-                  className={clsx(
-                    "indicator-line h-4 w-1 rounded-full bg-gradient-to-t from-purple-500 to-cyan-400 opacity-40 transition-all duration-300",
-                    {
-                      // Active state: pulse animation with full opacity and glow
-                      "animate-pulse opacity-100 shadow-purple-400 shadow-sm": isIndicatorActive,
-                    }
-                  )}
-                  style={{
-                    // Stagger animation delay for wave effect
-                    animationDelay: `${bar * 0.1}s`,
-                  }}
-                />
-              ))}
-            </button>
+            {/* Settings - moved into the mobile menu below md */}
+            <div className="hidden items-center md:flex">
+              {/* Language picker */}
+              <LocaleSwitcher className="ms-6" />
+
+              {/* Reduced motion toggle */}
+              <MotionToggle className="ms-4" />
+
+              {/* Background music: on/off with a live equalizer, volume and playlist */}
+              <MusicControls className="ms-4" />
+            </div>
+
+            {/* Sign in, or the player's avatar and account menu - on every screen size */}
+            <AccountMenu className="me-3 md:me-0 md:ms-4" />
+
+            {/* Hamburger and full-screen menu - phones and small tablets */}
+            <MobileMenu items={navItems} className="md:hidden" />
           </div>
         </nav>
       </header>
@@ -0,0 +1,96 @@
+import clsx from "clsx";
+
+import MediaSource from "./MediaSource";
+import { BentoTilt } from "./Features";
+import useI18n from "../hooks/useI18n";
+
+// ===== POST DETAILS =====
+
+/**
+ * NewsDate - A front-matter day in the reader's format, e.g. "Oct 12, 2026"
+ * @param {string} date - YYYY-MM-DD
+ * @param {"medium"|"long"} dateStyle
+ * @param {string} className
+ */
+export const NewsDate = ({ date, dateStyle = "medium", className }) => {
+  const { locale } = useI18n();
+  return (
+    <time dateTime={date} className={className}>
+      {new Intl.DateTimeFormat(locale, { dateStyle, timeZone: "UTC" }).format(new Date(`${date}T00:00:00Z`))}
+    </time>
+  );
+};
+
+/**
+ * NewsTags - A post's tags, each linking to the listing filtered by it
+ * @param {Array<string>} tags
+ * @param {string} className
+ */
+export const NewsTags = ({ tags, className }) => {
+  const { t } = useI18n();
+  return (
+    <ul className={clsx("flex flex-wrap gap-2", className)}>
+      {tags.map((tag) => (
+        <li key={tag}>
+          <a
+            href={`#/news?tag=${tag}`}
+            className="relative z-20 block rounded-full border border-white/20 bg-black/50 px-3 py-1 font-general text-[10px] uppercase tracking-wider transition-colors duration-300 hover:border-violet-300 hover:text-violet-300"
+          >
+            {t(`news.tags.${tag}`)}
+          </a>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// ===== NEWS CARD =====
+
+/**
+ * NEWS CARD
+ *
+ * One post in the news listing, styled like the GameCards: the cover fills
+ * the tilting card, with the tags, title, summary, date and reading time on
+ * a gradient. The title links to the post and covers the card; the tags
+ * stay clickable above it.
+ *
+ * @param {object} post - Post front-matter (lib/news.js)
+ * @param {string} className - Classes for the card, e.g. its height
+ */
+const NewsCard = ({ post, className }) => {
+  const { t } = useI18n();
+
+  return (
+    <BentoTilt className={clsx("border-hsla group relative overflow-hidden rounded-md bg-black", className)}>
+      {post.cover && (
+        <MediaSource
+          media={post.cover}
+          loading="lazy"
+          className="absolute left-0 top-0 size-full object-cover object-center opacity-40 transition duration-500 group-hover:scale-105 group-hover:opacity-70"
+        />
+      )}
+
+      <div className="relative z-10 flex size-full flex-col justify-between bg-gradient-to-t from-black via-black/70 to-transparent p-5 text-blue-50">
+        <NewsTags tags={post.tags} />
+
+        <div>
+          <h3 className="special-font font-zentry text-3xl uppercase leading-none md:text-4xl">
+            {/* Stretched over the whole card */}
+            <a href={`#/news/${post.slug}`} className="after:absolute after:inset-0">
+              {post.title}
+            </a>
+          </h3>
+          <p className="mt-3 line-clamp-3 font-circular-web text-sm text-blue-50/80">{post.summary}</p>
+
+          <p className="mt-4 flex items-center gap-3 border-t border-white/10 pt-4 font-general text-[10px] uppercase tracking-wider text-blue-50/60">
+            <NewsDate date={post.date} />
+            <span aria-hidden="true">·</span>
+            <span>{t("news.readingTime", { minutes: post.readingTime })}</span>
+          </p>
+        </div>
+      </div>
+    </BentoTilt>
+  );
+};
+
+export default NewsCard;
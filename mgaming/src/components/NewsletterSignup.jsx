@@ -0,0 +1,142 @@
+import { useState } from "react";
+
+import FieldError from "./FieldError";
+import HoneypotField from "./HoneypotField";
+import useFormValidation from "../hooks/useFormValidation";
+import useI18n from "../hooks/useI18n";
+import useSpamGuard from "../hooks/useSpamGuard";
+import { describeError } from "../i18n/errors";
+import { newsletterSchema } from "../lib/formSchemas";
+import { subscribeToNewsletter } from "../lib/newsletterService";
+
+/**
+ * NEWSLETTER SIGNUP FORM
+ *
+ * Features:
+ * - Controlled email input validated with the shared newsletter schema
+ * - Anti-spam checks (honeypot, timing, rate limit, optional proof of work)
+ * - Loading / success / duplicate / error states announced to screen readers
+ * - Double-opt-in messaging: success means "check your inbox"
+ * - Delivery through the configured provider adapter (see newsletterService)
+ *
+ * @param {string} source - Where the form is placed, forwarded to the provider
+ */
+
+// ===== STATUS MESSAGES =====
+
+const statusStyles = {
+  pending: "border-green-500/50 bg-green-500/20 text-green-300",
+  subscribed: "border-green-500/50 bg-green-500/20 text-green-300",
+  duplicate: "border-blue-500/50 bg-blue-500/20 text-blue-200",
+  error: "border-red-500/50 bg-red-500/20 text-red-300",
+};
+
+const NewsletterSignup = ({ source = "footer" }) => {
+  const { t } = useI18n();
+
+  // ===== STATE MANAGEMENT =====
+
+  const { errors, getFieldProps, errorId, validateAll, reset, setFieldError } =
+    useFormValidation(newsletterSchema, { idPrefix: "newsletter-" });
+
+  // Signing up takes a second at most, and nobody needs more than a few tries an hour
+  const { honeypotProps, guard, markSubmitted } = useSpamGuard("newsletter", {
+    minDuration: 1500,
+    windowMs: 60 * 60 * 1000,
+  });
+
+  const [status, setStatus] = useState("idle"); // 'idle' | 'loading' | 'pending' | 'subscribed' | 'duplicate' | 'error'
+  const [subscribedEmail, setSubscribedEmail] = useState(""); // Shown in the confirmation message
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const isLoading = status === "loading";
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Validates, runs the spam checks and hands the address to the provider
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { isValid, values: cleaned } = validateAll();
+    if (!isValid) return;
+
+    setStatus("loading");
+    setErrorMessage("");
+
+    let proof;
+    try {
+      proof = await guard();
+    } catch (error) {
+      // Spam rejections belong to the field, not the delivery status
+      setStatus("idle");
+      setFieldError("email", describeError(error, t));
+      return;
+    }
+
+    try {
+      const result = await subscribeToNewsletter(cleaned.email, { source, proof });
+      markSubmitted();
+      setSubscribedEmail(cleaned.email);
+      setStatus(result.status);
+      if (result.status !== "duplicate") reset();
+    } catch (error) {
+      setErrorMessage(describeError(error, t));
+      setStatus("error");
+    }
+  };
+
+  // ===== STATUS CONTENT =====
+
+  const statusMessage = statusStyles[status]
+    ? t(`newsletter.status.${status}`, { email: subscribedEmail, detail: errorMessage })
+    : "";
+
+  // ===== COMPONENT RENDER =====
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="relative w-full lg:w-auto">
+      {/* Anti-spam honeypot - invisible to people */}
+      <HoneypotField name="homepage" {...honeypotProps} />
+
+      <div className="flex gap-3">
+        {/* Email input field with glassmorphism styling */}
+        <input
+          type="email"
+          {...getFieldProps("email")}
+          aria-label={t("newsletter.emailLabel")}
+          placeholder={t("newsletter.placeholder")}
+          disabled={isLoading}
+          className={`flex-1 rounded-xl border bg-white/10 px-4 py-3 text-white transition-all duration-300 placeholder:text-gray-400 focus:outline-none focus:ring-2 disabled:opacity-60 lg:w-80 ${
+            errors.email
+              ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
+              : "border-gray-600 focus:border-purple-400 focus:ring-purple-400/20"
+          }`}
+        />
+        {/* Subscribe button with gradient background and hover effects */}
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="rounded-xl bg-gradient-to-r from-purple-600 to-blue-600 px-6 py-3 font-medium text-white shadow-lg transition-all duration-300 hover:scale-105 hover:from-purple-500 hover:to-blue-500 hover:shadow-purple-500/25 disabled:cursor-not-allowed disabled:opacity-60 disabled:hover:scale-100"
+        >
+          {isLoading ? t("newsletter.subscribing") : t("newsletter.subscribe")}
+        </button>
+      </div>
+
+      <FieldError id={errorId("email")} message={errors.email} />
+
+      {/* Result of the last attempt - polite live region for screen readers */}
+      <div aria-live="polite">
+        {statusMessage && (
+          <p className={`mt-3 rounded-xl border p-3 text-sm lg:max-w-md ${statusStyles[status]}`}>
+            {statusMessage}
+          </p>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default NewsletterSignup;
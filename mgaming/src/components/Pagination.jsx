@@ -0,0 +1,95 @@
+import clsx from "clsx";
+import { MdChevronLeft, MdChevronRight } from "react-icons/md";
+
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Page numbers to show: the first, the last and those around the current
+ * page, with null where a run of pages is left out
+ * @param {number} page - Current page, 1-based
+ * @param {number} count - Number of pages
+ * @returns {Array<number|null>} - e.g. [1, null, 4, 5, 6, null, 10]
+ */
+const pageItems = (page, count) => {
+  const around = new Set([1, count, page - 1, page, page + 1]);
+  const pages = [...around].filter((number) => number >= 1 && number <= count).sort((a, b) => a - b);
+
+  return pages.flatMap((number, index) => {
+    const gap = number - (pages[index - 1] ?? 0);
+    // A gap of a single page shows that page rather than an ellipsis
+    if (gap === 2) return [number - 1, number];
+    return gap > 2 ? [null, number] : [number];
+  });
+};
+
+/**
+ * PAGINATION
+ *
+ * Previous / next buttons around the page numbers, in a labelled
+ * navigation landmark. Renders nothing when everything fits on one page.
+ *
+ * @param {number} page - Current page, 1-based
+ * @param {number} count - Number of pages
+ * @param {(page: number) => void} onChange
+ * @param {string} label - Accessible name, e.g. "Leaderboard pages"
+ * @param {string} className
+ */
+const Pagination = ({ page, count, onChange, label, className }) => {
+  const { t, locale } = useI18n();
+  if (count <= 1) return null;
+
+  const number = new Intl.NumberFormat(locale);
+
+  const buttonClass =
+    "flex-center min-w-10 h-10 rounded-full border px-3 text-sm tabular-nums transition-colors duration-300 disabled:pointer-events-none disabled:opacity-40";
+
+  return (
+    <nav aria-label={label} className={clsx("flex flex-wrap items-center justify-center gap-2", className)}>
+      <button
+        type="button"
+        onClick={() => onChange(page - 1)}
+        disabled={page <= 1}
+        aria-label={t("pagination.previous")}
+        className={clsx(buttonClass, "border-white/20 hover:border-violet-300")}
+      >
+        <MdChevronLeft className="text-lg rtl:-scale-x-100" />
+      </button>
+
+      {pageItems(page, count).map((item, index) =>
+        item === null ? (
+          <span key={`gap-${index}`} aria-hidden="true" className="px-1 text-blue-50/40">
+            …
+          </span>
+        ) : (
+          <button
+            key={item}
+            type="button"
+            onClick={() => onChange(item)}
+            aria-current={item === page ? "page" : undefined}
+            aria-label={t("pagination.page", { page: item })}
+            className={clsx(
+              buttonClass,
+              item === page
+                ? "border-violet-300 bg-violet-300/15 text-violet-300"
+                : "border-white/20 hover:border-violet-300"
+            )}
+          >
+            {number.format(item)}
+          </button>
+        )
+      )}
+
+      <button
+        type="button"
+        onClick={() => onChange(page + 1)}
+        disabled={page >= count}
+        aria-label={t("pagination.next")}
+        className={clsx(buttonClass, "border-white/20 hover:border-violet-300")}
+      >
+        <MdChevronRight className="text-lg rtl:-scale-x-100" />
+      </button>
+    </nav>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,201 @@
+import { useState } from "react";
+
+import Button from "./Button";
+import FormField from "./FormField";
+import HoneypotField from "./HoneypotField";
+import useAuth from "../hooks/useAuth";
+import useFormValidation from "../hooks/useFormValidation";
+import useI18n from "../hooks/useI18n";
+import useSpamGuard from "../hooks/useSpamGuard";
+import { describeError } from "../i18n/errors";
+import { newPasswordSchema, passwordResetSchema } from "../lib/formSchemas";
+import { requestPasswordReset, resetPassword } from "../lib/authService";
+
+const messageStyles = {
+  success: "border-green-500/50 bg-green-500/20 text-green-300",
+  error: "border-red-500/50 bg-red-500/20 text-red-300",
+};
+
+const linkClass = "text-purple-300 underline hover:text-cyan-400";
+
+/**
+ * Asks for a reset link. The answer is the same whether or not the address
+ * has an account, so the form can't be used to find out who plays here.
+ */
+const RequestLinkForm = () => {
+  const { t } = useI18n();
+
+  const { errors, getFieldProps, errorId, validateAll, setFieldError } = useFormValidation(passwordResetSchema, {
+    idPrefix: "reset-",
+  });
+  const { honeypotProps, guard, markSubmitted } = useSpamGuard("password-reset", { minDuration: 1500 });
+
+  const [status, setStatus] = useState("idle"); // 'idle' | 'loading' | 'sent' | 'error'
+  const [result, setResult] = useState({ email: "", token: null });
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const isLoading = status === "loading";
+
+  /**
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { isValid, values } = validateAll();
+    if (!isValid) return;
+
+    setStatus("loading");
+    try {
+      await guard();
+    } catch (error) {
+      setStatus("idle");
+      setFieldError("email", describeError(error, t));
+      return;
+    }
+
+    try {
+      const { token = null } = await requestPasswordReset(values.email);
+      markSubmitted();
+      setResult({ email: values.email, token });
+      setStatus("sent");
+    } catch (error) {
+      setErrorMessage(describeError(error, t));
+      setStatus("error");
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="relative space-y-5">
+      <HoneypotField name="homepage" {...honeypotProps} />
+
+      <div aria-live="polite">
+        {status === "sent" && (
+          <div className={`rounded-xl border p-3 text-sm ${messageStyles.success}`}>
+            <p>{t("account.reset.sent", { email: result.email })}</p>
+            {/* Development backends hand the token back instead of emailing it */}
+            {import.meta.env.DEV && result.token && (
+              <a href={`#/account/reset?token=${result.token}`} className={`mt-2 inline-block ${linkClass}`}>
+                {t("account.reset.devLink")}
+              </a>
+            )}
+          </div>
+        )}
+        {status === "error" && <p className={`rounded-xl border p-3 text-sm ${messageStyles.error}`}>{errorMessage}</p>}
+      </div>
+
+      <FormField
+        label={t("fields.email")}
+        type="email"
+        autoComplete="email"
+        {...getFieldProps("email")}
+        error={errors.email}
+        errorId={errorId("email")}
+        disabled={isLoading}
+      />
+
+      <Button
+        type="submit"
+        title={isLoading ? t("account.reset.submitting") : t("account.reset.submit")}
+        variant="primary"
+        loading={isLoading}
+        containerClass="w-full"
+      />
+    </form>
+  );
+};
+
+/**
+ * Sets the new password with the token from the link
+ * @param {string} token
+ */
+const NewPasswordForm = ({ token }) => {
+  const { t } = useI18n();
+  const { signedIn, signOut } = useAuth();
+
+  const { errors, getFieldProps, errorId, validateAll, reset } = useFormValidation(newPasswordSchema, {
+    idPrefix: "new-password-",
+  });
+
+  const [status, setStatus] = useState("idle"); // 'idle' | 'loading' | 'done' | 'expired' | 'error'
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const isLoading = status === "loading";
+
+  /**
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { isValid, values } = validateAll();
+    if (!isValid) return;
+
+    setStatus("loading");
+    try {
+      await resetPassword({ token, password: values.password });
+      reset();
+      setStatus("done");
+      // Every session of the account has ended - this tab's too
+      if (signedIn) signOut();
+    } catch (error) {
+      if (error.code === "invalid-token") {
+        setStatus("expired");
+        return;
+      }
+      setErrorMessage(describeError(error, t));
+      setStatus("error");
+    }
+  };
+
+  if (status === "done" || status === "expired") {
+    return (
+      <div aria-live="polite" className={`rounded-xl border p-4 text-sm ${messageStyles[status === "done" ? "success" : "error"]}`}>
+        <p>{t(`account.reset.${status}`)}</p>
+        <a href={status === "done" ? "#/account/sign-in" : "#/account/reset"} className={`mt-2 inline-block ${linkClass}`}>
+          {t(status === "done" ? "account.reset.back" : "account.reset.requestNew")}
+        </a>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-5">
+      <div aria-live="polite">
+        {status === "error" && <p className={`rounded-xl border p-3 text-sm ${messageStyles.error}`}>{errorMessage}</p>}
+      </div>
+
+      <FormField
+        label={t("fields.newPassword")}
+        type="password"
+        autoComplete="new-password"
+        {...getFieldProps("password")}
+        error={errors.password}
+        errorId={errorId("password")}
+        hint={t("account.passwordHint")}
+        disabled={isLoading}
+      />
+
+      <Button
+        type="submit"
+        title={isLoading ? t("account.reset.newSubmitting") : t("account.reset.newSubmit")}
+        variant="primary"
+        loading={isLoading}
+        containerClass="w-full"
+      />
+    </form>
+  );
+};
+
+/**
+ * PASSWORD RESET FORM
+ *
+ * Two steps on one screen: without a token it asks for the email address
+ * to send a reset link to; opened from that link (#/account/reset?token=…)
+ * it sets the new password, which signs the account out everywhere.
+ *
+ * @param {string|null} token - Token from the reset link
+ */
+const PasswordResetForm = ({ token }) => (token ? <NewPasswordForm key={token} token={token} /> : <RequestLinkForm />);
+
+export default PasswordResetForm;
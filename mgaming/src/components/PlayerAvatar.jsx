@@ -0,0 +1,44 @@
+import clsx from "clsx";
+
+// One per colour in lib/authData.js `avatarColors`
+const colorStyles = {
+  violet: "from-violet-300 to-purple-600",
+  cyan: "from-cyan-300 to-blue-600",
+  amber: "from-amber-200 to-orange-500",
+  emerald: "from-emerald-300 to-teal-600",
+  rose: "from-rose-300 to-pink-600",
+  blue: "from-blue-300 to-indigo-600",
+};
+
+const sizes = {
+  sm: "size-10 text-sm",
+  md: "size-14 text-lg",
+  lg: "size-24 text-3xl md:size-32 md:text-4xl",
+};
+
+/**
+ * PLAYER AVATAR
+ *
+ * The first two letters of a gamertag on the player's chosen gradient.
+ * Decorative - the gamertag is always written next to it or in the
+ * control's label.
+ *
+ * @param {{gamertag: string, avatar: string}} user
+ * @param {"sm"|"md"|"lg"} size
+ * @param {string} className
+ */
+const PlayerAvatar = ({ user, size = "sm", className }) => (
+  <span
+    aria-hidden="true"
+    className={clsx(
+      "flex-center shrink-0 select-none rounded-full bg-gradient-to-br font-general font-bold uppercase text-black",
+      colorStyles[user.avatar] ?? colorStyles.violet,
+      sizes[size],
+      className
+    )}
+  >
+    {Array.from(user.gamertag).slice(0, 2).join("")}
+  </span>
+);
+
+export default PlayerAvatar;
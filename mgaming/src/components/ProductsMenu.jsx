@@ -0,0 +1,480 @@
+import { useEffect, useId, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import gsap from "gsap";
+import { useGSAP } from "@gsap/react";
+import clsx from "clsx";
+import { FaTimes } from "react-icons/fa";
+import { TiLocationArrow } from "react-icons/ti";
+
+import Button from "./Button";
+import MediaSource from "./MediaSource";
+import useFocusTrap from "../hooks/useFocusTrap";
+import useI18n from "../hooks/useI18n";
+import useMediaQuery from "../hooks/useMediaQuery";
+import useMotion from "../hooks/useMotion";
+import useScrollLock from "../hooks/useScrollLock";
+import useSiteContent from "../hooks/useSiteContent";
+import { renderInlineMarkup } from "../lib/markup";
+
+// Devices without a precise pointer get the bottom sheet
+const TOUCH_QUERY = "(hover: none), (pointer: coarse)";
+
+// Hover intent - a pointer passing over the button doesn't open the menu
+const hoverOpenDelay = 120;
+const hoverCloseDelay = 250;
+
+// Sheet follows the finger; dragged further than this it closes
+const dragCloseDistance = 80;
+
+/**
+ * Product video, playing only while its item is highlighted
+ * @param {string} media - Manifest key or path
+ * @param {boolean} playing
+ */
+const ProductThumbnail = ({ media, playing }) => {
+  const videoRef = useRef(null);
+
+  /**
+   * EFFECT: Play while highlighted, rest on the first frame otherwise
+   */
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!(video instanceof HTMLVideoElement)) return;
+    if (playing) video.play().catch(() => {});
+    else video.pause();
+  }, [playing]);
+
+  return (
+    <MediaSource
+      ref={videoRef}
+      media={media}
+      muted
+      loop
+      preload="metadata"
+      className="size-full object-cover object-center"
+    />
+  );
+};
+
+/**
+ * PRODUCTS MENU
+ *
+ * The navbar's "Products" button and the menu it opens: the products shown
+ * in Features, from the same site.json entries as the bento cards, each
+ * with its video, tagline and "coming soon" badge. Items open the
+ * product's page (#/products/{id}).
+ *
+ * Follows the ARIA menu button pattern:
+ * - the button opens it on click, Enter, Space or ↓ (↑ starts at the end);
+ *   with a mouse, resting on the button opens it too
+ * - ↑ ↓ ← → move through the items (← → mirrored in RTL), Home / End jump
+ *   to the ends and typing a letter jumps to the product starting with it
+ * - Escape closes and returns to the button, Tab closes and moves on
+ *
+ * Touch devices get a bottom sheet instead of the dropdown: modal, with a
+ * backdrop, and closed by dragging it down.
+ *
+ * ANIMATION: The dropdown unfolds from the top and its items follow one by
+ * one; the sheet slides up. Reduced motion shows both at once.
+ *
+ * @param {string} id - Id of the button
+ * @param {string} className - Classes for the wrapper
+ * @param {Function} onNavigate - Called with the href when an item is chosen
+ */
+const ProductsMenu = ({ id, className, onNavigate }) => {
+  const { t, dir } = useI18n();
+  const { reducedMotion } = useMotion();
+  const { products } = useSiteContent().features;
+  const sheet = useMediaQuery(TOUCH_QUERY);
+  const menuId = useId();
+
+  const [open, setOpen] = useState(false);
+  const [rendered, setRendered] = useState(false); // Stays mounted while closing
+  const [activeIndex, setActiveIndex] = useState(-1); // Highlighted item
+
+  const wrapperRef = useRef(null);
+  const buttonRef = useRef(null);
+  const panelRef = useRef(null);
+  const sheetRef = useRef(null);
+  const itemRefs = useRef([]);
+  const hoverTimerRef = useRef(null);
+  const pendingFocusRef = useRef(null); // Item to focus once the menu is mounted
+  const hoverOpenedRef = useRef(false); // Opened by resting the mouse - leaving closes it
+  const dragRef = useRef(null);
+
+  useFocusTrap(sheetRef, sheet && open && rendered, { restoreFocus: false });
+  useScrollLock(sheet && rendered);
+
+  // ===== OPEN / CLOSE =====
+
+  /**
+   * @param {number|null} focusIndex - Item to focus, null leaves focus where it is
+   * @param {boolean} byHover - Opened by hover intent rather than a click or key
+   */
+  const openMenu = (focusIndex = null, byHover = false) => {
+    clearTimeout(hoverTimerRef.current);
+    pendingFocusRef.current = focusIndex;
+    hoverOpenedRef.current = byHover;
+    setOpen(true);
+  };
+
+  /**
+   * @param {boolean} returnFocus - Put focus back on the button
+   */
+  const closeMenu = (returnFocus = false) => {
+    clearTimeout(hoverTimerRef.current);
+    setOpen(false);
+    setActiveIndex(-1);
+    if (returnFocus) buttonRef.current?.focus({ preventScroll: true });
+  };
+
+  /**
+   * Highlights and focuses an item, wrapping around the ends
+   * @param {number} index
+   */
+  const focusItem = (index) => {
+    const next = (index + products.length) % products.length;
+    hoverOpenedRef.current = false; // Keyboard use keeps the menu until dismissed
+    setActiveIndex(next);
+    itemRefs.current[next]?.focus({ preventScroll: true });
+  };
+
+  // ===== BUTTON =====
+
+  const handleButtonClick = (e) => {
+    // A click on a menu the mouse just opened keeps it open
+    if (open && hoverOpenedRef.current) {
+      hoverOpenedRef.current = false;
+      return;
+    }
+    if (open) {
+      closeMenu();
+      return;
+    }
+    // Keyboard "clicks" (Enter / Space) have no pointer detail - start on the first item
+    openMenu(e.detail === 0 || sheet ? 0 : null);
+  };
+
+  const handleButtonKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const index = e.key === "ArrowDown" ? 0 : products.length - 1;
+      if (open) focusItem(index);
+      else openMenu(index);
+    }
+  };
+
+  // Hover intent - mouse only, and not for the sheet
+  const handlePointerEnter = (e) => {
+    if (sheet || e.pointerType !== "mouse") return;
+    clearTimeout(hoverTimerRef.current);
+    if (!open) hoverTimerRef.current = setTimeout(() => openMenu(null, true), hoverOpenDelay);
+  };
+
+  const handlePointerLeave = (e) => {
+    if (sheet || e.pointerType !== "mouse") return;
+    clearTimeout(hoverTimerRef.current);
+    // Menus opened by a click or key stay until dismissed
+    if (open && !hoverOpenedRef.current) return;
+    hoverTimerRef.current = setTimeout(() => closeMenu(), hoverCloseDelay);
+  };
+
+  // ===== MENU =====
+
+  const handleMenuKeyDown = (e) => {
+    const rtl = dir === "rtl";
+    const current = itemRefs.current.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case "ArrowDown":
+        focusItem(current + 1);
+        break;
+      case "ArrowUp":
+        focusItem(current - 1);
+        break;
+      case "ArrowRight":
+        focusItem(current + (rtl ? -1 : 1));
+        break;
+      case "ArrowLeft":
+        focusItem(current + (rtl ? 1 : -1));
+        break;
+      case "Home":
+        focusItem(0);
+        break;
+      case "End":
+        focusItem(products.length - 1);
+        break;
+      case "Escape":
+        // Only this menu closes - not a dialog it was opened from
+        e.stopPropagation();
+        closeMenu(true);
+        break;
+      case "Tab":
+        // Focus moves on by itself; the sheet keeps it (focus trap)
+        if (!sheet) closeMenu();
+        return;
+      default: {
+        // Type-ahead: the next product starting with the typed letter
+        if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return;
+        const letter = e.key.toLowerCase();
+        const order = products.map((_, offset) => (current + 1 + offset) % products.length);
+        const match = order.find((index) => products[index].id.startsWith(letter));
+        if (match === undefined) return;
+        focusItem(match);
+      }
+    }
+    e.preventDefault();
+  };
+
+  /**
+   * @param {string} href
+   */
+  const handleItemClick = (href) => {
+    closeMenu();
+    onNavigate?.(href);
+  };
+
+  // ===== SHEET DRAG =====
+
+  const handleDragStart = (e) => {
+    dragRef.current = { y: e.touches[0].clientY, distance: 0 };
+  };
+
+  const handleDragMove = (e) => {
+    if (!dragRef.current) return;
+    const distance = Math.max(e.touches[0].clientY - dragRef.current.y, 0);
+    dragRef.current.distance = distance;
+    gsap.set(sheetRef.current, { y: distance });
+  };
+
+  const handleDragEnd = () => {
+    const distance = dragRef.current?.distance ?? 0;
+    dragRef.current = null;
+    if (distance > dragCloseDistance) closeMenu(true);
+    else gsap.to(sheetRef.current, { y: 0, duration: 0.2, ease: "power2.out" });
+  };
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Mount as soon as it opens
+   */
+  useEffect(() => {
+    if (open) setRendered(true);
+  }, [open]);
+
+  /**
+   * EFFECT: Focus the requested item once the items exist
+   */
+  useEffect(() => {
+    if (!open || !rendered || pendingFocusRef.current === null) return;
+    focusItem(pendingFocusRef.current);
+    pendingFocusRef.current = null;
+    // focusItem only reads refs and the product count
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, rendered]);
+
+  /**
+   * EFFECT: The dropdown closes on a click outside or when the page scrolls
+   * (the navbar slides away with it)
+   */
+  useEffect(() => {
+    if (!open || sheet) return;
+
+    const handlePointerDown = (e) => {
+      if (!wrapperRef.current.contains(e.target)) closeMenu();
+    };
+    const handleScroll = () => closeMenu();
+
+    document.addEventListener("pointerdown", handlePointerDown);
+    window.addEventListener("scroll", handleScroll, { passive: true });
+    return () => {
+      document.removeEventListener("pointerdown", handlePointerDown);
+      window.removeEventListener("scroll", handleScroll);
+    };
+  }, [open, sheet]);
+
+  /**
+   * EFFECT: Pending hover timers die with the component
+   */
+  useEffect(() => () => clearTimeout(hoverTimerRef.current), []);
+
+  // ===== GSAP ANIMATIONS =====
+
+  /**
+   * ANIMATION: Dropdown unfolds / sheet slides up, and back
+   */
+  useGSAP(
+    () => {
+      const container = sheet ? sheetRef.current : panelRef.current;
+      if (!rendered || !container) return;
+
+      const items = container.querySelectorAll("[role='menuitem']");
+      const backdrop = sheet ? container.previousElementSibling : null;
+      const hidden = sheet ? { autoAlpha: 1, yPercent: 100, y: 0 } : { autoAlpha: 0, y: -8, clipPath: "inset(0% 0% 100% 0%)" };
+      const shown = sheet ? { autoAlpha: 1, yPercent: 0, y: 0 } : { autoAlpha: 1, y: 0, clipPath: "inset(0% 0% 0% 0%)" };
+
+      if (reducedMotion) {
+        gsap.set(container, open ? shown : hidden);
+        gsap.set(items, { opacity: 1, y: 0 });
+        if (backdrop) gsap.set(backdrop, { autoAlpha: open ? 1 : 0 });
+        if (!open) setRendered(false);
+        return;
+      }
+
+      if (open) {
+        const timeline = gsap.timeline();
+        if (backdrop) timeline.fromTo(backdrop, { autoAlpha: 0 }, { autoAlpha: 1, duration: 0.3 }, 0);
+        timeline
+          .fromTo(container, hidden, { ...shown, duration: 0.4, ease: "power3.out" }, 0)
+          .fromTo(
+            items,
+            { opacity: 0, y: 12 },
+            { opacity: 1, y: 0, duration: 0.3, stagger: 0.05, ease: "power2.out" },
+            0.1
+          );
+      } else {
+        const timeline = gsap.timeline({ onComplete: () => setRendered(false) });
+        if (backdrop) timeline.to(backdrop, { autoAlpha: 0, duration: 0.25 }, 0);
+        timeline.to(container, { ...hidden, duration: 0.25, ease: "power2.in" }, 0);
+      }
+    },
+    { dependencies: [open, rendered, sheet] }
+  );
+
+  // ===== COMPONENT RENDER =====
+
+  const menu = (
+    <ul
+      id={menuId}
+      role="menu"
+      aria-labelledby={id}
+      onKeyDown={handleMenuKeyDown}
+      className={clsx("grid gap-2", !sheet && "grid-cols-2")}
+    >
+      {products.map((product, index) => (
+        <li key={product.id} role="none">
+          <a
+            ref={(node) => (itemRefs.current[index] = node)}
+            href={`#/products/${product.id}`}
+            role="menuitem"
+            tabIndex={-1}
+            onClick={() => handleItemClick(`#/products/${product.id}`)}
+            onPointerEnter={() => setActiveIndex(index)}
+            onFocus={() => setActiveIndex(index)}
+            className={clsx(
+              "flex items-center gap-4 rounded-xl p-2 outline-none transition-colors duration-300",
+              activeIndex === index ? "bg-white/10" : "hover:bg-white/5"
+            )}
+          >
+            {/* Thumbnail */}
+            <span className="border-hsla relative h-20 w-16 shrink-0 overflow-hidden rounded-lg">
+              <ProductThumbnail media={product.video} playing={open && activeIndex === index && !reducedMotion} />
+            </span>
+
+            {/* Name, badge and tagline */}
+            <span className="min-w-0 flex-1">
+              <span className="flex flex-wrap items-center gap-2">
+                <span className="special-font font-zentry text-2xl uppercase leading-none text-blue-50">
+                  {renderInlineMarkup(product.title)}
+                </span>
+                {product.comingSoon && (
+                  <span className="rounded-full border border-violet-300/40 px-2 py-0.5 font-general text-[9px] uppercase tracking-wider text-violet-300">
+                    {t("features.comingSoon")}
+                  </span>
+                )}
+              </span>
+              <span className="mt-1 line-clamp-2 block font-circular-web text-xs text-blue-50/60">
+                {product.tagline || product.description}
+              </span>
+            </span>
+          </a>
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <div
+      ref={wrapperRef}
+      onPointerEnter={handlePointerEnter}
+      onPointerLeave={handlePointerLeave}
+      className={clsx("relative", className)}
+    >
+      <Button
+        ref={buttonRef}
+        id={id}
+        title={t("nav.products")}
+        rightIcon={<TiLocationArrow className={clsx("transition-transform duration-300", { "rotate-90": open })} />}
+        variant="primary"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        aria-controls={rendered ? menuId : undefined}
+        onClick={handleButtonClick}
+        onKeyDown={handleButtonKeyDown}
+      />
+
+      {/* ===== DROPDOWN (mouse and keyboard) ===== */}
+      {rendered && !sheet && (
+        <div
+          ref={panelRef}
+          className="invisible absolute start-0 top-full z-50 mt-4 w-[36rem] max-w-[calc(100vw-3rem)] rounded-2xl border border-purple-500/20 bg-slate-900/95 p-3 shadow-2xl shadow-purple-500/10 backdrop-blur-lg"
+        >
+          <p className="px-2 pb-2 pt-1 font-general text-[10px] uppercase tracking-widest text-blue-50/60">
+            {t("products.menu")}
+          </p>
+          {menu}
+        </div>
+      )}
+
+      {/* ===== SHEET (touch) ===== */}
+      {rendered &&
+        sheet &&
+        createPortal(
+          <div className="fixed inset-0 z-[130]">
+            {/* Backdrop */}
+            <div
+              aria-hidden="true"
+              onClick={() => closeMenu(true)}
+              className="invisible absolute inset-0 bg-black/60 backdrop-blur-sm"
+            />
+
+            <div
+              ref={sheetRef}
+              role="dialog"
+              aria-modal="true"
+              aria-label={t("products.menu")}
+              tabIndex={-1}
+              onKeyDown={(e) => e.key === "Escape" && handleMenuKeyDown(e)}
+              className="invisible absolute inset-x-0 bottom-0 max-h-[85dvh] overflow-y-auto rounded-t-3xl border-t border-purple-500/20 bg-slate-900 px-4 pb-8 pt-3 text-blue-50"
+            >
+              {/* Drag handle - pull down to close */}
+              <div
+                onTouchStart={handleDragStart}
+                onTouchMove={handleDragMove}
+                onTouchEnd={handleDragEnd}
+                className="flex items-center justify-between pb-3"
+              >
+                <span className="font-general text-[10px] uppercase tracking-widest text-blue-50/60">
+                  {t("products.menu")}
+                </span>
+                <span aria-hidden="true" className="absolute start-1/2 top-2 h-1 w-10 -translate-x-1/2 rounded-full bg-white/30 rtl:translate-x-1/2" />
+                <button
+                  type="button"
+                  onClick={() => closeMenu(true)}
+                  aria-label={t("products.close")}
+                  className="flex-center size-9 rounded-full bg-white/10"
+                >
+                  <FaTimes aria-hidden="true" />
+                </button>
+              </div>
+              {menu}
+            </div>
+          </div>,
+          document.body
+        )}
+    </div>
+  );
+};
+
+export default ProductsMenu;
@@ -0,0 +1,144 @@
+import { useState } from "react";
+import clsx from "clsx";
+
+import Button from "./Button";
+import FormField from "./FormField";
+import PlayerAvatar from "./PlayerAvatar";
+import useAuth from "../hooks/useAuth";
+import useFormValidation from "../hooks/useFormValidation";
+import useI18n from "../hooks/useI18n";
+import { describeError } from "../i18n/errors";
+import { avatarColors } from "../lib/authData";
+import { profileSchema } from "../lib/formSchemas";
+
+/**
+ * PROFILE FORM
+ *
+ * Edits what other players see: gamertag, a short bio and the avatar
+ * colour (previewed with the gamertag as typed). Saved through the auth
+ * context, so the navbar avatar follows straight away.
+ *
+ * @param {object} user - The signed-in user
+ */
+const ProfileForm = ({ user }) => {
+  const { t } = useI18n();
+  const { updateProfile } = useAuth();
+
+  // ===== STATE MANAGEMENT =====
+
+  const { values, errors, getFieldProps, errorId, validateAll, setFieldError } = useFormValidation(profileSchema, {
+    idPrefix: "profile-",
+    initialValues: user,
+  });
+
+  const [avatar, setAvatar] = useState(user.avatar);
+  const [status, setStatus] = useState("idle"); // 'idle' | 'loading' | 'saved' | 'error'
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const isLoading = status === "loading";
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { isValid, values: cleaned } = validateAll();
+    if (!isValid) return;
+
+    setStatus("loading");
+    try {
+      await updateProfile({ ...cleaned, avatar });
+      setStatus("saved");
+    } catch (error) {
+      if (error.code === "gamertag-taken") {
+        setStatus("idle");
+        setFieldError("gamertag", describeError(error, t));
+        return;
+      }
+      setErrorMessage(describeError(error, t));
+      setStatus("error");
+    }
+  };
+
+  // ===== COMPONENT RENDER =====
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onChange={() => status === "saved" && setStatus("idle")}
+      noValidate
+      className="space-y-6"
+    >
+      <div aria-live="polite">
+        {status === "saved" && (
+          <p className="rounded-xl border border-green-500/50 bg-green-500/20 p-3 text-sm text-green-300">
+            {t("account.profile.saved")}
+          </p>
+        )}
+        {status === "error" && (
+          <p className="rounded-xl border border-red-500/50 bg-red-500/20 p-3 text-sm text-red-300">{errorMessage}</p>
+        )}
+      </div>
+
+      <FormField
+        label={t("fields.gamertag")}
+        autoComplete="nickname"
+        {...getFieldProps("gamertag")}
+        error={errors.gamertag}
+        errorId={errorId("gamertag")}
+        disabled={isLoading}
+      />
+
+      <FormField
+        label={t("fields.bio")}
+        multiline
+        rows={3}
+        {...getFieldProps("bio")}
+        error={errors.bio}
+        errorId={errorId("bio")}
+        hint={t("account.profile.bioHint", { count: values.bio.length, max: profileSchema.bio.maxLength })}
+        placeholder={t("account.profile.bioPlaceholder")}
+        disabled={isLoading}
+      />
+
+      <fieldset disabled={isLoading}>
+        <legend className="mb-3 text-sm font-medium text-gray-300">{t("account.profile.avatar")}</legend>
+        <div className="flex flex-wrap gap-3">
+          {avatarColors.map((color) => (
+            <label key={color} className="cursor-pointer">
+              <input
+                type="radio"
+                name="avatar"
+                value={color}
+                checked={avatar === color}
+                onChange={() => setAvatar(color)}
+                className="peer sr-only"
+              />
+              <span className="sr-only">{t(`account.profile.colors.${color}`)}</span>
+              <PlayerAvatar
+                user={{ gamertag: values.gamertag.trim() || user.gamertag, avatar: color }}
+                size="md"
+                className={clsx(
+                  "ring-offset-2 ring-offset-slate-900 transition duration-300 peer-focus-visible:ring-2 peer-focus-visible:ring-cyan-400",
+                  avatar === color ? "ring-2 ring-white" : "opacity-60 hover:opacity-100"
+                )}
+              />
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <Button
+        type="submit"
+        title={isLoading ? t("account.profile.saving") : t("account.profile.save")}
+        variant="primary"
+        loading={isLoading}
+      />
+    </form>
+  );
+};
+
+export default ProfileForm;
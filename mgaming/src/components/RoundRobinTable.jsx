@@ -0,0 +1,91 @@
+import { useMemo } from "react";
+import clsx from "clsx";
+
+import useI18n from "../hooks/useI18n";
+import { getStandings } from "../lib/tournamentData";
+
+// Abbreviated columns, spelled out for screen readers and on hover
+const columns = ["played", "won", "drawn", "lost", "difference", "points"];
+
+/**
+ * ROUND ROBIN TABLE
+ *
+ * Standings of a round robin tournament: played, won, drawn and lost,
+ * score difference and points (3 for a win, 1 for a draw), best first.
+ * The leader is marked once every match has been played.
+ *
+ * @param {object} tournament - Full tournament, with participants and matches
+ */
+const RoundRobinTable = ({ tournament }) => {
+  const { t, locale } = useI18n();
+  const standings = useMemo(() => getStandings(tournament), [tournament]);
+  const finished = tournament.matches.length > 0 && tournament.matches.every((match) => match.scoreA !== null);
+
+  const number = new Intl.NumberFormat(locale);
+  const signed = new Intl.NumberFormat(locale, { signDisplay: "exceptZero" });
+
+  const cells = (row) => ({
+    played: number.format(row.played),
+    won: number.format(row.won),
+    drawn: number.format(row.drawn),
+    lost: number.format(row.lost),
+    difference: signed.format(row.scoreFor - row.scoreAgainst),
+    points: number.format(row.points),
+  });
+
+  return (
+    <div className="overflow-x-auto rounded-md border border-white/10">
+      <table className="w-full min-w-[32rem] text-sm">
+        <caption className="sr-only">{t("tournaments.standingsCaption", { name: tournament.name })}</caption>
+        <thead className="bg-white/5 font-general text-[10px] uppercase tracking-wider text-blue-50/60">
+          <tr>
+            <th scope="col" className="w-12 px-4 py-3 text-start">
+              <abbr title={t("tournaments.table.rankFull")} className="no-underline">
+                {t("tournaments.table.rank")}
+              </abbr>
+            </th>
+            <th scope="col" className="px-4 py-3 text-start">
+              {t("tournaments.table.participant")}
+            </th>
+            {columns.map((column) => (
+              <th key={column} scope="col" className="w-14 px-2 py-3 text-center">
+                <abbr title={t(`tournaments.table.${column}Full`)} className="no-underline">
+                  {t(`tournaments.table.${column}`)}
+                </abbr>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {standings.map((row, index) => {
+            const values = cells(row);
+            return (
+              <tr key={row.participant.id} className="border-t border-white/10">
+                <td className="px-4 py-3 tabular-nums text-blue-50/60">{number.format(index + 1)}</td>
+                <th scope="row" className="px-4 py-3 text-start font-robert-medium">
+                  {row.participant.name}
+                  {finished && index === 0 && (
+                    <span className="ms-2 rounded-full bg-yellow-400/15 px-2 py-0.5 font-general text-[10px] uppercase tracking-wider text-yellow-300">
+                      {t("tournaments.champion")}
+                    </span>
+                  )}
+                </th>
+                {columns.map((column) => (
+                  <td
+                    key={column}
+                    className={clsx("px-2 py-3 text-center tabular-nums", column === "points" && "font-robert-medium text-violet-300")}
+                  >
+                    {values[column]}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="border-t border-white/10 px-4 py-3 text-xs text-blue-50/60">{t("tournaments.pointsNote")}</p>
+    </div>
+  );
+};
+
+export default RoundRobinTable;
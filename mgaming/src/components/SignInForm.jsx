@@ -0,0 +1,111 @@
+import { useState } from "react";
+
+import Button from "./Button";
+import FormField from "./FormField";
+import useAuth from "../hooks/useAuth";
+import useFormValidation from "../hooks/useFormValidation";
+import useI18n from "../hooks/useI18n";
+import { describeError } from "../i18n/errors";
+import { signInSchema } from "../lib/formSchemas";
+
+/**
+ * SIGN-IN FORM
+ *
+ * Email and password, with "Keep me signed in" (on by default - off keeps
+ * the session for this tab only) and a link to reset the password. A
+ * successful sign-in updates the auth context; the page decides where to
+ * go next.
+ */
+const SignInForm = () => {
+  const { t } = useI18n();
+  const { signIn } = useAuth();
+
+  // ===== STATE MANAGEMENT =====
+
+  const { errors, getFieldProps, errorId, validateAll } = useFormValidation(signInSchema, { idPrefix: "sign-in-" });
+
+  const [remember, setRemember] = useState(true);
+  const [status, setStatus] = useState("idle"); // 'idle' | 'loading' | 'error'
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const isLoading = status === "loading";
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { isValid, values } = validateAll();
+    if (!isValid) return;
+
+    setStatus("loading");
+    try {
+      await signIn(values, { remember });
+    } catch (error) {
+      setErrorMessage(describeError(error, t));
+      setStatus("error");
+    }
+  };
+
+  // ===== COMPONENT RENDER =====
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-5">
+      {/* Result of the last attempt - polite live region for screen readers */}
+      <div aria-live="polite">
+        {status === "error" && (
+          <p className="rounded-xl border border-red-500/50 bg-red-500/20 p-3 text-sm text-red-300">{errorMessage}</p>
+        )}
+      </div>
+
+      <FormField
+        label={t("fields.email")}
+        type="email"
+        autoComplete="email"
+        {...getFieldProps("email")}
+        error={errors.email}
+        errorId={errorId("email")}
+        disabled={isLoading}
+      />
+
+      <FormField
+        label={t("fields.password")}
+        type="password"
+        autoComplete="current-password"
+        {...getFieldProps("password")}
+        error={errors.password}
+        errorId={errorId("password")}
+        disabled={isLoading}
+        action={
+          <a href="#/account/reset" className="text-xs text-purple-300 underline hover:text-cyan-400">
+            {t("account.signIn.forgot")}
+          </a>
+        }
+      />
+
+      <label className="flex items-center gap-3 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={remember}
+          onChange={(e) => setRemember(e.target.checked)}
+          disabled={isLoading}
+          className="size-4 accent-purple-500"
+        />
+        {t("account.signIn.remember")}
+      </label>
+
+      <Button
+        type="submit"
+        title={isLoading ? t("account.signIn.submitting") : t("account.signIn.submit")}
+        variant="primary"
+        loading={isLoading}
+        containerClass="w-full"
+      />
+    </form>
+  );
+};
+
+export default SignInForm;
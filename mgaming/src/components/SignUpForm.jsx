@@ -0,0 +1,134 @@
+import { useState } from "react";
+
+import Button from "./Button";
+import FormField from "./FormField";
+import HoneypotField from "./HoneypotField";
+import useAuth from "../hooks/useAuth";
+import useFormValidation from "../hooks/useFormValidation";
+import useI18n from "../hooks/useI18n";
+import useSpamGuard from "../hooks/useSpamGuard";
+import { describeError } from "../i18n/errors";
+import { signUpSchema } from "../lib/formSchemas";
+
+// Fields in visual order, with what password managers should fill in
+const fields = [
+  { name: "gamertag", type: "text", autoComplete: "nickname" },
+  { name: "email", type: "email", autoComplete: "email" },
+  { name: "password", type: "password", autoComplete: "new-password" },
+];
+
+/**
+ * SIGN-UP FORM
+ *
+ * Gamertag, email and password, behind the same anti-spam checks as the
+ * other public forms (honeypot, timing, rate limit, optional proof of
+ * work). A new account is signed in straight away; the page decides where
+ * to go next.
+ */
+const SignUpForm = () => {
+  const { t } = useI18n();
+  const { signUp } = useAuth();
+
+  // ===== STATE MANAGEMENT =====
+
+  const { errors, getFieldProps, errorId, validateAll, setFieldError } = useFormValidation(signUpSchema, {
+    idPrefix: "sign-up-",
+  });
+
+  const { honeypotProps, guard, markSubmitted } = useSpamGuard("sign-up", {
+    minDuration: 2000,
+    limit: 5,
+    windowMs: 60 * 60 * 1000,
+  });
+
+  const [status, setStatus] = useState("idle"); // 'idle' | 'loading' | 'error'
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const isLoading = status === "loading";
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Validates, runs the spam checks and creates the account
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { isValid, values } = validateAll();
+    if (!isValid) return;
+
+    setStatus("loading");
+
+    let proof;
+    try {
+      proof = await guard();
+    } catch (error) {
+      // Spam rejections belong to the field, not the form status
+      setStatus("idle");
+      setFieldError("email", describeError(error, t));
+      return;
+    }
+
+    try {
+      await signUp(values, { proof });
+      markSubmitted();
+    } catch (error) {
+      // A taken gamertag or address is the field's problem
+      if (error.code === "email-taken" || error.code === "gamertag-taken") {
+        setStatus("idle");
+        setFieldError(error.code === "email-taken" ? "email" : "gamertag", describeError(error, t));
+        return;
+      }
+      setErrorMessage(describeError(error, t));
+      setStatus("error");
+    }
+  };
+
+  // ===== COMPONENT RENDER =====
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="relative space-y-5">
+      {/* Anti-spam honeypot - invisible to people */}
+      <HoneypotField name="homepage" {...honeypotProps} />
+
+      {/* Result of the last attempt - polite live region for screen readers */}
+      <div aria-live="polite">
+        {status === "error" && (
+          <p className="rounded-xl border border-red-500/50 bg-red-500/20 p-3 text-sm text-red-300">{errorMessage}</p>
+        )}
+      </div>
+
+      {fields.map(({ name, type, autoComplete }) => (
+        <FormField
+          key={name}
+          label={t(`fields.${name}`)}
+          type={type}
+          autoComplete={autoComplete}
+          {...getFieldProps(name)}
+          error={errors[name]}
+          errorId={errorId(name)}
+          hint={name === "password" ? t("account.passwordHint") : undefined}
+          disabled={isLoading}
+        />
+      ))}
+
+      <p className="text-xs text-gray-400">
+        {t("account.signUp.terms")}{" "}
+        <a href="#/legal/terms" className="text-purple-300 underline hover:text-cyan-400">
+          {t("account.signUp.termsLink")}
+        </a>
+      </p>
+
+      <Button
+        type="submit"
+        title={isLoading ? t("account.signUp.submitting") : t("account.signUp.submit")}
+        variant="primary"
+        loading={isLoading}
+        containerClass="w-full"
+      />
+    </form>
+  );
+};
+
+export default SignUpForm;
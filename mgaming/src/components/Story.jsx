@@ -3,6 +3,10 @@ import { useRef } from "react";
 
 import Button from "./Button";
 import AnimatedTitle from "./AnimatedTitle";
+import MediaSource from "./MediaSource";
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+import useSection from "../hooks/useSection";
 
 /**
  * STORY COMPONENT - FLOATING IMAGE WITH 3D MOUSE INTERACTION
@@ -22,11 +26,17 @@ import AnimatedTitle from "./AnimatedTitle";
  */
 
 const FloatingImage = () => {
+  const { t } = useI18n();
+  const { fullMotion } = useMotion(); // Tilting only runs with full motion
+
   // ===== REFS FOR DOM MANIPULATION =====
   
   // Reference to the floating image element for GSAP animations
   const frameRef = useRef(null);
 
+  // Anchor for the navbar's "Prologue" link
+  const sectionRef = useSection("prologue");
+
   // ===== MOUSE INTERACTION HANDLERS =====
 
   /**
@@ -46,8 +56,8 @@ const FloatingImage = () => {
     // Get reference to the image element
     const element = frameRef.current;
 
-    // Safety check - ensure element exists before proceeding
-    if (!element) return;
+    // Safety check - ensure element exists and motion isn't toned down
+    if (!element || !fullMotion) return;
 
     // Get element's position and dimensions relative to viewport
     const rect = element.getBoundingClientRect();
@@ -102,7 +112,7 @@ const FloatingImage = () => {
 
   return (
     // Main story section with full viewport height and dark theme
-    <div id="story" className="min-h-dvh w-screen bg-black text-blue-50">
+    <div id="prologue" ref={sectionRef} className="min-h-dvh w-screen bg-black text-blue-50">
       
       {/* Main content container with centered layout */}
       <div className="flex size-full flex-col items-center py-10 pb-24">
@@ -113,7 +123,7 @@ const FloatingImage = () => {
           Responsive font sizing: sm on mobile, 10px on medium+ screens
         */}
         <p className="font-general text-sm uppercase md:text-[10px]">
-          the multiversal ip world
+          {t("story.eyebrow")}
         </p>
 
         {/* ===== MAIN CONTENT AREA ===== */}
@@ -131,7 +141,7 @@ const FloatingImage = () => {
             - z-10: Ensures title stays above other content
           */}
           <AnimatedTitle
-            title="the st<b>o</b>ry of <br /> a hidden real<b>m</b>"
+            title={t("story.title")}
             containerClass="mt-5 pointer-events-none mix-blend-difference relative z-10"
           />
 
@@ -152,14 +162,14 @@ const FloatingImage = () => {
                   - Multiple mouse event handlers ensure smooth interaction
                   - object-contain: Maintains image aspect ratio
                 */}
-                <img
+                <MediaSource
                   ref={frameRef}
                   onMouseMove={handleMouseMove}     // 3D tilt effect on movement
                   onMouseLeave={handleMouseLeave}   // Reset on cursor exit
                   onMouseUp={handleMouseLeave}      // Reset on mouse release
                   onMouseEnter={handleMouseLeave}   // Ensure clean state on enter
-                  src="/img/entrance.webp"
-                  alt="Mystical entrance to the hidden realm - an ethereal gateway with cosmic lighting"
+                  media="entrance"
+                  alt={t("story.imageAlt")}
                   className="object-contain"
                 />
               </div>
@@ -226,21 +236,21 @@ const FloatingImage = () => {
               - text-violet-50: Light purple color for mystical theme
             */}
             <p className="mt-3 max-w-sm text-center font-circular-web text-violet-50 md:text-start">
-              Where realms converge, lies Zentry and the boundless pillar.
-              Discover its secrets and shape your fate amidst infinite
-              opportunities.
+              {t("story.description")}
             </p>
 
             {/* ===== ACTION BUTTON ===== */}
             {/* 
               Call-to-action button with:
               - Unique ID for potential JavaScript targeting
+              - Link to the prologue post of the news feed
               - Custom title for user engagement
               - Top margin for spacing from text
             */}
             <Button
               id="realm-btn"
-              title="discover prologue"
+              href="#/news/the-prologue"
+              title={t("story.cta")}
               containerClass="mt-5"
             />
           </div>
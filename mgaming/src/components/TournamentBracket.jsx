@@ -0,0 +1,375 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { MdAdd, MdFitScreen, MdRemove } from "react-icons/md";
+import clsx from "clsx";
+
+import useI18n from "../hooks/useI18n";
+import useNow from "../hooks/useNow";
+import { bracketSizes, layoutBracket } from "../lib/brackets";
+import { getMatchStatus, getMatchWinner } from "../lib/tournamentData";
+
+// ===== ZOOM & PAN =====
+
+const MIN_SCALE = 0.35;
+const MAX_SCALE = 2;
+const ZOOM_STEP = 1.25; // Buttons and + / - keys
+const PAN_STEP = 48; // Arrow keys (px)
+const PADDING = 24; // Around the fitted bracket (px)
+const VISIBLE = 80; // Bracket kept on screen however far it is dragged (px)
+
+const clampScale = (scale) => Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE);
+
+/**
+ * Zooms a view around a point of the viewport, which stays put
+ * @param {{scale: number, x: number, y: number}} view
+ * @param {number} factor
+ * @param {number} px - Viewport x (px)
+ * @param {number} py - Viewport y (px)
+ */
+const zoomAt = (view, factor, px, py) => {
+  const scale = clampScale(view.scale * factor);
+  const ratio = scale / view.scale;
+  return { scale, x: px - (px - view.x) * ratio, y: py - (py - view.y) * ratio };
+};
+
+// ===== MATCH =====
+
+/**
+ * One match box: a row per side with seed, name and score. The winner is
+ * bright, the loser dimmed, and rows of the highlighted participant glow.
+ */
+const BracketMatch = ({ match, label, participants, status, highlight, onHighlight }) => {
+  const { t } = useI18n();
+  const winner = getMatchWinner(match);
+
+  const sides = [
+    { id: match.a, score: match.scoreA },
+    { id: match.b, score: match.scoreB },
+  ];
+  const names = sides.map(({ id }) => participants.get(id)?.name ?? t("tournaments.tbd"));
+
+  return (
+    <div
+      role="group"
+      aria-label={`${label}: ${t("tournaments.matchup", { a: names[0], b: names[1] })}, ${t(`tournaments.matchStatus.${status}`)}`}
+      className={clsx(
+        "flex size-full flex-col overflow-hidden rounded-md border bg-black text-xs",
+        status === "live" ? "border-red-400/70" : "border-white/15",
+        highlight && (match.a === highlight || match.b === highlight) && "border-violet-300"
+      )}
+    >
+      {sides.map(({ id, score }, index) => (
+        <div
+          key={index}
+          onPointerEnter={() => id && onHighlight(id)}
+          onPointerLeave={() => onHighlight(null)}
+          className={clsx(
+            "flex h-8 items-center gap-2 px-2.5",
+            index === 0 && "border-b border-white/10",
+            winner && winner !== id && "text-blue-50/40",
+            winner === id && "font-robert-medium text-white",
+            !id && "italic text-blue-50/40",
+            highlight && id === highlight && "bg-violet-300/15"
+          )}
+        >
+          <span className="w-4 shrink-0 text-[10px] text-blue-50/40">{participants.get(id)?.seed}</span>
+          <span className="min-w-0 flex-1 truncate">{names[index]}</span>
+          <span className="w-4 shrink-0 text-end tabular-nums">{score ?? ""}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// ===== BRACKET =====
+
+/**
+ * TOURNAMENT BRACKET
+ *
+ * Single- or double-elimination bracket drawn as SVG (layout in
+ * lib/brackets.js). The bracket fits the box to start with, and can be
+ * explored like a map:
+ * - Drag to pan, pinch or Ctrl + scroll to zoom (plain scrolling still
+ *   scrolls the page)
+ * - Buttons to zoom in, out and back to fit
+ * - Keyboard, once focused: arrow keys pan, + and - zoom, 0 fits
+ *
+ * Hovering a player highlights their run through the bracket.
+ *
+ * @param {object} tournament - Full tournament, with participants and matches
+ */
+const TournamentBracket = ({ tournament }) => {
+  const { t, dir } = useI18n();
+  const now = useNow();
+  const rtl = dir === "rtl";
+
+  const layout = useMemo(() => layoutBracket(tournament.matches, { rtl }), [tournament.matches, rtl]);
+  const participants = useMemo(
+    () => new Map(tournament.participants.map((participant) => [participant.id, participant])),
+    [tournament.participants]
+  );
+  const roundNames = new Map(layout.labels.map((label) => [label.id, t(label.key, label.values)]));
+
+  // ===== STATE MANAGEMENT =====
+
+  const [size, setSize] = useState(null); // Viewport { width, height } (px)
+  const [view, setView] = useState(null); // { scale, x, y } - null follows the fitted view
+  const [dragging, setDragging] = useState(false);
+  const [highlight, setHighlight] = useState(null); // Participant id
+
+  // ===== REFS =====
+
+  const viewportRef = useRef(null);
+  const pointersRef = useRef(new Map()); // Active pointer id -> { x, y }
+
+  // ===== VIEW =====
+
+  /**
+   * The whole bracket centred - or, when that would be too small to read,
+   * its first rounds at a readable size
+   */
+  const fitView = useMemo(() => {
+    if (!size) return { scale: 1, x: PADDING, y: PADDING };
+    const fit = Math.min((size.width - PADDING * 2) / layout.width, (size.height - PADDING * 2) / layout.height, 1);
+    const scale = clampScale(Math.max(fit, 0.6));
+    const width = layout.width * scale;
+    const height = layout.height * scale;
+    return {
+      scale,
+      x: width <= size.width - PADDING * 2 ? (size.width - width) / 2 : rtl ? size.width - width - PADDING : PADDING,
+      y: height <= size.height - PADDING * 2 ? (size.height - height) / 2 : PADDING,
+    };
+  }, [size, layout, rtl]);
+
+  /**
+   * Applies a change to the view, keeping part of the bracket on screen
+   * @param {(view: object) => object} change
+   */
+  const updateView = (change) =>
+    setView((current) => {
+      const next = change(current ?? fitView);
+      if (!size) return next;
+      const width = layout.width * next.scale;
+      const height = layout.height * next.scale;
+      return {
+        scale: next.scale,
+        x: Math.min(Math.max(next.x, VISIBLE - width), size.width - VISIBLE),
+        y: Math.min(Math.max(next.y, VISIBLE - height), size.height - VISIBLE),
+      };
+    });
+
+  const zoomCentered = (factor) =>
+    updateView((current) => zoomAt(current, factor, (size?.width ?? 0) / 2, (size?.height ?? 0) / 2));
+
+  const { scale, x, y } = view ?? fitView;
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Track the viewport size
+   * Layout effect, so the bracket is fitted before the first paint
+   */
+  useLayoutEffect(() => {
+    const element = viewportRef.current;
+    const measure = () => setSize({ width: element.clientWidth, height: element.clientHeight });
+    measure();
+    if (typeof ResizeObserver === "undefined") return;
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  /**
+   * EFFECT: Ctrl + wheel (and trackpad pinch) zooms around the cursor
+   * Added by hand - React's wheel listeners are passive and can't stop the page zooming
+   */
+  useEffect(() => {
+    const element = viewportRef.current;
+    const handleWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      const box = element.getBoundingClientRect();
+      const factor = Math.exp(-e.deltaY * 0.002);
+      updateView((current) => zoomAt(current, factor, e.clientX - box.left, e.clientY - box.top));
+    };
+    element.addEventListener("wheel", handleWheel, { passive: false });
+    return () => element.removeEventListener("wheel", handleWheel);
+  });
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Starts a drag, or a pinch when a second finger comes down
+   * @param {PointerEvent} e
+   */
+  const handlePointerDown = (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    setDragging(true);
+  };
+
+  /**
+   * One pointer pans; two pan by their midpoint and zoom by their spread
+   * @param {PointerEvent} e
+   */
+  const handlePointerMove = (e) => {
+    const pointers = pointersRef.current;
+    const previous = pointers.get(e.pointerId);
+    if (!previous) return;
+
+    const before = [...pointers.values()];
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const after = [...pointers.values()];
+
+    if (after.length === 1) {
+      const dx = e.clientX - previous.x;
+      const dy = e.clientY - previous.y;
+      updateView((current) => ({ ...current, x: current.x + dx, y: current.y + dy }));
+      return;
+    }
+
+    const [a, b] = after;
+    const [oldA, oldB] = before;
+    const spread = Math.hypot(a.x - b.x, a.y - b.y) / (Math.hypot(oldA.x - oldB.x, oldA.y - oldB.y) || 1);
+    const box = e.currentTarget.getBoundingClientRect();
+    const middle = { x: (a.x + b.x) / 2 - box.left, y: (a.y + b.y) / 2 - box.top };
+    const oldMiddle = { x: (oldA.x + oldB.x) / 2 - box.left, y: (oldA.y + oldB.y) / 2 - box.top };
+
+    updateView((current) => {
+      const zoomed = zoomAt(current, spread, oldMiddle.x, oldMiddle.y);
+      return { ...zoomed, x: zoomed.x + middle.x - oldMiddle.x, y: zoomed.y + middle.y - oldMiddle.y };
+    });
+  };
+
+  /**
+   * @param {PointerEvent} e
+   */
+  const handlePointerUp = (e) => {
+    pointersRef.current.delete(e.pointerId);
+    if (!pointersRef.current.size) setDragging(false);
+  };
+
+  /**
+   * Arrow keys pan, + and - zoom, 0 fits
+   * @param {KeyboardEvent} e
+   */
+  const handleKeyDown = (e) => {
+    const pans = {
+      ArrowLeft: [PAN_STEP, 0],
+      ArrowRight: [-PAN_STEP, 0],
+      ArrowUp: [0, PAN_STEP],
+      ArrowDown: [0, -PAN_STEP],
+    };
+
+    if (pans[e.key]) {
+      const [dx, dy] = pans[e.key];
+      updateView((current) => ({ ...current, x: current.x + dx, y: current.y + dy }));
+    } else if (e.key === "+" || e.key === "=") {
+      zoomCentered(ZOOM_STEP);
+    } else if (e.key === "-") {
+      zoomCentered(1 / ZOOM_STEP);
+    } else if (e.key === "0") {
+      setView(null);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  // ===== COMPONENT RENDER =====
+
+  const { matchWidth, matchHeight } = bracketSizes;
+  const byId = new Map(layout.nodes.map(({ match }) => [match.id, match]));
+  const involves = (match, id) => match && (match.a === id || match.b === id);
+
+  const controls = [
+    { label: t("tournaments.zoomOut"), icon: MdRemove, onClick: () => zoomCentered(1 / ZOOM_STEP), disabled: scale <= MIN_SCALE },
+    { label: t("tournaments.zoomIn"), icon: MdAdd, onClick: () => zoomCentered(ZOOM_STEP), disabled: scale >= MAX_SCALE },
+    { label: t("tournaments.fit"), icon: MdFitScreen, onClick: () => setView(null), disabled: !view },
+  ];
+
+  return (
+    <div>
+      <div className="mb-3 flex items-center justify-between gap-4">
+        <p id="bracket-hint" className="text-xs text-blue-50/60">
+          {t("tournaments.zoomHint")}
+        </p>
+        <div className="flex shrink-0 gap-2">
+          {controls.map(({ label, icon: Icon, onClick, disabled }) => (
+            <button
+              key={label}
+              type="button"
+              onClick={onClick}
+              disabled={disabled}
+              aria-label={label}
+              title={label}
+              className="flex-center size-9 rounded-full border border-white/20 transition-colors duration-300 hover:border-violet-300 disabled:opacity-40 disabled:hover:border-white/20"
+            >
+              <Icon aria-hidden="true" />
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div
+        ref={viewportRef}
+        role="group"
+        tabIndex={0}
+        aria-label={t("tournaments.bracketLabel", { name: tournament.name })}
+        aria-describedby="bracket-hint"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onKeyDown={handleKeyDown}
+        className={clsx(
+          "relative h-[60vh] min-h-80 touch-none select-none overflow-hidden rounded-md border border-white/10 bg-white/[.02] focus:outline-none focus-visible:border-violet-300",
+          dragging ? "cursor-grabbing" : "cursor-grab"
+        )}
+      >
+        <svg width="100%" height="100%" className="absolute inset-0">
+          <g transform={`translate(${x} ${y}) scale(${scale})`}>
+            {layout.labels.map((label) => (
+              <text
+                key={label.id}
+                x={rtl ? label.x + matchWidth : label.x}
+                y={label.y + 16}
+                className="fill-blue-50/60 font-general text-[10px] uppercase tracking-widest"
+              >
+                {roundNames.get(label.id)}
+              </text>
+            ))}
+
+            {layout.links.map((link) => {
+              const active = highlight && involves(byId.get(link.from), highlight) && involves(byId.get(link.to), highlight);
+              return (
+                <path
+                  key={link.id}
+                  d={link.d}
+                  fill="none"
+                  strokeWidth={active ? 2 : 1}
+                  className={active ? "stroke-violet-300" : "stroke-white/20"}
+                />
+              );
+            })}
+
+            {layout.nodes.map(({ match, x: left, y: top }) => (
+              <foreignObject key={match.id} x={left} y={top} width={matchWidth} height={matchHeight}>
+                <BracketMatch
+                  match={match}
+                  label={roundNames.get(`${match.bracket}-${match.round}`)}
+                  participants={participants}
+                  status={getMatchStatus(match, now)}
+                  highlight={highlight}
+                  onHighlight={setHighlight}
+                />
+              </foreignObject>
+            ))}
+          </g>
+        </svg>
+      </div>
+    </div>
+  );
+};
+
+export default TournamentBracket;
@@ -0,0 +1,144 @@
+import clsx from "clsx";
+
+import Countdown from "./Countdown";
+import MediaSource from "./MediaSource";
+import { BentoTilt } from "./Features";
+import useI18n from "../hooks/useI18n";
+import useNow from "../hooks/useNow";
+import { getTournamentStatus } from "../lib/tournamentData";
+
+// ===== TOURNAMENT DETAILS =====
+
+const statusStyles = {
+  live: "bg-red-500/20 text-red-300",
+  upcoming: "bg-violet-300/15 text-violet-300",
+  past: "bg-white/10 text-blue-50/60",
+};
+
+/**
+ * TournamentStatus - "Live" (with a pulsing dot), "Upcoming" or "Finished"
+ * @param {"live"|"upcoming"|"past"} status
+ * @param {string} className
+ */
+export const TournamentStatus = ({ status, className }) => {
+  const { t } = useI18n();
+  return (
+    <span
+      className={clsx(
+        "inline-flex items-center gap-2 rounded-full px-3 py-1 font-general text-[10px] uppercase tracking-wider",
+        statusStyles[status],
+        className
+      )}
+    >
+      {status === "live" && <span aria-hidden="true" className="size-2 animate-pulse rounded-full bg-red-400" />}
+      {t(`tournaments.status.${status}`)}
+    </span>
+  );
+};
+
+/**
+ * PrizePool - USD amount in the reader's number format, without cents
+ * @param {number} amount
+ * @param {string} className
+ */
+export const PrizePool = ({ amount, className }) => {
+  const { locale } = useI18n();
+  return (
+    <span className={className}>
+      {new Intl.NumberFormat(locale, { style: "currency", currency: "USD", maximumFractionDigits: 0 }).format(amount)}
+    </span>
+  );
+};
+
+/**
+ * TournamentDates - First and last day, in the reader's time zone
+ * @param {{startsAt: string, endsAt: string}} tournament
+ * @param {string} className
+ */
+export const TournamentDates = ({ tournament, className }) => {
+  const { locale } = useI18n();
+  const format = new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+  return (
+    <time dateTime={tournament.startsAt} className={className}>
+      {format.formatRange(new Date(tournament.startsAt), new Date(tournament.endsAt))}
+    </time>
+  );
+};
+
+// ===== TOURNAMENT CARD =====
+
+/**
+ * TOURNAMENT CARD
+ *
+ * One event in the Tournaments hub, styled like the GameCards: the game's
+ * cover fills the tilting card, with the status, dates and prize pool on a
+ * gradient. Upcoming events count down to the start. The name links to the
+ * tournament's page and covers the card.
+ *
+ * @param {object} tournament - Tournament summary (lib/tournamentService.js)
+ * @param {string} className - Classes for the card, e.g. its height
+ */
+const TournamentCard = ({ tournament, className }) => {
+  const { t } = useI18n();
+  const status = getTournamentStatus(tournament, useNow());
+
+  return (
+    <BentoTilt className={clsx("border-hsla group relative overflow-hidden rounded-md bg-black", className)}>
+      {tournament.game.cover && (
+        <MediaSource
+          media={tournament.game.cover}
+          loading="lazy"
+          className="absolute left-0 top-0 size-full object-cover object-center opacity-50 transition duration-500 group-hover:scale-105 group-hover:opacity-80"
+        />
+      )}
+
+      <div className="relative z-10 flex size-full flex-col justify-between bg-gradient-to-t from-black via-black/60 to-transparent p-5 text-blue-50">
+        <div className="flex flex-wrap items-center gap-2">
+          <TournamentStatus status={status} />
+          <span className="rounded-full border border-white/20 bg-black/50 px-3 py-1 font-general text-[10px] uppercase tracking-wider">
+            {t(`tournaments.formats.${tournament.format}`)}
+          </span>
+        </div>
+
+        <div>
+          <p className="font-general text-xs uppercase tracking-wider text-blue-50/60">{tournament.game.title}</p>
+          <h3 className="special-font mt-1 font-zentry text-3xl uppercase leading-none md:text-4xl">
+            {/* Stretched over the whole card */}
+            <a href={`#/tournaments/${tournament.id}`} className="after:absolute after:inset-0">
+              {tournament.name}
+            </a>
+          </h3>
+
+          <dl className="mt-4 grid grid-cols-3 gap-3 text-sm">
+            <div>
+              <dt className="text-[10px] uppercase tracking-wider text-blue-50/60">{t("tournaments.prizePool")}</dt>
+              <dd className="font-robert-medium">
+                <PrizePool amount={tournament.prizePool} />
+              </dd>
+            </div>
+            <div>
+              <dt className="text-[10px] uppercase tracking-wider text-blue-50/60">{t("tournaments.entrants")}</dt>
+              <dd className="font-robert-medium">
+                {t("tournaments.slotsTaken", { count: tournament.entrants, slots: tournament.slots })}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-[10px] uppercase tracking-wider text-blue-50/60">{t("tournaments.mode")}</dt>
+              <dd className="font-robert-medium">{t("tournaments.teamSize", { size: tournament.teamSize })}</dd>
+            </div>
+          </dl>
+
+          <div className="mt-4 border-t border-white/10 pt-4">
+            {status === "upcoming" ? (
+              <Countdown to={tournament.startsAt} label={t("tournaments.startsIn")} />
+            ) : (
+              <TournamentDates tournament={tournament} className="text-sm text-blue-50/80" />
+            )}
+          </div>
+        </div>
+      </div>
+    </BentoTilt>
+  );
+};
+
+export default TournamentCard;
@@ -0,0 +1,195 @@
+import { useState } from "react";
+import clsx from "clsx";
+
+import FieldError from "./FieldError";
+import HoneypotField from "./HoneypotField";
+import useFormValidation from "../hooks/useFormValidation";
+import useI18n from "../hooks/useI18n";
+import useNow from "../hooks/useNow";
+import useSpamGuard from "../hooks/useSpamGuard";
+import { describeError } from "../i18n/errors";
+import { teamEntrySchema, tournamentEntrySchema } from "../lib/formSchemas";
+import { getRegistrationStatus } from "../lib/tournamentData";
+import { registerForTournament, tournamentsEnabled } from "../lib/tournamentService";
+
+/**
+ * TOURNAMENT REGISTRATION FORM
+ *
+ * Features:
+ * - Gamertag and email, plus the team name for team events
+ * - Anti-spam checks (honeypot, timing, rate limit, optional proof of work)
+ * - Registered / duplicate / full / closed / error states announced to
+ *   screen readers
+ * - Spots left, and a notice instead of the form once registration is
+ *   closed, the tournament is full, or no backend takes entries
+ * - Delivery through the configured provider adapter (see tournamentService)
+ *
+ * @param {object} tournament - Full tournament
+ * @param {() => void} onRegistered - Called after a successful registration, e.g. to reload the entrants
+ */
+
+// ===== STATUS MESSAGES =====
+
+const statusStyles = {
+  registered: "border-green-500/50 bg-green-500/20 text-green-300",
+  duplicate: "border-blue-500/50 bg-blue-500/20 text-blue-200",
+  full: "border-yellow-500/50 bg-yellow-500/20 text-yellow-200",
+  closed: "border-yellow-500/50 bg-yellow-500/20 text-yellow-200",
+  error: "border-red-500/50 bg-red-500/20 text-red-300",
+};
+
+const TournamentRegistration = ({ tournament, onRegistered }) => {
+  const { t } = useI18n();
+  const now = useNow();
+  // Without a backend nobody would receive the entry (see tournamentService)
+  const availability = tournamentsEnabled ? getRegistrationStatus(tournament, now) : "unavailable";
+  const teams = tournament.teamSize > 1;
+
+  // ===== STATE MANAGEMENT =====
+
+  const { errors, getFieldProps, errorId, validateAll, reset, setFieldError } = useFormValidation(
+    teams ? teamEntrySchema : tournamentEntrySchema,
+    { idPrefix: "registration-" }
+  );
+
+  const { honeypotProps, guard, markSubmitted } = useSpamGuard("tournament-registration", {
+    minDuration: 2000,
+    windowMs: 60 * 60 * 1000,
+  });
+
+  const [status, setStatus] = useState("idle"); // 'idle' | 'loading' | 'registered' | 'duplicate' | 'full' | 'closed' | 'error'
+  const [entry, setEntry] = useState({ name: "", email: "" }); // Shown in the result message
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const isLoading = status === "loading";
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Validates, runs the spam checks and hands the entry to the provider
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { isValid, values: cleaned } = validateAll();
+    if (!isValid) return;
+
+    setStatus("loading");
+    setErrorMessage("");
+
+    let proof;
+    try {
+      proof = await guard();
+    } catch (error) {
+      // Spam rejections belong to the field, not the delivery status
+      setStatus("idle");
+      setFieldError("email", describeError(error, t));
+      return;
+    }
+
+    try {
+      const result = await registerForTournament(tournament.id, cleaned, { proof });
+      markSubmitted();
+      setEntry({ name: cleaned.team || cleaned.name, email: cleaned.email });
+      setStatus(result.status);
+      if (result.status === "registered") {
+        reset();
+        onRegistered?.();
+      }
+    } catch (error) {
+      setErrorMessage(describeError(error, t));
+      setStatus("error");
+    }
+  };
+
+  /**
+   * Input styling with a red border for fields that failed validation
+   * @param {string} name - Field name
+   */
+  const fieldClass = (name) =>
+    clsx(
+      "w-full rounded-xl border bg-white/10 px-4 py-3 text-white transition-all duration-300 placeholder:text-gray-400 focus:outline-none focus:ring-2 disabled:opacity-60",
+      errors[name]
+        ? "border-red-400 focus:border-red-400 focus:ring-red-400/20"
+        : "border-gray-600 focus:border-purple-400 focus:ring-purple-400/20"
+    );
+
+  // ===== STATUS CONTENT =====
+
+  const statusMessage = statusStyles[status]
+    ? t(`tournaments.registration.status.${status}`, { ...entry, detail: errorMessage })
+    : "";
+
+  const fields = [
+    { name: "name", type: "text", autoComplete: "nickname" },
+    ...(teams ? [{ name: "team", type: "text", autoComplete: "organization" }] : []),
+    { name: "email", type: "email", autoComplete: "email" },
+  ];
+
+  const spotsLeft = tournament.slots - tournament.participants.length;
+
+  // ===== COMPONENT RENDER =====
+
+  return (
+    <div className="rounded-2xl border border-white/20 bg-white/10 p-6 backdrop-blur-lg md:p-8">
+      <h2 className="text-2xl font-bold text-purple-300">{t("tournaments.registration.title")}</h2>
+
+      {/* Result of the last attempt - polite live region for screen readers */}
+      <div aria-live="polite">
+        {statusMessage && (
+          <p className={`mt-4 rounded-xl border p-3 text-sm ${statusStyles[status]}`}>{statusMessage}</p>
+        )}
+      </div>
+
+      {availability === "open" ? (
+        <form onSubmit={handleSubmit} noValidate className="relative mt-4 space-y-5">
+          {/* Anti-spam honeypot - invisible to people */}
+          <HoneypotField name="clan" {...honeypotProps} />
+
+          <p className="text-sm text-gray-300">
+            {t("tournaments.registration.spotsLeft", { count: spotsLeft })}
+            {teams && ` ${t("tournaments.registration.teamNote", { size: tournament.teamSize })}`}
+          </p>
+
+          {fields.map(({ name, type, autoComplete }) => (
+            <div key={name}>
+              <label htmlFor={`registration-${name}`} className="mb-2 block text-sm font-medium text-gray-300">
+                {t(`tournaments.registration.${name}Label`)}
+              </label>
+              <input
+                type={type}
+                autoComplete={autoComplete}
+                {...getFieldProps(name)}
+                required
+                disabled={isLoading}
+                placeholder={t(`tournaments.registration.${name}Placeholder`)}
+                className={fieldClass(name)}
+              />
+              <FieldError id={errorId(name)} message={errors[name]} />
+            </div>
+          ))}
+
+          <p className="text-xs text-gray-400">
+            {t("tournaments.registration.terms")}{" "}
+            <a href="#/legal/terms" className="text-purple-300 underline hover:text-cyan-400">
+              {t("tournaments.registration.termsLink")}
+            </a>
+          </p>
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="w-full rounded-xl bg-gradient-to-r from-purple-600 to-blue-600 px-6 py-3 font-medium text-white shadow-lg transition-all duration-300 hover:from-purple-500 hover:to-blue-500 hover:shadow-purple-500/25 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {isLoading ? t("tournaments.registration.submitting") : t("tournaments.registration.submit")}
+          </button>
+        </form>
+      ) : (
+        <p className="mt-4 text-sm text-gray-300">{t(`tournaments.registration.${availability}`)}</p>
+      )}
+    </div>
+  );
+};
+
+export default TournamentRegistration;
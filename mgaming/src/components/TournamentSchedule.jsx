@@ -0,0 +1,141 @@
+import { useMemo, useState } from "react";
+import clsx from "clsx";
+
+import useI18n from "../hooks/useI18n";
+import useNow from "../hooks/useNow";
+import { getRoundLabels } from "../lib/brackets";
+import { getMatchStatus } from "../lib/tournamentData";
+
+// The reader's own time zone, as the browser reports it
+const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// Day of a moment in a time zone, e.g. "2026-10-18" - used to group matches
+const dayKey = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+
+const statusStyles = {
+  live: "bg-red-500/20 text-red-300",
+  done: "bg-white/10 text-blue-50/60",
+  scheduled: "bg-violet-300/15 text-violet-300",
+};
+
+/**
+ * TOURNAMENT SCHEDULE
+ *
+ * Every match grouped by day, with a choice of time zone: the reader's,
+ * the event's or UTC. Days are split in the chosen zone too, so a late
+ * match can move to the next day when the zone changes.
+ *
+ * @param {object} tournament - Full tournament, with participants and matches
+ */
+const TournamentSchedule = ({ tournament }) => {
+  const { t, locale } = useI18n();
+  const now = useNow();
+
+  // ===== STATE MANAGEMENT =====
+
+  const [zone, setZone] = useState("local"); // "local" | "event" | "utc"
+
+  // Zones that are the same as an earlier option are left out
+  const zones = useMemo(() => {
+    const options = [
+      { value: "local", timeZone: localZone },
+      { value: "event", timeZone: tournament.timezone },
+      { value: "utc", timeZone: "UTC" },
+    ];
+    return options.filter((option, index) => options.findIndex((other) => other.timeZone === option.timeZone) === index);
+  }, [tournament.timezone]);
+
+  const timeZone = (zones.find((option) => option.value === zone) ?? zones[0]).timeZone;
+
+  // ===== SCHEDULE =====
+
+  const participants = useMemo(
+    () => new Map(tournament.participants.map((participant) => [participant.id, participant.name])),
+    [tournament.participants]
+  );
+  const roundNames = useMemo(() => getRoundLabels(tournament.matches), [tournament.matches]);
+
+  const days = useMemo(() => {
+    const groups = new Map();
+    const sorted = [...tournament.matches].sort((a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt));
+    for (const match of sorted) {
+      const key = dayKey(new Date(match.startsAt), timeZone);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(match);
+    }
+    return [...groups.values()];
+  }, [tournament.matches, timeZone]);
+
+  const dayFormat = new Intl.DateTimeFormat(locale, { dateStyle: "full", timeZone });
+  const timeFormat = new Intl.DateTimeFormat(locale, { timeStyle: "short", timeZone });
+  const zoneName = (value) =>
+    new Intl.DateTimeFormat(locale, { timeZone: value, timeZoneName: "short" })
+      .formatToParts(new Date())
+      .find((part) => part.type === "timeZoneName")?.value ?? value;
+
+  // ===== COMPONENT RENDER =====
+
+  const tbd = t("tournaments.tbd");
+
+  return (
+    <div>
+      <label className="flex items-center gap-2 text-sm sm:justify-end">
+        <span className="shrink-0 text-blue-50/60">{t("tournaments.timeZone")}</span>
+        <select
+          value={zone}
+          onChange={(e) => setZone(e.target.value)}
+          className="rounded-full border border-white/20 bg-black px-4 py-2 text-sm focus:border-violet-300 focus:outline-none"
+        >
+          {zones.map((option) => (
+            <option key={option.value} value={option.value}>
+              {t(`tournaments.zones.${option.value}`, { zone: zoneName(option.timeZone), city: option.timeZone })}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {days.map((matches) => (
+        <section key={matches[0].id} className="mt-8">
+          <h3 className="font-general text-xs uppercase tracking-widest text-blue-50/60">
+            {dayFormat.format(new Date(matches[0].startsAt))}
+          </h3>
+          <ol className="mt-3 divide-y divide-white/10 rounded-md border border-white/10">
+            {matches.map((match) => {
+              const status = getMatchStatus(match, now);
+              const round = roundNames.get(`${match.bracket}-${match.round}`);
+              return (
+                <li key={match.id} className="grid grid-cols-[4.5rem_minmax(0,1fr)_auto] items-center gap-4 px-4 py-3 text-sm">
+                  <time dateTime={match.startsAt} className="tabular-nums text-blue-50/80">
+                    {timeFormat.format(new Date(match.startsAt))}
+                  </time>
+                  <div className="min-w-0">
+                    <p className="text-[10px] uppercase tracking-wider text-blue-50/50">{t(round.key, round.values)}</p>
+                    <p className="truncate font-robert-medium">
+                      {t("tournaments.matchup", { a: participants.get(match.a) ?? tbd, b: participants.get(match.b) ?? tbd })}
+                      {status === "done" && (
+                        <span className="ms-2 tabular-nums text-violet-300">
+                          {t("tournaments.score", { a: match.scoreA, b: match.scoreB })}
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                  <span
+                    className={clsx(
+                      "rounded-full px-2.5 py-1 font-general text-[10px] uppercase tracking-wider",
+                      statusStyles[status]
+                    )}
+                  >
+                    {t(`tournaments.matchStatus.${status}`)}
+                  </span>
+                </li>
+              );
+            })}
+          </ol>
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default TournamentSchedule;
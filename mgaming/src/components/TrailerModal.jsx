@@ -0,0 +1,145 @@
+import { useEffect, useId, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import gsap from "gsap";
+import { useGSAP } from "@gsap/react";
+import { FaTimes } from "react-icons/fa";
+
+import VideoPlayer from "./VideoPlayer";
+import useFocusTrap from "../hooks/useFocusTrap";
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+import useScrollLock from "../hooks/useScrollLock";
+import useSiteContent from "../hooks/useSiteContent";
+
+/**
+ * Transform that makes the dialog sit exactly over the button it opened from
+ * @param {DOMRect} origin - Button rect
+ * @param {HTMLElement} dialog
+ */
+const fromOrigin = (origin, dialog) => {
+  const rect = dialog.getBoundingClientRect();
+  return {
+    x: origin.left + origin.width / 2 - (rect.left + rect.width / 2),
+    y: origin.top + origin.height / 2 - (rect.top + rect.height / 2),
+    scaleX: origin.width / rect.width,
+    scaleY: origin.height / rect.height,
+  };
+};
+
+/**
+ * TRAILER MODAL
+ *
+ * Plays the trailer (site.json → hero.trailer) in an accessible dialog:
+ * - focus stays inside while open and returns to the button afterwards
+ * - Escape, the close button or a click on the backdrop close it
+ * - the page doesn't scroll behind it
+ *
+ * ANIMATION: Full motion grows the dialog out of the button that opened it
+ * and shrinks it back on close; lite motion fades and scales slightly;
+ * reduced motion shows and hides it instantly.
+ *
+ * @param {boolean} open - Dialog is shown
+ * @param {Function} onClose - Called when the visitor asks to close it
+ * @param {DOMRect|null} origin - Rect of the button it opened from
+ */
+const TrailerModal = ({ open, onClose, origin }) => {
+  const { t } = useI18n();
+  const { fullMotion, reducedMotion } = useMotion();
+  const { trailer } = useSiteContent().hero;
+  const titleId = useId();
+
+  // Stays mounted while the close animation runs
+  const [rendered, setRendered] = useState(open);
+
+  const backdropRef = useRef(null);
+  const dialogRef = useRef(null);
+
+  useFocusTrap(dialogRef, open && rendered);
+  useScrollLock(rendered);
+
+  /**
+   * EFFECT: Mount as soon as it opens
+   */
+  useEffect(() => {
+    if (open) setRendered(true);
+  }, [open]);
+
+  /**
+   * EFFECT: Escape closes it - unless it only leaves fullscreen
+   */
+  useEffect(() => {
+    if (!open) return;
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape" && !document.fullscreenElement) onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [open, onClose]);
+
+  /**
+   * ANIMATION: Open / close
+   */
+  useGSAP(
+    () => {
+      if (!rendered || !dialogRef.current) return;
+
+      const duration = reducedMotion ? 0 : 0.6;
+      const hidden = fullMotion && origin ? fromOrigin(origin, dialogRef.current) : { scale: 0.95 };
+
+      if (open) {
+        gsap.fromTo(backdropRef.current, { opacity: 0 }, { opacity: 1, duration });
+        gsap.fromTo(
+          dialogRef.current,
+          { ...hidden, opacity: fullMotion ? 1 : 0 },
+          { x: 0, y: 0, scale: 1, scaleX: 1, scaleY: 1, opacity: 1, duration, ease: "power3.out" }
+        );
+      } else {
+        gsap.to(backdropRef.current, { opacity: 0, duration: duration * 0.8 });
+        gsap.to(dialogRef.current, {
+          ...hidden,
+          opacity: fullMotion ? 1 : 0,
+          duration: duration * 0.8,
+          ease: "power3.in",
+          onComplete: () => setRendered(false),
+        });
+      }
+    },
+    { dependencies: [open, rendered] }
+  );
+
+  if (!rendered) return null;
+
+  return createPortal(
+    <div className="flex-center fixed inset-0 z-[200] p-4 sm:p-10">
+      {/* Backdrop - click to close */}
+      <div ref={backdropRef} className="absolute inset-0 bg-black/80 backdrop-blur-sm" onClick={onClose} />
+
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        className="relative aspect-video w-full max-w-5xl overflow-hidden rounded-lg border border-white/20 bg-black shadow-2xl shadow-purple-500/20"
+      >
+        <h2 id={titleId} className="sr-only">
+          {t("trailer.title")}
+        </h2>
+
+        <VideoPlayer src={trailer.video} captions={trailer.captions} autoPlay active={open} />
+
+        <button
+          type="button"
+          aria-label={t("trailer.close")}
+          onClick={onClose}
+          className="flex-center absolute end-3 top-3 size-9 rounded-full bg-black/60 text-blue-50 transition-colors duration-300 hover:bg-violet-300 hover:text-black"
+        >
+          <FaTimes />
+        </button>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default TrailerModal;
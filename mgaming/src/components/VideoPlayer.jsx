@@ -0,0 +1,287 @@
+import { useEffect, useId, useRef, useState } from "react";
+import clsx from "clsx";
+import { FaCompress, FaExpand, FaPause, FaPlay, FaVolumeMute, FaVolumeUp } from "react-icons/fa";
+import { MdClosedCaption, MdClosedCaptionDisabled } from "react-icons/md";
+
+import MediaSource from "./MediaSource";
+import useI18n from "../hooks/useI18n";
+import { claimAudioFocus } from "../lib/audioFocus";
+import { publicUrl } from "../lib/media";
+
+/**
+ * Formats seconds as m:ss
+ * @param {number} seconds
+ */
+const formatTime = (seconds) => {
+  const total = Number.isFinite(seconds) ? Math.floor(seconds) : 0;
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// Controls fade out after this long without pointer movement while playing
+const idleDelay = 2500;
+
+/**
+ * Round control button in the site's style
+ */
+const ControlButton = ({ label, pressed, onClick, children }) => (
+  <button
+    type="button"
+    aria-label={label}
+    aria-pressed={pressed}
+    onClick={onClick}
+    className="flex-center size-9 shrink-0 rounded-full bg-white/10 text-blue-50 transition-colors duration-300 hover:bg-violet-300 hover:text-black focus-visible:outline focus-visible:outline-2 focus-visible:outline-violet-300"
+  >
+    {children}
+  </button>
+);
+
+/**
+ * VIDEO PLAYER
+ *
+ * Video with custom controls instead of the browser's:
+ * - play / pause, scrub bar with the elapsed and total time
+ * - mute and volume
+ * - captions from WebVTT files - the track matching the site language is
+ *   picked, falling back to the first one
+ * - fullscreen for the whole player, so the controls stay available
+ *
+ * Keyboard (while focus is inside the player): Space / K play-pause,
+ * ←/→ seek 5s, M mute, C captions, F fullscreen.
+ *
+ * Background music steps aside while it plays (lib/audioFocus.js).
+ *
+ * @param {string} src - Manifest key or file path inside public/
+ * @param {Array<{src: string, srclang: string, label: string}>} captions - WebVTT tracks
+ * @param {boolean} autoPlay - Start playing as soon as possible
+ * @param {boolean} active - Set to false to pause it (e.g. while its dialog closes)
+ * @param {string} className - Classes for the player container
+ */
+const VideoPlayer = ({ src, captions = [], autoPlay = false, active = true, className }) => {
+  const { t, locale } = useI18n();
+  const focusOwner = useId();
+
+  // ===== STATE MANAGEMENT =====
+
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [volume, setVolume] = useState(1);
+  const [isMuted, setIsMuted] = useState(false);
+  const [captionsOn, setCaptionsOn] = useState(false);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const [isIdle, setIsIdle] = useState(false); // Hide controls while watching
+
+  // ===== REFS =====
+
+  const containerRef = useRef(null);
+  const videoRef = useRef(null);
+  const idleTimerRef = useRef(null);
+
+  const video = () => (videoRef.current instanceof HTMLVideoElement ? videoRef.current : null);
+
+  // ===== CONTROLS =====
+
+  const togglePlay = () => {
+    const element = video();
+    if (!element) return;
+    if (element.paused) element.play().catch(() => {});
+    else element.pause();
+  };
+
+  const seek = (time) => {
+    const element = video();
+    if (!element || !Number.isFinite(element.duration)) return;
+    element.currentTime = Math.min(Math.max(time, 0), element.duration);
+  };
+
+  const toggleMute = () => {
+    const element = video();
+    if (!element) return;
+    element.muted = !element.muted;
+    // Unmuting at zero volume would still be silent
+    if (!element.muted && element.volume === 0) element.volume = 0.5;
+  };
+
+  const changeVolume = (value) => {
+    const element = video();
+    if (!element) return;
+    element.volume = value;
+    element.muted = value === 0;
+  };
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen?.();
+    } else if (containerRef.current.requestFullscreen) {
+      containerRef.current.requestFullscreen().catch(() => {});
+    } else {
+      // iOS Safari only lets the video itself go fullscreen
+      video()?.webkitEnterFullscreen?.();
+    }
+  };
+
+  /**
+   * Shows the controls and restarts the idle timer
+   */
+  const wake = () => {
+    setIsIdle(false);
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(() => setIsIdle(true), idleDelay);
+  };
+
+  const handleKeyDown = (e) => {
+    // Sliders and buttons keep their own arrow / space behaviour
+    const isControl = ["INPUT", "BUTTON"].includes(e.target.tagName);
+    const key = e.key.toLowerCase();
+    wake();
+
+    if ((key === " " && !isControl) || key === "k") togglePlay();
+    else if (key === "arrowright" && !isControl) seek(currentTime + 5);
+    else if (key === "arrowleft" && !isControl) seek(currentTime - 5);
+    else if (key === "m") toggleMute();
+    else if (key === "c" && captions.length) setCaptionsOn((on) => !on);
+    else if (key === "f") toggleFullscreen();
+    else return;
+
+    e.preventDefault();
+  };
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Show the caption track for the current language (or none)
+   */
+  useEffect(() => {
+    const element = videoRef.current;
+    if (!(element instanceof HTMLVideoElement)) return;
+    const tracks = [...element.textTracks];
+    const language = locale.split("-")[0];
+    const chosen = tracks.find((track) => track.language.split("-")[0] === language) || tracks[0];
+    tracks.forEach((track) => {
+      track.mode = captionsOn && track === chosen ? "showing" : "hidden";
+    });
+  }, [captionsOn, locale]);
+
+  /**
+   * EFFECT: Pause when the player is deactivated
+   */
+  useEffect(() => {
+    if (!active && videoRef.current instanceof HTMLVideoElement) videoRef.current.pause();
+  }, [active]);
+
+  /**
+   * EFFECT: Background music steps aside while the video plays
+   */
+  useEffect(() => {
+    if (!isPlaying) return;
+    return claimAudioFocus(`video-player${focusOwner}`);
+  }, [isPlaying, focusOwner]);
+
+  /**
+   * EFFECT: Track fullscreen changes (including Esc handled by the browser)
+   */
+  useEffect(() => {
+    const handleChange = () => setIsFullscreen(document.fullscreenElement === containerRef.current);
+    document.addEventListener("fullscreenchange", handleChange);
+    return () => document.removeEventListener("fullscreenchange", handleChange);
+  }, []);
+
+  // Clear the idle timer on unmount
+  useEffect(() => () => clearTimeout(idleTimerRef.current), []);
+
+  const controlsHidden = isPlaying && isIdle;
+
+  // ===== COMPONENT RENDER =====
+
+  return (
+    <div
+      ref={containerRef}
+      className={clsx("group relative size-full overflow-hidden bg-black", { "cursor-none": controlsHidden }, className)}
+      onPointerMove={wake}
+      onKeyDown={handleKeyDown}
+    >
+      <MediaSource
+        ref={videoRef}
+        media={src}
+        lazy={false}
+        autoPlay={autoPlay}
+        className="size-full object-contain"
+        onClick={togglePlay}
+        onPlay={() => {
+          setIsPlaying(true);
+          wake();
+        }}
+        onPause={() => setIsPlaying(false)}
+        onEnded={() => setIsPlaying(false)}
+        onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+        onLoadedMetadata={(e) => setDuration(e.currentTarget.duration)}
+        onDurationChange={(e) => setDuration(e.currentTarget.duration)}
+        onVolumeChange={(e) => {
+          setVolume(e.currentTarget.volume);
+          setIsMuted(e.currentTarget.muted);
+        }}
+      >
+        {captions.map((track) => (
+          <track key={track.src} kind="captions" src={publicUrl(track.src)} srcLang={track.srclang} label={track.label} />
+        ))}
+      </MediaSource>
+
+      {/* ===== CONTROL BAR ===== */}
+      <div
+        className={clsx(
+          "absolute inset-x-0 bottom-0 flex items-center gap-3 bg-gradient-to-t from-black/90 to-transparent px-4 pb-4 pt-10 transition-opacity duration-300 focus-within:opacity-100",
+          controlsHidden ? "opacity-0" : "opacity-100"
+        )}
+      >
+        <ControlButton label={isPlaying ? t("player.pause") : t("player.play")} onClick={togglePlay}>
+          {isPlaying ? <FaPause /> : <FaPlay className="ms-0.5" />}
+        </ControlButton>
+
+        {/* Scrub bar */}
+        <input
+          type="range"
+          min={0}
+          max={duration || 0}
+          step={0.1}
+          value={Math.min(currentTime, duration || 0)}
+          onChange={(e) => seek(Number(e.target.value))}
+          aria-label={t("player.seek")}
+          aria-valuetext={t("player.time", { current: formatTime(currentTime), duration: formatTime(duration) })}
+          className="h-1 min-w-0 flex-1 cursor-pointer accent-violet-300"
+        />
+
+        <span className="shrink-0 font-general text-[10px] uppercase tabular-nums text-blue-50" dir="ltr">
+          {formatTime(currentTime)} / {formatTime(duration)}
+        </span>
+
+        <ControlButton label={isMuted ? t("player.unmute") : t("player.mute")} onClick={toggleMute}>
+          {isMuted || volume === 0 ? <FaVolumeMute /> : <FaVolumeUp />}
+        </ControlButton>
+
+        <input
+          type="range"
+          min={0}
+          max={1}
+          step={0.05}
+          value={isMuted ? 0 : volume}
+          onChange={(e) => changeVolume(Number(e.target.value))}
+          aria-label={t("player.volume")}
+          aria-valuetext={`${Math.round((isMuted ? 0 : volume) * 100)}%`}
+          className="hidden h-1 w-20 cursor-pointer accent-violet-300 sm:block"
+        />
+
+        {captions.length > 0 && (
+          <ControlButton label={t("player.captions")} pressed={captionsOn} onClick={() => setCaptionsOn((on) => !on)}>
+            {captionsOn ? <MdClosedCaption className="text-lg" /> : <MdClosedCaptionDisabled className="text-lg" />}
+          </ControlButton>
+        )}
+
+        <ControlButton label={isFullscreen ? t("player.exitFullscreen") : t("player.fullscreen")} onClick={toggleFullscreen}>
+          {isFullscreen ? <FaCompress /> : <FaExpand />}
+        </ControlButton>
+      </div>
+    </div>
+  );
+};
+
+export default VideoPlayer;
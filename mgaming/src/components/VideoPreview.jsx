@@ -1,9 +1,12 @@
 import { gsap } from "gsap";
 import { useState, useRef, useEffect } from "react";
 
+import useMotion from "../hooks/useMotion";
+
 // VideoPreview component adds a 3D hover animation effect using GSAP
 export const VideoPreview = ({ children }) => {
   const [isHovering, setIsHovering] = useState(false); // Track if the mouse is hovering
+  const { fullMotion } = useMotion(); // Parallax only runs with full motion
 
   const sectionRef = useRef(null); // Ref to the outer section (container)
   const contentRef = useRef(null); // Ref to the inner content (for parallax effect)
@@ -16,7 +19,7 @@ export const VideoPreview = ({ children }) => {
     const xOffset = clientX - (rect.left + rect.width / 2);
     const yOffset = clientY - (rect.top + rect.height / 2);
 
-    if (isHovering) {
+    if (isHovering && fullMotion) {
       // Animate the container to follow mouse direction with rotation
       gsap.to(sectionRef.current, {
         x: xOffset, // Move horizontally
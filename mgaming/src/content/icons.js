@@ -0,0 +1,31 @@
+import {
+  FaDiscord,
+  FaEnvelope,
+  FaGamepad,
+  FaMapMarkerAlt,
+  FaMedium,
+  FaPhone,
+  FaTrophy,
+  FaTwitter,
+  FaUsers,
+  FaYoutube,
+} from "react-icons/fa";
+
+/**
+ * Icons that site content can reference by name.
+ * Keep in sync with `definitions.icon` in site.schema.json.
+ */
+const icons = {
+  FaDiscord,
+  FaEnvelope,
+  FaGamepad,
+  FaMapMarkerAlt,
+  FaMedium,
+  FaPhone,
+  FaTrophy,
+  FaTwitter,
+  FaUsers,
+  FaYoutube,
+};
+
+export default icons;
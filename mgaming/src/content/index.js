@@ -0,0 +1,134 @@
+import { mergeContent } from "./merge";
+import site from "./site.json";
+
+/**
+ * SITE CONTENT
+ *
+ * Single entry point for copy, links, media and stats. Edit site.json -
+ * not the components - to change what the sections display. The file is
+ * validated against site.schema.json at build time (plugins/siteContent.js),
+ * so a typo fails the build with a clear message instead of breaking a page.
+ *
+ * Icons are referenced by name and resolved with `<ContentIcon />`.
+ *
+ * Translations live in locales/<code>.json and only need the strings that
+ * differ - they are deep-merged over site.json (arrays item by item).
+ * Components read localized content through the `useSiteContent()` hook.
+ */
+
+/**
+ * @typedef {object} Captions
+ * @property {string} src - WebVTT file, relative to public/
+ * @property {string} srclang - Language of the cues (BCP 47)
+ * @property {string} label - Language name
+ */
+
+/**
+ * @typedef {object} AudioTrack
+ * @property {string} src - Audio file, relative to public/
+ * @property {string} [title] - Shown in the music panel
+ */
+
+/**
+ * @typedef {object} NavItem
+ * @property {string} label - Link text
+ * @property {string} href - Anchor or URL
+ */
+
+/**
+ * @typedef {object} Link
+ * @property {string} name - Link text
+ * @property {string} href - Anchor or URL
+ */
+
+/**
+ * @typedef {object} Product
+ * @property {string} id - Stable identifier (used for anchors and routes)
+ * @property {string} title - Display title, may contain <b> for the accent letter
+ * @property {string} description
+ * @property {string} [tagline] - One-line summary for the Products menu (falls back to description)
+ * @property {string} video - Background video, relative to public/
+ * @property {boolean} [comingSoon]
+ */
+
+/**
+ * @typedef {object} ContactMethod
+ * @property {string} icon - Icon name (see icons.js)
+ * @property {string} [iconClass] - Tailwind classes for the icon
+ * @property {string} title
+ * @property {string} description
+ * @property {string} value
+ * @property {string} href
+ * @property {string} [bgColor] - Tailwind gradient stops for the icon badge
+ */
+
+/**
+ * @typedef {object} Stat
+ * @property {string} icon
+ * @property {string} [iconClass]
+ * @property {string} number - Display value, e.g. "150+"
+ * @property {string} label
+ * @property {string} [href] - Page with the details
+ */
+
+/**
+ * @typedef {object} SocialLink
+ * @property {string} href
+ * @property {string} icon
+ * @property {string} label
+ * @property {string} [hoverColor] - Tailwind hover colour class
+ */
+
+/**
+ * @typedef {object} ContactInfo
+ * @property {string} icon
+ * @property {string} [iconClass]
+ * @property {string} text
+ * @property {string} href
+ */
+
+/**
+ * @typedef {object} LegalPage
+ * @property {string} id - Route id, the page lives at #/legal/{id}
+ * @property {string} title
+ * @property {string} updated - Date of the last revision (YYYY-MM-DD)
+ * @property {Array<{heading: string, body: string}>} sections
+ */
+
+/** @type {{ trailer: {video: string, captions?: Captions[]} }} */
+export const hero = site.hero;
+
+/** @type {{ playlist: AudioTrack[] }} */
+export const audio = site.audio;
+
+/** @type {{ items: NavItem[] }} */
+export const navigation = site.navigation;
+
+/** @type {{ intro: {title: string, description: string}, products: Product[], moreComingSoon: string, showcaseVideo: string }} */
+export const features = site.features;
+
+/** @type {{ methods: ContactMethod[], stats: Stat[] }} */
+export const contact = site.contact;
+
+/** @type {{ description: string, socialLinks: SocialLink[], links: Object<string, Link[]>, contactInfo: ContactInfo[] }} */
+export const footer = site.footer;
+
+/** @type {{ pages: LegalPage[] }} */
+export const legal = site.legal;
+
+// ===== LOCALIZATION =====
+
+const overrides = import.meta.glob("./locales/*.json", { eager: true, import: "default" });
+
+const localizedCache = {};
+
+/**
+ * @param {string} locale - Locale code
+ * @returns {object} - Site content with the locale's overrides applied
+ */
+export const getSiteContent = (locale) => {
+  localizedCache[locale] ??= mergeContent(site, overrides[`./locales/${locale}.json`]);
+  return localizedCache[locale];
+};
+
+export default site;
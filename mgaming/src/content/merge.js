@@ -0,0 +1,43 @@
+/**
+ * Helpers for locale content overrides. Plain JS with no browser or Vite
+ * APIs, so the build-time validator (plugins/siteContent.js) shares them.
+ */
+
+/**
+ * Deep-merges `override` into `base`; arrays are merged index by index so a
+ * translation can replace one label without repeating the whole list.
+ * Keys that don't exist in `base` are ignored - see `findUnknownPaths`.
+ *
+ * @param {any} base - English content
+ * @param {any} override - Partial content for a locale
+ * @returns {any} - New merged value
+ */
+export const mergeContent = (base, override) => {
+  if (override === undefined) return base;
+  if (Array.isArray(base)) return base.map((item, index) => mergeContent(item, override[index]));
+  if (base && typeof base === "object") {
+    return Object.fromEntries(
+      Object.entries(base).map(([key, value]) => [key, mergeContent(value, override[key])])
+    );
+  }
+  return override;
+};
+
+/**
+ * Lists override paths that have no counterpart in `base` (usually typos)
+ *
+ * @param {any} base
+ * @param {any} override
+ * @param {string} path - JSON pointer of the current node
+ * @returns {string[]}
+ */
+export const findUnknownPaths = (base, override, path = "") => {
+  if (!override || typeof override !== "object") return [];
+  if (!base || typeof base !== "object") return [path || "(root)"];
+
+  return Object.keys(override).flatMap((key) =>
+    key in base || key === "$schema"
+      ? findUnknownPaths(base[key], override[key], `${path}/${key}`)
+      : [`${path}/${key}`]
+  );
+};
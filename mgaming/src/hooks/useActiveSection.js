@@ -0,0 +1,19 @@
+import { useSyncExternalStore } from "react";
+
+import { getActiveSections, subscribeActiveSections } from "../lib/sections";
+
+/**
+ * useActiveSection - The section the reader is in, for scroll-spy
+ * With `candidates` only those ids count: inside the Vault, a menu listing
+ * "vault" and "nexus" gets "nexus" on the Nexus card and "vault" elsewhere.
+ *
+ * @param {string[]} [candidates] - Ids to choose from (e.g. the menu's anchors)
+ * @returns {string|null} - The most specific matching section in view
+ */
+const useActiveSection = (candidates) => {
+  const active = useSyncExternalStore(subscribeActiveSections, getActiveSections);
+  const matching = candidates ? active.filter((id) => candidates.includes(id)) : active;
+  return matching[matching.length - 1] ?? null;
+};
+
+export default useActiveSection;
@@ -0,0 +1,68 @@
+import { useEffect } from "react";
+
+import useMotion from "./useMotion";
+import { heroPreload } from "../lib/preload";
+import { getSection, scrollToSection } from "../lib/sections";
+import { decodeUriComponent } from "../lib/uri";
+
+/**
+ * @param {string} hash - e.g. "#about"
+ * @returns {string|null} - The section id, when the page has one by that name
+ */
+const sectionFromHash = (hash) => {
+  if (!hash || hash === "#") return null;
+  const id = decodeUriComponent(hash.slice(1));
+  return getSection(id) ? id : null;
+};
+
+/**
+ * useAnchorNavigation - Smooth, navbar-aware scrolling for in-page links
+ * Render once, near the root.
+ *
+ * - clicks on `<a href="#id">` anywhere on the page scroll to the section
+ *   (lib/sections.js) instead of jumping; links to ids that don't exist,
+ *   and modified clicks, are left to the browser
+ * - a hash in the URL on arrival is honoured again once the first screen
+ *   is ready - the browser's own jump happens before pins add their height
+ *
+ * Reduced motion jumps instead of animating.
+ */
+const useAnchorNavigation = () => {
+  const { reducedMotion } = useMotion();
+
+  /**
+   * EFFECT: Take over in-page link clicks
+   */
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+      const link = e.target.closest?.('a[href^="#"]');
+      const id = link && sectionFromHash(link.getAttribute("href"));
+      if (!id) return;
+
+      e.preventDefault();
+      scrollToSection(id, { smooth: !reducedMotion });
+    };
+
+    document.addEventListener("click", handleClick);
+    return () => document.removeEventListener("click", handleClick);
+  }, [reducedMotion]);
+
+  /**
+   * EFFECT: Land on the linked section after the loading screen
+   */
+  useEffect(() => {
+    let cancelled = false;
+    heroPreload.whenReady().then(() => {
+      const id = sectionFromHash(window.location.hash);
+      // Wait a frame so ScrollTriggers created on ready are in place
+      if (id) requestAnimationFrame(() => !cancelled && scrollToSection(id, { smooth: false, focus: false }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+};
+
+export default useAnchorNavigation;
@@ -0,0 +1,17 @@
+import { useContext } from "react";
+
+import AuthContext from "../auth/AuthContext";
+
+/**
+ * useAuth - The signed-in player and the account actions
+ * Must be rendered inside <AuthProvider>.
+ *
+ * @returns {{user: object|null, signedIn: boolean, signIn: Function, signUp: Function, signOut: Function, updateProfile: Function, getAccessToken: Function, withAccessToken: Function}}
+ */
+const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error("useAuth must be used inside <AuthProvider>.");
+  return context;
+};
+
+export default useAuth;
@@ -0,0 +1,22 @@
+import { useSyncExternalStore } from "react";
+
+import { backgroundMusic } from "../lib/audioEngine";
+
+/**
+ * useBackgroundMusic - State and controls of the navbar music
+ *
+ * @returns {{muted: boolean, volume: number, playing: boolean, blocked: boolean, trackIndex: number, focus: "pause"|"duck"|null, toggle: Function, setVolume: Function, next: Function, previous: Function, getLevels: Function}}
+ */
+const useBackgroundMusic = () => {
+  const state = useSyncExternalStore(backgroundMusic.subscribe, backgroundMusic.getSnapshot);
+  return {
+    ...state,
+    toggle: backgroundMusic.toggle,
+    setVolume: backgroundMusic.setVolume,
+    next: backgroundMusic.next,
+    previous: backgroundMusic.previous,
+    getLevels: backgroundMusic.getLevels,
+  };
+};
+
+export default useBackgroundMusic;
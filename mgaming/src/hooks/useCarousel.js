@@ -0,0 +1,92 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * useCarousel - Index state for a looping carousel with optional autoplay
+ *
+ * - `next` / `previous` wrap around, `goTo` jumps to any slide
+ * - Autoplay advances every `interval` ms unless something paused it;
+ *   pauses are tracked per reason ("hover", "hidden", "user"...) so one
+ *   source resuming doesn't cancel another's pause
+ * - Autoplay pauses by itself while the tab is hidden
+ * - The countdown restarts whenever the slide changes
+ * - `hasMoved` turns true with the first slide change, in the same render
+ *
+ * @param {object} options
+ * @param {number} options.count - Number of slides
+ * @param {number} options.initialIndex - Zero-based starting slide
+ * @param {boolean} options.autoplay - Advance automatically
+ * @param {number} options.interval - Time per slide while autoplaying (ms)
+ * @returns {{index: number, hasMoved: boolean, next: Function, previous: Function, goTo: Function, pause: Function, resume: Function, isPlaying: boolean, pausedBy: string[]}}
+ */
+const useCarousel = ({ count, initialIndex = 0, autoplay = false, interval = 8000 }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const [{ index, hasMoved }, setPosition] = useState(() => ({
+    index: Math.min(Math.max(initialIndex, 0), count - 1),
+    hasMoved: false,
+  }));
+  const [pausedBy, setPausedBy] = useState([]);
+
+  const isPlaying = autoplay && pausedBy.length === 0;
+
+  // ===== NAVIGATION =====
+
+  /**
+   * @param {(current: number) => number} getIndex - Computes the new slide from the current one
+   */
+  const move = useCallback(
+    (getIndex) =>
+      setPosition((position) => {
+        const target = ((getIndex(position.index) % count) + count) % count;
+        return target === position.index ? position : { index: target, hasMoved: true };
+      }),
+    [count]
+  );
+
+  const goTo = useCallback((target) => move(() => target), [move]);
+  const next = useCallback(() => move((current) => current + 1), [move]);
+  const previous = useCallback(() => move((current) => current - 1), [move]);
+
+  // ===== AUTOPLAY CONTROL =====
+
+  /**
+   * @param {string} reason - Who asked for the pause
+   */
+  const pause = useCallback(
+    (reason) => setPausedBy((reasons) => (reasons.includes(reason) ? reasons : [...reasons, reason])),
+    []
+  );
+
+  /**
+   * @param {string} reason - Same reason passed to `pause`
+   */
+  const resume = useCallback(
+    (reason) => setPausedBy((reasons) => (reasons.includes(reason) ? reasons.filter((item) => item !== reason) : reasons)),
+    []
+  );
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Advance after `interval` while playing; restarts on every slide change
+   */
+  useEffect(() => {
+    if (!isPlaying || count < 2) return;
+    const timer = setTimeout(next, interval);
+    return () => clearTimeout(timer);
+  }, [isPlaying, index, interval, count, next]);
+
+  /**
+   * EFFECT: Pause while the tab is in the background
+   */
+  useEffect(() => {
+    const handleVisibility = () => (document.hidden ? pause("hidden") : resume("hidden"));
+    handleVisibility();
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => document.removeEventListener("visibilitychange", handleVisibility);
+  }, [pause, resume]);
+
+  return { index, hasMoved, next, previous, goTo, pause, resume, isPlaying, pausedBy };
+};
+
+export default useCarousel;
@@ -0,0 +1,21 @@
+import { useEffect } from "react";
+
+// The title in index.html - pages are named in front of it
+const siteTitle = typeof document === "undefined" ? "" : document.title;
+
+/**
+ * useDocumentTitle - Names the page in the browser tab and history
+ * Screen readers announce it after a route change, too.
+ *
+ * @param {string} [title] - Page name; the site title alone when empty
+ */
+const useDocumentTitle = (title) => {
+  useEffect(() => {
+    document.title = title ? `${title} | ${siteTitle}` : siteTitle;
+    return () => {
+      document.title = siteTitle;
+    };
+  }, [title]);
+};
+
+export default useDocumentTitle;
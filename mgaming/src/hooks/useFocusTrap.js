@@ -0,0 +1,79 @@
+import { useEffect } from "react";
+
+const focusableSelector = [
+  "a[href]",
+  "area[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "video[controls]",
+  "[tabindex]:not([tabindex='-1'])",
+  "[contenteditable='true']",
+].join(",");
+
+// Active traps, innermost last - only that one handles Tab
+const traps = [];
+
+/**
+ * Focusable elements inside a container, in tab order
+ * @param {Element} container
+ * @returns {HTMLElement[]}
+ */
+export const getFocusable = (container) =>
+  [...container.querySelectorAll(focusableSelector)].filter(
+    (element) => !element.closest("[inert]") && element.getClientRects().length > 0
+  );
+
+/**
+ * useFocusTrap - Keeps Tab / Shift+Tab inside a dialog while it is open
+ * Focuses `initialFocus` (or the first focusable element) on activation and
+ * gives focus back to whatever had it before on deactivation.
+ * Traps nest: a sheet opened from a menu takes over until it closes.
+ *
+ * @param {React.RefObject<HTMLElement>} ref - Dialog container
+ * @param {boolean} active - Trap is on
+ * @param {object} options
+ * @param {React.RefObject<HTMLElement>} options.initialFocus - Element to focus first
+ * @param {boolean} options.restoreFocus - Return focus to the previous element when done
+ */
+const useFocusTrap = (ref, active, { initialFocus, restoreFocus = true } = {}) => {
+  useEffect(() => {
+    const container = ref.current;
+    if (!active || !container) return;
+
+    const previous = document.activeElement;
+    traps.push(container);
+    (initialFocus?.current || getFocusable(container)[0] || container).focus({ preventScroll: true });
+
+    const handleKeyDown = (e) => {
+      if (e.key !== "Tab" || traps[traps.length - 1] !== container) return;
+
+      const focusable = getFocusable(container);
+      if (!focusable.length) {
+        e.preventDefault();
+        container.focus();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      traps.splice(traps.indexOf(container), 1);
+      if (restoreFocus && previous instanceof HTMLElement) previous.focus({ preventScroll: true });
+    };
+  }, [ref, active, initialFocus, restoreFocus]);
+};
+
+export default useFocusTrap;
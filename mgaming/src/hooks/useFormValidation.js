@@ -0,0 +1,121 @@
+import { useCallback, useRef, useState } from "react";
+
+import useI18n from "./useI18n";
+import { validateField, validateForm } from "../lib/validation";
+
+/**
+ * useFormValidation - Controlled form state driven by a validation schema
+ *
+ * - Fields are validated on blur and again on submit
+ * - Once a field shows an error it re-validates while the user types,
+ *   so the message disappears as soon as the input is fixed
+ * - `getFieldProps` wires value, handlers, ref and the aria attributes
+ *   (`aria-invalid`, `aria-describedby`) for an input in one spread
+ * - Messages are translated into the active locale
+ *
+ * @param {object} schema - Field name to rules (see lib/validation.js)
+ * @param {object} options
+ * @param {string} options.idPrefix - Prefix for input / error element ids
+ * @param {object} options.initialValues - Starting values, e.g. a profile being edited (read on mount)
+ * @returns {object} - Form state and helpers
+ */
+const useFormValidation = (schema, { idPrefix = "", initialValues } = {}) => {
+  const { t } = useI18n();
+
+  // ===== STATE MANAGEMENT =====
+
+  const emptyValues = () => Object.fromEntries(Object.keys(schema).map((name) => [name, initialValues?.[name] ?? ""]));
+
+  const [values, setValues] = useState(emptyValues);
+  const [errors, setErrors] = useState({}); // Field name to message, only for visible errors
+
+  // Input elements by field name, used to move focus to the first invalid one
+  const fieldRefs = useRef({});
+
+  // ===== HELPERS =====
+
+  const fieldId = (name) => `${idPrefix}${name}`;
+  const errorId = (name) => `${fieldId(name)}-error`;
+
+  const setFieldError = useCallback((name, error) => {
+    setErrors((prev) => {
+      if ((prev[name] || null) === error) return prev;
+      const next = { ...prev };
+      if (error) next[name] = error;
+      else delete next[name];
+      return next;
+    });
+  }, []);
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Updates the field value; re-validates only fields already showing an error
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) setFieldError(name, validateField(schema[name], value, t));
+  };
+
+  /**
+   * Validates the field the user just left
+   * @param {Event} e - Input blur event
+   */
+  const handleBlur = (e) => {
+    const { name, value } = e.target;
+    // Leaving an untouched empty field shouldn't shout at the user
+    if (!value && !errors[name]) return;
+    setFieldError(name, validateField(schema[name], value, t));
+  };
+
+  // ===== FORM-LEVEL API =====
+
+  /**
+   * Validates every field, shows all errors and focuses the first invalid input
+   * @returns {{isValid: boolean, values: object}} - Normalised (trimmed) values
+   */
+  const validateAll = () => {
+    const result = validateForm(schema, values, t);
+    setErrors(result.errors);
+
+    if (!result.isValid) {
+      // Schema order matches the visual order of the inputs
+      const firstInvalid = Object.keys(schema).find((name) => result.errors[name]);
+      fieldRefs.current[firstInvalid]?.focus();
+    }
+
+    return { isValid: result.isValid, values: result.values };
+  };
+
+  /**
+   * Clears values and errors - back to `initialValues`, if given
+   */
+  const reset = () => {
+    setValues(emptyValues());
+    setErrors({});
+  };
+
+  /**
+   * Props to spread on an input / textarea
+   * @param {string} name - Field name from the schema
+   */
+  const getFieldProps = (name) => ({
+    id: fieldId(name),
+    name,
+    value: values[name],
+    onChange: handleChange,
+    onBlur: handleBlur,
+    ref: (element) => {
+      fieldRefs.current[name] = element;
+    },
+    "aria-required": schema[name].required || undefined,
+    "aria-invalid": errors[name] ? true : undefined,
+    "aria-describedby": errors[name] ? errorId(name) : undefined,
+  });
+
+  return { values, errors, getFieldProps, errorId, validateAll, reset, setFieldError };
+};
+
+export default useFormValidation;
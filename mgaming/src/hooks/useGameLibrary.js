@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { queryGameCatalog } from "../lib/gameCatalog";
+import { serializeGameFilters } from "../lib/gameQuery";
+
+/**
+ * useGameLibrary - Games matching the filters, a page at a time
+ *
+ * The first page loads whenever the filters change; `loadMore()` appends
+ * the next one (infinite scroll). While new filters load, the previous
+ * results stay on screen with `status` "loading". Answers to outdated
+ * requests are dropped.
+ *
+ * @param {object} filters - See lib/gameQuery.js
+ * @param {object} options
+ * @param {number} options.pageSize - Games per request
+ * @returns {{items: Array<object>, total: number, facets: object|null, status: "loading"|"ready"|"error", loadingMore: boolean, hasMore: boolean, error: Error|null, loadMore: () => void, retry: () => void}}
+ */
+const useGameLibrary = (filters, { pageSize = 24 } = {}) => {
+  const [state, setState] = useState({
+    items: [],
+    total: 0,
+    facets: null,
+    status: "loading",
+    loadingMore: false,
+    error: null,
+  });
+  const [attempt, setAttempt] = useState(0);
+
+  const requestRef = useRef(0); // Id of the latest request - older answers are ignored
+  const filtersRef = useRef(filters);
+  const key = serializeGameFilters(filters).toString();
+
+  useEffect(() => {
+    filtersRef.current = filters;
+  });
+
+  /**
+   * EFFECT: First page for new filters
+   */
+  useEffect(() => {
+    const request = (requestRef.current += 1);
+    setState((current) => ({ ...current, status: "loading", loadingMore: false, error: null }));
+
+    queryGameCatalog(filtersRef.current, { offset: 0, limit: pageSize })
+      .then(({ items, total, facets }) => {
+        if (request !== requestRef.current) return;
+        setState({ items, total, facets, status: "ready", loadingMore: false, error: null });
+      })
+      .catch((error) => {
+        if (request !== requestRef.current) return;
+        setState((current) => ({ ...current, status: "error", error }));
+      });
+  }, [key, pageSize, attempt]);
+
+  const { items, total, status, loadingMore } = state;
+  const hasMore = status === "ready" && items.length < total;
+
+  /**
+   * Appends the next page
+   */
+  const loadMore = useCallback(() => {
+    if (!hasMore || loadingMore) return;
+
+    const request = (requestRef.current += 1);
+    setState((current) => ({ ...current, loadingMore: true }));
+
+    queryGameCatalog(filtersRef.current, { offset: items.length, limit: pageSize })
+      .then((page) => {
+        if (request !== requestRef.current) return;
+        setState((current) => ({
+          ...current,
+          items: [...current.items, ...page.items],
+          total: page.total,
+          loadingMore: false,
+        }));
+      })
+      .catch((error) => {
+        if (request !== requestRef.current) return;
+        setState((current) => ({ ...current, status: "error", loadingMore: false, error }));
+      });
+  }, [hasMore, loadingMore, items.length, pageSize]);
+
+  const retry = useCallback(() => setAttempt((count) => count + 1), []);
+
+  return { ...state, hasMore, loadMore, retry };
+};
+
+export default useGameLibrary;
@@ -0,0 +1,17 @@
+import { useContext } from "react";
+
+import I18nContext from "../i18n/I18nContext";
+
+/**
+ * useI18n - Access the active locale and the `t()` translator
+ * Must be rendered inside <I18nProvider>.
+ *
+ * @returns {{locale: string, dir: "ltr"|"rtl", locales: Array, setLocale: Function, t: Function}}
+ */
+const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error("useI18n must be used inside <I18nProvider>.");
+  return context;
+};
+
+export default useI18n;
@@ -0,0 +1,39 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useInView - Whether an element is on (or near) the screen
+ *
+ * @param {React.RefObject<Element>} ref - Element to watch
+ * @param {object} options
+ * @param {string} options.rootMargin - Grow or shrink the viewport, e.g. "200px" to know a little early
+ * @param {boolean} options.once - Stop watching after the first time it is in view
+ * @returns {boolean|null} - null until the first observation
+ */
+const useInView = (ref, { rootMargin = "0px", once = false } = {}) => {
+  const [inView, setInView] = useState(null);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+
+    // Without IntersectionObserver everything counts as visible
+    if (typeof IntersectionObserver === "undefined") {
+      setInView(true);
+      return;
+    }
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        setInView(entry.isIntersecting);
+        if (once && entry.isIntersecting) observer.disconnect();
+      },
+      { rootMargin }
+    );
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [ref, rootMargin, once]);
+
+  return inView;
+};
+
+export default useInView;
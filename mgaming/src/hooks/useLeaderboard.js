@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { queryLeaderboard, subscribeToLeaderboards } from "../lib/leaderboardService";
+
+/**
+ * useLeaderboard - One page of a leaderboard, kept up to date live
+ *
+ * The page loads whenever the board, page or search changes; while it
+ * does, the previous rows stay on screen with `status` "loading". Live
+ * updates newer than the rows on screen reload the page quietly, calling
+ * `onBeforeUpdate` just before the new rows render - the moment to measure
+ * the old ones for an animation. Answers to outdated requests are dropped.
+ *
+ * @param {string} board - Board id
+ * @param {object} options
+ * @param {number} options.page - 1-based
+ * @param {number} options.pageSize - Rows per page
+ * @param {string} options.q - Gamertag search
+ * @param {() => void} options.onBeforeUpdate - Called before live changes render
+ * @returns {{board: object|null, items: Array<object>, total: number, updatedAt: string|null, status: "loading"|"ready"|"missing"|"error", error: Error|null, live: "connecting"|"live"|"polling"|"offline", retry: () => void}}
+ */
+const useLeaderboard = (board, { page = 1, pageSize = 25, q = "", onBeforeUpdate } = {}) => {
+  const [state, setState] = useState({
+    board: null,
+    items: [],
+    total: 0,
+    updatedAt: null,
+    status: "loading",
+    error: null,
+  });
+  const [live, setLive] = useState("connecting");
+  const [attempt, setAttempt] = useState(0);
+
+  const requestRef = useRef(0); // Id of the latest request - older answers are ignored
+  const updatedAtRef = useRef(null); // Age of the rows on screen
+  const onBeforeUpdateRef = useRef(onBeforeUpdate);
+  const boardRef = useRef(board);
+
+  useEffect(() => {
+    onBeforeUpdateRef.current = onBeforeUpdate;
+    boardRef.current = board;
+  });
+
+  /**
+   * Loads the page
+   * @param {boolean} quiet - A live refresh: no loading state, errors are left for the next update
+   */
+  const load = useCallback(
+    (quiet) => {
+      const request = (requestRef.current += 1);
+      if (!quiet) setState((current) => ({ ...current, status: "loading", error: null }));
+
+      queryLeaderboard(board, { offset: (page - 1) * pageSize, limit: pageSize, q })
+        .then((result) => {
+          if (request !== requestRef.current) return;
+          if (!result) {
+            setState((current) => ({ ...current, items: [], total: 0, status: "missing" }));
+            return;
+          }
+          updatedAtRef.current = result.updatedAt;
+          if (quiet) onBeforeUpdateRef.current?.();
+          setState({ ...result, status: "ready", error: null });
+        })
+        .catch((error) => {
+          if (request !== requestRef.current || quiet) return;
+          setState((current) => ({ ...current, status: "error", error }));
+        });
+    },
+    [board, page, pageSize, q]
+  );
+
+  /**
+   * EFFECT: Load the page when the board, page or search change
+   */
+  useEffect(() => {
+    load(false);
+  }, [load, attempt]);
+
+  const loadRef = useRef(load);
+  useEffect(() => {
+    loadRef.current = load;
+  });
+
+  /**
+   * EFFECT: Live updates
+   * One subscription for the component's lifetime; updates for other
+   * boards, or no newer than the rows on screen, are skipped
+   */
+  useEffect(
+    () =>
+      subscribeToLeaderboards(({ updatedAt, boards }) => {
+        const known = updatedAtRef.current;
+        if (!known || Date.parse(updatedAt) <= Date.parse(known)) return;
+        if (boards && !boards.includes(boardRef.current)) return;
+        loadRef.current(true);
+      }, setLive),
+    []
+  );
+
+  const retry = useCallback(() => setAttempt((count) => count + 1), []);
+
+  return { ...state, live, retry };
+};
+
+export default useLeaderboard;
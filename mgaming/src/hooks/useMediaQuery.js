@@ -0,0 +1,22 @@
+import { useCallback, useSyncExternalStore } from "react";
+
+/**
+ * useMediaQuery - Whether a CSS media query matches, kept up to date
+ *
+ * @param {string} query - e.g. "(hover: none)"
+ * @returns {boolean}
+ */
+const useMediaQuery = (query) => {
+  const subscribe = useCallback(
+    (onChange) => {
+      const list = window.matchMedia(query);
+      list.addEventListener("change", onChange);
+      return () => list.removeEventListener("change", onChange);
+    },
+    [query]
+  );
+
+  return useSyncExternalStore(subscribe, () => window.matchMedia(query).matches);
+};
+
+export default useMediaQuery;
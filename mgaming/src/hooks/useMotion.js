@@ -0,0 +1,17 @@
+import { useContext } from "react";
+
+import MotionContext from "../motion/MotionContext";
+
+/**
+ * useMotion - How much animation to run
+ * Must be rendered inside <MotionProvider>.
+ *
+ * @returns {{mode: "full"|"lite"|"reduced", fullMotion: boolean, reducedMotion: boolean, preference: string, setPreference: Function, systemReduced: boolean, lowEndReason: string|null}}
+ */
+const useMotion = () => {
+  const context = useContext(MotionContext);
+  if (!context) throw new Error("useMotion must be used inside <MotionProvider>.");
+  return context;
+};
+
+export default useMotion;
@@ -0,0 +1,29 @@
+import { useSyncExternalStore } from "react";
+
+// One clock for the whole page: a single timer however many countdowns are shown
+const listeners = new Set();
+let timer = null;
+
+const subscribe = (onTick) => {
+  listeners.add(onTick);
+  timer ??= setInterval(() => listeners.forEach((listener) => listener()), 1000);
+  return () => {
+    listeners.delete(onTick);
+    if (!listeners.size) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+};
+
+// Whole seconds, so the value only changes once per tick
+const getSnapshot = () => Math.floor(Date.now() / 1000) * 1000;
+
+/**
+ * useNow - The current time, updated every second
+ *
+ * @returns {number} - Timestamp (ms), rounded down to the second
+ */
+const useNow = () => useSyncExternalStore(subscribe, getSnapshot);
+
+export default useNow;
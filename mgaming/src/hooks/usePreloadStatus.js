@@ -0,0 +1,19 @@
+import { useSyncExternalStore } from "react";
+
+import { heroPreload } from "../lib/preload";
+
+/**
+ * usePreloadStatus - Progress of the hero loading screen
+ * Sections can hold back heavy work (videos, pinned scroll effects) until
+ * `ready` so they don't compete with the first screen.
+ *
+ * `ready` is true once everything loaded, failed, or the wait timed out.
+ *
+ * @returns {{status: "idle"|"loading"|"ready"|"timeout", progress: number, ready: boolean, errors: Array<{id: string, error: any}>}}
+ */
+const usePreloadStatus = () => {
+  const snapshot = useSyncExternalStore(heroPreload.subscribe, heroPreload.getSnapshot);
+  return { ...snapshot, ready: snapshot.status === "ready" || snapshot.status === "timeout" };
+};
+
+export default usePreloadStatus;
@@ -0,0 +1,17 @@
+import { useContext } from "react";
+
+import RouterContext from "../router/RouterContext";
+
+/**
+ * useRouter - The current page and a way to change it
+ * Must be rendered inside <RouterProvider>.
+ *
+ * @returns {{path: string, section: string|null, key: string, route: object, params: Object<string, string>, navigate: Function}}
+ */
+const useRouter = () => {
+  const context = useContext(RouterContext);
+  if (!context) throw new Error("useRouter must be used inside <RouterProvider>.");
+  return context;
+};
+
+export default useRouter;
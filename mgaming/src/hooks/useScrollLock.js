@@ -0,0 +1,42 @@
+import { useEffect } from "react";
+
+// Open locks - nested dialogs each hold one, the page scrolls again when all are gone
+let locks = 0;
+let saved = null;
+
+const lock = () => {
+  locks += 1;
+  if (locks > 1) return;
+
+  const root = document.documentElement;
+  // Keep the layout from jumping when the scrollbar disappears
+  const scrollbarWidth = window.innerWidth - root.clientWidth;
+  saved = { overflow: root.style.overflow, paddingRight: root.style.paddingRight };
+  root.style.overflow = "hidden";
+  if (scrollbarWidth > 0) root.style.paddingRight = `${scrollbarWidth}px`;
+};
+
+const unlock = () => {
+  locks = Math.max(locks - 1, 0);
+  if (locks > 0 || !saved) return;
+
+  const root = document.documentElement;
+  root.style.overflow = saved.overflow;
+  root.style.paddingRight = saved.paddingRight;
+  saved = null;
+};
+
+/**
+ * useScrollLock - Stops the page scrolling behind an open dialog or menu
+ *
+ * @param {boolean} active - Lock is held
+ */
+const useScrollLock = (active) => {
+  useEffect(() => {
+    if (!active) return;
+    lock();
+    return unlock;
+  }, [active]);
+};
+
+export default useScrollLock;
@@ -0,0 +1,25 @@
+import { useCallback, useRef } from "react";
+
+import { registerSection } from "../lib/sections";
+
+/**
+ * useSection - Registers an element as a page section (lib/sections.js)
+ * Anchored scrolling and the navbar's scroll-spy know it from then on.
+ * Keep the element's `id` attribute as well, for browsers without JS.
+ *
+ * @param {string} [id] - Anchor id; nothing is registered without one
+ * @returns {(element: Element|null) => void} - Ref callback for the section
+ */
+const useSection = (id) => {
+  const unregisterRef = useRef(null);
+
+  return useCallback(
+    (element) => {
+      unregisterRef.current?.();
+      unregisterRef.current = id && element ? registerSection(id, element) : null;
+    },
+    [id]
+  );
+};
+
+export default useSection;
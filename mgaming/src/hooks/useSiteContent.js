@@ -0,0 +1,17 @@
+import { useMemo } from "react";
+
+import useI18n from "./useI18n";
+import { getSiteContent } from "../content";
+
+/**
+ * useSiteContent - Site content for the active locale
+ * English content with the locale's overrides applied on top.
+ *
+ * @returns {object} - Same shape as src/content/site.json
+ */
+const useSiteContent = () => {
+  const { locale } = useI18n();
+  return useMemo(() => getSiteContent(locale), [locale]);
+};
+
+export default useSiteContent;
@@ -0,0 +1,64 @@
+import { useMemo, useRef, useState } from "react";
+
+import {
+  checkHoneypot,
+  checkSubmitTiming,
+  createRateLimiter,
+  powDifficulty,
+  solveProofOfWork,
+} from "../lib/antiSpam";
+
+/**
+ * useSpamGuard - Bundles the anti-spam checks for one form
+ *
+ * @param {string} formKey - Identifies the form (used for the rate limit key)
+ * @param {object} options
+ * @param {number} options.minDuration - Minimum time between mount and submit (ms)
+ * @param {number} options.limit - Submissions allowed per window
+ * @param {number} options.windowMs - Rate limit window (ms)
+ * @param {number} options.difficulty - Proof-of-work difficulty (defaults to VITE_SPAM_POW_DIFFICULTY)
+ * @returns {{honeypotProps: object, guard: Function, markSubmitted: Function}}
+ */
+const useSpamGuard = (
+  formKey,
+  { minDuration = 3000, limit = 3, windowMs = 10 * 60 * 1000, difficulty = powDifficulty } = {}
+) => {
+  const [honeypot, setHoneypot] = useState("");
+
+  // Reset after every successful submission so each message is timed separately
+  const startedAtRef = useRef(Date.now());
+
+  const limiter = useMemo(
+    () => createRateLimiter({ key: `mgaming:rate-limit:${formKey}`, limit, windowMs }),
+    [formKey, limit, windowMs]
+  );
+
+  /**
+   * Runs every check in order of cost
+   * @returns {Promise<object|null>} - Proof of work to send along, if enabled
+   * @throws {SpamError}
+   */
+  const guard = async () => {
+    checkHoneypot(honeypot);
+    checkSubmitTiming(startedAtRef.current, minDuration);
+    limiter.check();
+    return solveProofOfWork(difficulty);
+  };
+
+  /**
+   * Records a successful submission
+   */
+  const markSubmitted = () => {
+    limiter.record();
+    startedAtRef.current = Date.now();
+  };
+
+  const honeypotProps = {
+    value: honeypot,
+    onChange: (e) => setHoneypot(e.target.value),
+  };
+
+  return { honeypotProps, guard, markSubmitted };
+};
+
+export default useSpamGuard;
@@ -0,0 +1,38 @@
+import { useRef } from "react";
+
+/**
+ * useSwipe - Horizontal swipe detection for touch devices
+ * Mostly vertical gestures are ignored so page scrolling keeps working.
+ *
+ * @param {object} handlers
+ * @param {Function} handlers.onSwipeLeft - Finger moved right to left
+ * @param {Function} handlers.onSwipeRight - Finger moved left to right
+ * @param {number} threshold - Minimum horizontal distance (px)
+ * @returns {{onTouchStart: Function, onTouchEnd: Function}} - Props for the swipe area
+ */
+const useSwipe = ({ onSwipeLeft, onSwipeRight }, threshold = 50) => {
+  const startRef = useRef(null);
+
+  const onTouchStart = (e) => {
+    const touch = e.touches[0];
+    startRef.current = { x: touch.clientX, y: touch.clientY };
+  };
+
+  const onTouchEnd = (e) => {
+    const start = startRef.current;
+    startRef.current = null;
+    if (!start) return;
+
+    const touch = e.changedTouches[0];
+    const deltaX = touch.clientX - start.x;
+    const deltaY = touch.clientY - start.y;
+    if (Math.abs(deltaX) < threshold || Math.abs(deltaX) < Math.abs(deltaY)) return;
+
+    if (deltaX < 0) onSwipeLeft?.();
+    else onSwipeRight?.();
+  };
+
+  return { onTouchStart, onTouchEnd };
+};
+
+export default useSwipe;
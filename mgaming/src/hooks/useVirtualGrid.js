@@ -0,0 +1,66 @@
+import { useLayoutEffect, useState } from "react";
+
+/**
+ * useVirtualGrid - Which rows of a long grid are near the screen
+ *
+ * For grids with fixed-height rows inside the scrolling page: render only
+ * rows `start` to `end` (exclusive), each `rowHeight` below the previous,
+ * in a container `height` tall. The range follows scrolling, resizing and
+ * layout changes above the grid (filters opening, images loading).
+ *
+ * @param {React.RefObject<HTMLElement>} ref - The grid container
+ * @param {object} options
+ * @param {number} options.count - Items in the grid
+ * @param {number} options.columns - Items per row
+ * @param {number} options.rowHeight - Row height plus the gap below it (px)
+ * @param {number} options.overscan - Rows kept rendered beyond each edge of the screen
+ * @returns {{rows: number, start: number, end: number, height: number}}
+ */
+const useVirtualGrid = (ref, { count, columns, rowHeight, overscan = 2 }) => {
+  const rows = Math.ceil(count / columns);
+  const [range, setRange] = useState({ start: 0, end: Math.min(rows, overscan * 2) });
+
+  /**
+   * EFFECT: Track the rows in view
+   * Layout effect, so new rows are there before the first paint
+   */
+  useLayoutEffect(() => {
+    let frame = null;
+
+    const measure = () => {
+      frame = null;
+      const element = ref.current;
+      if (!element) return;
+
+      const top = element.getBoundingClientRect().top;
+      const first = Math.floor(-top / rowHeight);
+      const last = Math.ceil((window.innerHeight - top) / rowHeight);
+      const start = Math.min(Math.max(first - overscan, 0), rows);
+      const end = Math.min(Math.max(last + overscan, start), rows);
+
+      setRange((current) => (current.start === start && current.end === end ? current : { start, end }));
+    };
+
+    const schedule = () => {
+      frame ??= requestAnimationFrame(measure);
+    };
+
+    measure();
+    window.addEventListener("scroll", schedule, { passive: true });
+    window.addEventListener("resize", schedule);
+    // The page changing height usually means the grid moved
+    const observer = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(schedule);
+    observer?.observe(document.body);
+
+    return () => {
+      window.removeEventListener("scroll", schedule);
+      window.removeEventListener("resize", schedule);
+      observer?.disconnect();
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, [ref, rows, rowHeight, overscan]);
+
+  return { rows, start: range.start, end: range.end, height: rows * rowHeight };
+};
+
+export default useVirtualGrid;
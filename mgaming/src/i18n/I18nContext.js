@@ -0,0 +1,9 @@
+import { createContext } from "react";
+
+/**
+ * Context shared by I18nProvider and useI18n.
+ * See I18nProvider.jsx for the value's shape.
+ */
+const I18nContext = createContext(null);
+
+export default I18nContext;
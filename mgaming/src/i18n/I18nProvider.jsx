@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+
+import I18nContext from "./I18nContext";
+import { fallbackCatalog, loadCatalog, lookup } from "./catalogs";
+import { defaultLocale, detectLocale, getLocale, LOCALE_STORAGE_KEY, locales } from "./config";
+import { formatMessage } from "./format";
+import { writeStorage } from "../lib/storage";
+
+/**
+ * I18N PROVIDER
+ *
+ * Owns the active locale and exposes it through `useI18n()`:
+ * - `locale` / `dir`: active locale code and text direction
+ * - `locales`: every available locale (for the switcher)
+ * - `setLocale(code)`: loads the catalog, then switches - no half-translated frames
+ * - `t(key, values)`: formats an ICU message, falling back to English
+ *
+ * The choice is persisted in localStorage and mirrored to the document's
+ * `lang` and `dir` attributes so RTL layout and screen readers follow along.
+ */
+const I18nProvider = ({ children }) => {
+  // ===== STATE MANAGEMENT =====
+
+  // Locale and catalog change together once the catalog has loaded
+  const [state, setState] = useState({ locale: defaultLocale, catalog: fallbackCatalog });
+  const { locale, catalog } = state;
+  const dir = getLocale(locale)?.dir || "ltr";
+
+  /**
+   * Switches to another locale once its catalog is available
+   * @param {string} code - Locale code from config.js
+   */
+  const setLocale = useCallback((code) => {
+    if (!getLocale(code)) return;
+
+    loadCatalog(code)
+      .then((nextCatalog) => setState({ locale: code, catalog: nextCatalog }))
+      .catch((error) => console.error(`Could not load the "${code}" catalog:`, error));
+
+    writeStorage(LOCALE_STORAGE_KEY, code);
+  }, []);
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Restore the saved (or browser) locale on first load
+   */
+  useEffect(() => {
+    const initial = detectLocale();
+    if (initial !== defaultLocale) setLocale(initial);
+  }, [setLocale]);
+
+  /**
+   * EFFECT: Mirror the locale to <html lang dir>
+   */
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  // ===== TRANSLATION =====
+
+  /**
+   * @param {string} key - Dotted message key, e.g. "contact.form.title"
+   * @param {object} values - ICU argument values
+   * @returns {string} - Formatted message (the key itself when missing everywhere)
+   */
+  const t = useCallback(
+    (key, values) => {
+      const message = lookup(catalog, key) ?? lookup(fallbackCatalog, key);
+      if (message === undefined) {
+        if (import.meta.env.DEV) console.warn(`[i18n] Missing message "${key}"`);
+        return key;
+      }
+      return formatMessage(message, values, locale);
+    },
+    [catalog, locale]
+  );
+
+  const value = useMemo(() => ({ locale, dir, locales, setLocale, t }), [locale, dir, setLocale, t]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,39 @@
+import en from "./messages/en.json";
+
+/**
+ * MESSAGE CATALOGS
+ *
+ * English ships in the main bundle as the fallback for every locale;
+ * other catalogs are split into their own chunks and fetched on demand.
+ */
+
+const loaders = import.meta.glob(["./messages/*.json", "!./messages/en.json"], { import: "default" });
+
+const cache = { en };
+
+/**
+ * @param {string} code - Locale code
+ * @returns {Promise<object>} - Nested message catalog
+ */
+export const loadCatalog = async (code) => {
+  if (cache[code]) return cache[code];
+
+  const loader = loaders[`./messages/${code}.json`];
+  if (!loader) throw new Error(`No message catalog for locale "${code}".`);
+
+  cache[code] = await loader();
+  return cache[code];
+};
+
+export const fallbackCatalog = en;
+
+/**
+ * Reads a dotted key ("contact.form.title") from a nested catalog
+ * @param {object} catalog
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+export const lookup = (catalog, key) => {
+  const value = key.split(".").reduce((node, part) => node?.[part], catalog);
+  return typeof value === "string" ? value : undefined;
+};
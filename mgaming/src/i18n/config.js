@@ -0,0 +1,40 @@
+import { readStorage } from "../lib/storage";
+
+/**
+ * I18N CONFIGURATION
+ *
+ * To add a language: create messages/<code>.json (UI strings) and,
+ * optionally, ../content/locales/<code>.json (site content overrides),
+ * then list it below. Missing keys fall back to English.
+ */
+
+export const locales = [
+  { code: "en", label: "English", dir: "ltr" },
+  { code: "es", label: "Español", dir: "ltr" },
+  { code: "ar", label: "العربية", dir: "rtl" },
+];
+
+export const defaultLocale = "en";
+
+export const LOCALE_STORAGE_KEY = "mgaming:locale";
+
+/**
+ * @param {string} code
+ * @returns {object|undefined} - Locale definition
+ */
+export const getLocale = (code) => locales.find((locale) => locale.code === code);
+
+/**
+ * Picks the initial locale: saved preference, then browser languages, then default
+ * @returns {string} - Locale code
+ */
+export const detectLocale = () => {
+  const saved = readStorage(LOCALE_STORAGE_KEY);
+  if (getLocale(saved)) return saved;
+
+  const preferred = (navigator.languages || [navigator.language || ""])
+    .map((language) => language.split("-")[0].toLowerCase())
+    .find((code) => getLocale(code));
+
+  return preferred || defaultLocale;
+};
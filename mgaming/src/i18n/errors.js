@@ -0,0 +1,28 @@
+import { AuthError } from "../lib/authData";
+import { RequestError } from "../lib/http";
+import { SpamError } from "../lib/antiSpam";
+
+/**
+ * Turns an error from the service layer into a message in the active locale
+ *
+ * - Spam rejections, refused account operations and connectivity failures
+ *   use catalog messages
+ * - HTTP errors prefer the server's own message (it knows best what went wrong)
+ * - Anything else falls back to the error's message
+ *
+ * @param {Error} error
+ * @param {Function} t - Translator from useI18n
+ * @returns {string}
+ */
+export const describeError = (error, t) => {
+  if (error instanceof SpamError) return t(`spam.${error.reason}`, error.values);
+
+  if (error instanceof AuthError) return t(`account.errors.${error.code}`);
+
+  if (error instanceof RequestError) {
+    if (error.code === "http") return error.data?.error || t("errors.http", { status: error.status });
+    return t(`errors.${error.code}`);
+  }
+
+  return error?.message || "";
+};
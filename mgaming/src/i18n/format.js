@@ -0,0 +1,193 @@
+/**
+ * ICU MESSAGE FORMATTING (SUBSET)
+ *
+ * Supports the parts of ICU MessageFormat the site needs:
+ * - Interpolation:  "Hello {name}"
+ * - Numbers:        "{count, number} players"
+ * - Plurals:        "{count, plural, =0 {no games} one {# game} other {# games}}"
+ * - Ordinals:       "{rank, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}"
+ * - Select:         "{platform, select, pc {PC} other {Console}}"
+ *
+ * Apostrophes follow ICU's "optional quoting": a single ' only starts a
+ * quoted run when followed by {, } or # (inside plurals), and '' is a
+ * literal apostrophe - so copy like "world's" needs no escaping. Markup
+ * such as <b> and <br /> is plain text here and passes through untouched.
+ */
+
+// ===== PARSER =====
+
+/**
+ * @param {string} message - ICU message source
+ * @returns {Array} - AST: strings and argument nodes
+ */
+export const parseMessage = (message) => {
+  let i = 0;
+
+  const fail = (reason) => {
+    throw new SyntaxError(`${reason} at position ${i} in message "${message}"`);
+  };
+
+  const skipWhitespace = () => {
+    while (i < message.length && /\s/.test(message[i])) i += 1;
+  };
+
+  const readToken = () => {
+    skipWhitespace();
+    const start = i;
+    while (i < message.length && !/[\s,{}]/.test(message[i])) i += 1;
+    return message.slice(start, i);
+  };
+
+  const parseNodes = (inPlural) => {
+    const nodes = [];
+    let text = "";
+
+    const flushText = () => {
+      if (text) nodes.push(text);
+      text = "";
+    };
+
+    while (i < message.length) {
+      const char = message[i];
+
+      if (char === "'") {
+        const next = message[i + 1];
+        if (next === "'") {
+          text += "'";
+          i += 2;
+        } else if (next === "{" || next === "}" || (inPlural && next === "#")) {
+          const end = message.indexOf("'", i + 1);
+          text += message.slice(i + 1, end === -1 ? message.length : end);
+          i = end === -1 ? message.length : end + 1;
+        } else {
+          text += "'";
+          i += 1;
+        }
+      } else if (char === "{") {
+        flushText();
+        nodes.push(parseArgument());
+      } else if (char === "}") {
+        break; // End of a plural/select option - the caller consumes it
+      } else if (char === "#" && inPlural) {
+        flushText();
+        nodes.push({ type: "pound" });
+        i += 1;
+      } else {
+        text += char;
+        i += 1;
+      }
+    }
+
+    flushText();
+    return nodes;
+  };
+
+  const parseArgument = () => {
+    i += 1; // "{"
+    const name = readToken();
+    if (!name) fail("Missing argument name");
+    skipWhitespace();
+
+    if (message[i] === "}") {
+      i += 1;
+      return { type: "argument", name };
+    }
+    if (message[i] !== ",") fail(`Expected "," or "}" after "${name}"`);
+    i += 1;
+
+    const kind = readToken();
+    skipWhitespace();
+
+    if (kind === "number" && message[i] === "}") {
+      i += 1;
+      return { type: "number", name };
+    }
+    if (!["plural", "selectordinal", "select"].includes(kind)) fail(`Unsupported argument type "${kind}"`);
+    if (message[i] !== ",") fail(`Expected "," after "${kind}"`);
+    i += 1;
+
+    let offset = 0;
+    const options = {};
+
+    for (;;) {
+      skipWhitespace();
+      if (message[i] === "}") {
+        i += 1;
+        break;
+      }
+
+      const selector = readToken();
+      if (!selector) fail("Expected an option selector");
+
+      if (selector.startsWith("offset:")) {
+        offset = Number(selector.slice("offset:".length));
+        continue;
+      }
+
+      skipWhitespace();
+      if (message[i] !== "{") fail(`Expected "{" after option "${selector}"`);
+      i += 1;
+      options[selector] = parseNodes(kind !== "select");
+      if (message[i] !== "}") fail(`Unclosed option "${selector}"`);
+      i += 1;
+    }
+
+    if (!options.other) fail(`"${name}" is missing the required "other" option`);
+    return { type: kind, name, offset, options };
+  };
+
+  const ast = parseNodes(false);
+  if (i < message.length) fail("Unexpected \"}\"");
+  return ast;
+};
+
+// ===== FORMATTER =====
+
+const astCache = new Map();
+
+const formatNodes = (nodes, values, locale, poundValue) =>
+  nodes
+    .map((node) => {
+      if (typeof node === "string") return node;
+
+      const value = values[node.name];
+
+      switch (node.type) {
+        case "pound":
+          return new Intl.NumberFormat(locale).format(poundValue);
+        case "argument":
+          return value ?? `{${node.name}}`;
+        case "number":
+          return new Intl.NumberFormat(locale).format(value);
+        case "select":
+          return formatNodes(node.options[String(value)] || node.options.other, values, locale, poundValue);
+        default: {
+          // plural / selectordinal
+          const number = Number(value);
+          const exact = node.options[`=${number}`];
+          if (exact) return formatNodes(exact, values, locale, number - node.offset);
+
+          const category = new Intl.PluralRules(locale, {
+            type: node.type === "selectordinal" ? "ordinal" : "cardinal",
+          }).select(number - node.offset);
+          return formatNodes(node.options[category] || node.options.other, values, locale, number - node.offset);
+        }
+      }
+    })
+    .join("");
+
+/**
+ * Formats an ICU message
+ * @param {string} message - ICU message source
+ * @param {object} values - Argument values
+ * @param {string} locale - BCP 47 locale for plural rules and numbers
+ * @returns {string}
+ */
+export const formatMessage = (message, values = {}, locale = "en") => {
+  let ast = astCache.get(message);
+  if (!ast) {
+    ast = parseMessage(message);
+    astCache.set(message, ast);
+  }
+  return formatNodes(ast, values, locale, 0);
+};
@@ -0,0 +1,146 @@
+import { readStorageJson, writeStorageJson } from "./storage";
+
+/**
+ * ANTI-SPAM CHECKS FOR PUBLIC FORMS
+ *
+ * Self-contained layers, all evaluated in the browser before anything is sent:
+ * 1. Honeypot      - a hidden field humans never fill in
+ * 2. Time-to-submit - bots submit forms faster than people can type
+ * 3. Rate limiting  - per-browser submission budget kept in localStorage
+ * 4. Proof of work  - optional SHA-256 puzzle solved in a Web Worker; the
+ *                     proof travels with the payload so a backend can verify it
+ *
+ * Every rejection throws a `SpamError` whose message is safe to show
+ * (English; `describeError` in src/i18n/errors.js translates it by `reason`).
+ */
+
+// ===== ERRORS =====
+
+export class SpamError extends Error {
+  /**
+   * @param {string} message - Reason shown to the visitor
+   * @param {"honeypot"|"too-fast"|"rate-limited"|"challenge"} reason - Machine readable reason
+   * @param {object} values - Details for translated messages (e.g. minutes to wait)
+   */
+  constructor(message, reason, values = {}) {
+    super(message);
+    this.name = "SpamError";
+    this.reason = reason;
+    this.values = values;
+    this.retryable = false;
+  }
+}
+
+// ===== HONEYPOT & TIMING =====
+
+/**
+ * @param {string} value - Content of the hidden honeypot field
+ * @throws {SpamError}
+ */
+export const checkHoneypot = (value) => {
+  if (value) {
+    throw new SpamError("Your submission was flagged as automated and was not sent.", "honeypot");
+  }
+};
+
+/**
+ * @param {number} startedAt - Timestamp (ms) when the form became usable
+ * @param {number} minDuration - Minimum plausible fill time (ms)
+ * @throws {SpamError}
+ */
+export const checkSubmitTiming = (startedAt, minDuration) => {
+  if (Date.now() - startedAt < minDuration) {
+    throw new SpamError("That was quicker than humanly possible - please take a moment and try again.", "too-fast");
+  }
+};
+
+// ===== RATE LIMITING =====
+
+/**
+ * Sliding-window limiter persisted per browser
+ *
+ * @param {object} options
+ * @param {string} options.key - localStorage key
+ * @param {number} options.limit - Submissions allowed per window
+ * @param {number} options.windowMs - Window length (ms)
+ */
+export const createRateLimiter = ({ key, limit, windowMs }) => {
+  const recent = () => {
+    const stamps = readStorageJson(key, []);
+    return Array.isArray(stamps) ? stamps.filter((stamp) => Date.now() - stamp < windowMs) : [];
+  };
+
+  return {
+    /**
+     * @throws {SpamError} - When the budget for the current window is used up
+     */
+    check: () => {
+      const stamps = recent();
+      if (stamps.length < limit) return;
+
+      const minutes = Math.ceil((stamps[0] + windowMs - Date.now()) / 60000);
+      throw new SpamError(
+        `Too many submissions from this browser. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+        "rate-limited",
+        { minutes }
+      );
+    },
+
+    /**
+     * Counts a successful submission against the budget
+     */
+    record: () => {
+      // Storage unavailable - limiting silently degrades to a no-op
+      writeStorageJson(key, [...recent(), Date.now()]);
+    },
+  };
+};
+
+// ===== PROOF OF WORK =====
+
+/**
+ * Solves a proof-of-work challenge in a Web Worker
+ *
+ * @param {number} difficulty - Required leading zero bits (0 disables the check)
+ * @param {number} timeout - Give up after this many ms
+ * @returns {Promise<{challenge: string, nonce: number, difficulty: number}|null>}
+ * @throws {SpamError} - When the worker fails or takes too long
+ */
+export const solveProofOfWork = (difficulty, timeout = 15000) => {
+  if (!difficulty) return Promise.resolve(null);
+
+  const challenge = `${Date.now()}:${crypto.getRandomValues(new Uint32Array(2)).join("")}`;
+  const worker = new Worker(new URL("../workers/proofOfWork.worker.js", import.meta.url), {
+    type: "module",
+  });
+
+  return new Promise((resolve, reject) => {
+    const fail = () =>
+      reject(new SpamError("We couldn't verify this browser. Please try again.", "challenge"));
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      fail();
+    }, timeout);
+
+    worker.onmessage = ({ data }) => {
+      clearTimeout(timer);
+      worker.terminate();
+      if (data.error) fail();
+      else resolve({ challenge, nonce: data.nonce, difficulty });
+    };
+
+    worker.onerror = () => {
+      clearTimeout(timer);
+      worker.terminate();
+      fail();
+    };
+
+    worker.postMessage({ challenge, difficulty });
+  });
+};
+
+// ===== CONFIGURATION =====
+
+// Leading zero bits for the proof of work; ~16 takes well under a second
+export const powDifficulty = Number(import.meta.env.VITE_SPAM_POW_DIFFICULTY) || 0;
@@ -0,0 +1,281 @@
+import { audio } from "../content";
+import { getAudioFocus, subscribeAudioFocus, watchAudibleVideos } from "./audioFocus";
+import { publicUrl } from "./media";
+import { readStorageJson, writeStorageJson } from "./storage";
+
+/**
+ * BACKGROUND AUDIO ENGINE
+ *
+ * Plays a playlist of loops through Web Audio:
+ *
+ *   <audio> → GainNode (fades, volume, ducking) → AnalyserNode → speakers
+ *
+ * The music sounds when all of these hold:
+ * - the visitor switched it on (`muted` is false - persisted, like the volume)
+ * - no player holds "pause" audio focus (lib/audioFocus.js)
+ * - the tab is visible
+ * Otherwise it fades out and pauses, and fades back in when they hold again.
+ * Videos playing with sound only duck it.
+ *
+ * Browsers refuse to start audio before the visitor interacts with the
+ * page. A rejected start is not an error: the engine waits for the first
+ * click or key press and tries again (`blocked` is true meanwhile).
+ *
+ * Without Web Audio the same API drives the element's volume directly,
+ * with no fades and no frequency data.
+ */
+
+export const AUDIO_STORAGE_KEY = "mgaming:audio";
+
+const fadeTime = 0.6; // Seconds for fade in / out
+const duckLevel = 0.25; // Share of the volume kept while ducked
+
+const clamp = (value) => Math.min(Math.max(Number(value) || 0, 0), 1);
+
+/**
+ * @param {object} options
+ * @param {Array<{src: string, title?: string}>} options.playlist - Tracks, paths inside public/
+ * @param {string} options.storageKey - localStorage key for muted / volume
+ */
+export const createAudioEngine = ({ playlist, storageKey = AUDIO_STORAGE_KEY }) => {
+  const saved = readStorageJson(storageKey, {});
+  const listeners = new Set();
+
+  let state = {
+    muted: saved.muted ?? true, // Music is off until switched on
+    volume: clamp(saved.volume ?? 0.6),
+    playing: false, // Actually sounding (or fading in)
+    blocked: false, // Waiting for a user gesture to start
+    trackIndex: 0,
+    focus: null,
+  };
+
+  let element = null;
+  let context = null;
+  let gain = null;
+  let analyser = null;
+  let frequencies = null;
+  let pauseTimer = null;
+  let gestureArmed = false;
+
+  // ===== STATE =====
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach((listener) => listener(state));
+  };
+
+  const persist = () => writeStorageJson(storageKey, { muted: state.muted, volume: state.volume });
+
+  const shouldSound = () => !state.muted && state.focus !== "pause" && document.visibilityState !== "hidden";
+
+  const targetLevel = () => state.volume * (state.focus === "duck" ? duckLevel : 1);
+
+  // ===== AUDIO GRAPH =====
+
+  /**
+   * Created on first use - AudioContext wants a user gesture anyway
+   */
+  const ensureGraph = () => {
+    if (element) return;
+
+    element = new Audio();
+    element.preload = "auto";
+    element.src = publicUrl(playlist[state.trackIndex].src);
+    // A single loop repeats; a playlist moves on
+    element.loop = playlist.length === 1;
+    element.addEventListener("ended", () => playTrack(state.trackIndex + 1));
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      element.volume = 0;
+      return;
+    }
+
+    context = new AudioContextClass();
+    gain = context.createGain();
+    gain.gain.value = 0;
+    analyser = context.createAnalyser();
+    analyser.fftSize = 64;
+    analyser.smoothingTimeConstant = 0.8;
+    frequencies = new Uint8Array(analyser.frequencyBinCount);
+    context.createMediaElementSource(element).connect(gain).connect(analyser).connect(context.destination);
+  };
+
+  /**
+   * Moves the output level smoothly
+   * @param {number} level - 0-1
+   * @param {number} seconds - Ramp length
+   */
+  const rampTo = (level, seconds = fadeTime) => {
+    if (!gain) {
+      element.volume = level;
+      return;
+    }
+    const now = context.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(gain.gain.value, now);
+    gain.gain.linearRampToValueAtTime(level, now + seconds);
+  };
+
+  /**
+   * Tries again on the first click or key press
+   */
+  const armGesture = () => {
+    if (gestureArmed) return;
+    gestureArmed = true;
+    const retry = () => {
+      gestureArmed = false;
+      window.removeEventListener("pointerdown", retry, true);
+      window.removeEventListener("keydown", retry, true);
+      sync();
+    };
+    window.addEventListener("pointerdown", retry, true);
+    window.addEventListener("keydown", retry, true);
+  };
+
+  // ===== PLAYBACK =====
+
+  const start = async () => {
+    // Before any interaction the attempt is bound to fail - wait instead
+    if (navigator.userActivation && !navigator.userActivation.hasBeenActive) {
+      setState({ blocked: true });
+      armGesture();
+      return;
+    }
+
+    ensureGraph();
+    clearTimeout(pauseTimer);
+    setState({ playing: true, blocked: false });
+
+    try {
+      await context?.resume();
+      await element.play();
+      rampTo(targetLevel());
+    } catch (error) {
+      if (error?.name !== "NotAllowedError" && error?.name !== "AbortError") {
+        console.warn("[audio] Background music could not start:", error);
+      }
+      setState({ playing: false, blocked: error?.name === "NotAllowedError" });
+      if (error?.name === "NotAllowedError") armGesture();
+    }
+  };
+
+  const stop = () => {
+    setState({ playing: false });
+    if (!element) return;
+    rampTo(0);
+    clearTimeout(pauseTimer);
+    pauseTimer = setTimeout(() => {
+      if (!state.playing) element.pause();
+    }, fadeTime * 1000);
+  };
+
+  /**
+   * Brings playback in line with the preferences, focus and visibility
+   * @param {number} seconds - Ramp length when only the level changes
+   */
+  const sync = (seconds = fadeTime) => {
+    if (shouldSound()) {
+      if (!state.playing) start();
+      else rampTo(targetLevel(), seconds);
+    } else if (state.playing) {
+      stop();
+    } else if (state.blocked && state.muted) {
+      setState({ blocked: false });
+    }
+  };
+
+  /**
+   * Switches track with a quick fade
+   * @param {number} index - Wraps around the playlist
+   */
+  const playTrack = (index) => {
+    const trackIndex = ((index % playlist.length) + playlist.length) % playlist.length;
+    setState({ trackIndex });
+    if (!element) return;
+
+    const swap = () => {
+      element.src = publicUrl(playlist[trackIndex].src);
+      if (state.playing) element.play().then(() => rampTo(targetLevel()), () => setState({ playing: false }));
+    };
+
+    if (state.playing && gain) {
+      rampTo(0, fadeTime / 2);
+      setTimeout(swap, (fadeTime / 2) * 1000);
+    } else {
+      swap();
+    }
+  };
+
+  // ===== PUBLIC API =====
+
+  const setMuted = (muted) => {
+    setState({ muted });
+    persist();
+    sync();
+  };
+
+  const setVolume = (volume) => {
+    setState({ volume: clamp(volume) });
+    persist();
+    sync(0.05);
+  };
+
+  /**
+   * Loudness per frequency band, for the visualizer
+   * @param {number} bands - Number of bands
+   * @returns {number[]} - 0-1 per band (all zero without Web Audio)
+   */
+  const getLevels = (bands) => {
+    if (!analyser || !state.playing) return Array(bands).fill(0);
+    analyser.getByteFrequencyData(frequencies);
+    // The top of the spectrum is mostly empty for music - use the lower 3/4
+    const usable = Math.floor(frequencies.length * 0.75);
+    const size = Math.max(Math.floor(usable / bands), 1);
+    return Array.from({ length: bands }, (_, band) => {
+      let sum = 0;
+      for (let i = band * size; i < (band + 1) * size; i += 1) sum += frequencies[i];
+      return sum / size / 255;
+    });
+  };
+
+  /**
+   * @param {(state: object) => void} listener
+   * @returns {() => void} - Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // ===== WIRING =====
+
+  if (typeof document !== "undefined") {
+    watchAudibleVideos();
+    state.focus = getAudioFocus();
+    subscribeAudioFocus((focus) => {
+      setState({ focus });
+      sync();
+    });
+    document.addEventListener("visibilitychange", () => sync());
+    // A visitor who left the music on gets it back after their first interaction
+    if (!state.muted) sync();
+  }
+
+  return {
+    setMuted,
+    toggle: () => setMuted(!state.muted),
+    setVolume,
+    next: () => playTrack(state.trackIndex + 1),
+    previous: () => playTrack(state.trackIndex - 1),
+    playTrack,
+    getLevels,
+    subscribe,
+    getSnapshot: () => state,
+    playlist,
+  };
+};
+
+// The navbar music
+export const backgroundMusic = createAudioEngine({ playlist: audio.playlist });
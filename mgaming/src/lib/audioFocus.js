@@ -0,0 +1,111 @@
+/**
+ * AUDIO FOCUS
+ *
+ * Lets a player with sound ask background audio (the NavBar music) to step
+ * aside, without the two knowing each other:
+ *
+ *   const release = claimAudioFocus("trailer");          // music pauses
+ *   const release = claimAudioFocus("clip", "duck");     // music gets quieter
+ *   release();                                           // music comes back
+ *
+ * Background audio subscribes and follows the strongest claim: "pause"
+ * beats "duck", and nothing held means play normally.
+ *
+ * `watchAudibleVideos()` ducks for every <video> on the page that plays
+ * unmuted, so new players get this for free.
+ */
+
+const owners = new Map(); // owner → "pause" | "duck"
+const listeners = new Set();
+
+/**
+ * Strongest claim currently held
+ * @returns {"pause"|"duck"|null}
+ */
+export const getAudioFocus = () => {
+  const modes = [...owners.values()];
+  if (modes.includes("pause")) return "pause";
+  return modes.length ? "duck" : null;
+};
+
+const update = (change) => {
+  const before = getAudioFocus();
+  change();
+  const after = getAudioFocus();
+  if (after !== before) listeners.forEach((listener) => listener(after));
+};
+
+/**
+ * @param {string} owner - Name of whoever wants the audio to themselves
+ * @param {"pause"|"duck"} mode - Silence background audio or just lower it
+ * @returns {() => void} - Releases focus (safe to call more than once)
+ */
+export const claimAudioFocus = (owner, mode = "pause") => {
+  update(() => owners.set(owner, mode));
+  return () => {
+    if (owners.get(owner) !== mode) return;
+    update(() => owners.delete(owner));
+  };
+};
+
+/**
+ * @param {(mode: "pause"|"duck"|null) => void} listener
+ * @returns {() => void} - Unsubscribe
+ */
+export const subscribeAudioFocus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// ===== AUDIBLE VIDEOS =====
+
+let watching = false;
+
+/**
+ * Ducks background audio while any <video> plays with sound
+ * Media events don't bubble, so they are caught on the way down. A video
+ * removed mid-play fires its "pause" outside the document, so claims of
+ * detached videos are swept as well.
+ */
+export const watchAudibleVideos = () => {
+  if (watching || typeof document === "undefined") return;
+  watching = true;
+
+  const releases = new Map(); // video → release
+  let nextId = 0;
+  let sweepTimer = null;
+
+  const release = (video) => {
+    releases.get(video)();
+    releases.delete(video);
+  };
+
+  const sweep = () => {
+    releases.forEach((_, video) => {
+      if (!video.isConnected) release(video);
+    });
+    if (!releases.size) {
+      clearInterval(sweepTimer);
+      sweepTimer = null;
+    }
+  };
+
+  const check = (e) => {
+    const video = e.target;
+    if (!(video instanceof HTMLVideoElement)) return;
+
+    const audible = video.isConnected && !video.paused && !video.ended && !video.muted && video.volume > 0;
+
+    if (audible && !releases.has(video)) {
+      releases.set(video, claimAudioFocus(`video:${(nextId += 1)}`, "duck"));
+      sweepTimer ??= setInterval(sweep, 2000);
+    } else if (!audible && releases.has(video)) {
+      release(video);
+    }
+    sweep();
+  };
+
+  ["play", "playing", "pause", "ended", "volumechange", "emptied"].forEach((type) =>
+    document.addEventListener(type, check, true)
+  );
+};
@@ -0,0 +1,360 @@
+/**
+ * PLAYER ACCOUNTS
+ *
+ * An account backend small enough to run anywhere: the "local" auth
+ * provider keeps it in the browser (lib/authService.js) and the mock server
+ * serves it over HTTP (server/routes/auth.js). Plain JS with no browser or
+ * Node APIs beyond Web Crypto, so both can import it.
+ *
+ * Passwords are stored as salted SHA-256 hashes and tokens are random
+ * strings - enough to exercise the flows in development, not a design for
+ * a production backend.
+ *
+ * Session: { user, accessToken, refreshToken, expiresAt } - `expiresAt` is
+ * when the access token stops working (ISO date). Refreshing hands out a
+ * new pair and retires the old refresh token.
+ *
+ * User: { id, email, gamertag, bio, avatar, createdAt }
+ */
+
+// ===== ERRORS =====
+
+/**
+ * An account operation refused for a reason the player can act on
+ *
+ * Codes:
+ *   "invalid-input"        a field is missing or malformed
+ *   "email-taken"          sign-up with an address that has an account
+ *   "gamertag-taken"       sign-up or profile change to a gamertag in use
+ *   "invalid-credentials"  wrong email or password
+ *   "invalid-token"        access, refresh or reset token unknown or expired
+ */
+export class AuthError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+  }
+}
+
+// HTTP status for each code, used by the mock server
+export const authErrorStatus = {
+  "invalid-input": 422,
+  "email-taken": 409,
+  "gamertag-taken": 409,
+  "invalid-credentials": 401,
+  "invalid-token": 401,
+};
+
+// ===== ACCOUNT RULES =====
+
+// Avatar backgrounds a player can pick from (see components/PlayerAvatar.jsx)
+export const avatarColors = ["violet", "cyan", "amber", "emerald", "rose", "blue"];
+
+export const accountLimits = {
+  gamertag: { min: 2, max: 32 },
+  password: { min: 8, max: 128 },
+  bio: { max: 160 },
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * @param {string} password
+ * @returns {boolean} - Long enough, with at least a letter and a digit
+ */
+export const isStrongPassword = (password) =>
+  typeof password === "string" &&
+  password.length >= accountLimits.password.min &&
+  password.length <= accountLimits.password.max &&
+  /\p{L}/u.test(password) &&
+  /\d/.test(password);
+
+/**
+ * Trimmed text field, or an "invalid-input" error
+ * @param {any} value
+ * @param {string} name - Field name, for the message
+ * @param {{min?: number, max?: number}} limits
+ */
+const readText = (value, name, { min = 0, max = Infinity } = {}) => {
+  const text = String(value ?? "").trim();
+  if (text.length < min || text.length > max) {
+    throw new AuthError("invalid-input", min ? `${name} must be ${min}-${max} characters.` : `${name} is too long.`);
+  }
+  return text;
+};
+
+const readEmail = (value) => {
+  const email = String(value ?? "").trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) throw new AuthError("invalid-input", "Please provide a valid email address.");
+  return email;
+};
+
+const readPassword = (value) => {
+  if (!isStrongPassword(value)) {
+    throw new AuthError("invalid-input", "Passwords need 8 or more characters, with a letter and a digit.");
+  }
+  return value;
+};
+
+// ===== CRYPTO =====
+
+/**
+ * Random hex string
+ * @param {number} bytes
+ */
+const randomToken = (bytes = 32) =>
+  Array.from(crypto.getRandomValues(new Uint8Array(bytes)), (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+/**
+ * @param {string} password
+ * @param {string} salt
+ * @returns {Promise<string>} - Hex SHA-256 of salt and password
+ */
+const hashPassword = async (password, salt) => {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${salt}:${password}`));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+};
+
+// ===== STORE =====
+
+/**
+ * The public side of an account - never the password hash
+ * @param {object} account
+ */
+export const toPublicUser = ({ id, email, gamertag, bio, avatar, createdAt }) => ({
+  id,
+  email,
+  gamertag,
+  bio,
+  avatar,
+  createdAt,
+});
+
+/**
+ * Creates an account store
+ *
+ * The state is plain JSON - `{ accounts, sessions, resets }` - handed to
+ * `onChange` after every change, so the caller can persist it. When others
+ * share that storage (browser tabs), `load` returns what was persisted
+ * last: it is read again before every check, after any await, so a check
+ * and the change it guards happen in one synchronous step. Without `load`
+ * the state stays in memory.
+ *
+ * @param {object} options
+ * @param {() => object} options.load - The persisted state
+ * @param {(state: object) => void} options.onChange
+ * @param {() => number} options.now - Clock, in ms
+ * @param {number} options.accessTokenTtl - ms an access token works
+ * @param {number} options.refreshTokenTtl - ms a refresh token works
+ * @param {number} options.resetTokenTtl - ms a password reset link works
+ */
+export const createAuthStore = ({
+  load,
+  onChange = () => {},
+  now = Date.now,
+  accessTokenTtl = 15 * 60 * 1000,
+  refreshTokenTtl = 30 * 24 * 60 * 60 * 1000,
+  resetTokenTtl = 60 * 60 * 1000,
+} = {}) => {
+  let state = { accounts: [], sessions: [], resets: [] };
+
+  /**
+   * Picks up changes persisted by others
+   */
+  const sync = () => {
+    if (load) state = { accounts: [], sessions: [], resets: [], ...load() };
+  };
+
+  /**
+   * Drops expired tokens and reports the change
+   */
+  const commit = () => {
+    const time = now();
+    state.sessions = state.sessions.filter((session) => session.refreshExpiresAt > time);
+    state.resets = state.resets.filter((reset) => reset.expiresAt > time);
+    onChange(state);
+  };
+
+  const findAccount = (id) => state.accounts.find((account) => account.id === id);
+
+  const gamertagTaken = (gamertag, exceptId) =>
+    state.accounts.some((account) => account.id !== exceptId && account.gamertag.toLowerCase() === gamertag.toLowerCase());
+
+  /**
+   * Opens a session for an account
+   * @param {object} account
+   */
+  const startSession = (account) => {
+    const time = now();
+    const session = {
+      userId: account.id,
+      accessToken: randomToken(),
+      refreshToken: randomToken(),
+      accessExpiresAt: time + accessTokenTtl,
+      refreshExpiresAt: time + refreshTokenTtl,
+    };
+    state.sessions.push(session);
+    commit();
+    return {
+      user: toPublicUser(account),
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresAt: new Date(session.accessExpiresAt).toISOString(),
+    };
+  };
+
+  /**
+   * The account an access token belongs to
+   * @param {string} accessToken
+   */
+  const authenticate = (accessToken) => {
+    const session = state.sessions.find((entry) => entry.accessToken === accessToken);
+    const account = session && session.accessExpiresAt > now() && findAccount(session.userId);
+    if (!account) throw new AuthError("invalid-token", "Your session has expired. Please sign in again.");
+    return account;
+  };
+
+  return {
+    /**
+     * @param {{email: string, password: string, gamertag: string}} fields
+     */
+    signUp: async ({ email, password, gamertag }) => {
+      const account = {
+        id: randomToken(8),
+        email: readEmail(email),
+        gamertag: readText(gamertag, "Gamertag", accountLimits.gamertag),
+        bio: "",
+        avatar: avatarColors[0],
+        createdAt: new Date(now()).toISOString(),
+        salt: randomToken(16),
+      };
+      readPassword(password);
+      account.passwordHash = await hashPassword(password, account.salt);
+
+      sync();
+      if (state.accounts.some((entry) => entry.email === account.email)) {
+        throw new AuthError("email-taken", "An account with this email address already exists.");
+      }
+      if (gamertagTaken(account.gamertag)) throw new AuthError("gamertag-taken", "This gamertag is taken.");
+
+      state.accounts.push(account);
+      return startSession(account);
+    },
+
+    /**
+     * @param {{email: string, password: string}} credentials
+     */
+    signIn: async ({ email, password }) => {
+      const address = String(email ?? "").trim().toLowerCase();
+      const findByEmail = () => state.accounts.find((entry) => entry.email === address);
+
+      sync();
+      // Hash even for unknown addresses, so timing doesn't reveal which exist
+      const hash = await hashPassword(String(password ?? ""), findByEmail()?.salt ?? "");
+
+      sync();
+      const account = findByEmail();
+      if (!account || hash !== account.passwordHash) {
+        throw new AuthError("invalid-credentials", "The email address or password is incorrect.");
+      }
+      return startSession(account);
+    },
+
+    /**
+     * Swaps a refresh token for a new session
+     * @param {string} refreshToken
+     */
+    refresh: async (refreshToken) => {
+      sync();
+      const index = state.sessions.findIndex(
+        (session) => session.refreshToken === refreshToken && session.refreshExpiresAt > now()
+      );
+      const account = index !== -1 && findAccount(state.sessions[index].userId);
+      if (!account) throw new AuthError("invalid-token", "Your session has expired. Please sign in again.");
+      state.sessions.splice(index, 1);
+      return startSession(account);
+    },
+
+    /**
+     * Ends a session - unknown tokens are ignored
+     * @param {string} refreshToken
+     */
+    signOut: async (refreshToken) => {
+      sync();
+      state.sessions = state.sessions.filter((session) => session.refreshToken !== refreshToken);
+      commit();
+    },
+
+    /**
+     * Starts a password reset. Answers the same whether or not the address
+     * has an account; a real backend would email the token instead of
+     * returning it.
+     * @param {string} email
+     * @returns {Promise<{token: string|null}>}
+     */
+    requestPasswordReset: async (email) => {
+      sync();
+      const account = state.accounts.find((entry) => entry.email === readEmail(email));
+      if (!account) return { token: null };
+      const token = randomToken();
+      state.resets.push({ token, userId: account.id, expiresAt: now() + resetTokenTtl });
+      commit();
+      return { token };
+    },
+
+    /**
+     * Sets a new password and signs the account out everywhere
+     * @param {{token: string, password: string}} fields
+     */
+    resetPassword: async ({ token, password }) => {
+      const findAccountToReset = () => {
+        const reset = state.resets.find((entry) => entry.token === token && entry.expiresAt > now());
+        const account = reset && findAccount(reset.userId);
+        if (!account) throw new AuthError("invalid-token", "This reset link has expired. Please ask for a new one.");
+        return account;
+      };
+
+      sync();
+      findAccountToReset();
+      readPassword(password);
+      const salt = randomToken(16);
+      const passwordHash = await hashPassword(password, salt);
+
+      sync();
+      const account = findAccountToReset();
+      Object.assign(account, { salt, passwordHash });
+      state.resets = state.resets.filter((entry) => entry.userId !== account.id);
+      state.sessions = state.sessions.filter((session) => session.userId !== account.id);
+      commit();
+    },
+
+    /**
+     * @param {string} accessToken
+     */
+    getUser: async (accessToken) => {
+      sync();
+      return toPublicUser(authenticate(accessToken));
+    },
+
+    /**
+     * @param {string} accessToken
+     * @param {{gamertag?: string, bio?: string, avatar?: string}} changes
+     */
+    updateProfile: async (accessToken, changes) => {
+      sync();
+      const account = authenticate(accessToken);
+      const next = {
+        gamertag: changes.gamertag === undefined ? account.gamertag : readText(changes.gamertag, "Gamertag", accountLimits.gamertag),
+        bio: changes.bio === undefined ? account.bio : readText(changes.bio, "Bio", accountLimits.bio),
+        avatar: changes.avatar ?? account.avatar,
+      };
+      if (!avatarColors.includes(next.avatar)) throw new AuthError("invalid-input", "Unknown avatar colour.");
+      if (gamertagTaken(next.gamertag, account.id)) throw new AuthError("gamertag-taken", "This gamertag is taken.");
+
+      Object.assign(account, next);
+      commit();
+      return toPublicUser(account);
+    },
+  };
+};
@@ -0,0 +1,239 @@
+import { requestJson, postJson, RequestError } from "./http";
+import { wait, withRetry } from "./retry";
+import { readStorageJson, writeStorageJson } from "./storage";
+import { AuthError, createAuthStore } from "./authData";
+
+/**
+ * AUTH SERVICE
+ *
+ * Player accounts go through a provider adapter, so the site can move to a
+ * real identity backend without touching the UI. A provider is an object:
+ *
+ *   {
+ *     name: "fetch",
+ *     signUp: async ({ email, password, gamertag, proof? }) => session,
+ *     signIn: async ({ email, password }) => session,
+ *     refresh: async (refreshToken) => session,
+ *     signOut: async (refreshToken) => {},
+ *     requestPasswordReset: async (email) => ({ token? }),
+ *     resetPassword: async ({ token, password }) => {},
+ *     getUser: async (accessToken) => user,
+ *     updateProfile: async (accessToken, { gamertag?, bio?, avatar? }) => user,
+ *   }
+ *
+ * Sessions and users are described in lib/authData.js. Refused operations
+ * throw an `AuthError` with a code the UI translates; transport failures a
+ * `RequestError`. Only development backends return the reset token - a
+ * real one emails a link to #/account/reset?token=….
+ *
+ * Built-in providers:
+ * - "local": accounts kept in this browser's localStorage - development
+ *            only, anyone with the browser can read them, and reset
+ *            links are only shown in development
+ * - "fetch": POST VITE_AUTH_ENDPOINT/sign-up, …/sign-in, …/refresh,
+ *            …/sign-out, …/password-reset and …/password-reset/confirm,
+ *            GET and PATCH …/me with a Bearer token - `npm run mock` serves
+ *            them at /api/auth
+ *
+ * Production builds need a real backend: without VITE_AUTH_ENDPOINT (or a
+ * registered VITE_AUTH_PROVIDER) `authEnabled` is false and the account
+ * screens and navbar menu stay hidden.
+ *
+ * Register more with `registerAuthProvider("name", factory)`. Keeping the
+ * session - storage, refresh, sign-out - is AuthProvider's job
+ * (src/auth/AuthProvider.jsx).
+ */
+
+// ===== CONFIGURATION =====
+
+const env = import.meta.env;
+
+export const authConfig = {
+  provider: env.VITE_AUTH_PROVIDER || (env.VITE_AUTH_ENDPOINT ? "fetch" : env.DEV ? "local" : ""),
+  endpoint: env.VITE_AUTH_ENDPOINT || "/api/auth",
+};
+
+/**
+ * @param {object} config - Same shape as `authConfig`
+ * @returns {boolean} - Whether accounts live on a backend - "local" keeps
+ *   passwords in the visitor's own browser
+ */
+const isUsable = (config) => Boolean(config.provider) && (config.provider !== "local" || Boolean(env.DEV));
+
+// False in production builds without a backend - the account UI is hidden
+export const authEnabled = isUsable(authConfig);
+
+// ===== PROVIDERS =====
+
+/**
+ * Accounts kept in the browser - no network involved
+ * @param {object} options
+ * @param {string} options.storageKey - Where the accounts are remembered
+ * @param {number} options.latency - Simulated round trip (ms)
+ */
+export const createLocalProvider = ({ storageKey = "mgaming:accounts", latency = 400 } = {}) => {
+  // Read afresh for every operation - other tabs change the accounts too
+  let store;
+  const getStore = () =>
+    (store ??= createAuthStore({
+      load: () => readStorageJson(storageKey, {}),
+      onChange: (state) => writeStorageJson(storageKey, state),
+    }));
+
+  /**
+   * Runs a store operation after the simulated round trip
+   * @param {string} operation - Store method
+   */
+  const call =
+    (operation) =>
+    async (...args) => {
+      await wait(latency);
+      return getStore()[operation](...args);
+    };
+
+  return {
+    name: "local",
+    signUp: call("signUp"),
+    signIn: call("signIn"),
+    refresh: call("refresh"),
+    signOut: call("signOut"),
+    requestPasswordReset: call("requestPasswordReset"),
+    resetPassword: call("resetPassword"),
+    getUser: call("getUser"),
+    updateProfile: call("updateProfile"),
+  };
+};
+
+/**
+ * JSON API speaking the mock server's protocol. Refusals answer 4xx with
+ * `{ code, error }`, `code` being an AuthError code.
+ * @param {object} options
+ * @param {string} options.endpoint - Base URL
+ */
+export const createFetchProvider = ({ endpoint }) => {
+  /**
+   * Turns refusals into AuthErrors
+   * @param {() => Promise<any>} request
+   */
+  const send = async (request) => {
+    try {
+      return await request();
+    } catch (error) {
+      if (error instanceof RequestError && error.data?.code) throw new AuthError(error.data.code, error.data.error);
+      throw error;
+    }
+  };
+
+  const bearer = (accessToken) => ({ Authorization: `Bearer ${accessToken}` });
+
+  return {
+    name: "fetch",
+    signUp: (fields) => send(() => postJson(`${endpoint}/sign-up`, fields)),
+    signIn: (credentials) => send(() => postJson(`${endpoint}/sign-in`, credentials)),
+    refresh: (refreshToken) => send(() => postJson(`${endpoint}/refresh`, { refreshToken })),
+    signOut: (refreshToken) => send(() => postJson(`${endpoint}/sign-out`, { refreshToken })),
+    requestPasswordReset: (email) => send(() => postJson(`${endpoint}/password-reset`, { email })),
+    resetPassword: (fields) => send(() => postJson(`${endpoint}/password-reset/confirm`, fields)),
+    getUser: (accessToken) =>
+      send(() => withRetry(() => requestJson(`${endpoint}/me`, { headers: bearer(accessToken) }), { retries: 2 })),
+    updateProfile: (accessToken, changes) =>
+      send(() => requestJson(`${endpoint}/me`, { method: "PATCH", body: changes, headers: bearer(accessToken) })),
+  };
+};
+
+const providerFactories = {
+  local: createLocalProvider,
+  fetch: createFetchProvider,
+};
+
+/**
+ * Makes a custom provider available through VITE_AUTH_PROVIDER
+ * @param {string} name - Provider name
+ * @param {(config: object) => object} factory - Receives `authConfig`
+ */
+export const registerAuthProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Builds the provider named in the configuration
+ * @param {object} config - Same shape as `authConfig`
+ */
+export const createAuthProvider = (config = authConfig) => {
+  if (!isUsable(config)) {
+    throw new Error(
+      config.provider
+        ? `The "${config.provider}" auth provider only runs in development. Set VITE_AUTH_ENDPOINT.`
+        : "No auth provider configured. Set VITE_AUTH_ENDPOINT or VITE_AUTH_PROVIDER."
+    );
+  }
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown auth provider "${config.provider}". Expected one of: ${Object.keys(providerFactories).join(", ")}.`
+    );
+  }
+  return factory(config);
+};
+
+// ===== PUBLIC API =====
+
+let defaultProvider;
+
+// Created lazily so providers registered at startup are picked up
+const getProvider = () => (defaultProvider ??= createAuthProvider());
+
+/**
+ * Creates an account and signs it in
+ * @param {{email: string, password: string, gamertag: string}} fields - Validated, trimmed fields
+ * @param {object} options
+ * @param {object} options.proof - Proof of work from the spam guard, if enabled
+ * @returns {Promise<object>} - Session
+ */
+export const signUp = (fields, { proof } = {}) => getProvider().signUp({ ...fields, ...(proof && { proof }) });
+
+/**
+ * @param {{email: string, password: string}} credentials
+ * @returns {Promise<object>} - Session
+ */
+export const signIn = (credentials) => getProvider().signIn(credentials);
+
+/**
+ * Swaps a refresh token for a new session - the old token stops working
+ * @param {string} refreshToken
+ * @returns {Promise<object>} - Session
+ */
+export const refreshSession = (refreshToken) => getProvider().refresh(refreshToken);
+
+/**
+ * Ends a session on the backend
+ * @param {string} refreshToken
+ */
+export const signOut = (refreshToken) => getProvider().signOut(refreshToken);
+
+/**
+ * Sends a password reset link, if the address has an account
+ * @param {string} email
+ * @returns {Promise<{token?: string}>} - `token` only from development backends
+ */
+export const requestPasswordReset = (email) => getProvider().requestPasswordReset(email);
+
+/**
+ * Sets a new password with the token from a reset link. Every session of
+ * the account ends.
+ * @param {{token: string, password: string}} fields
+ */
+export const resetPassword = (fields) => getProvider().resetPassword(fields);
+
+/**
+ * @param {string} accessToken
+ * @returns {Promise<object>} - The signed-in user
+ */
+export const getUser = (accessToken) => getProvider().getUser(accessToken);
+
+/**
+ * @param {string} accessToken
+ * @param {{gamertag?: string, bio?: string, avatar?: string}} changes - Validated, trimmed fields
+ * @returns {Promise<object>} - The updated user
+ */
+export const updateProfile = (accessToken, changes) => getProvider().updateProfile(accessToken, changes);
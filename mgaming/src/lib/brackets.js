@@ -0,0 +1,157 @@
+/**
+ * BRACKET LAYOUT
+ *
+ * Positions the matches of a single- or double-elimination tournament for
+ * the SVG bracket (components/TournamentBracket.jsx). Rounds are columns.
+ * The first round of each section is spaced evenly; every later match
+ * sits level with the matches feeding it, so the connecting lines read
+ * like a tree. Double elimination stacks the lower bracket under the upper
+ * one and puts the grand final in a column of its own after both.
+ *
+ * Pure geometry - sizes are SVG user units and labels are message keys.
+ */
+
+export const bracketSizes = {
+  matchWidth: 208,
+  matchHeight: 64, // Two 32 unit rows, one per side
+  columnGap: 56,
+  rowGap: 20,
+  labelHeight: 36, // Round names above each section
+  sectionGap: 48,
+};
+
+// Drawing order of the sections, top to bottom
+const sections = ["upper", "lower", "final"];
+
+/**
+ * Message key and values naming a round
+ * @param {string} section - "upper", "lower", "final" or "group"
+ * @param {number} round
+ * @param {number} rounds - Rounds in the section
+ * @param {boolean} double - Double elimination
+ * @returns {{key: string, values: object}}
+ */
+const roundLabel = (section, round, rounds, double) => {
+  if (section === "group") return { key: "tournaments.rounds.round", values: { round } };
+  if (section === "final") return { key: "tournaments.rounds.grandFinal", values: {} };
+  if (section === "lower") {
+    return round === rounds
+      ? { key: "tournaments.rounds.lowerFinal", values: {} }
+      : { key: "tournaments.rounds.lower", values: { round } };
+  }
+  if (double) {
+    return round === rounds
+      ? { key: "tournaments.rounds.upperFinal", values: {} }
+      : { key: "tournaments.rounds.upper", values: { round } };
+  }
+
+  const fromEnd = rounds - round;
+  if (fromEnd === 0) return { key: "tournaments.rounds.final", values: {} };
+  if (fromEnd === 1) return { key: "tournaments.rounds.semifinals", values: {} };
+  if (fromEnd === 2) return { key: "tournaments.rounds.quarterfinals", values: {} };
+  return { key: "tournaments.rounds.round", values: { round } };
+};
+
+/**
+ * Names of every round of a tournament, e.g. for the schedule
+ * @param {Array<object>} matches
+ * @returns {Map<string, {key: string, values: object}>} - Keyed by "{bracket}-{round}"
+ */
+export const getRoundLabels = (matches) => {
+  const double = matches.some((match) => match.bracket === "lower" || match.bracket === "final");
+  const rounds = {};
+  for (const { bracket, round } of matches) rounds[bracket] = Math.max(rounds[bracket] ?? 0, round);
+
+  return new Map(
+    matches.map(({ bracket, round }) => [`${bracket}-${round}`, roundLabel(bracket, round, rounds[bracket], double)])
+  );
+};
+
+/**
+ * Lays out an elimination bracket
+ *
+ * @param {Array<object>} matches - Tournament matches (bracket "upper", "lower" or "final")
+ * @param {object} options
+ * @param {boolean} options.rtl - Mirror horizontally, first round on the right
+ * @returns {{width: number, height: number, nodes: Array<{match: object, x: number, y: number}>, links: Array<{id: string, from: string, to: string, d: string}>, labels: Array<{id: string, x: number, y: number, key: string, values: object}>}}
+ */
+export const layoutBracket = (matches, { rtl = false } = {}) => {
+  const { matchWidth, matchHeight, columnGap, rowGap, labelHeight, sectionGap } = bracketSizes;
+  const step = matchWidth + columnGap;
+  const names = getRoundLabels(matches);
+
+  const positions = new Map(); // match id -> { x, y }
+  const labels = [];
+  let columns = 0;
+  let top = 0;
+
+  // The grand final follows the longer of the two brackets
+  const roundsOf = (section) => Math.max(0, ...matches.filter((match) => match.bracket === section).map((match) => match.round));
+  const finalColumn = Math.max(roundsOf("upper"), roundsOf("lower"));
+
+  for (const section of sections) {
+    const inSection = matches.filter((match) => match.bracket === section);
+    if (!inSection.length) continue;
+
+    const rounds = roundsOf(section);
+    const offset = section === "final" ? finalColumn : 0;
+    let bottom = 0;
+
+    for (let round = 1; round <= rounds; round += 1) {
+      const inRound = inSection.filter((match) => match.round === round);
+      const column = offset + round - 1;
+      columns = Math.max(columns, column + 1);
+
+      inRound.forEach((match, index) => {
+        const feeders = matches.filter((other) => other.next === match.id && positions.has(other.id));
+        // The grand final is placed level with both bracket winners; other
+        // rounds only follow feeders from their own section
+        const aligned = section === "final" ? feeders : feeders.filter((other) => other.bracket === section);
+        const y = aligned.length
+          ? aligned.reduce((sum, other) => sum + positions.get(other.id).y, 0) / aligned.length
+          : top + labelHeight + index * (matchHeight + rowGap);
+        positions.set(match.id, { x: column * step, y });
+        bottom = Math.max(bottom, y + matchHeight);
+      });
+
+      labels.push({
+        id: `${section}-${round}`,
+        x: column * step,
+        y: section === "final" ? Math.min(...inRound.map((match) => positions.get(match.id).y)) - labelHeight : top,
+        ...names.get(`${section}-${round}`),
+      });
+    }
+
+    if (section !== "final") top = bottom + sectionGap;
+  }
+
+  const width = Math.max(columns * step - columnGap, 0);
+  const height = Math.max(0, ...[...positions.values()].map(({ y }) => y + matchHeight));
+
+  // Mirroring only moves whole boxes - their contents stay readable
+  const mirror = (x) => (rtl ? width - x - matchWidth : x);
+
+  const nodes = matches
+    .filter((match) => positions.has(match.id))
+    .map((match) => ({ match, x: mirror(positions.get(match.id).x), y: positions.get(match.id).y }));
+
+  // Elbow lines from each match to the one its winner moves on to
+  const links = nodes
+    .filter(({ match }) => positions.has(match.next))
+    .map(({ match, x, y }) => {
+      const target = positions.get(match.next);
+      const startX = rtl ? x : x + matchWidth;
+      const endX = rtl ? mirror(target.x) + matchWidth : mirror(target.x);
+      const middleX = (startX + endX) / 2;
+      const startY = y + matchHeight / 2;
+      const endY = target.y + matchHeight / 2;
+      return {
+        id: `${match.id}-${match.next}`,
+        from: match.id,
+        to: match.next,
+        d: `M${startX} ${startY}H${middleX}V${endY}H${endX}`,
+      };
+    });
+
+  return { width, height, nodes, links, labels: labels.map((label) => ({ ...label, x: mirror(label.x) })) };
+};
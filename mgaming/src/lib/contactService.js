@@ -0,0 +1,153 @@
+import { powDifficulty, solveProofOfWork } from "./antiSpam";
+import { isConnectivityError, postJson, RequestError } from "./http";
+import { createOfflineQueue } from "./offlineQueue";
+import { withRetry } from "./retry";
+
+/**
+ * CONTACT SUBMISSION SERVICE
+ *
+ * Delivers messages from the Contact form through a configurable transport:
+ * - "json":   POST to a JSON endpoint (VITE_CONTACT_ENDPOINT)
+ * - "mock":   POST to the local stand-in server (`npm run mock`), proxied by Vite
+ * - "mailto": hand the message to the visitor's email client
+ *
+ * JSON deliveries are retried with backoff and, when the visitor is offline,
+ * kept in an offline queue that flushes once connectivity returns.
+ */
+
+// ===== CONFIGURATION =====
+
+const env = import.meta.env;
+
+export const contactConfig = {
+  transport: env.VITE_CONTACT_TRANSPORT || (env.DEV ? "mock" : "mailto"),
+  endpoint: env.VITE_CONTACT_ENDPOINT || "/api/contact",
+  mailto: env.VITE_CONTACT_MAILTO || "mk86215@gmail.com",
+};
+
+// ===== TRANSPORTS =====
+
+/**
+ * POSTs the message as JSON. Used for both real endpoints and the mock server.
+ * @param {object} options
+ * @param {string} options.endpoint - URL receiving the message
+ */
+export const createJsonTransport = ({ endpoint }) => ({
+  name: "json",
+  queueable: true,
+  send: (message) => postJson(endpoint, message),
+});
+
+/**
+ * Opens the visitor's email client with the message pre-filled.
+ * Nothing is delivered by us, so there is nothing to retry or queue.
+ * @param {object} options
+ * @param {string} options.mailto - Recipient address
+ */
+export const createMailtoTransport = ({ mailto }) => ({
+  name: "mailto",
+  queueable: false,
+  send: async ({ name, email, subject, message }) => {
+    const params = new URLSearchParams({
+      subject,
+      body: `${message}\n\n— ${name} <${email}>`,
+    });
+    // URLSearchParams encodes spaces as "+", which mail clients show literally
+    window.location.href = `mailto:${mailto}?${params.toString().replace(/\+/g, "%20")}`;
+    return { handedOff: true };
+  },
+});
+
+const transportFactories = {
+  json: createJsonTransport,
+  mock: createJsonTransport,
+  mailto: createMailtoTransport,
+};
+
+/**
+ * Builds the transport named in the configuration
+ * @param {object} config - Same shape as `contactConfig`
+ */
+export const createContactTransport = (config = contactConfig) => {
+  const factory = transportFactories[config.transport];
+  if (!factory) {
+    throw new Error(
+      `Unknown contact transport "${config.transport}". Expected one of: ${Object.keys(transportFactories).join(", ")}.`
+    );
+  }
+  return factory(config);
+};
+
+const defaultTransport = createContactTransport();
+
+// ===== OFFLINE QUEUE =====
+
+// Queued messages wait without their proof of work - it expires long
+// before some offline spells end - and are sent with a fresh one
+const contactQueue = createOfflineQueue({
+  storageKey: "mgaming:contact-queue",
+  send: async (payload) => {
+    const proof = await solveProofOfWork(powDifficulty);
+    return defaultTransport.send({ ...payload, ...(proof && { proof }) });
+  },
+});
+
+/**
+ * @param {object} payload
+ */
+const enqueueMessage = (payload) => {
+  const queued = { ...payload };
+  delete queued.proof;
+  contactQueue.enqueue(queued);
+};
+
+/**
+ * Flushes queued messages now and whenever the browser comes back online
+ * @param {(result: {sent: number, remaining: number}) => void} onFlush
+ * @returns {() => void} - Cleanup function
+ */
+export const startContactQueue = (onFlush) => {
+  contactQueue.flush().then((result) => result.sent && onFlush?.(result));
+  return contactQueue.listen(onFlush);
+};
+
+// ===== PUBLIC API =====
+
+/**
+ * Submits a contact message
+ *
+ * @param {{name: string, email: string, subject: string, message: string}} message
+ * @param {object} options
+ * @param {object} options.transport - Transport override (defaults to the configured one)
+ * @param {Function} options.onRetry - Forwarded to `withRetry`
+ * @returns {Promise<{status: "sent"|"queued"|"mailto"}>}
+ * @throws {RequestError} - When the message was rejected or could not be delivered
+ */
+export const submitContactMessage = async (message, { transport = defaultTransport, onRetry } = {}) => {
+  const payload = { ...message, sentAt: new Date().toISOString() };
+
+  if (transport.name === "mailto") {
+    await transport.send(payload);
+    return { status: "mailto" };
+  }
+
+  if (!navigator.onLine) {
+    if (transport.queueable) {
+      enqueueMessage(payload);
+      return { status: "queued" };
+    }
+    throw new RequestError("You appear to be offline.", { code: "offline" });
+  }
+
+  try {
+    await withRetry(() => transport.send(payload), { retries: 3, onRetry });
+    return { status: "sent" };
+  } catch (error) {
+    // The connection dropped mid-way: keep the message instead of losing it
+    if (transport.queueable && isConnectivityError(error)) {
+      enqueueMessage(payload);
+      return { status: "queued" };
+    }
+    throw error;
+  }
+};
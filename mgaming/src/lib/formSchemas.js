@@ -0,0 +1,117 @@
+import { accountLimits } from "./authData";
+import { lettersAndDigits, maxLinks, noHtml } from "./validation";
+
+/**
+ * VALIDATION SCHEMAS FOR THE SITE'S FORMS
+ * See `validation.js` for the rule format.
+ */
+
+// Single email field - shared by every form that only asks for an address
+export const emailField = {
+  labelKey: "fields.email",
+  required: true,
+  trim: true,
+  maxLength: 254,
+  format: "email",
+};
+
+export const contactSchema = {
+  name: {
+    labelKey: "fields.name",
+    required: true,
+    trim: true,
+    minLength: 2,
+    maxLength: 80,
+    disallow: [noHtml, maxLinks(0)],
+  },
+  email: emailField,
+  subject: {
+    labelKey: "fields.subject",
+    required: true,
+    trim: true,
+    minLength: 3,
+    maxLength: 120,
+    disallow: [noHtml, maxLinks(0)],
+  },
+  message: {
+    labelKey: "fields.message",
+    required: true,
+    trim: true,
+    minLength: 10,
+    maxLength: 2000,
+    disallow: [noHtml, maxLinks(3)],
+  },
+};
+
+export const newsletterSchema = {
+  email: emailField,
+};
+
+// Player name - in brackets, on leaderboards and on accounts
+export const gamertagField = {
+  labelKey: "fields.gamertag",
+  required: true,
+  trim: true,
+  minLength: accountLimits.gamertag.min,
+  maxLength: accountLimits.gamertag.max,
+  disallow: [noHtml, maxLinks(0)],
+};
+
+export const tournamentEntrySchema = {
+  name: gamertagField,
+  email: emailField,
+};
+
+// Team events also ask for the team's name, which goes in the bracket
+export const teamEntrySchema = {
+  ...tournamentEntrySchema,
+  team: {
+    labelKey: "fields.team",
+    required: true,
+    trim: true,
+    minLength: 2,
+    maxLength: 40,
+    disallow: [noHtml, maxLinks(0)],
+  },
+};
+
+// ===== PLAYER ACCOUNTS =====
+// Passwords are taken as typed - spaces count - and match lib/authData.js
+
+const newPasswordField = {
+  labelKey: "fields.password",
+  required: true,
+  trim: false,
+  minLength: accountLimits.password.min,
+  maxLength: accountLimits.password.max,
+  disallow: [lettersAndDigits],
+};
+
+export const signInSchema = {
+  email: emailField,
+  password: { labelKey: "fields.password", required: true, trim: false },
+};
+
+export const signUpSchema = {
+  gamertag: gamertagField,
+  email: emailField,
+  password: newPasswordField,
+};
+
+export const passwordResetSchema = {
+  email: emailField,
+};
+
+export const newPasswordSchema = {
+  password: { ...newPasswordField, labelKey: "fields.newPassword" },
+};
+
+export const profileSchema = {
+  gamertag: gamertagField,
+  bio: {
+    labelKey: "fields.bio",
+    trim: true,
+    maxLength: accountLimits.bio.max,
+    disallow: [noHtml, maxLinks(1)],
+  },
+};
@@ -0,0 +1,123 @@
+/**
+ * FUZZY TEXT SEARCH
+ *
+ * Small typo-tolerant matcher for catalog search boxes. Plain JS with no
+ * browser or Vite APIs, so the mock API server shares it.
+ *
+ * Text and queries are normalised (lower case, accents and punctuation
+ * removed) and split into words. Every query word has to match one word of
+ * the record, scored by how well:
+ *
+ *   exact word          1
+ *   start of a word     0.85   "zig" → "zigma"
+ *   inside a word       0.6    "verse" → "multiverse"
+ *   one or two typos    0.5    "nexis" → "nexus" (longer words allow more)
+ *   letters in order    0.25   "nxs" → "nexus"
+ *
+ * A record's score is the sum over the query words, weighted by the field
+ * that matched; 0 means at least one query word found nothing.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string[]} - Normalised words
+ */
+export const tokenize = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} - The distance, or max + 1
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+/**
+ * @param {string} needle
+ * @param {string} word
+ * @returns {boolean} - The needle's letters appear in the word, in order
+ */
+const isSubsequence = (needle, word) => {
+  let position = 0;
+  for (const letter of word) {
+    if (letter === needle[position]) position += 1;
+    if (position === needle.length) return true;
+  }
+  return false;
+};
+
+/**
+ * How well one query word matches one word of the text
+ * @param {string} term - Query word
+ * @param {string} word - Text word
+ * @returns {number} - 0 to 1
+ */
+const scoreWord = (term, word) => {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.85;
+  if (term.length >= 3 && word.includes(term)) return 0.6;
+
+  // Typos only count on words long enough to tell apart; compared with the
+  // start of the word, so a typo in a prefix still finds longer words
+  const allowed = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+  for (let length = term.length - allowed; allowed && length <= term.length + allowed; length += 1) {
+    if (length <= word.length && editDistance(term, word.slice(0, length), allowed) <= allowed) return 0.5;
+  }
+
+  if (term.length >= 3 && isSubsequence(term, word)) return 0.25;
+  return 0;
+};
+
+/**
+ * Prepares a record's searchable fields once, so scoring many queries is cheap
+ * @param {Array<{text: string|string[], weight?: number}>} fields
+ * @returns {Array<{words: string[], weight: number}>}
+ */
+export const createSearchIndex = (fields) =>
+  fields.map(({ text, weight = 1 }) => ({
+    words: tokenize([].concat(text).join(" ")),
+    weight,
+  }));
+
+/**
+ * @param {string[]} terms - Result of `tokenize(query)`
+ * @param {Array<{words: string[], weight: number}>} index - Result of `createSearchIndex`
+ * @returns {number} - 0 when any term is missing, higher is better
+ */
+export const scoreIndex = (terms, index) => {
+  let total = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const { words, weight } of index) {
+      for (const word of words) {
+        best = Math.max(best, scoreWord(term, word) * weight);
+      }
+    }
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+};
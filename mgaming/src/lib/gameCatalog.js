@@ -0,0 +1,128 @@
+import { requestJson, RequestError } from "./http";
+import { queryGames, serializeGameFilters } from "./gameQuery";
+import { withRetry } from "./retry";
+
+/**
+ * GAME CATALOG SERVICE
+ *
+ * The Game Library reads its games through a provider adapter, so the
+ * catalog can move to a real backend without touching the UI. A provider is
+ * an object:
+ *
+ *   {
+ *     name: "fetch",
+ *     query: async (filters, { offset, limit }) => ({ items, total, facets }),
+ *     get: async (id) => game | null,
+ *   }
+ *
+ * Filters and the result shape are described in lib/gameQuery.js. Failures
+ * throw a `RequestError`. Built-in providers:
+ * - "local": src/content/games.json, queried in the browser (loaded as its
+ *            own chunk on first use)
+ * - "fetch": GET VITE_GAMES_ENDPOINT?q=…&offset=…&limit=… for pages and
+ *            GET VITE_GAMES_ENDPOINT/{id} for one game - `npm run mock`
+ *            serves both at /api/games
+ *
+ * Register more with `registerGameCatalogProvider("name", factory)`.
+ */
+
+// ===== CONFIGURATION =====
+
+const env = import.meta.env;
+
+export const gameCatalogConfig = {
+  provider: env.VITE_GAMES_PROVIDER || (env.VITE_GAMES_ENDPOINT ? "fetch" : "local"),
+  endpoint: env.VITE_GAMES_ENDPOINT || "/api/games",
+};
+
+// ===== PROVIDERS =====
+
+/**
+ * Catalog bundled with the site - no network involved
+ * @param {object} options
+ * @param {() => Promise<Array<object>>} options.load - Loads the games
+ */
+export const createLocalProvider = ({
+  load = () => import("../content/games.json").then((module) => module.default.games),
+} = {}) => {
+  let games;
+  const getGames = () => (games ??= load());
+
+  return {
+    name: "local",
+    query: async (filters, page) => queryGames(await getGames(), filters, page),
+    get: async (id) => (await getGames()).find((game) => game.id === id) ?? null,
+  };
+};
+
+/**
+ * JSON API speaking the mock server's protocol
+ * @param {object} options
+ * @param {string} options.endpoint - Collection URL
+ */
+export const createFetchProvider = ({ endpoint }) => ({
+  name: "fetch",
+  query: (filters, { offset = 0, limit = 24 } = {}) => {
+    const params = serializeGameFilters(filters);
+    params.set("offset", String(offset));
+    params.set("limit", String(limit));
+    return withRetry(() => requestJson(`${endpoint}?${params}`), { retries: 2 });
+  },
+  get: async (id) => {
+    try {
+      return await withRetry(() => requestJson(`${endpoint}/${encodeURIComponent(id)}`), { retries: 2 });
+    } catch (error) {
+      if (error instanceof RequestError && error.status === 404) return null;
+      throw error;
+    }
+  },
+});
+
+const providerFactories = {
+  local: createLocalProvider,
+  fetch: createFetchProvider,
+};
+
+/**
+ * Makes a custom provider available through VITE_GAMES_PROVIDER
+ * @param {string} name - Provider name
+ * @param {(config: object) => object} factory - Receives `gameCatalogConfig`
+ */
+export const registerGameCatalogProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Builds the provider named in the configuration
+ * @param {object} config - Same shape as `gameCatalogConfig`
+ */
+export const createGameCatalogProvider = (config = gameCatalogConfig) => {
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown game catalog provider "${config.provider}". Expected one of: ${Object.keys(providerFactories).join(", ")}.`
+    );
+  }
+  return factory(config);
+};
+
+// ===== PUBLIC API =====
+
+let defaultProvider;
+
+// Created lazily so providers registered at startup are picked up
+const getProvider = () => (defaultProvider ??= createGameCatalogProvider());
+
+/**
+ * One page of games matching the filters
+ * @param {object} filters - See lib/gameQuery.js
+ * @param {{offset: number, limit: number}} page
+ * @returns {Promise<{items: Array<object>, total: number, facets: object}>}
+ */
+export const queryGameCatalog = (filters, page) => getProvider().query(filters, page);
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>} - The game, or null when there is no such game
+ */
+export const getGame = (id) => getProvider().get(id);
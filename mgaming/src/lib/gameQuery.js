@@ -0,0 +1,184 @@
+import { createSearchIndex, scoreIndex, tokenize } from "./fuzzySearch.js";
+
+/**
+ * GAME CATALOG QUERIES
+ *
+ * Search, facet filters, sorting and paging over the game catalog, plus the
+ * URL form of the filters. Plain JS with no browser or Vite APIs: the
+ * "local" catalog provider runs it in the browser and the mock API server
+ * answers GET /api/games with it, so both return the same results.
+ *
+ * Filters:
+ * - `q`:        fuzzy text search over title, developer, genres and summary
+ * - `genre`:    any of these genres
+ * - `platform`: available on any of these platforms
+ * - `price`:    in any of these price ranges (`priceRanges`)
+ * - `rating`:   at least this rating, 0 for any
+ * - `sort`:     one of `gameSorts`; "relevance" without a search means
+ *               best rated first
+ *
+ * Facet counts follow the usual store convention: each facet counts the
+ * games matching every other filter, so picking a genre still shows how
+ * many games the other genres would add.
+ */
+
+// ===== FILTERS =====
+
+export const gameSorts = ["relevance", "rating", "newest", "price-asc", "price-desc", "title"];
+
+// USD, inclusive bounds
+export const priceRanges = {
+  free: [0, 0],
+  "under-20": [0.01, 19.99],
+  "20-40": [20, 40],
+  "over-40": [40.01, Infinity],
+};
+
+// Minimum ratings offered by the rating filter
+export const ratingSteps = [4.5, 4, 3];
+
+export const defaultGameFilters = { q: "", genre: [], platform: [], price: [], rating: 0, sort: "relevance" };
+
+const listParams = ["genre", "platform", "price"];
+
+/**
+ * Reads filters from a query string; unknown values fall back to the defaults
+ * @param {string|URLSearchParams} query - e.g. "genre=rpg,shooter&sort=newest"
+ * @returns {typeof defaultGameFilters}
+ */
+export const parseGameFilters = (query) => {
+  const params = new URLSearchParams(query);
+  const list = (name) => [...new Set((params.get(name) || "").split(",").filter(Boolean))];
+  const rating = Number(params.get("rating"));
+  const sort = params.get("sort");
+
+  return {
+    q: (params.get("q") || "").trim(),
+    genre: list("genre"),
+    platform: list("platform"),
+    price: list("price").filter((range) => Object.hasOwn(priceRanges, range)),
+    rating: ratingSteps.includes(rating) ? rating : 0,
+    sort: gameSorts.includes(sort) ? sort : "relevance",
+  };
+};
+
+/**
+ * Writes filters as a query string, leaving out the defaults
+ * @param {Partial<typeof defaultGameFilters>} filters
+ * @returns {URLSearchParams}
+ */
+export const serializeGameFilters = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.q?.trim()) params.set("q", filters.q.trim());
+  listParams.forEach((name) => {
+    if (filters[name]?.length) params.set(name, filters[name].join(","));
+  });
+  if (filters.rating) params.set("rating", String(filters.rating));
+  if (filters.sort && filters.sort !== "relevance") params.set("sort", filters.sort);
+  return params;
+};
+
+// ===== MATCHING =====
+
+// game → search index, built on first search
+const indexes = new WeakMap();
+
+const getIndex = (game) => {
+  if (!indexes.has(game)) {
+    indexes.set(
+      game,
+      createSearchIndex([
+        { text: game.title, weight: 3 },
+        { text: game.developer, weight: 1.5 },
+        { text: game.genres, weight: 1.5 },
+        { text: game.summary },
+      ])
+    );
+  }
+  return indexes.get(game);
+};
+
+const inPriceRange = (price, range) => {
+  const [min, max] = priceRanges[range];
+  return price >= min && price <= max;
+};
+
+// Tests per facet - an empty selection lets everything through
+const facetTests = {
+  genre: (game, selected) => selected.some((genre) => game.genres.includes(genre)),
+  platform: (game, selected) => selected.some((platform) => game.platforms.includes(platform)),
+  price: (game, selected) => selected.some((range) => inPriceRange(game.price, range)),
+};
+
+/**
+ * @param {object} game
+ * @param {typeof defaultGameFilters} filters
+ * @param {string} [skip] - Facet to ignore, for its own counts
+ * @returns {boolean}
+ */
+const matchesFacets = (game, filters, skip) =>
+  Object.entries(facetTests).every(
+    ([name, test]) => name === skip || !filters[name].length || test(game, filters[name])
+  ) &&
+  (skip === "rating" || game.rating >= filters.rating);
+
+// ===== SORTING =====
+
+const byTitle = (a, b) => a.game.title.localeCompare(b.game.title);
+const byRating = (a, b) => b.game.rating - a.game.rating || byTitle(a, b);
+const byNewest = (a, b) => b.game.releaseDate.localeCompare(a.game.releaseDate) || byTitle(a, b);
+
+const comparators = {
+  relevance: (a, b) => b.score - a.score || byRating(a, b),
+  rating: byRating,
+  newest: byNewest,
+  "price-asc": (a, b) => a.game.price - b.game.price || byRating(a, b),
+  "price-desc": (a, b) => b.game.price - a.game.price || byRating(a, b),
+  title: byTitle,
+};
+
+// ===== QUERY =====
+
+/**
+ * @param {Array<object>} games - Full catalog
+ * @param {Partial<typeof defaultGameFilters>} filters
+ * @param {object} options
+ * @param {number} options.offset - First result to return
+ * @param {number} options.limit - Results per page
+ * @returns {{items: Array<object>, total: number, facets: {genre: Object<string, number>, platform: Object<string, number>, price: Object<string, number>, rating: Object<string, number>}}}
+ */
+export const queryGames = (games, filters = {}, { offset = 0, limit = 24 } = {}) => {
+  const active = { ...defaultGameFilters, ...filters };
+  const terms = tokenize(active.q);
+
+  // Text search first - it narrows every facet
+  const found = games
+    .map((game) => ({ game, score: terms.length ? scoreIndex(terms, getIndex(game)) : 0 }))
+    .filter(({ score }) => !terms.length || score > 0);
+
+  const results = found.filter(({ game }) => matchesFacets(game, active));
+  results.sort(comparators[active.sort] ?? comparators.relevance);
+
+  // ===== FACET COUNTS =====
+
+  const count = (name, values, test) => {
+    const pool = found.filter(({ game }) => matchesFacets(game, active, name));
+    return Object.fromEntries(values.map((value) => [value, pool.filter(({ game }) => test(game, value)).length]));
+  };
+
+  const genres = [...new Set(games.flatMap((game) => game.genres))].sort();
+  const platforms = [...new Set(games.flatMap((game) => game.platforms))].sort();
+
+  const facets = {
+    genre: count("genre", genres, (game, genre) => game.genres.includes(genre)),
+    platform: count("platform", platforms, (game, platform) => game.platforms.includes(platform)),
+    price: count("price", Object.keys(priceRanges), (game, range) => inPriceRange(game.price, range)),
+    rating: count("rating", ratingSteps, (game, rating) => game.rating >= rating),
+  };
+
+  return {
+    items: results.slice(offset, offset + limit).map(({ game }) => game),
+    total: results.length,
+    facets,
+  };
+};
@@ -0,0 +1,99 @@
+/**
+ * HTTP HELPERS
+ *
+ * Thin wrappers around `fetch` shared by every client-side service
+ * (contact form, newsletter, ...). All failures are normalised into a
+ * `RequestError` so the UI can show one consistent message and the retry
+ * helper can decide whether another attempt makes sense.
+ */
+
+// ===== ERRORS =====
+
+/**
+ * Error raised by the request helpers
+ *
+ * @param {string} message - Human readable message, safe to show in the UI
+ * @param {object} options
+ * @param {"network"|"timeout"|"http"|"offline"} options.code - Failure category
+ * @param {number} options.status - HTTP status (0 when the server was never reached)
+ * @param {boolean} options.retryable - Whether trying again could succeed
+ * @param {any} options.data - Parsed response body, if any
+ */
+export class RequestError extends Error {
+  constructor(message, { code = "network", status = 0, retryable = true, data = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "RequestError";
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.data = data;
+  }
+}
+
+/**
+ * Network-level failures (no response at all) are worth queueing for later
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isConnectivityError = (error) =>
+  error instanceof RequestError && ["network", "timeout", "offline"].includes(error.code);
+
+// ===== REQUESTS =====
+
+/**
+ * Sends a JSON request and parses the JSON response
+ *
+ * @param {string} url - Endpoint URL
+ * @param {object} options
+ * @param {string} options.method - HTTP method (defaults to GET, or POST when a body is given)
+ * @param {any} options.body - Value serialised as the JSON request body
+ * @param {object} options.headers - Extra request headers
+ * @param {number} options.timeout - Milliseconds before the request is aborted
+ * @returns {Promise<any>} - Parsed response body (null for empty responses)
+ */
+export const requestJson = async (url, { method, body, headers = {}, timeout = 10000 } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: method || (body === undefined ? "GET" : "POST"),
+      headers: {
+        Accept: "application/json",
+        ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new RequestError("The server took too long to respond.", { code: "timeout", cause: error });
+    }
+    throw new RequestError("Could not reach the server. Check your connection.", { code: "network", cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // Empty or non-JSON bodies are not an error by themselves
+  const data = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new RequestError(data?.error || `Request failed with status ${response.status}.`, {
+      code: "http",
+      status: response.status,
+      // Client errors won't fix themselves; server errors and throttling might
+      retryable: response.status >= 500 || response.status === 429,
+      data,
+    });
+  }
+
+  return data;
+};
+
+/**
+ * POSTs a JSON body - shorthand for `requestJson(url, { body })`
+ */
+export const postJson = (url, body, options = {}) =>
+  requestJson(url, { ...options, method: "POST", body });
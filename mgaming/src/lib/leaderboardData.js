@@ -0,0 +1,248 @@
+import { tokenize } from "./fuzzySearch.js";
+
+/**
+ * LEADERBOARD DATA
+ *
+ * Demo standings generated from src/content/leaderboards.json, shared by
+ * the site's "local" leaderboard provider and the mock API
+ * (server/routes/leaderboards.js) so both behave the same. Players and
+ * their results come from a seeded random generator, then `tick()` plays a
+ * few matches at a time to keep the boards moving.
+ *
+ * Boards:
+ *   global      all-time points over every game
+ *   season      points in the current season
+ *   {game id}   all-time points in one game
+ *
+ * Rows are ranked by points, then wins, then fewer matches played. `change`
+ * is how many places a row moved in the last tick: positive is up, null
+ * for players new to the board.
+ */
+
+export const leaderboardTypes = ["global", "season", "game"];
+
+// Points won or lost per match: the winner takes WIN_POINTS plus a bonus
+// for beating a better ranked player, the loser drops half of that
+const WIN_POINTS = 24;
+const UPSET_BONUS = 16;
+
+// Points per win (and minus per loss) in the generated history
+const RESULT_POINTS = 8;
+
+/**
+ * Small seeded random generator (mulberry32)
+ * @param {number} seed
+ * @returns {() => number} - Like Math.random
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value ^= value + Math.imul(value ^ (value >>> 7), 61 | value);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * @param {() => number} random
+ * @param {Array} list
+ */
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+/**
+ * Integer between min and max, both included
+ * @param {() => number} random
+ */
+const between = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+// ===== PLAYERS =====
+
+/**
+ * Players with their results in each game they play
+ * @param {object} data - leaderboards.json
+ * @param {() => number} random
+ * @returns {Array<{id: string, name: string, country: string, stats: Object<string, object>}>}
+ */
+const generatePlayers = ({ players: count, games, gamertags, countries }, random) => {
+  const { prefixes, suffixes } = gamertags;
+  const names = new Set();
+  const players = [];
+
+  while (players.length < Math.min(count, prefixes.length * suffixes.length)) {
+    const base = `${pick(random, prefixes)}${pick(random, suffixes)}`;
+    if (names.has(base)) continue;
+    names.add(base);
+
+    // A skill level shared by all of the player's games, so the best players
+    // tend to do well everywhere
+    const skill = random() ** 2;
+    // Each game is played by about half of the players, and everyone plays one
+    const played = games.filter(() => random() < 0.45);
+    if (!played.length) played.push(pick(random, games));
+
+    const stats = {};
+    for (const game of played) {
+      const matches = between(random, 20, 160);
+      const wins = Math.round(matches * (0.3 + skill * 0.45 + random() * 0.1));
+      const seasonMatches = between(random, 0, Math.round(matches / 3));
+      const seasonWins = Math.round(seasonMatches * (wins / matches));
+      stats[game] = {
+        career: { points: Math.max(0, 1200 + (wins * 2 - matches) * RESULT_POINTS), wins, matches },
+        season: {
+          points: Math.max(0, (seasonWins * 2 - seasonMatches) * RESULT_POINTS + seasonMatches * 4),
+          wins: seasonWins,
+          matches: seasonMatches,
+        },
+      };
+    }
+
+    players.push({
+      id: `player-${players.length + 1}`,
+      name: random() < 0.4 ? `${base}${between(random, 1, 99)}` : base,
+      country: pick(random, countries),
+      stats,
+    });
+  }
+  return players;
+};
+
+/**
+ * A player's line on one board, null when they haven't played there
+ * @param {object} player
+ * @param {string} board - Board id
+ */
+const boardRow = (player, board) => {
+  const period = board === "season" ? "season" : "career";
+  const games = board === "global" || board === "season" ? Object.keys(player.stats) : [board];
+  const lines = games.map((game) => player.stats[game]?.[period]).filter(Boolean);
+  if (!lines.length || (period === "season" && lines.every((line) => !line.matches))) return null;
+
+  return {
+    player: { id: player.id, name: player.name, country: player.country },
+    score: lines.reduce((sum, line) => sum + line.points, 0),
+    wins: lines.reduce((sum, line) => sum + line.wins, 0),
+    matches: lines.reduce((sum, line) => sum + line.matches, 0),
+  };
+};
+
+/**
+ * Best first: points, then wins, then fewer matches, then name
+ */
+const compareRows = (a, b) =>
+  b.score - a.score || b.wins - a.wins || a.matches - b.matches || a.player.name.localeCompare(b.player.name);
+
+// ===== LEADERBOARD =====
+
+/**
+ * Live demo leaderboard
+ *
+ * @param {object} data - leaderboards.json
+ * @param {Array<object>} games - games.json, for the game boards' titles
+ * @param {object} options
+ * @param {() => number} options.random - Used by `tick()`; the players always come from `data.seed`
+ * @returns {{boards: () => Array<object>, query: Function, tick: Function, updatedAt: () => string}}
+ */
+export const createLeaderboard = (data, games = [], { random = Math.random } = {}) => {
+  const players = generatePlayers(data, createRandom(data.seed));
+  const titles = new Map(games.map((game) => [game.id, game.title]));
+  const boardIds = ["global", "season", ...data.games];
+
+  let updatedAt = new Date().toISOString();
+  let previous = new Map(); // board id -> Map(player id -> rank) before the last tick
+  const cache = new Map(); // board id -> ranked rows, cleared on every tick
+
+  /**
+   * Every row of a board, ranked
+   * @param {string} board
+   */
+  const rank = (board) => {
+    if (!cache.has(board)) {
+      const before = previous.get(board);
+      const rows = players
+        .map((player) => boardRow(player, board))
+        .filter(Boolean)
+        .sort(compareRows)
+        .map((row, index) => {
+          const last = before?.get(row.player.id);
+          return { rank: index + 1, change: before ? (last ? last - (index + 1) : null) : 0, ...row };
+        });
+      cache.set(board, rows);
+    }
+    return cache.get(board);
+  };
+
+  const describe = (id) => {
+    if (id === "global") return { id, type: "global" };
+    if (id === "season") return { id, type: "season", season: data.season };
+    return { id, type: "game", game: { id, title: titles.get(id) ?? id } };
+  };
+
+  return {
+    /**
+     * @returns {Array<{id: string, type: "global"|"season"|"game", season?: object, game?: {id: string, title: string}}>}
+     */
+    boards: () => boardIds.map(describe),
+
+    /**
+     * One page of a board
+     * @param {string} board - Board id
+     * @param {object} page
+     * @param {number} page.offset
+     * @param {number} page.limit
+     * @param {string} page.q - Only players whose gamertag contains this; ranks stay those of the full board
+     * @returns {{board: object, items: Array<object>, total: number, updatedAt: string}|null} - null for an unknown board
+     */
+    query: (board, { offset = 0, limit = 25, q = "" } = {}) => {
+      if (!boardIds.includes(board)) return null;
+
+      const search = tokenize(q).join("");
+      const rows = search ? rank(board).filter((row) => tokenize(row.player.name).join("").includes(search)) : rank(board);
+      return { board: describe(board), items: rows.slice(offset, offset + limit), total: rows.length, updatedAt };
+    },
+
+    /**
+     * Plays a few matches, mostly between players near the top so the
+     * first pages move
+     * @returns {{boards: Array<string>, updatedAt: string}} - The boards that changed
+     */
+    tick: () => {
+      previous = new Map(boardIds.map((board) => [board, new Map(rank(board).map((row) => [row.player.id, row.rank]))]));
+      const changed = new Set(["global", "season"]);
+
+      for (let count = between(random, 2, 5); count > 0; count -= 1) {
+        const game = pick(random, data.games);
+        const ranked = rank(game);
+        const top = ranked.slice(0, Math.min(ranked.length, 30));
+        const [a, b] = [pick(random, random() < 0.7 ? top : ranked), pick(random, top)];
+        if (!a || !b || a === b) continue;
+
+        const [winner, loser] = random() < 0.5 ? [a, b] : [b, a];
+        const upset = winner.rank > loser.rank ? UPSET_BONUS : 0;
+        const points = WIN_POINTS + upset + between(random, 0, 8);
+
+        for (const [row, won] of [
+          [winner, true],
+          [loser, false],
+        ]) {
+          const { stats } = players.find((player) => player.id === row.player.id);
+          for (const line of [stats[game].career, stats[game].season]) {
+            line.matches += 1;
+            line.wins += won ? 1 : 0;
+            line.points = Math.max(0, line.points + (won ? points : -Math.round(points / 2)));
+          }
+        }
+        changed.add(game);
+      }
+
+      cache.clear();
+      updatedAt = new Date().toISOString();
+      return { boards: boardIds.filter((board) => changed.has(board)), updatedAt };
+    },
+
+    /**
+     * @returns {string} - When the standings last changed, ISO date
+     */
+    updatedAt: () => updatedAt,
+  };
+};
@@ -0,0 +1,212 @@
+import { requestJson, RequestError } from "./http";
+import { createLeaderboard } from "./leaderboardData";
+import { connectLive, liveTransports } from "./liveUpdates";
+import { wait, withRetry } from "./retry";
+
+/**
+ * LEADERBOARD SERVICE
+ *
+ * The Leaderboards page reads standings and live updates through a provider
+ * adapter, so it can move to a real backend without touching the UI. A
+ * provider is an object:
+ *
+ *   {
+ *     name: "fetch",
+ *     boards: async () => ({ boards: [board, ...], updatedAt }),
+ *     query: async (board, { offset, limit, q }) => ({ board, items, total, updatedAt }) | null,
+ *     subscribe: (onUpdate, onStatus) => unsubscribe,
+ *   }
+ *
+ * Boards and rows are described in lib/leaderboardData.js. `onUpdate`
+ * receives `{ updatedAt, boards? }` whenever the standings may have changed
+ * (`boards` lists the ones that did, when known); `onStatus` the live
+ * status of lib/liveUpdates.js. Failures throw a `RequestError`.
+ * Built-in providers:
+ * - "local": src/content/leaderboards.json, simulated in the browser
+ *            (loaded as its own chunk on first use) - development only,
+ *            the scores are made up
+ * - "fetch": GET VITE_LEADERBOARD_ENDPOINT for the boards and
+ *            GET …/{board}?offset=…&limit=…&q=… for pages, with updates
+ *            pushed over VITE_LEADERBOARD_LIVE: "sse" (…/stream),
+ *            "websocket" (…/live) or "polling" - `npm run mock` serves
+ *            all of them at /api/leaderboards
+ *
+ * Production builds need a real backend: without VITE_LEADERBOARD_ENDPOINT
+ * (or a registered VITE_LEADERBOARD_PROVIDER) `leaderboardsEnabled` is
+ * false and the Leaderboards page says standings are unavailable.
+ *
+ * Register more with `registerLeaderboardProvider("name", factory)`.
+ */
+
+// ===== CONFIGURATION =====
+
+const env = import.meta.env;
+
+export const leaderboardConfig = {
+  provider: env.VITE_LEADERBOARD_PROVIDER || (env.VITE_LEADERBOARD_ENDPOINT ? "fetch" : env.DEV ? "local" : ""),
+  endpoint: env.VITE_LEADERBOARD_ENDPOINT || "/api/leaderboards",
+  live: liveTransports.includes(env.VITE_LEADERBOARD_LIVE) ? env.VITE_LEADERBOARD_LIVE : "sse",
+  pollInterval: Number(env.VITE_LEADERBOARD_POLL_INTERVAL) || 15000,
+};
+
+/**
+ * @param {object} config - Same shape as `leaderboardConfig`
+ * @returns {boolean} - Whether standings come from a backend - "local"
+ *   would show simulated scores as if they were live
+ */
+const isUsable = (config) => Boolean(config.provider) && (config.provider !== "local" || Boolean(env.DEV));
+
+// False in production builds without a backend - the page says standings are unavailable
+export const leaderboardsEnabled = isUsable(leaderboardConfig);
+
+// ===== PROVIDERS =====
+
+/**
+ * Standings simulated in the browser - no network involved. Matches are
+ * played every `tickInterval` while someone is subscribed.
+ * @param {object} options
+ * @param {() => Promise<object>} options.load - Builds the leaderboard (see lib/leaderboardData.js)
+ * @param {number} options.tickInterval - ms between simulated updates
+ * @param {number} options.latency - Simulated round trip (ms)
+ */
+export const createLocalProvider = ({
+  load = () =>
+    Promise.all([import("../content/leaderboards.json"), import("../content/games.json")]).then(
+      ([leaderboards, games]) => createLeaderboard(leaderboards.default, games.default.games)
+    ),
+  tickInterval = 5000,
+  latency = 200,
+} = {}) => {
+  let leaderboard;
+  const getLeaderboard = () => (leaderboard ??= load());
+
+  const listeners = new Set();
+  let timer = null;
+
+  const tick = async () => {
+    const update = (await getLeaderboard()).tick();
+    listeners.forEach((listener) => listener(update));
+  };
+
+  return {
+    name: "local",
+    boards: async () => {
+      const board = await getLeaderboard();
+      return { boards: board.boards(), updatedAt: board.updatedAt() };
+    },
+    query: async (board, page) => {
+      await wait(latency);
+      return (await getLeaderboard()).query(board, page);
+    },
+    subscribe: (onUpdate, onStatus) => {
+      listeners.add(onUpdate);
+      timer ??= setInterval(tick, tickInterval);
+      onStatus?.("live");
+      return () => {
+        listeners.delete(onUpdate);
+        if (!listeners.size) {
+          clearInterval(timer);
+          timer = null;
+        }
+      };
+    },
+  };
+};
+
+/**
+ * JSON API speaking the mock server's protocol
+ * @param {object} options
+ * @param {string} options.endpoint - Collection URL
+ * @param {"sse"|"websocket"|"polling"} options.live - How updates arrive
+ * @param {number} options.pollInterval - ms between polls, when polling
+ */
+export const createFetchProvider = ({ endpoint, live, pollInterval }) => {
+  const boards = () => withRetry(() => requestJson(endpoint), { retries: 2 });
+
+  return {
+    name: "fetch",
+    boards,
+    query: async (board, { offset = 0, limit = 25, q = "" } = {}) => {
+      const params = new URLSearchParams({ offset, limit, ...(q && { q }) });
+      try {
+        return await withRetry(() => requestJson(`${endpoint}/${encodeURIComponent(board)}?${params}`), { retries: 2 });
+      } catch (error) {
+        if (error instanceof RequestError && error.status === 404) return null;
+        throw error;
+      }
+    },
+    subscribe: (onUpdate, onStatus) =>
+      connectLive({
+        transport: live,
+        url: `${endpoint}/${live === "websocket" ? "live" : "stream"}`,
+        poll: () => requestJson(endpoint).then(({ updatedAt }) => ({ updatedAt })),
+        pollInterval,
+        onMessage: onUpdate,
+        onStatus,
+      }),
+  };
+};
+
+const providerFactories = {
+  local: createLocalProvider,
+  fetch: createFetchProvider,
+};
+
+/**
+ * Makes a custom provider available through VITE_LEADERBOARD_PROVIDER
+ * @param {string} name - Provider name
+ * @param {(config: object) => object} factory - Receives `leaderboardConfig`
+ */
+export const registerLeaderboardProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Builds the provider named in the configuration
+ * @param {object} config - Same shape as `leaderboardConfig`
+ */
+export const createLeaderboardProvider = (config = leaderboardConfig) => {
+  if (!isUsable(config)) {
+    throw new Error(
+      config.provider
+        ? `The "${config.provider}" leaderboard provider only runs in development. Set VITE_LEADERBOARD_ENDPOINT.`
+        : "No leaderboard provider configured. Set VITE_LEADERBOARD_ENDPOINT or VITE_LEADERBOARD_PROVIDER."
+    );
+  }
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown leaderboard provider "${config.provider}". Expected one of: ${Object.keys(providerFactories).join(", ")}.`
+    );
+  }
+  return factory(config);
+};
+
+// ===== PUBLIC API =====
+
+let defaultProvider;
+
+// Created lazily so providers registered at startup are picked up
+const getProvider = () => (defaultProvider ??= createLeaderboardProvider());
+
+/**
+ * The boards on offer: global, season and one per game
+ * @returns {Promise<{boards: Array<object>, updatedAt: string}>}
+ */
+export const listLeaderboards = () => getProvider().boards();
+
+/**
+ * One page of a board
+ * @param {string} board - Board id
+ * @param {{offset: number, limit: number, q: string}} page - `q` searches gamertags
+ * @returns {Promise<{board: object, items: Array<object>, total: number, updatedAt: string}|null>} - null for an unknown board
+ */
+export const queryLeaderboard = (board, page) => getProvider().query(board, page);
+
+/**
+ * Listens for standings updates
+ * @param {(update: {updatedAt: string, boards?: Array<string>}) => void} onUpdate
+ * @param {(status: "connecting"|"live"|"polling"|"offline") => void} onStatus
+ * @returns {() => void} - Stops listening
+ */
+export const subscribeToLeaderboards = (onUpdate, onStatus) => getProvider().subscribe(onUpdate, onStatus);
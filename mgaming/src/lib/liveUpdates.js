@@ -0,0 +1,222 @@
+import { backoffDelay } from "./retry";
+
+/**
+ * LIVE UPDATES
+ *
+ * Keeps a page up to date with server push, and degrades to polling when
+ * push isn't available:
+ *
+ *   "sse"        EventSource, messages sent as `event: update`
+ *   "websocket"  WebSocket, one JSON message per frame
+ *   "polling"    `poll()` every `pollInterval`
+ *
+ * A dropped connection is retried with exponential backoff. After
+ * `maxRetries` failures in a row the channel falls back to polling, and
+ * keeps trying to go live again every `retryInterval` (and as soon as the
+ * browser comes back online). Browsers without EventSource or WebSocket
+ * poll from the start.
+ *
+ * Status, reported through `onStatus`:
+ *   "connecting"  opening the live connection
+ *   "live"        connected, updates arrive as they happen
+ *   "polling"     checking every `pollInterval`
+ *   "offline"     the browser is offline, or polling failed
+ */
+
+export const liveTransports = ["sse", "websocket", "polling"];
+
+// ===== TRANSPORTS =====
+
+/**
+ * Passes pushed messages on as objects. Malformed frames - and anything
+ * that isn't a JSON object - are dropped; the next update catches up.
+ * @param {(message: object) => void} onMessage
+ * @returns {(e: MessageEvent) => void}
+ */
+const deliver = (onMessage) => (e) => {
+  let message;
+  try {
+    message = JSON.parse(e.data);
+  } catch {
+    return;
+  }
+  if (message && typeof message === "object" && !Array.isArray(message)) onMessage(message);
+};
+
+/**
+ * @param {string} url
+ * @param {{onOpen: Function, onMessage: Function, onError: Function}} handlers
+ * @returns {() => void} - Closes the connection
+ */
+const openEventSource = (url, { onOpen, onMessage, onError }) => {
+  const source = new EventSource(url);
+  source.addEventListener("open", onOpen);
+  source.addEventListener("update", deliver(onMessage));
+  // EventSource reconnects by itself at a fixed pace - the backoff here replaces it
+  source.addEventListener("error", () => {
+    source.close();
+    onError();
+  });
+  return () => source.close();
+};
+
+/**
+ * @param {string} url - http(s) URLs are switched to ws(s)
+ * @param {{onOpen: Function, onMessage: Function, onError: Function}} handlers
+ * @returns {() => void} - Closes the connection
+ */
+const openWebSocket = (url, { onOpen, onMessage, onError }) => {
+  const target = new URL(url, window.location.href);
+  target.protocol = target.protocol.replace(/^http/, "ws");
+
+  // A failed connection fires "error", usually followed by "close" - report it once
+  let failed = false;
+  const fail = () => {
+    if (failed) return;
+    failed = true;
+    socket.close();
+    onError();
+  };
+
+  const socket = new WebSocket(target);
+  socket.addEventListener("open", onOpen);
+  socket.addEventListener("message", deliver(onMessage));
+  socket.addEventListener("error", fail);
+  socket.addEventListener("close", fail);
+  return () => {
+    failed = true;
+    socket.close();
+  };
+};
+
+const openers = {
+  sse: { open: openEventSource, supported: () => typeof EventSource !== "undefined" },
+  websocket: { open: openWebSocket, supported: () => typeof WebSocket !== "undefined" },
+};
+
+// ===== CHANNEL =====
+
+/**
+ * Opens a live channel
+ *
+ * @param {object} options
+ * @param {"sse"|"websocket"|"polling"} options.transport
+ * @param {string} options.url - Stream (SSE) or socket (WebSocket) URL
+ * @param {() => Promise<any>} options.poll - Fetches the latest state, passed to `onMessage`
+ * @param {number} options.pollInterval - ms between polls
+ * @param {number} options.maxRetries - Live reconnections before falling back to polling
+ * @param {number} options.retryInterval - ms between attempts to go live again while polling
+ * @param {(message: any) => void} options.onMessage
+ * @param {(status: "connecting"|"live"|"polling"|"offline") => void} options.onStatus
+ * @returns {() => void} - Closes the channel
+ */
+export const connectLive = ({
+  transport = "sse",
+  url,
+  poll,
+  pollInterval = 15000,
+  maxRetries = 3,
+  retryInterval = 60000,
+  onMessage,
+  onStatus,
+}) => {
+  const opener = openers[transport];
+  const canGoLive = Boolean(opener?.supported());
+
+  let closed = false;
+  let failures = 0;
+  let status = null;
+  let disconnect = null; // Closes the live connection
+  let retryTimer = null;
+  let pollTimer = null;
+
+  const setStatus = (next) => {
+    if (closed || next === status) return;
+    status = next;
+    onStatus?.(next);
+  };
+
+  // ===== POLLING =====
+
+  const pollOnce = async () => {
+    try {
+      const message = await poll();
+      if (closed || !pollTimer) return;
+      setStatus("polling");
+      onMessage(message);
+    } catch {
+      setStatus("offline");
+    }
+  };
+
+  const startPolling = () => {
+    if (pollTimer) return;
+    pollTimer = setInterval(pollOnce, pollInterval);
+    setStatus(navigator.onLine === false ? "offline" : "polling");
+    pollOnce(); // Catch up on what the live connection missed
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  // ===== LIVE CONNECTION =====
+
+  const goLive = () => {
+    clearTimeout(retryTimer);
+    disconnect?.();
+    if (!pollTimer) setStatus("connecting");
+
+    disconnect = opener.open(url, {
+      onOpen: () => {
+        failures = 0;
+        stopPolling();
+        setStatus("live");
+      },
+      onMessage: (message) => !closed && onMessage(message),
+      onError: () => {
+        disconnect = null;
+        if (closed) return;
+        failures += 1;
+
+        if (failures > maxRetries) {
+          failures = 0;
+          startPolling();
+          retryTimer = setTimeout(goLive, retryInterval);
+        } else {
+          if (!pollTimer) setStatus(navigator.onLine === false ? "offline" : "connecting");
+          retryTimer = setTimeout(goLive, backoffDelay(failures - 1, { baseDelay: 1000, maxDelay: 15000 }));
+        }
+      },
+    });
+  };
+
+  // ===== NETWORK CHANGES =====
+
+  const handleOnline = () => {
+    if (canGoLive && !disconnect) {
+      failures = 0;
+      goLive();
+    } else if (pollTimer) {
+      pollOnce();
+    }
+  };
+
+  const handleOffline = () => setStatus("offline");
+
+  window.addEventListener("online", handleOnline);
+  window.addEventListener("offline", handleOffline);
+
+  if (canGoLive) goLive();
+  else startPolling();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    stopPolling();
+    disconnect?.();
+    window.removeEventListener("online", handleOnline);
+    window.removeEventListener("offline", handleOffline);
+  };
+};
@@ -0,0 +1,332 @@
+/**
+ * MARKDOWN FOR NEWS POSTS
+ *
+ * Parses the Markdown of src/content/news/*.md into a small node tree at
+ * build time (plugins/news.js); the site renders the tree with React
+ * (components/MarkdownContent.jsx), so nothing is ever injected as HTML.
+ * Plain JS with no browser or Vite APIs.
+ *
+ * Supported:
+ *
+ *   ---                      front-matter: `key: value`, `key: [a, b]` or a
+ *   title: Hello             `- item` list under `key:` - strings, numbers
+ *   ---                      and true / false
+ *
+ *   ## Heading               levels 1-6, each with an id for anchors
+ *   > Quote                  may hold any other block
+ *   - item / 1. item         lists, one level
+ *   ```lang                  fenced code
+ *   ---                      rule
+ *   ![Alt](img/about.webp)   image on a line of its own
+ *   {{< Name key="value" >}} shortcode: a component, on a line of its own
+ *
+ *   **strong**, *em* or _em_, `code`, [link](href), and a line ending in
+ *   two spaces or a backslash for a line break
+ *
+ * Links must be absolute (http, https, mailto) or start with "#" or "/";
+ * anything else is kept as plain text.
+ *
+ * Nodes:
+ * - blocks: heading { level, id, children }, paragraph { children },
+ *   list { ordered, items: [children] }, quote { children: blocks },
+ *   code { lang, value }, rule, image { src, alt },
+ *   shortcode { name, props }
+ * - inline: text { value }, strong / em { children }, code { value },
+ *   link { href, children }, break
+ */
+
+// ===== ERRORS =====
+
+/**
+ * A mistake in a post, with the line it is on (1-based, counted in the
+ * whole file when the body's first line is given to the parser)
+ */
+export class MarkdownError extends Error {
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.name = "MarkdownError";
+    this.line = line;
+  }
+}
+
+// ===== FRONT-MATTER =====
+
+/**
+ * Reads one front-matter value
+ * @param {string} raw
+ */
+const readScalar = (raw) => {
+  const value = raw.trim();
+  if (/^"(.*)"$/.test(value)) return JSON.parse(value);
+  if (/^'(.*)'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === "true" || value === "false") return value === "true";
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+};
+
+/**
+ * Splits a file into its front-matter and Markdown body
+ *
+ * @param {string} source - Whole file
+ * @returns {{data: object, body: string, bodyLine: number}} - `bodyLine` is the body's first line in the file
+ */
+export const parseFrontMatter = (source) => {
+  const lines = source.replace(/\r\n?/g, "\n").split("\n");
+  if (lines[0].trim() !== "---") return { data: {}, body: lines.join("\n"), bodyLine: 1 };
+
+  const end = lines.indexOf("---", 1);
+  if (end === -1) throw new MarkdownError("front-matter is not closed with ---", 1);
+
+  const data = {};
+  let listKey = null; // Key whose `- item` lines follow
+
+  for (let index = 1; index < end; index += 1) {
+    const line = lines[index];
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+
+    const item = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(readScalar(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z][\w-]*):(?:\s+(.*))?$/);
+    if (!pair) throw new MarkdownError(`can't read front-matter "${line.trim()}"`, index + 1);
+
+    const [, key, value = ""] = pair;
+    listKey = null;
+    if (!value.trim()) {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      const inner = value.trim().slice(1, -1).trim();
+      data[key] = inner ? inner.split(",").map(readScalar) : [];
+    } else {
+      data[key] = readScalar(value);
+    }
+  }
+
+  return { data, body: lines.slice(end + 1).join("\n"), bodyLine: end + 2 };
+};
+
+// ===== INLINE =====
+
+const safeHref = /^(https?:\/\/|mailto:|#|\/)/i;
+
+// Code, link, strong, em (* or _ - not inside words) and hard line breaks
+const inlinePattern =
+  /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*([^*\s](?:.*?[^*\s])?)\*|(?<![\w])_([^_\s](?:.*?[^_\s])?)_(?![\w])|(?: {2,}|\\)\n/g;
+
+/**
+ * @param {string} text - A paragraph, heading or list item, lines joined with "\n"
+ * @returns {Array<object>} - Inline nodes
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  const pushText = (value) => {
+    // Soft line breaks read as spaces
+    const clean = value.replace(/\s*\n\s*/g, " ");
+    if (!clean) return;
+    const last = nodes[nodes.length - 1];
+    if (last?.type === "text") last.value += clean;
+    else nodes.push({ type: "text", value: clean });
+  };
+
+  let cursor = 0;
+  for (const match of text.matchAll(inlinePattern)) {
+    const [raw, code, label, href, strong, star, underscore] = match;
+    pushText(text.slice(cursor, match.index));
+    cursor = match.index + raw.length;
+
+    if (code !== undefined) nodes.push({ type: "code", value: code });
+    else if (label !== undefined) {
+      if (safeHref.test(href)) nodes.push({ type: "link", href, children: parseInline(label) });
+      else pushText(raw);
+    } else if (strong !== undefined) nodes.push({ type: "strong", children: parseInline(strong) });
+    else if (star !== undefined || underscore !== undefined) nodes.push({ type: "em", children: parseInline(star ?? underscore) });
+    else nodes.push({ type: "break" });
+  }
+  pushText(text.slice(cursor));
+
+  // No stray spaces at the edges of the block
+  if (nodes[0]?.type === "text") nodes[0].value = nodes[0].value.trimStart();
+  const last = nodes[nodes.length - 1];
+  if (last?.type === "text") last.value = last.value.trimEnd();
+  return nodes.filter((node) => node.type !== "text" || node.value);
+};
+
+// ===== BLOCKS =====
+
+const patterns = {
+  fence: /^```\s*([\w-]*)\s*$/,
+  heading: /^(#{1,6})\s+(.*?)\s*#*\s*$/,
+  rule: /^(?:-{3,}|\*{3,}|_{3,})\s*$/,
+  quote: /^>\s?(.*)$/,
+  bullet: /^[-*+]\s+(.*)$/,
+  ordered: /^\d+[.)]\s+(.*)$/,
+  image: /^!\[([^\]]*)\]\(([^)\s]+)\)\s*$/,
+  shortcode: /^\{\{<\s*([A-Za-z][\w-]*)((?:\s+[\w-]+=(?:"[^"]*"|'[^']*'|[^\s"'>]+))*)\s*>\}\}\s*$/,
+};
+
+const attributePattern = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+
+/**
+ * Whether a line starts a block other than a paragraph
+ * @param {string} line
+ */
+const startsBlock = (line) =>
+  ["fence", "heading", "rule", "quote", "bullet", "ordered", "image", "shortcode"].some((name) => patterns[name].test(line));
+
+/**
+ * Plain text of inline nodes
+ * @param {Array<object>} nodes
+ * @returns {string}
+ */
+export const inlineToText = (nodes) =>
+  nodes
+    .map((node) => {
+      if (node.type === "text" || node.type === "code") return node.value;
+      if (node.type === "break") return " ";
+      return inlineToText(node.children);
+    })
+    .join("");
+
+/**
+ * URL fragment for a heading, e.g. "Patch 4.2: What's new" → "patch-4-2-what-s-new"
+ * @param {string} text
+ */
+export const slugify = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Parses Markdown into block nodes
+ *
+ * @param {string} source - Markdown, without front-matter
+ * @param {object} options
+ * @param {number} options.firstLine - Line of `source` in its file, for error messages
+ * @param {Object<string, {required?: Array<string>, optional?: Array<string>}>} options.shortcodes -
+ *   Allowed shortcodes and their attributes; others are an error
+ * @returns {Array<object>}
+ */
+export const parseMarkdown = (source, { firstLine = 1, shortcodes = {} } = {}) => {
+  const headingIds = new Map(); // id -> times used, to keep anchors unique
+
+  /**
+   * @param {Array<string>} lines
+   * @param {number} offset - Line number of lines[0]
+   */
+  const parseBlocks = (lines, offset) => {
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+      const line = lines[index];
+      const lineNumber = offset + index;
+      let match;
+
+      if (!line.trim()) {
+        index += 1;
+      } else if ((match = line.match(patterns.fence))) {
+        const end = lines.findIndex((candidate, position) => position > index && /^```\s*$/.test(candidate));
+        if (end === -1) throw new MarkdownError("code block is not closed with ```", lineNumber);
+        blocks.push({ type: "code", lang: match[1] || null, value: lines.slice(index + 1, end).join("\n") });
+        index = end + 1;
+      } else if ((match = line.match(patterns.heading))) {
+        const children = parseInline(match[2]);
+        const base = slugify(inlineToText(children)) || "section";
+        const count = (headingIds.get(base) ?? 0) + 1;
+        headingIds.set(base, count);
+        blocks.push({ type: "heading", level: match[1].length, id: count > 1 ? `${base}-${count}` : base, children });
+        index += 1;
+      } else if (patterns.rule.test(line)) {
+        blocks.push({ type: "rule" });
+        index += 1;
+      } else if (patterns.quote.test(line)) {
+        const quoted = [];
+        while (index < lines.length && patterns.quote.test(lines[index])) {
+          quoted.push(lines[index].match(patterns.quote)[1]);
+          index += 1;
+        }
+        blocks.push({ type: "quote", children: parseBlocks(quoted, lineNumber) });
+      } else if (patterns.bullet.test(line) || patterns.ordered.test(line)) {
+        const ordered = patterns.ordered.test(line);
+        const marker = ordered ? patterns.ordered : patterns.bullet;
+        const items = [];
+        while (index < lines.length && lines[index].trim()) {
+          const item = lines[index].match(marker);
+          if (item) items.push([item[1]]);
+          else if (/^\s+/.test(lines[index]) || !startsBlock(lines[index])) items[items.length - 1].push(lines[index].trim());
+          else break;
+          index += 1;
+        }
+        blocks.push({ type: "list", ordered, items: items.map((item) => parseInline(item.join("\n"))) });
+      } else if ((match = line.match(patterns.image))) {
+        blocks.push({ type: "image", alt: match[1], src: match[2] });
+        index += 1;
+      } else if ((match = line.match(patterns.shortcode))) {
+        const [, name, attributes] = match;
+        const spec = shortcodes[name];
+        if (!spec) {
+          throw new MarkdownError(`unknown shortcode "${name}" - expected one of: ${Object.keys(shortcodes).join(", ")}`, lineNumber);
+        }
+
+        const props = {};
+        for (const [, key, double, single, bare] of attributes.matchAll(attributePattern)) {
+          props[key] = double ?? single ?? bare;
+        }
+        const allowed = [...(spec.required ?? []), ...(spec.optional ?? [])];
+        const missing = (spec.required ?? []).filter((key) => !(key in props));
+        const unknown = Object.keys(props).filter((key) => !allowed.includes(key));
+        if (missing.length) throw new MarkdownError(`${name} needs ${missing.join(", ")}`, lineNumber);
+        if (unknown.length) throw new MarkdownError(`${name} doesn't take ${unknown.join(", ")}`, lineNumber);
+
+        blocks.push({ type: "shortcode", name, props });
+        index += 1;
+      } else {
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() && (!paragraph.length || !startsBlock(lines[index]))) {
+          paragraph.push(lines[index]);
+          index += 1;
+        }
+        blocks.push({ type: "paragraph", children: parseInline(paragraph.join("\n")) });
+      }
+    }
+    return blocks;
+  };
+
+  return parseBlocks(source.replace(/\r\n?/g, "\n").split("\n"), firstLine);
+};
+
+// ===== TEXT =====
+
+/**
+ * Plain text of block nodes, for excerpts and word counts
+ * @param {Array<object>} blocks
+ * @returns {string}
+ */
+export const markdownToText = (blocks) =>
+  blocks
+    .map((block) => {
+      if (block.type === "code") return block.value;
+      if (block.type === "quote") return markdownToText(block.children);
+      if (block.type === "list") return block.items.map(inlineToText).join("\n");
+      // Titles may hold inline markup (lib/markup.js) - only the words count
+      if (block.type === "shortcode") return (block.props.title ?? block.props.caption ?? "").replace(/<[^>]*>/g, "");
+      if (block.type === "image") return block.alt;
+      return block.children ? inlineToText(block.children) : "";
+    })
+    .filter(Boolean)
+    .join("\n\n");
+
+/**
+ * Minutes it takes to read a post, at least one
+ * @param {Array<object>} blocks
+ * @param {number} wordsPerMinute
+ */
+export const readingTime = (blocks, wordsPerMinute = 220) =>
+  Math.max(1, Math.round(markdownToText(blocks).split(/\s+/).filter(Boolean).length / wordsPerMinute));
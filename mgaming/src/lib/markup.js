@@ -0,0 +1,172 @@
+import { createElement, Fragment } from "react";
+
+/**
+ * SAFE INLINE MARKUP
+ *
+ * Titles in site content and translation catalogs use a tiny subset of HTML:
+ * - `<b>` for the accent letter (e.g. "radia<b>n</b>t")
+ * - `<em>` for emphasis
+ * - `<span class="...">` for styled fragments
+ * - `<br />` for line breaks
+ *
+ * Strings are parsed into a small node tree and rendered as React elements -
+ * nothing is ever injected as HTML. Other tags, attributes other than a span's
+ * `class`, and stray closing tags are kept as literal text, so a typo shows
+ * up on the page instead of silently disappearing.
+ */
+
+// ===== WHITELIST =====
+
+const allowedTags = new Set(["b", "em", "span", "br"]);
+
+// Tailwind-style class names; anything with quotes, angle brackets etc. is dropped
+const safeClassName = /^[\w\-:/.[\]%!#]+$/;
+
+// ===== ENTITIES =====
+
+const namedEntities = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  shy: "\u00ad",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+};
+
+/**
+ * Decodes named (`&amp;`) and numeric (`&#39;`, `&#x27;`) character references.
+ * Unknown references are left untouched.
+ * @param {string} text
+ */
+export const decodeEntities = (text) =>
+  text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] !== "#") return namedEntities[ref.toLowerCase()] ?? match;
+
+    const codePoint = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+  });
+
+// ===== PARSER =====
+
+// Opening, closing or self-closing tag with optional attributes
+const tagPattern = /<(\/?)([a-z][\w-]*)((?:\s+[\w-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/gi;
+
+const attributePattern = /([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * Keeps only whitelisted class names from a `class` attribute
+ * @param {string} attributes - Raw attribute string of the tag
+ * @returns {string|undefined}
+ */
+const readClassName = (attributes) => {
+  for (const [, name, double, single, bare] of attributes.matchAll(attributePattern)) {
+    if (name.toLowerCase() !== "class") continue;
+    const classes = (double ?? single ?? bare ?? "").split(/\s+/).filter((token) => safeClassName.test(token));
+    return classes.length ? classes.join(" ") : undefined;
+  }
+  return undefined;
+};
+
+/**
+ * Parses a markup string into a node tree
+ *
+ * Nodes:
+ * - `{ type: "text", value }`
+ * - `{ type: "break" }`
+ * - `{ type: "element", tag: "b"|"em"|"span", className?, children }`
+ *
+ * Unclosed elements are closed at the end of the string; a closing tag for an
+ * outer element also closes any elements opened inside it.
+ *
+ * @param {string} source
+ * @returns {Array<object>}
+ */
+export const parseMarkup = (source = "") => {
+  const text = String(source);
+  const root = { children: [] };
+  const stack = [root];
+
+  const current = () => stack[stack.length - 1];
+
+  const pushText = (raw) => {
+    if (!raw) return;
+    const value = decodeEntities(raw);
+    const siblings = current().children;
+    const last = siblings[siblings.length - 1];
+    if (last?.type === "text") last.value += value;
+    else siblings.push({ type: "text", value });
+  };
+
+  let cursor = 0;
+  for (const match of text.matchAll(tagPattern)) {
+    const [raw, closing, rawTag, attributes] = match;
+    const tag = rawTag.toLowerCase();
+
+    pushText(text.slice(cursor, match.index));
+    cursor = match.index + raw.length;
+
+    if (!allowedTags.has(tag)) {
+      pushText(raw);
+    } else if (tag === "br") {
+      current().children.push({ type: "break" });
+    } else if (closing) {
+      const depth = stack.findLastIndex((node) => node.tag === tag);
+      if (depth > 0) stack.length = depth;
+      else pushText(raw);
+    } else {
+      const element = { type: "element", tag, children: [] };
+      const className = tag === "span" ? readClassName(attributes) : undefined;
+      if (className) element.className = className;
+      current().children.push(element);
+      stack.push(element);
+    }
+  }
+  pushText(text.slice(cursor));
+
+  return root.children;
+};
+
+// ===== RENDERING =====
+
+/**
+ * Renders parsed nodes as React elements
+ * @param {Array<object>} nodes - Output of `parseMarkup`
+ * @param {string} keyPrefix - Keeps keys unique when several trees share a parent
+ * @returns {Array<React.ReactNode>}
+ */
+export const renderMarkup = (nodes, keyPrefix = "") =>
+  nodes.map((node, index) => {
+    const key = `${keyPrefix}${index}`;
+    if (node.type === "text") return node.value;
+    if (node.type === "break") return createElement("br", { key });
+    return createElement(node.tag, { key, className: node.className }, ...renderMarkup(node.children, `${key}.`));
+  });
+
+/**
+ * Parses and renders a content string in one go
+ * @param {string} text
+ * @returns {React.ReactNode}
+ */
+export const renderInlineMarkup = (text) => createElement(Fragment, null, ...renderMarkup(parseMarkup(text)));
+
+/**
+ * Plain text of a node tree, e.g. for aria-labels
+ * @param {Array<object>} nodes
+ * @returns {string}
+ */
+export const markupToText = (nodes) =>
+  nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+      if (node.type === "break") return "\n";
+      return markupToText(node.children);
+    })
+    .join("");
@@ -0,0 +1,107 @@
+import manifest from "../content/media.json";
+
+/**
+ * MEDIA MANIFEST LOOKUP
+ *
+ * Resolves media by manifest key ("hero-3") or by the path content already
+ * uses ("videos/hero-3.mp4", "/img/about.webp", "./img/logo.png"). Paths are
+ * prefixed with Vite's base URL so they work under /MGaming/ on GitHub Pages.
+ *
+ * Videos may carry `renditions` (added at build time by the manifest plugin
+ * from what `npm run media:encode` produced); `selectVideoSources` picks
+ * the size that suits the viewport and connection.
+ */
+
+const { media } = manifest;
+
+// Same entries keyed by their normalised src
+const bySrc = new Map(Object.entries(media).map(([key, entry]) => [entry.src, { key, ...entry }]));
+
+/**
+ * Strips the leading "/", "./" or base URL so paths compare equal
+ * @param {string} value
+ */
+const normalisePath = (value) => {
+  const base = import.meta.env.BASE_URL;
+  const withoutBase = base !== "/" && value.startsWith(base) ? value.slice(base.length) : value;
+  return withoutBase.replace(/^\.?\//, "");
+};
+
+/**
+ * URL of a file in public/
+ * @param {string} file - Path inside public/
+ * @returns {string}
+ */
+export const publicUrl = (file) => `${import.meta.env.BASE_URL}${normalisePath(file)}`;
+
+/**
+ * Finds a manifest entry
+ * @param {string} keyOrSrc - Manifest key or file path
+ * @returns {{key: string, type: "video"|"image", src: string, width: number, height: number, poster?: string, fallback?: string, pending?: boolean}|null}
+ */
+export const getMedia = (keyOrSrc) => {
+  if (!keyOrSrc) return null;
+  if (media[keyOrSrc]) return { key: keyOrSrc, ...media[keyOrSrc] };
+  return bySrc.get(normalisePath(keyOrSrc)) || null;
+};
+
+// ===== RENDITIONS =====
+
+// Slow or metered connections never get more than this height
+const constrainedHeight = 480;
+
+/**
+ * Largest height worth downloading on the current connection
+ * @returns {number}
+ */
+const connectionCap = () => {
+  const connection = navigator.connection;
+  if (!connection) return Infinity;
+  if (connection.saveData || ["slow-2g", "2g", "3g"].includes(connection.effectiveType)) return constrainedHeight;
+  if (connection.downlink && connection.downlink < 1.5) return constrainedHeight;
+  return Infinity;
+};
+
+/**
+ * <source> candidates for a video, best first
+ *
+ * Picks one height - the smallest rendition that covers the viewport at the
+ * device pixel ratio (capped at 2x), or less on slow connections - and lists
+ * its formats in ladder order so the browser plays the first codec it
+ * supports. The original file is always last.
+ *
+ * @param {object|null} entry - Result of getMedia()
+ * @param {string} fallbackSrc - Used when the media isn't in the manifest
+ * @returns {Array<{src: string, type?: string}>}
+ */
+export const selectVideoSources = (entry, fallbackSrc) => {
+  const original = { src: publicUrl(entry?.src ?? fallbackSrc) };
+  const renditions = entry?.renditions ?? [];
+  if (!renditions.length) return [original];
+
+  const dpr = Math.min(window.devicePixelRatio || 1, 2);
+  // Height needed to cover the viewport with object-cover
+  const needed = Math.max(window.innerHeight, (window.innerWidth * entry.height) / entry.width) * dpr;
+  const cap = connectionCap();
+
+  const heights = [...new Set(renditions.map((rendition) => rendition.height))].sort((a, b) => a - b);
+  const allowed = heights.filter((height) => height <= cap);
+  const height = allowed.find((candidate) => candidate >= needed) ?? allowed.at(-1) ?? heights[0];
+
+  return [
+    ...renditions
+      .filter((rendition) => rendition.height === height)
+      .map((rendition) => ({ src: publicUrl(rendition.src), type: rendition.type })),
+    original,
+  ];
+};
+
+/**
+ * Entries marked `"critical": true` - what the first screen needs
+ * (delivered files only; pending ones would just fail)
+ * @returns {Array<object>}
+ */
+export const getCriticalMedia = () =>
+  Object.entries(media)
+    .filter(([, entry]) => entry.critical && !entry.pending)
+    .map(([key, entry]) => ({ key, ...entry }));
@@ -0,0 +1,59 @@
+import posts from "virtual:news";
+
+/**
+ * NEWS
+ *
+ * The Markdown posts of src/content/news, compiled by plugins/news.js.
+ * Listings use the front-matter, which ships with the news pages; a post's
+ * body is its own chunk, loaded when it is opened.
+ *
+ * Post: { slug, title, date, updated?, summary, author, tags, cover?,
+ * readingTime, body? } - `body` is a node tree (lib/markdown.js).
+ */
+
+const bodies = import.meta.glob("../content/news/*.md", { import: "default" });
+
+/**
+ * Every published post, newest first
+ * @type {Array<object>}
+ */
+export const newsPosts = posts;
+
+/**
+ * Tags in use, most used first
+ * @returns {Array<{tag: string, count: number}>}
+ */
+export const getNewsTags = () => {
+  const counts = new Map();
+  for (const post of posts) {
+    for (const tag of post.tags) counts.set(tag, (counts.get(tag) ?? 0) + 1);
+  }
+  return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Posts with a tag - all posts without one
+ * @param {string} tag
+ */
+export const filterNews = (tag) => (tag ? posts.filter((post) => post.tags.includes(tag)) : posts);
+
+/**
+ * A post with its body
+ * @param {string} slug
+ * @returns {Promise<object|null>} - null when there is no such published post
+ */
+export const loadNewsPost = async (slug) => {
+  const load = bodies[`../content/news/${slug}.md`];
+  if (!load || !posts.some((post) => post.slug === slug)) return null;
+  return load();
+};
+
+/**
+ * The posts before and after one, by date
+ * @param {string} slug
+ * @returns {{newer: object|null, older: object|null}}
+ */
+export const getAdjacentNews = (slug) => {
+  const index = posts.findIndex((post) => post.slug === slug);
+  return { newer: posts[index - 1] ?? null, older: index === -1 ? null : (posts[index + 1] ?? null) };
+};
@@ -0,0 +1,146 @@
+import { postJson, RequestError } from "./http";
+import { wait, withRetry } from "./retry";
+import { readStorageJson, writeStorageJson } from "./storage";
+
+/**
+ * NEWSLETTER SUBSCRIPTION SERVICE
+ *
+ * Subscriptions go through a provider adapter so the mailing backend can be
+ * swapped without touching the UI. A provider is an object:
+ *
+ *   {
+ *     name: "webhook",
+ *     subscribe: async (email, meta) => ({ status: "pending" | "subscribed" | "duplicate" }),
+ *   }
+ *
+ * "pending" means a double-opt-in confirmation email was sent. Failures
+ * throw a `RequestError`. Built-in providers:
+ * - "webhook": POSTs `{ email, source, subscribedAt, proof? }` as JSON to VITE_NEWSLETTER_ENDPOINT
+ * - "mock":    in-browser stand-in that remembers addresses in localStorage -
+ *              development only, it sends nothing
+ *
+ * Production builds need a real provider: without VITE_NEWSLETTER_ENDPOINT
+ * (or a registered VITE_NEWSLETTER_PROVIDER) `newsletterEnabled` is false
+ * and the signup form stays hidden.
+ *
+ * Register more with `registerNewsletterProvider("name", factory)`.
+ */
+
+// ===== CONFIGURATION =====
+
+const env = import.meta.env;
+
+export const newsletterConfig = {
+  provider: env.VITE_NEWSLETTER_PROVIDER || (env.VITE_NEWSLETTER_ENDPOINT ? "webhook" : env.DEV ? "mock" : ""),
+  endpoint: env.VITE_NEWSLETTER_ENDPOINT || "/api/newsletter",
+};
+
+/**
+ * @param {object} config - Same shape as `newsletterConfig`
+ * @returns {boolean} - Whether signups reach a real list - the mock would
+ *   only pretend to subscribe real visitors
+ */
+const isUsable = (config) => Boolean(config.provider) && (config.provider !== "mock" || Boolean(env.DEV));
+
+// False in production builds without a provider - the signup form is hidden
+export const newsletterEnabled = isUsable(newsletterConfig);
+
+// ===== PROVIDERS =====
+
+/**
+ * Generic JSON webhook. Expected responses:
+ * - 2xx with `{ status: "pending" | "subscribed" }` (defaults to "pending")
+ * - 409 when the address is already subscribed
+ * @param {object} options
+ * @param {string} options.endpoint - Webhook URL
+ */
+export const createWebhookProvider = ({ endpoint }) => ({
+  name: "webhook",
+  subscribe: async (email, meta) => {
+    try {
+      const data = await withRetry(() => postJson(endpoint, { email, ...meta }), { retries: 2 });
+      return { status: data?.status === "subscribed" ? "subscribed" : "pending" };
+    } catch (error) {
+      if (error instanceof RequestError && error.status === 409) return { status: "duplicate" };
+      throw error;
+    }
+  },
+});
+
+/**
+ * Local stand-in used during development - no network involved
+ * @param {object} options
+ * @param {string} options.storageKey - Where subscribed addresses are remembered
+ * @param {number} options.latency - Simulated round trip (ms)
+ */
+export const createMockProvider = ({ storageKey = "mgaming:newsletter-mock", latency = 600 } = {}) => ({
+  name: "mock",
+  subscribe: async (email) => {
+    await wait(latency);
+
+    const known = readStorageJson(storageKey, []);
+    const normalized = email.toLowerCase();
+    if (known.includes(normalized)) return { status: "duplicate" };
+
+    writeStorageJson(storageKey, [...known, normalized]);
+    return { status: "pending" };
+  },
+});
+
+const providerFactories = {
+  webhook: createWebhookProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * Makes a custom provider available through VITE_NEWSLETTER_PROVIDER
+ * @param {string} name - Provider name
+ * @param {(config: object) => object} factory - Receives `newsletterConfig`
+ */
+export const registerNewsletterProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Builds the provider named in the configuration
+ * @param {object} config - Same shape as `newsletterConfig`
+ */
+export const createNewsletterProvider = (config = newsletterConfig) => {
+  if (!isUsable(config)) {
+    throw new Error(
+      config.provider
+        ? `The "${config.provider}" newsletter provider only runs in development. Set VITE_NEWSLETTER_ENDPOINT.`
+        : "No newsletter provider configured. Set VITE_NEWSLETTER_ENDPOINT or VITE_NEWSLETTER_PROVIDER."
+    );
+  }
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown newsletter provider "${config.provider}". Expected one of: ${Object.keys(providerFactories).join(", ")}.`
+    );
+  }
+  return factory(config);
+};
+
+// ===== PUBLIC API =====
+
+let defaultProvider;
+
+/**
+ * Subscribes an address with the configured provider
+ * @param {string} email - Validated, trimmed address
+ * @param {object} options
+ * @param {object} options.provider - Provider override
+ * @param {string} options.source - Where the signup happened (for analytics)
+ * @param {object} options.proof - Proof of work from the spam guard, if enabled
+ * @returns {Promise<{status: "pending"|"subscribed"|"duplicate"}>}
+ */
+export const subscribeToNewsletter = (email, { provider, source = "footer", proof } = {}) => {
+  // Created lazily so providers registered at startup are picked up
+  defaultProvider ??= createNewsletterProvider();
+  return (provider || defaultProvider).subscribe(email, {
+    source,
+    subscribedAt: new Date().toISOString(),
+    ...(proof && { proof }),
+  });
+};
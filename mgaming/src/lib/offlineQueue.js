@@ -0,0 +1,78 @@
+import { readStorageJson, writeStorageJson } from "./storage";
+
+/**
+ * OFFLINE QUEUE
+ *
+ * Keeps payloads that could not be delivered in `localStorage` and sends
+ * them again once the browser reports that connectivity is back. Items are
+ * flushed in order; the first connectivity failure stops the flush so the
+ * remaining items wait for the next `online` event.
+ */
+
+/**
+ * @param {object} options
+ * @param {string} options.storageKey - localStorage key used to persist the queue
+ * @param {(payload: any) => Promise<any>} options.send - Delivers a single payload
+ */
+export const createOfflineQueue = ({ storageKey, send }) => {
+  let isFlushing = false;
+
+  const read = () => readStorageJson(storageKey, []);
+
+  const write = (items) => writeStorageJson(storageKey, items.length ? items : null);
+
+  /**
+   * Stores a payload for later delivery
+   * @returns {number} - Queue length after adding the payload
+   */
+  const enqueue = (payload) => {
+    const items = read();
+    items.push({ payload, queuedAt: Date.now() });
+    write(items);
+    return items.length;
+  };
+
+  /**
+   * Tries to deliver every queued payload in order
+   * @returns {Promise<{sent: number, remaining: number}>}
+   */
+  const flush = async () => {
+    if (isFlushing || !navigator.onLine) return { sent: 0, remaining: read().length };
+
+    isFlushing = true;
+    let sent = 0;
+    const items = read();
+
+    try {
+      while (items.length) {
+        try {
+          await send(items[0].payload);
+          sent += 1;
+        } catch (error) {
+          // Permanent failures (e.g. rejected by the server) are dropped,
+          // anything else waits for the next flush
+          if (error?.retryable !== false) break;
+        }
+        items.shift();
+        write(items);
+      }
+    } finally {
+      isFlushing = false;
+    }
+
+    return { sent, remaining: items.length };
+  };
+
+  /**
+   * Flushes whenever the browser comes back online
+   * @param {(result: {sent: number, remaining: number}) => void} onFlush - Called after each flush
+   * @returns {() => void} - Cleanup function removing the listener
+   */
+  const listen = (onFlush) => {
+    const handleOnline = () => flush().then((result) => onFlush?.(result));
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  };
+
+  return { enqueue, flush, listen, size: () => read().length };
+};
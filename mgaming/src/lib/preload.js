@@ -0,0 +1,210 @@
+import { getCriticalMedia, publicUrl } from "./media";
+
+/**
+ * PRELOAD MANAGER
+ *
+ * Tracks everything the first screen needs before it is revealed and
+ * reports a single 0-1 progress value:
+ * - videos report how much of their opening seconds is buffered, then
+ *   complete on `loadeddata`
+ * - fonts declared with @font-face in index.css complete when loaded
+ * - images marked `"critical": true` in src/content/media.json complete
+ *   when decoded
+ *
+ * Failed tasks count as finished - the visitor sees fallbacks rather than
+ * a loading screen that never goes away. `maxWait` caps the whole wait:
+ * when it runs out the status becomes "timeout" and the page is revealed
+ * with whatever has loaded so far.
+ *
+ * Tasks are created on first use (`task(id)`), so elements may report
+ * before or after `start()` is called.
+ */
+
+const taskWeights = { video: 3, font: 1, image: 1 };
+
+// A video counts as buffered once this many seconds can play
+const videoReadyAhead = 3;
+
+/**
+ * @param {object} options
+ * @param {number} options.maxWait - Longest wait before revealing anyway (ms)
+ */
+export const createPreloadManager = ({ maxWait = 10000 } = {}) => {
+  const tasks = new Map();
+  const listeners = new Set();
+  let started = false;
+  let timer = null;
+  let snapshot = { status: "idle", progress: 0, errors: [] };
+
+  // ===== STATE =====
+
+  const compute = () => {
+    const list = [...tasks.values()];
+    const total = list.reduce((sum, task) => sum + task.weight, 0);
+    const loaded = list.reduce((sum, task) => sum + task.weight * (task.settled ? 1 : task.progress), 0);
+    // Progress never moves backwards, even when a late task joins
+    const progress = Math.max(snapshot.progress, total ? loaded / total : 0);
+    const errors = list.filter((task) => task.error).map(({ id, error }) => ({ id, error }));
+
+    let status = snapshot.status;
+    if (status === "loading" && list.every((task) => task.settled)) status = "ready";
+
+    return { status, progress: status === "ready" ? 1 : progress, errors };
+  };
+
+  const emit = () => {
+    if (!started) return;
+    const previous = snapshot;
+    snapshot = compute();
+    if (snapshot.status !== "loading") clearTimeout(timer);
+    if (
+      snapshot.status !== previous.status ||
+      snapshot.progress !== previous.progress ||
+      snapshot.errors.length !== previous.errors.length
+    ) {
+      listeners.forEach((listener) => listener(snapshot));
+    }
+  };
+
+  // ===== TASKS =====
+
+  /**
+   * Gets or creates a task
+   * @param {string} id - Unique id, prefixed with its kind ("video:next", "font:zentry")
+   * @returns {{progress: (fraction: number) => void, done: () => void, fail: (error?: any) => void}}
+   */
+  const task = (id) => {
+    if (!tasks.has(id)) {
+      const kind = id.split(":")[0];
+      tasks.set(id, { id, weight: taskWeights[kind] ?? 1, progress: 0, settled: false, error: null });
+      emit();
+    }
+    const entry = tasks.get(id);
+
+    return {
+      progress: (fraction) => {
+        if (entry.settled) return;
+        entry.progress = Math.min(Math.max(fraction, entry.progress), 1);
+        emit();
+      },
+      done: () => {
+        if (entry.settled) return;
+        entry.settled = true;
+        emit();
+      },
+      fail: (error = new Error(`${id} failed to load`)) => {
+        if (entry.settled) return;
+        entry.settled = true;
+        entry.error = error;
+        emit();
+      },
+    };
+  };
+
+  /**
+   * Video element handlers that report to a task
+   * @param {string} id - Task id
+   * @returns {{onProgress: Function, onLoadedData: Function, onError: Function}}
+   */
+  const videoHandlers = (id) => ({
+    onProgress: (event) => {
+      const video = event.currentTarget;
+      if (!video.buffered?.length || !video.duration) return;
+      const target = Math.min(video.duration, videoReadyAhead);
+      task(id).progress(video.buffered.end(video.buffered.length - 1) / target);
+    },
+    onLoadedData: () => task(id).done(),
+    onError: (event) => task(id).fail(event?.currentTarget?.error || undefined),
+  });
+
+  /**
+   * Loads every @font-face the stylesheets declare
+   */
+  const trackFonts = () => {
+    if (!document.fonts) return;
+    document.fonts.forEach((face) => {
+      const handle = task(`font:${face.family.replace(/"/g, "")}:${face.weight}:${face.style}`);
+      face.load().then(handle.done, handle.fail);
+    });
+  };
+
+  /**
+   * Decodes the images the first screen can't do without
+   * @param {string[]} files - Paths inside public/
+   */
+  const trackImages = (files) => {
+    files.forEach((file) => {
+      const handle = task(`image:${file}`);
+      const image = new Image();
+      image.src = publicUrl(file);
+      image.decode().then(handle.done, handle.fail);
+    });
+  };
+
+  // ===== LIFECYCLE =====
+
+  /**
+   * Starts tracking fonts and critical images and the `maxWait` timer
+   * Calling it again does nothing
+   */
+  const start = () => {
+    if (started) return;
+    started = true;
+    snapshot = { ...snapshot, status: "loading" };
+
+    trackFonts();
+    trackImages(getCriticalMedia().map((entry) => entry.src));
+
+    timer = setTimeout(() => {
+      if (snapshot.status !== "loading") return;
+      if (import.meta.env.DEV) {
+        const waiting = [...tasks.values()].filter((entry) => !entry.settled).map((entry) => entry.id);
+        console.warn(`[preload] Revealing after ${maxWait}ms, still waiting for: ${waiting.join(", ")}`);
+      }
+      snapshot = { ...compute(), status: "timeout" };
+      listeners.forEach((listener) => listener(snapshot));
+    }, maxWait);
+
+    emit();
+  };
+
+  /**
+   * @param {(snapshot: object) => void} listener
+   * @returns {() => void} - Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * Resolves once the page has been revealed (ready or timed out)
+   * @returns {Promise<object>} - The snapshot at that moment
+   */
+  const whenReady = () =>
+    new Promise((resolve) => {
+      if (snapshot.status === "ready" || snapshot.status === "timeout") {
+        resolve(snapshot);
+        return;
+      }
+      const unsubscribe = subscribe((next) => {
+        if (next.status === "loading") return;
+        unsubscribe();
+        resolve(next);
+      });
+    });
+
+  return {
+    task,
+    videoHandlers,
+    start,
+    subscribe,
+    whenReady,
+    getSnapshot: () => snapshot,
+  };
+};
+
+// The hero's loading screen - what usePreloadStatus() reports on
+export const heroPreload = createPreloadManager({
+  maxWait: Number(import.meta.env.VITE_PRELOAD_MAX_WAIT) || undefined,
+});
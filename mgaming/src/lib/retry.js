@@ -0,0 +1,58 @@
+/**
+ * RETRY WITH EXPONENTIAL BACKOFF
+ *
+ * Runs an async task and retries it when it fails with an error that is
+ * marked as retryable. Delays grow exponentially with a bit of random
+ * jitter so many clients don't retry in lock-step.
+ */
+
+/**
+ * Resolves after the given number of milliseconds
+ * @param {number} ms
+ */
+export const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Delay before retry number `attempt + 1`: the backoff step, halved at most
+ * by jitter (50%-100% of the step)
+ * @param {number} attempt - Failed attempts so far, minus one
+ * @param {object} options - `baseDelay`, `maxDelay` and `factor`, as for `withRetry`
+ * @returns {number} - ms
+ */
+export const backoffDelay = (attempt, { baseDelay = 500, maxDelay = 8000, factor = 2 } = {}) =>
+  Math.min(maxDelay, baseDelay * factor ** attempt) * (0.5 + Math.random() / 2);
+
+/**
+ * @param {(attempt: number) => Promise<any>} task - Work to run, receives the attempt index
+ * @param {object} options
+ * @param {number} options.retries - Extra attempts after the first one
+ * @param {number} options.baseDelay - Delay before the first retry (ms)
+ * @param {number} options.maxDelay - Upper bound for a single delay (ms)
+ * @param {number} options.factor - Growth factor between retries
+ * @param {(error: Error) => boolean} options.shouldRetry - Decides if an error is worth retrying
+ * @param {(error: Error, attempt: number, delay: number) => void} options.onRetry - Called before each retry
+ * @returns {Promise<any>} - Result of the first successful attempt
+ */
+export const withRetry = async (
+  task,
+  {
+    retries = 3,
+    baseDelay = 500,
+    maxDelay = 8000,
+    factor = 2,
+    shouldRetry = (error) => error?.retryable !== false,
+    onRetry,
+  } = {}
+) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+
+      const delay = backoffDelay(attempt, { baseDelay, maxDelay, factor });
+      onRetry?.(error, attempt + 1, delay);
+      await wait(delay);
+    }
+  }
+};
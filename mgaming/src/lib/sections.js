@@ -0,0 +1,222 @@
+import gsap from "gsap";
+import { ScrollToPlugin, ScrollTrigger } from "gsap/all";
+
+import { decodeUriComponent } from "./uri";
+
+gsap.registerPlugin(ScrollToPlugin, ScrollTrigger);
+
+/**
+ * SECTION REGISTRY
+ *
+ * Page sections declare their anchor id with `useSection(id)`; the registry
+ * keeps the elements and works out where the reader is:
+ *
+ *   const sectionRef = useSection("about");
+ *   <div id="about" ref={sectionRef}>…</div>
+ *
+ * Scroll-spy: an IntersectionObserver watches a thin band a third of the
+ * way down the viewport. The sections crossing it are "active", in document
+ * order - a card registered inside a section comes after it, so the last
+ * one is always the most specific.
+ *
+ * Anchored scrolling lands a section just below the fixed navbar. The
+ * offset is the page's `scroll-padding-top` (index.css), which native
+ * jumps honour too. A section inside a pinned ScrollTrigger is scrolled
+ * to where its pin starts, since the pinned element itself sits fixed.
+ *
+ * The URL hash follows along through `history.replaceState` - scrolling
+ * the page never adds history entries.
+ */
+
+// Band the scroll-spy watches: 1% of the viewport, 35% from the top
+const spyMargin = "-35% 0px -64% 0px";
+
+const elements = new Map(); // id → element
+const listeners = new Set();
+const intersecting = new Set(); // elements crossing the band
+
+let active = [];
+let observer = null;
+let scrolling = false; // an anchored scroll is running - hold hash updates
+
+// ===== URL HASH =====
+
+/**
+ * @param {string|null} id - Section to show in the URL, null clears the hash
+ */
+const replaceHash = (id) => {
+  const url = new URL(window.location.href);
+  const hash = id ? `#${id}` : "";
+  if (url.hash === hash) return;
+  // Hashes that aren't sections belong to someone else
+  if (url.hash && !elements.has(decodeUriComponent(url.hash.slice(1)))) return;
+  url.hash = hash;
+  window.history.replaceState(window.history.state, "", url);
+};
+
+// ===== SCROLL-SPY =====
+
+/**
+ * The spy band is above every section
+ * @returns {boolean}
+ */
+const isAboveSections = () => {
+  const band = window.innerHeight * 0.35;
+  return [...elements.values()].every((element) => element.getBoundingClientRect().top > band);
+};
+
+const update = () => {
+  const next = [...elements]
+    .filter(([, element]) => intersecting.has(element))
+    .sort(([, a], [, b]) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+    .map(([id]) => id);
+
+  if (next.join() === active.join()) return;
+  active = next;
+  listeners.forEach((listener) => listener(active));
+
+  if (scrolling) return;
+  if (active.length) {
+    replaceHash(active[active.length - 1]);
+  } else if (isAboveSections()) {
+    // Back up in the hero, which has no section - the hash goes away
+    replaceHash(null);
+  }
+};
+
+const getObserver = () => {
+  // Without IntersectionObserver nothing is ever highlighted
+  if (typeof IntersectionObserver === "undefined") return null;
+  observer ??= new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) =>
+        entry.isIntersecting ? intersecting.add(entry.target) : intersecting.delete(entry.target)
+      );
+      update();
+    },
+    { rootMargin: spyMargin }
+  );
+  return observer;
+};
+
+/**
+ * @param {string} id - Anchor id, also the element's `id` attribute
+ * @param {Element} element
+ * @returns {() => void} - Unregisters
+ */
+export const registerSection = (id, element) => {
+  if (import.meta.env.DEV && elements.has(id) && elements.get(id) !== element) {
+    console.warn(`[sections] "${id}" is registered twice - the later element wins.`);
+  }
+  elements.set(id, element);
+  element.dataset.section = id;
+  getObserver()?.observe(element);
+
+  return () => {
+    if (elements.get(id) !== element) return;
+    elements.delete(id);
+    intersecting.delete(element);
+    observer?.unobserve(element);
+    update();
+  };
+};
+
+/**
+ * @param {string} id
+ * @returns {Element|null} - The registered section, or any element with that id
+ */
+export const getSection = (id) => elements.get(id) ?? document.getElementById(id);
+
+/**
+ * Ids of the sections in view, outermost first
+ * @returns {string[]}
+ */
+export const getActiveSections = () => active;
+
+/**
+ * @param {(active: string[]) => void} listener
+ * @returns {() => void} - Unsubscribe
+ */
+export const subscribeActiveSections = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// ===== ANCHORED SCROLLING =====
+
+/**
+ * Space kept free for the fixed navbar
+ * @returns {number} - px
+ */
+export const getSectionOffset = () =>
+  parseFloat(getComputedStyle(document.documentElement).scrollPaddingTop) || 0;
+
+/**
+ * Scroll position that puts the element right below the navbar
+ * @param {Element} element
+ * @returns {number}
+ */
+const resolveTop = (element) => {
+  const pinned = ScrollTrigger.getAll().find(
+    (trigger) => trigger.pin && trigger.pin !== element && trigger.pin.contains(element)
+  );
+  if (pinned) return pinned.start;
+
+  const top = element.getBoundingClientRect().top + window.scrollY - getSectionOffset();
+  return Math.min(Math.max(top, 0), ScrollTrigger.maxScroll(window));
+};
+
+/**
+ * Scrolls to a section and puts its id in the URL
+ * Lazy media or a pin refreshing during the trip can move the target, so
+ * the position is checked again on arrival.
+ *
+ * @param {string} id
+ * @param {object} options
+ * @param {boolean} options.smooth - Animate (false jumps, for reduced motion)
+ * @param {boolean} options.focus - Move keyboard focus to the section
+ * @returns {Promise<boolean>} - False when there is no such section
+ */
+export const scrollToSection = (id, { smooth = true, focus = true } = {}) => {
+  const element = getSection(id);
+  if (!element) return Promise.resolve(false);
+
+  const arrive = () => {
+    const top = resolveTop(element);
+    if (Math.abs(window.scrollY - top) > 1) window.scrollTo(0, top);
+    scrolling = false;
+    replaceHash(id);
+
+    if (focus) {
+      // Screen readers and the Tab key continue from the section
+      if (!element.hasAttribute("tabindex")) element.setAttribute("tabindex", "-1");
+      element.focus({ preventScroll: true });
+    }
+  };
+
+  gsap.killTweensOf(window);
+  scrolling = true;
+
+  if (!smooth) {
+    arrive();
+    return Promise.resolve(true);
+  }
+
+  const distance = Math.abs(resolveTop(element) - window.scrollY);
+  return new Promise((resolve) => {
+    gsap.to(window, {
+      scrollTo: { y: () => resolveTop(element), autoKill: true },
+      duration: Math.min(0.5 + distance / 4000, 1.4),
+      ease: "power3.inOut",
+      onComplete: () => {
+        arrive();
+        resolve(true);
+      },
+      // The reader scrolled themselves - let them
+      onInterrupt: () => {
+        scrolling = false;
+        resolve(true);
+      },
+    });
+  });
+};
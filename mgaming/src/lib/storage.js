@@ -0,0 +1,66 @@
+/**
+ * WEB STORAGE THAT NEVER THROWS
+ *
+ * localStorage and sessionStorage throw when the browser blocks them (some
+ * private modes, disabled site data) or when they are full. Nothing the
+ * site keeps there is worth an error: reads fall back, writes are dropped
+ * and the value lives only as long as the page.
+ */
+
+/**
+ * @param {"local"|"session"} area
+ * @returns {Storage} - Merely touching it throws where storage is blocked
+ */
+const storageArea = (area) => (area === "session" ? window.sessionStorage : window.localStorage);
+
+/**
+ * @param {string} key
+ * @param {object} options
+ * @param {"local"|"session"} options.area - localStorage (default) or sessionStorage
+ * @returns {string|null} - Stored text, null when missing or unreadable
+ */
+export const readStorage = (key, { area = "local" } = {}) => {
+  try {
+    return storageArea(area).getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * @param {string} key
+ * @param {any} fallback - Returned when the entry is missing, damaged or unreadable
+ * @param {object} options - `area`, as for `readStorage`
+ */
+export const readStorageJson = (key, fallback, options) => {
+  try {
+    return JSON.parse(readStorage(key, options)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * @param {string} key
+ * @param {string|null} value - null removes the entry
+ * @param {object} options - `area`, as for `readStorage`
+ * @returns {boolean} - Whether the value was kept
+ */
+export const writeStorage = (key, value, { area = "local" } = {}) => {
+  try {
+    if (value === null) storageArea(area).removeItem(key);
+    else storageArea(area).setItem(key, value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * @param {string} key
+ * @param {any} value - Serialised as JSON; null removes the entry
+ * @param {object} options - `area`, as for `readStorage`
+ * @returns {boolean} - Whether the value was kept
+ */
+export const writeStorageJson = (key, value, options) =>
+  writeStorage(key, value === null ? null : JSON.stringify(value), options);
@@ -0,0 +1,174 @@
+/**
+ * TEXT SEGMENTATION FOR PARSED MARKUP
+ *
+ * Splits a node tree from `parseMarkup` into lines and words without losing
+ * formatting - "b<b>u</b>ild" stays one word whose middle letter is bold.
+ *
+ * - Lines are split at `<br />`, even when the break sits inside an element
+ * - Words are split at whitespace; runs of text in scripts written without
+ *   spaces (Chinese, Japanese, Thai, ...) are further split at dictionary word
+ *   boundaries with `Intl.Segmenter`
+ * - Graphemes keep emoji, combining marks and surrogate pairs intact
+ */
+
+// ===== SEGMENTERS =====
+
+const hasSegmenter = typeof Intl !== "undefined" && typeof Intl.Segmenter === "function";
+
+const segmenters = new Map();
+
+/**
+ * Cached Intl.Segmenter per locale and granularity
+ * @param {string} locale
+ * @param {"word"|"grapheme"} granularity
+ */
+const getSegmenter = (locale, granularity) => {
+  const key = `${locale}:${granularity}`;
+  if (!segmenters.has(key)) segmenters.set(key, new Intl.Segmenter(locale, { granularity }));
+  return segmenters.get(key);
+};
+
+// Scripts that don't separate words with spaces
+const noSpaceScript =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+// One ideograph / kana per word when Intl.Segmenter is unavailable
+const cjkCharacter = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+/**
+ * Splits text into user-perceived characters
+ * @param {string} text
+ * @param {string} locale
+ * @returns {string[]}
+ */
+export const splitGraphemes = (text, locale) => {
+  if (!hasSegmenter) return Array.from(text); // Code points at least keep surrogate pairs together
+  return Array.from(getSegmenter(locale, "grapheme").segment(text), ({ segment }) => segment);
+};
+
+/**
+ * Breaks a whitespace-free run of text into words
+ * Punctuation sticks to the word before it so it never starts a line.
+ *
+ * @param {string} chunk
+ * @param {string} locale
+ * @returns {string[]}
+ */
+const splitChunk = (chunk, locale) => {
+  if (!noSpaceScript.test(chunk)) return [chunk];
+
+  const pieces = hasSegmenter
+    ? Array.from(getSegmenter(locale, "word").segment(chunk), ({ segment, isWordLike }) => ({ segment, isWordLike }))
+    : chunk.split(/(\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana})/u)
+        .filter(Boolean)
+        .map((segment) => ({ segment, isWordLike: cjkCharacter.test(segment) || /[\p{L}\p{N}]/u.test(segment) }));
+
+  return pieces.reduce((words, { segment, isWordLike }) => {
+    if (!isWordLike && words.length) words[words.length - 1] += segment;
+    else words.push(segment);
+    return words;
+  }, []);
+};
+
+// ===== TREE HELPERS =====
+
+/**
+ * Plain text of a tree without breaks
+ * @param {Array<object>} nodes
+ */
+const textOf = (nodes) =>
+  nodes.map((node) => (node.type === "text" ? node.value : node.type === "element" ? textOf(node.children) : "")).join("");
+
+/**
+ * Copies the part of a tree covering the text offsets [start, end)
+ * Elements are kept around every fragment of text they contained.
+ *
+ * @param {Array<object>} nodes
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<object>}
+ */
+const sliceNodes = (nodes, start, end) => {
+  const result = [];
+  let offset = 0;
+
+  for (const node of nodes) {
+    const length = node.type === "text" ? node.value.length : node.type === "element" ? textOf(node.children).length : 0;
+    const from = Math.max(start - offset, 0);
+    const to = Math.min(end - offset, length);
+    offset += length;
+
+    if (from >= to) continue;
+    if (node.type === "text") result.push({ type: "text", value: node.value.slice(from, to) });
+    else result.push({ ...node, children: sliceNodes(node.children, from, to) });
+  }
+
+  return result;
+};
+
+// ===== PUBLIC API =====
+
+/**
+ * Splits a tree into lines at every break
+ * An element interrupted by a break is repeated on each line it spans.
+ *
+ * @param {Array<object>} nodes - Output of `parseMarkup`
+ * @returns {Array<Array<object>>}
+ */
+export const splitLines = (nodes) => {
+  const lines = [[]];
+
+  for (const node of nodes) {
+    if (node.type === "break") {
+      lines.push([]);
+    } else if (node.type === "text") {
+      lines[lines.length - 1].push(node);
+    } else {
+      splitLines(node.children).forEach((children, index) => {
+        if (index > 0) lines.push([]);
+        if (children.length) lines[lines.length - 1].push({ ...node, children });
+      });
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Splits one line into words
+ *
+ * @param {Array<object>} nodes - A line from `splitLines`
+ * @param {string} locale - Used for dictionary-based word boundaries
+ * @returns {Array<{nodes: Array<object>, text: string, joined: boolean}>} -
+ *   `joined` words follow the previous one without a space (no-space scripts)
+ */
+export const splitWords = (nodes, locale = "en") => {
+  const text = textOf(nodes);
+  const words = [];
+
+  // Non-breaking spaces keep their neighbours together, as they do in HTML
+  for (const match of text.matchAll(/(?:\S|[\u00a0\u202f])+/gu)) {
+    let offset = match.index;
+    splitChunk(match[0], locale).forEach((word, index) => {
+      words.push({ nodes: sliceNodes(nodes, offset, offset + word.length), text: word, joined: index > 0 });
+      offset += word.length;
+    });
+  }
+
+  return words;
+};
+
+/**
+ * Splits one word (or any run of nodes) into characters
+ * @param {Array<object>} nodes - `nodes` of a word from `splitWords`
+ * @param {string} locale
+ * @returns {Array<{nodes: Array<object>, text: string}>}
+ */
+export const splitCharacters = (nodes, locale = "en") => {
+  let offset = 0;
+  return splitGraphemes(textOf(nodes), locale).map((text) => {
+    const character = { nodes: sliceNodes(nodes, offset, offset + text.length), text };
+    offset += text.length;
+    return character;
+  });
+};
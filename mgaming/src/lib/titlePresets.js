@@ -0,0 +1,189 @@
+/**
+ * ANIMATED TITLE PRESETS
+ *
+ * Named reveal styles for <AnimatedTitle preset="..." />. A preset describes
+ * how the title is split and adds its tweens to a ScrollTrigger timeline that
+ * AnimatedTitle creates and controls (trigger offsets, scrub, replay).
+ *
+ * Register your own with:
+ *
+ *   registerTitlePreset("pop", {
+ *     split: "char",
+ *     defaults: { stagger: 0.03, ease: "back.out(2)", duration: 0.4 },
+ *     animate: (timeline, targets, { stagger, ease, duration }) => {
+ *       timeline.from(targets, { scale: 0, opacity: 0, stagger, ease, duration });
+ *     },
+ *   });
+ *
+ * Preset fields:
+ * - split:     "word" | "char" | "line" - which elements become `targets`
+ * - mask:      wrap each line in an overflow-hidden mask (for slide-ins)
+ * - className: added to the title container, e.g. to set a starting pose in CSS
+ * - defaults:  stagger / ease / duration used unless AnimatedTitle overrides them
+ * - animate(timeline, targets, options): adds tweens; may return a cleanup function
+ */
+
+// ===== REGISTRY =====
+
+const presets = new Map();
+
+const splits = ["word", "char", "line"];
+
+/**
+ * Adds (or replaces) a preset
+ * @param {string} name - Value of AnimatedTitle's `preset` prop
+ * @param {object} preset - See the module comment
+ */
+export const registerTitlePreset = (name, preset) => {
+  if (!splits.includes(preset.split)) {
+    throw new Error(`Title preset "${name}" has an invalid split "${preset.split}". Expected one of: ${splits.join(", ")}.`);
+  }
+  if (typeof preset.animate !== "function") {
+    throw new Error(`Title preset "${name}" needs an animate(timeline, targets, options) function.`);
+  }
+  presets.set(name, { mask: false, defaults: {}, ...preset });
+};
+
+/**
+ * Looks a preset up by name, falling back to the default one
+ * @param {string} name
+ * @returns {object}
+ */
+export const getTitlePreset = (name) => {
+  if (presets.has(name)) return presets.get(name);
+  if (import.meta.env.DEV) console.warn(`Unknown title preset "${name}", using "${defaultTitlePreset}".`);
+  return presets.get(defaultTitlePreset);
+};
+
+/**
+ * Names of every registered preset
+ * @returns {string[]}
+ */
+export const listTitlePresets = () => [...presets.keys()];
+
+export const defaultTitlePreset = "words";
+
+// ===== REPLAY BEHAVIOUR =====
+
+/**
+ * ScrollTrigger settings for each `replay` mode (ignored when scrubbing)
+ * - reverse: play on enter, rewind when scrolling back above the title
+ * - restart: play from the start every time the title enters the viewport
+ * - once:    play the first time and leave the title revealed
+ */
+export const replayModes = {
+  reverse: { toggleActions: "play none none reverse" },
+  restart: { toggleActions: "restart none restart none" },
+  once: { toggleActions: "play none none none", once: true },
+};
+
+// ===== BUILT-IN PRESETS =====
+
+// Per word, swinging in from a 3D tilt - the starting pose lives in index.css
+registerTitlePreset("words", {
+  split: "word",
+  className: "animated-title--3d",
+  defaults: { stagger: 0.02, ease: "power2.inOut", duration: 0.5 },
+  animate: (timeline, targets, { stagger, ease, duration }) => {
+    timeline.to(
+      targets,
+      {
+        opacity: 1,
+        transform: "translate3d(0, 0, 0) rotateY(0deg) rotateX(0deg)",
+        ease,
+        stagger,
+        duration,
+      },
+      0
+    );
+  },
+});
+
+// Per character, rising into place
+registerTitlePreset("chars", {
+  split: "char",
+  defaults: { stagger: 0.015, ease: "power3.out", duration: 0.6 },
+  animate: (timeline, targets, { stagger, ease, duration }) => {
+    timeline.from(targets, { opacity: 0, yPercent: 80, rotate: 8, stagger, ease, duration }, 0);
+  },
+});
+
+// Per line, fading up
+registerTitlePreset("lines", {
+  split: "line",
+  defaults: { stagger: 0.12, ease: "power3.out", duration: 0.8 },
+  animate: (timeline, targets, { stagger, ease, duration }) => {
+    timeline.from(targets, { opacity: 0, y: 60, stagger, ease, duration }, 0);
+  },
+});
+
+// Per line, sliding up from behind a mask
+registerTitlePreset("mask-slide", {
+  split: "line",
+  mask: true,
+  defaults: { stagger: 0.1, ease: "expo.out", duration: 1 },
+  animate: (timeline, targets, { stagger, ease, duration }) => {
+    timeline.from(targets, { yPercent: 110, stagger, ease, duration }, 0);
+  },
+});
+
+// Lines fade in without moving - used whenever motion is toned down
+registerTitlePreset("fade", {
+  split: "line",
+  defaults: { stagger: 0.1, ease: "power1.out", duration: 0.6 },
+  animate: (timeline, targets, { stagger, ease, duration }) => {
+    timeline.from(targets, { opacity: 0, stagger, ease, duration }, 0);
+  },
+});
+
+// Characters appear one at a time, like they're being typed
+registerTitlePreset("typewriter", {
+  split: "char",
+  defaults: { stagger: 0.05, ease: "none", duration: 0.01 },
+  animate: (timeline, targets, { stagger, ease, duration }) => {
+    timeline.from(targets, { autoAlpha: 0, stagger, ease, duration }, 0);
+  },
+});
+
+// ===== SCRAMBLE / GLITCH =====
+
+const glyphs = "!<>-_\\/[]{}=+*^?#ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+
+const randomGlyph = () => glyphs[Math.floor(Math.random() * glyphs.length)];
+
+/**
+ * First text node inside a character element (formatting tags may wrap it)
+ * @param {HTMLElement} element
+ */
+const firstTextNode = (element) => document.createTreeWalker(element, NodeFilter.SHOW_TEXT).nextNode();
+
+// Characters cycle through random glyphs before settling left to right
+registerTitlePreset("scramble", {
+  split: "char",
+  defaults: { stagger: 0.6, ease: "none", duration: 1.2 },
+  animate: (timeline, targets, { stagger, ease, duration }) => {
+    const characters = targets
+      .map((element) => ({ node: firstTextNode(element) }))
+      .filter(({ node }) => node && node.nodeValue.trim());
+    characters.forEach((character) => {
+      character.original = character.node.nodeValue;
+    });
+
+    // `stagger` is the share of the duration spent settling, the rest is pure noise
+    const settleShare = Math.min(Math.max(stagger, 0.05), 1);
+    const state = { progress: 0 };
+    const render = () => {
+      const settled = Math.max(0, (state.progress - (1 - settleShare)) / settleShare) * characters.length;
+      characters.forEach(({ node, original }, index) => {
+        node.nodeValue = state.progress >= 1 || index < settled ? original : state.progress > 0 ? randomGlyph() : original;
+      });
+    };
+
+    timeline
+      .from(targets, { opacity: 0, duration: duration * 0.2, ease: "none" }, 0)
+      .to(state, { progress: 1, duration, ease, onUpdate: render, onComplete: render, onReverseComplete: render }, 0);
+
+    // React owns these text nodes - hand them back untouched
+    return () => characters.forEach(({ node, original }) => (node.nodeValue = original));
+  },
+});
@@ -0,0 +1,230 @@
+/**
+ * TOURNAMENT DATA
+ *
+ * Pure helpers over src/content/tournaments.json, shared by the site's
+ * "local" tournament provider and the mock API (server/routes/tournaments.js)
+ * so both answer identically. Dates are UTC ISO strings throughout; the
+ * reader's time zone only comes in when they are displayed. Served
+ * tournaments carry `game: { id, title, cover }` in place of the game id.
+ *
+ * A tournament is "upcoming" before `startsAt`, "live" until `endsAt` and
+ * "past" after that. A match is "done" once it has a score, "live" from
+ * `startsAt` until then, and "scheduled" before.
+ */
+
+export const tournamentStatuses = ["live", "upcoming", "past"];
+
+// Round robin points
+const POINTS = { win: 3, draw: 1, loss: 0 };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ===== DATES =====
+
+/**
+ * Moves a UTC instant by some milliseconds, keeping the data's format
+ * @param {string} instant - e.g. "2026-10-18T17:00:00Z"
+ * @param {number} offset - ms
+ */
+const shiftInstant = (instant, offset) => new Date(Date.parse(instant) + offset).toISOString().replace(".000Z", "Z");
+
+/**
+ * The tournaments with every date moved by whole days so that the data's
+ * `anchor` day is today - the demo always has live and upcoming events
+ *
+ * @param {{anchor: string, tournaments: Array<object>}} data - tournaments.json
+ * @param {Date} today
+ * @returns {Array<object>}
+ */
+export const rebaseTournaments = ({ anchor, tournaments }, today = new Date()) => {
+  const midnight = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  const offset = Math.round((midnight - Date.parse(`${anchor}T00:00:00Z`)) / DAY) * DAY;
+  if (!offset) return tournaments;
+
+  return tournaments.map((tournament) => ({
+    ...tournament,
+    startsAt: shiftInstant(tournament.startsAt, offset),
+    endsAt: shiftInstant(tournament.endsAt, offset),
+    registrationClosesAt: shiftInstant(tournament.registrationClosesAt, offset),
+    matches: tournament.matches.map((match) => ({ ...match, startsAt: shiftInstant(match.startsAt, offset) })),
+  }));
+};
+
+/**
+ * Replaces each tournament's game id with the game's title and cover, for
+ * cards and headers
+ * @param {Array<object>} tournaments
+ * @param {Array<object>} games - games.json
+ */
+export const joinGames = (tournaments, games) => {
+  const byId = new Map(games.map((game) => [game.id, game]));
+  return tournaments.map((tournament) => {
+    const game = byId.get(tournament.game);
+    return { ...tournament, game: { id: tournament.game, title: game?.title ?? tournament.game, cover: game?.cover ?? null } };
+  });
+};
+
+// ===== STATUS =====
+
+/**
+ * @param {object} tournament
+ * @param {number} now - Timestamp (ms)
+ * @returns {"upcoming"|"live"|"past"}
+ */
+export const getTournamentStatus = (tournament, now = Date.now()) => {
+  if (now < Date.parse(tournament.startsAt)) return "upcoming";
+  if (now < Date.parse(tournament.endsAt)) return "live";
+  return "past";
+};
+
+/**
+ * Whether entries are accepted
+ * @param {object} tournament
+ * @param {number} now - Timestamp (ms)
+ * @returns {"open"|"full"|"closed"}
+ */
+export const getRegistrationStatus = (tournament, now = Date.now()) => {
+  if (now >= Date.parse(tournament.registrationClosesAt) || now >= Date.parse(tournament.startsAt)) return "closed";
+  if (tournament.participants.length >= tournament.slots) return "full";
+  return "open";
+};
+
+/**
+ * @param {object} match
+ * @param {number} now - Timestamp (ms)
+ * @returns {"done"|"live"|"scheduled"}
+ */
+export const getMatchStatus = (match, now = Date.now()) => {
+  if (match.scoreA !== null && match.scoreB !== null) return "done";
+  return now >= Date.parse(match.startsAt) ? "live" : "scheduled";
+};
+
+/**
+ * Participant id of the winner of a finished match - null for draws and
+ * matches still to play
+ * @param {object} match
+ */
+export const getMatchWinner = (match) => {
+  if (match.scoreA === null || match.scoreB === null || match.scoreA === match.scoreB) return null;
+  return match.scoreA > match.scoreB ? match.a : match.b;
+};
+
+// ===== LISTS =====
+
+/**
+ * Tournaments in one status, soonest first - or most recent first for past ones
+ * @param {Array<object>} tournaments
+ * @param {"upcoming"|"live"|"past"} status
+ * @param {number} now - Timestamp (ms)
+ */
+export const filterTournaments = (tournaments, status, now = Date.now()) => {
+  const direction = status === "past" ? -1 : 1;
+  return tournaments
+    .filter((tournament) => getTournamentStatus(tournament, now) === status)
+    .sort((a, b) => direction * (Date.parse(a.startsAt) - Date.parse(b.startsAt)));
+};
+
+/**
+ * List entry for a tournament: everything but the bracket, with counts
+ * @param {object} tournament
+ */
+export const summarizeTournament = (tournament) => {
+  const summary = { ...tournament, entrants: tournament.participants.length };
+  delete summary.participants;
+  delete summary.matches;
+  return summary;
+};
+
+// ===== ROUND ROBIN =====
+
+/**
+ * Round robin table, best first: points, then score difference, then score
+ *
+ * @param {object} tournament
+ * @returns {Array<{participant: object, played: number, won: number, drawn: number, lost: number, scoreFor: number, scoreAgainst: number, points: number}>}
+ */
+export const getStandings = ({ participants, matches }) => {
+  const rows = new Map(
+    participants.map((participant) => [
+      participant.id,
+      { participant, played: 0, won: 0, drawn: 0, lost: 0, scoreFor: 0, scoreAgainst: 0, points: 0 },
+    ])
+  );
+
+  const record = (id, scored, conceded) => {
+    const row = rows.get(id);
+    if (!row) return;
+    row.played += 1;
+    row.scoreFor += scored;
+    row.scoreAgainst += conceded;
+    const result = scored > conceded ? "won" : scored < conceded ? "lost" : "drawn";
+    row[result] += 1;
+    row.points += POINTS[{ won: "win", drawn: "draw", lost: "loss" }[result]];
+  };
+
+  for (const match of matches) {
+    if (match.scoreA === null || match.scoreB === null) continue;
+    record(match.a, match.scoreA, match.scoreB);
+    record(match.b, match.scoreB, match.scoreA);
+  }
+
+  return [...rows.values()].sort(
+    (a, b) =>
+      b.points - a.points ||
+      b.scoreFor - b.scoreAgainst - (a.scoreFor - a.scoreAgainst) ||
+      b.scoreFor - a.scoreFor ||
+      a.participant.seed - b.participant.seed
+  );
+};
+
+/**
+ * The winner once the last match is played: the winner of the final, or
+ * the top of the round robin table
+ * @param {object} tournament - Full tournament
+ * @returns {object|null} - Participant
+ */
+export const getChampion = (tournament) => {
+  const { matches, participants } = tournament;
+  if (!matches.length || matches.some((match) => match.scoreA === null || match.scoreB === null)) return null;
+
+  if (tournament.format === "round-robin") return getStandings(tournament)[0]?.participant ?? null;
+
+  const final = matches.find((match) => !match.next && match.bracket !== "lower");
+  return participants.find((participant) => participant.id === (final && getMatchWinner(final))) ?? null;
+};
+
+// ===== REGISTRATION =====
+
+/**
+ * Checks an entry against a tournament and earlier entries, and builds the
+ * participant it adds
+ *
+ * @param {object} tournament - Including the participants registered so far
+ * @param {Array<{email: string}>} entries - Earlier entries for this tournament
+ * @param {{name: string, email: string, team?: string}} entry
+ * @param {number} now - Timestamp (ms)
+ * @returns {{status: "registered"|"duplicate"|"full"|"closed", participant?: object}}
+ */
+export const checkRegistration = (tournament, entries, { name, email, team }, now = Date.now()) => {
+  const availability = getRegistrationStatus(tournament, now);
+  if (availability !== "open") return { status: availability };
+
+  const normalized = email.toLowerCase();
+  if (entries.some((entry) => entry.email === normalized)) return { status: "duplicate" };
+
+  const seed = tournament.participants.length + 1;
+  return {
+    status: "registered",
+    participant: { id: `${tournament.id}-entry-${seed}`, name: team || name, seed },
+  };
+};
+
+/**
+ * The tournament with registered participants added
+ * @param {object} tournament
+ * @param {Array<{participant: object}>} entries
+ */
+export const withEntries = (tournament, entries = []) =>
+  entries.length
+    ? { ...tournament, participants: [...tournament.participants, ...entries.map((entry) => entry.participant)] }
+    : tournament;
@@ -0,0 +1,214 @@
+import { requestJson, postJson, RequestError } from "./http";
+import { wait, withRetry } from "./retry";
+import { readStorageJson, writeStorageJson } from "./storage";
+import {
+  checkRegistration,
+  joinGames,
+  rebaseTournaments,
+  summarizeTournament,
+  withEntries,
+} from "./tournamentData";
+
+/**
+ * TOURNAMENT SERVICE
+ *
+ * The Tournaments hub reads events and sends registrations through a
+ * provider adapter, so it can move to a real backend without touching the
+ * UI. A provider is an object:
+ *
+ *   {
+ *     name: "fetch",
+ *     list: async () => [tournament summary, ...],
+ *     get: async (id) => tournament | null,
+ *     register: async (id, { name, email, team, proof }) =>
+ *       ({ status: "registered" | "duplicate" | "full" | "closed" }),
+ *   }
+ *
+ * Summaries leave out participants and matches (see lib/tournamentData.js).
+ * Failures throw a `RequestError`. Built-in providers:
+ * - "local":  src/content/tournaments.json in the browser, entries kept in
+ *             localStorage (loaded as its own chunk on first use) -
+ *             development only, no organiser ever sees those entries
+ * - "static": the same tournaments, read-only - registration is closed
+ * - "fetch":  GET VITE_TOURNAMENTS_ENDPOINT, GET …/{id} and
+ *             POST …/{id}/registrations - `npm run mock` serves all three
+ *             at /api/tournaments
+ *
+ * Production builds without VITE_TOURNAMENTS_ENDPOINT (or a registered
+ * VITE_TOURNAMENTS_PROVIDER) use "static": `tournamentsEnabled` is false
+ * and the registration form stays hidden.
+ *
+ * Register more with `registerTournamentProvider("name", factory)`.
+ */
+
+// ===== CONFIGURATION =====
+
+const env = import.meta.env;
+
+export const tournamentConfig = {
+  provider: env.VITE_TOURNAMENTS_PROVIDER || (env.VITE_TOURNAMENTS_ENDPOINT ? "fetch" : env.DEV ? "local" : "static"),
+  endpoint: env.VITE_TOURNAMENTS_ENDPOINT || "/api/tournaments",
+};
+
+// False without a backend taking registrations - the form is hidden
+export const tournamentsEnabled =
+  tournamentConfig.provider !== "static" && (tournamentConfig.provider !== "local" || Boolean(env.DEV));
+
+// ===== PROVIDERS =====
+
+/**
+ * Tournaments bundled with the site - no network involved
+ * @param {object} options
+ * @param {() => Promise<Array<object>>} options.load - Loads the tournaments, ready to serve
+ * @param {string} options.storageKey - Where entries are remembered
+ * @param {number} options.latency - Simulated round trip for registrations (ms)
+ */
+export const createLocalProvider = ({
+  load = () =>
+    Promise.all([import("../content/tournaments.json"), import("../content/games.json")]).then(
+      ([tournaments, games]) => joinGames(rebaseTournaments(tournaments.default), games.default.games)
+    ),
+  storageKey = "mgaming:tournament-entries",
+  latency = 600,
+} = {}) => {
+  let tournaments;
+  const getTournaments = () => (tournaments ??= load());
+
+  // { [tournament id]: [{ email, participant }] }
+  const readEntries = () => readStorageJson(storageKey, {});
+
+  const find = async (id) => {
+    const tournament = (await getTournaments()).find((entry) => entry.id === id);
+    return tournament ? withEntries(tournament, readEntries()[id]) : null;
+  };
+
+  return {
+    name: "local",
+    list: async () => {
+      const entries = readEntries();
+      return (await getTournaments()).map((tournament) => summarizeTournament(withEntries(tournament, entries[tournament.id])));
+    },
+    get: find,
+    register: async (id, entry) => {
+      await wait(latency);
+
+      const tournament = await find(id);
+      if (!tournament) throw new RequestError(`No tournament with id "${id}".`, { code: "http", status: 404, retryable: false });
+
+      const entries = readEntries();
+      const { status, participant } = checkRegistration(tournament, entries[id] || [], entry);
+      if (status === "registered") {
+        entries[id] = [...(entries[id] || []), { email: entry.email.toLowerCase(), participant }];
+        writeStorageJson(storageKey, entries);
+      }
+      return { status };
+    },
+  };
+};
+
+/**
+ * The bundled tournaments without registration - for production builds
+ * that have no backend
+ * @param {object} options - As for `createLocalProvider`
+ */
+export const createStaticProvider = (options) => ({
+  ...createLocalProvider(options),
+  name: "static",
+  register: async () => ({ status: "closed" }),
+});
+
+/**
+ * JSON API speaking the mock server's protocol. Refused registrations
+ * answer 409 with `{ status: "duplicate" | "full" | "closed" }`.
+ * @param {object} options
+ * @param {string} options.endpoint - Collection URL
+ */
+export const createFetchProvider = ({ endpoint }) => {
+  const url = (id) => `${endpoint}/${encodeURIComponent(id)}`;
+
+  return {
+    name: "fetch",
+    list: async () => (await withRetry(() => requestJson(endpoint), { retries: 2 })).tournaments,
+    get: async (id) => {
+      try {
+        return await withRetry(() => requestJson(url(id)), { retries: 2 });
+      } catch (error) {
+        if (error instanceof RequestError && error.status === 404) return null;
+        throw error;
+      }
+    },
+    register: async (id, entry) => {
+      try {
+        await withRetry(() => postJson(`${url(id)}/registrations`, entry), { retries: 2 });
+        return { status: "registered" };
+      } catch (error) {
+        if (error instanceof RequestError && error.status === 409 && error.data?.status) {
+          return { status: error.data.status };
+        }
+        throw error;
+      }
+    },
+  };
+};
+
+const providerFactories = {
+  local: createLocalProvider,
+  static: createStaticProvider,
+  fetch: createFetchProvider,
+};
+
+/**
+ * Makes a custom provider available through VITE_TOURNAMENTS_PROVIDER
+ * @param {string} name - Provider name
+ * @param {(config: object) => object} factory - Receives `tournamentConfig`
+ */
+export const registerTournamentProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Builds the provider named in the configuration
+ * @param {object} config - Same shape as `tournamentConfig`
+ */
+export const createTournamentProvider = (config = tournamentConfig) => {
+  if (config.provider === "local" && !env.DEV) {
+    throw new Error('The "local" tournament provider only runs in development. Set VITE_TOURNAMENTS_ENDPOINT.');
+  }
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown tournament provider "${config.provider}". Expected one of: ${Object.keys(providerFactories).join(", ")}.`
+    );
+  }
+  return factory(config);
+};
+
+// ===== PUBLIC API =====
+
+let defaultProvider;
+
+// Created lazily so providers registered at startup are picked up
+const getProvider = () => (defaultProvider ??= createTournamentProvider());
+
+/**
+ * Every tournament, without brackets
+ * @returns {Promise<Array<object>>}
+ */
+export const listTournaments = () => getProvider().list();
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>} - The tournament, or null when there is no such tournament
+ */
+export const getTournament = (id) => getProvider().get(id);
+
+/**
+ * Enters a player or team
+ * @param {string} id - Tournament id
+ * @param {{name: string, email: string, team?: string}} entry - Validated, trimmed fields
+ * @param {object} options
+ * @param {object} options.proof - Proof of work from the spam guard, if enabled
+ * @returns {Promise<{status: "registered"|"duplicate"|"full"|"closed"}>}
+ */
+export const registerForTournament = (id, entry, { proof } = {}) =>
+  getProvider().register(id, { ...entry, ...(proof && { proof }) });
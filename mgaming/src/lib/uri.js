@@ -0,0 +1,14 @@
+/**
+ * Decodes a percent-encoded part of a URL - a hash, a path segment.
+ * decodeURIComponent throws on malformed escapes ("#%E0%A4%A" in a
+ * mistyped or truncated link); those come back as written instead.
+ * @param {string} value
+ * @returns {string}
+ */
+export const decodeUriComponent = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
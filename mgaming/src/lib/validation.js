@@ -0,0 +1,138 @@
+import { fallbackCatalog, lookup } from "../i18n/catalogs";
+import { formatMessage } from "../i18n/format";
+
+/**
+ * DECLARATIVE FORM VALIDATION
+ *
+ * A schema maps field names to rule objects:
+ *
+ *   {
+ *     email: {
+ *       labelKey: "fields.email", // i18n key of the label used in messages
+ *                                 // (or `label: "Email address"` for literal text)
+ *       required: true,
+ *       trim: true,              // Validate (and submit) the trimmed value
+ *       minLength: 5,
+ *       maxLength: 254,
+ *       format: "email",         // Key of `formats` below
+ *       disallow: [              // Content that must not appear
+ *         { pattern: /<[^>]+>/, messageKey: "validation.noHtml" },
+ *         { test: (value) => ..., message: "Literal message" },
+ *       ],
+ *     },
+ *   }
+ *
+ * Rules are checked in the order above and the first failure wins, so each
+ * field reports a single, specific message. Messages are i18n keys resolved
+ * with a `translate(key, values)` function - `useFormValidation` passes the
+ * active locale's `t`; without one the English catalog is used.
+ */
+
+// ===== TRANSLATION =====
+
+/**
+ * English fallback translator
+ * @param {string} key - Message key
+ * @param {object} values - ICU argument values
+ */
+export const defaultTranslate = (key, values) => formatMessage(lookup(fallbackCatalog, key) ?? key, values);
+
+// ===== BUILT-IN FORMATS =====
+
+export const formats = {
+  email: {
+    // Pragmatic check: something@domain.tld without whitespace
+    pattern: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/,
+    messageKey: "validation.email",
+  },
+};
+
+// ===== REUSABLE DISALLOW RULES =====
+
+export const noHtml = {
+  pattern: /<\/?[a-z][^>]*>/i,
+  messageKey: "validation.noHtml",
+};
+
+/**
+ * Rejects text containing more than `max` links - a common spam signal
+ * @param {number} max
+ */
+export const maxLinks = (max) => ({
+  test: (value) => (value.match(/(https?:\/\/|www\.)/gi) || []).length > max,
+  messageKey: "validation.maxLinks",
+  values: { max },
+});
+
+// Passwords need at least one letter and one digit
+export const lettersAndDigits = {
+  test: (value) => !(/\p{L}/u.test(value) && /\d/.test(value)),
+  messageKey: "validation.lettersAndDigits",
+};
+
+// ===== VALIDATORS =====
+
+/**
+ * Applies the field's normalisation (currently trimming)
+ * @param {object} rules - Rules for a single field
+ * @param {any} value - Raw input value
+ * @returns {string}
+ */
+export const normalizeValue = (rules, value) => {
+  const text = value == null ? "" : String(value);
+  return rules.trim === false ? text : text.trim();
+};
+
+/**
+ * Validates a single value against its rules
+ * @param {object} rules - Rules for a single field
+ * @param {any} value - Raw input value
+ * @param {(key: string, values?: object) => string} translate - Resolves message keys
+ * @returns {string|null} - Error message, or null when the value is valid
+ */
+export const validateField = (rules, value, translate = defaultTranslate) => {
+  const label = rules.labelKey ? translate(rules.labelKey) : rules.label || "This field";
+  const text = normalizeValue(rules, value);
+
+  if (!text) return rules.required ? translate("validation.required", { label }) : null;
+
+  if (rules.minLength && text.length < rules.minLength) {
+    return translate("validation.minLength", { label, min: rules.minLength });
+  }
+  if (rules.maxLength && text.length > rules.maxLength) {
+    return translate("validation.maxLength", { label, max: rules.maxLength });
+  }
+
+  if (rules.format) {
+    const format = formats[rules.format];
+    if (!format) throw new Error(`Unknown validation format "${rules.format}".`);
+    if (!format.pattern.test(text)) return translate(format.messageKey, { label });
+  }
+
+  for (const rule of rules.disallow || []) {
+    const matches = rule.pattern ? rule.pattern.test(text) : rule.test(text);
+    if (matches) return rule.messageKey ? translate(rule.messageKey, { label, ...rule.values }) : rule.message;
+  }
+
+  return null;
+};
+
+/**
+ * Validates every field in a schema
+ * @param {object} schema - Field name to rules
+ * @param {object} values - Field name to raw value
+ * @param {Function} translate - Resolves message keys (see validateField)
+ * @returns {{isValid: boolean, errors: object, values: object}} - `values` are normalised
+ */
+export const validateForm = (schema, values, translate = defaultTranslate) => {
+  const errors = {};
+  const normalized = {};
+
+  Object.entries(schema).forEach(([name, rules]) => {
+    normalized[name] = normalizeValue(rules, values[name]);
+    const error = validateField(rules, values[name], translate);
+    if (error) errors[name] = error;
+  });
+
+  return { isValid: Object.keys(errors).length === 0, errors, values: normalized };
+};
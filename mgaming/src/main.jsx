@@ -2,9 +2,21 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import AuthProvider from './auth/AuthProvider.jsx'
+import I18nProvider from './i18n/I18nProvider.jsx'
+import MotionProvider from './motion/MotionProvider.jsx'
+import RouterProvider from './router/RouterProvider.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <MotionProvider>
+        <AuthProvider>
+          <RouterProvider>
+            <App />
+          </RouterProvider>
+        </AuthProvider>
+      </MotionProvider>
+    </I18nProvider>
   </StrictMode>,
 )
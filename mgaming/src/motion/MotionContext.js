@@ -0,0 +1,9 @@
+import { createContext } from "react";
+
+/**
+ * Context shared by MotionProvider and useMotion.
+ * See MotionProvider.jsx for the value's shape.
+ */
+const MotionContext = createContext(null);
+
+export default MotionContext;
@@ -0,0 +1,111 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { ScrollTrigger } from "gsap/ScrollTrigger";
+
+import MotionContext from "./MotionContext";
+import { MOTION_STORAGE_KEY, readMotionPreference, REDUCED_MOTION_QUERY, resolveMotionMode } from "./config";
+import { detectLowEndDevice, measureFrameRate, watchSaveData } from "./performance";
+import { writeStorage } from "../lib/storage";
+
+/**
+ * MOTION PROVIDER
+ *
+ * Decides how much animation the site runs and exposes it through `useMotion()`:
+ * - `mode`: "full" | "lite" | "reduced" (see config.js)
+ * - `fullMotion` / `reducedMotion`: shortcuts for the checks components make
+ * - `preference` / `setPreference(value)`: the visitor's choice, persisted
+ * - `lowEndReason`: why the device was flagged ("cpu", "memory", "save-data", "frames")
+ *
+ * The mode is mirrored to `<html data-motion>` so CSS can calm down too.
+ */
+const MotionProvider = ({ children }) => {
+  // ===== STATE MANAGEMENT =====
+
+  const [preference, setPreferenceState] = useState(readMotionPreference);
+  const [systemReduced, setSystemReduced] = useState(() => window.matchMedia(REDUCED_MOTION_QUERY).matches);
+  const [lowEndReason, setLowEndReason] = useState(detectLowEndDevice);
+
+  const mode = resolveMotionMode({ preference, systemReduced, lowEnd: Boolean(lowEndReason) });
+
+  /**
+   * Stores the visitor's choice; picking what "auto" would pick anyway stores "auto"
+   * so later system or device changes still apply
+   * @param {"auto"|"full"|"reduced"} value
+   */
+  const setPreference = useCallback(
+    (value) => {
+      const automatic = resolveMotionMode({ preference: "auto", systemReduced, lowEnd: Boolean(lowEndReason) });
+      const next = value === automatic ? "auto" : value;
+      setPreferenceState(next);
+      writeStorage(MOTION_STORAGE_KEY, next);
+    },
+    [systemReduced, lowEndReason]
+  );
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Follow the system reduced-motion setting live
+   */
+  useEffect(() => {
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const handleChange = (event) => setSystemReduced(event.matches);
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, []);
+
+  /**
+   * EFFECT: Re-check hardware hints when Save-Data is toggled
+   */
+  useEffect(
+    () => watchSaveData(() => setLowEndReason((reason) => detectLowEndDevice() || (reason === "frames" ? reason : null))),
+    []
+  );
+
+  /**
+   * EFFECT: Sample frame times once the page has settled
+   * Only worth doing while the device still looks capable and motion is full.
+   */
+  useEffect(() => {
+    if (lowEndReason || mode !== "full") return;
+
+    let cancelMeasurement = () => {};
+    const timer = setTimeout(() => {
+      cancelMeasurement = measureFrameRate(({ slow }) => {
+        if (slow) setLowEndReason("frames");
+      });
+    }, 3000);
+
+    return () => {
+      clearTimeout(timer);
+      cancelMeasurement();
+    };
+  }, [lowEndReason, mode]);
+
+  /**
+   * EFFECT: Mirror the mode to <html data-motion> and re-measure scroll triggers,
+   * since pins may have been added or removed
+   */
+  useEffect(() => {
+    document.documentElement.dataset.motion = mode;
+    ScrollTrigger.refresh();
+  }, [mode]);
+
+  // ===== CONTEXT VALUE =====
+
+  const value = useMemo(
+    () => ({
+      mode,
+      fullMotion: mode === "full",
+      reducedMotion: mode === "reduced",
+      preference,
+      setPreference,
+      systemReduced,
+      lowEndReason,
+    }),
+    [mode, preference, setPreference, systemReduced, lowEndReason]
+  );
+
+  return <MotionContext.Provider value={value}>{children}</MotionContext.Provider>;
+};
+
+export default MotionProvider;
@@ -0,0 +1,42 @@
+import { readStorage } from "../lib/storage";
+
+/**
+ * MOTION CONFIGURATION
+ *
+ * Three motion modes, from richest to calmest:
+ * - "full":    every scroll scrub, pin, tilt and 3D effect
+ * - "lite":    heavy effects replaced by fades (chosen for low-end devices)
+ * - "reduced": no movement at all - static layouts, instant transitions
+ *
+ * The visitor's preference is "auto" (follow the system setting and device
+ * checks), "full" or "reduced".
+ */
+
+export const motionPreferences = ["auto", "full", "reduced"];
+
+export const MOTION_STORAGE_KEY = "mgaming:motion";
+
+export const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+/**
+ * Saved preference, "auto" when nothing valid was stored
+ * @returns {"auto"|"full"|"reduced"}
+ */
+export const readMotionPreference = () => {
+  const saved = readStorage(MOTION_STORAGE_KEY);
+  return motionPreferences.includes(saved) ? saved : "auto";
+};
+
+/**
+ * Picks the motion mode
+ * @param {object} options
+ * @param {string} options.preference - "auto" | "full" | "reduced"
+ * @param {boolean} options.systemReduced - prefers-reduced-motion matches
+ * @param {boolean} options.lowEnd - Device looks too slow for heavy effects
+ * @returns {"full"|"lite"|"reduced"}
+ */
+export const resolveMotionMode = ({ preference, systemReduced, lowEnd }) => {
+  if (preference !== "auto") return preference;
+  if (systemReduced) return "reduced";
+  return lowEnd ? "lite" : "full";
+};
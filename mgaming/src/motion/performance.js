@@ -0,0 +1,82 @@
+/**
+ * LOW-END DEVICE DETECTION
+ *
+ * Signals that heavy scroll effects will stutter or waste data:
+ * - few CPU cores or little memory (`hardwareConcurrency`, `deviceMemory`)
+ * - the Save-Data hint from the network information API
+ * - frames measured dropping once the page has settled
+ */
+
+// ===== THRESHOLDS =====
+
+const MIN_CORES = 4;
+const MIN_MEMORY_GB = 4;
+const LONG_FRAME_MS = 34; // Two frames at 60Hz
+const MAX_LONG_FRAME_SHARE = 0.25;
+
+// ===== STATIC SIGNALS =====
+
+/**
+ * Checks hardware and data-saver hints, which are known immediately
+ * @returns {"cpu"|"memory"|"save-data"|null} - Why the device counts as low-end
+ */
+export const detectLowEndDevice = () => {
+  if (typeof navigator === "undefined") return null;
+
+  if (navigator.connection?.saveData) return "save-data";
+  if (navigator.hardwareConcurrency && navigator.hardwareConcurrency < MIN_CORES) return "cpu";
+  if (navigator.deviceMemory && navigator.deviceMemory < MIN_MEMORY_GB) return "memory";
+  return null;
+};
+
+/**
+ * Calls back when the Save-Data setting changes
+ * @param {Function} onChange
+ * @returns {() => void} - Cleanup function
+ */
+export const watchSaveData = (onChange) => {
+  const connection = typeof navigator !== "undefined" ? navigator.connection : null;
+  if (!connection?.addEventListener) return () => {};
+
+  connection.addEventListener("change", onChange);
+  return () => connection.removeEventListener("change", onChange);
+};
+
+// ===== FRAME SAMPLING =====
+
+/**
+ * Samples animation frames and reports whether too many were dropped
+ * Gives up without a result if the tab gets hidden - background frames say nothing.
+ *
+ * @param {(result: {slow: boolean, longFrameShare: number}) => void} onResult
+ * @param {object} options
+ * @param {number} options.frames - Number of frames to sample
+ * @returns {() => void} - Cancels the measurement
+ */
+export const measureFrameRate = (onResult, { frames = 120 } = {}) => {
+  let handle;
+  let previous;
+  let sampled = 0;
+  let longFrames = 0;
+
+  const tick = (time) => {
+    if (document.hidden) return;
+
+    if (previous !== undefined) {
+      sampled += 1;
+      if (time - previous > LONG_FRAME_MS) longFrames += 1;
+    }
+    previous = time;
+
+    if (sampled < frames) {
+      handle = requestAnimationFrame(tick);
+      return;
+    }
+
+    const longFrameShare = longFrames / sampled;
+    onResult({ slow: longFrameShare > MAX_LONG_FRAME_SHARE, longFrameShare });
+  };
+
+  handle = requestAnimationFrame(tick);
+  return () => cancelAnimationFrame(handle);
+};
@@ -0,0 +1,71 @@
+import { useEffect } from "react";
+
+import Button from "../components/Button";
+import PlayerAvatar from "../components/PlayerAvatar";
+import ProfileForm from "../components/ProfileForm";
+import useAuth from "../hooks/useAuth";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import useRouter from "../hooks/useRouter";
+
+/**
+ * ACCOUNT PAGE
+ *
+ * The signed-in player's profile, at #/account: avatar, gamertag, email
+ * and join date, the profile form, and "Sign out". Signed out, it sends
+ * the player to sign in and brings them back here afterwards.
+ */
+const AccountPage = () => {
+  const { t, locale } = useI18n();
+  const { user, signOut } = useAuth();
+  const { navigate } = useRouter();
+
+  useDocumentTitle(user?.gamertag.toUpperCase());
+
+  /**
+   * EFFECT: Signed out (or signing out) - on to the sign-in screen
+   */
+  useEffect(() => {
+    if (!user) navigate("/account/sign-in?next=/account", { replace: true });
+  }, [user, navigate]);
+
+  if (!user) return null;
+
+  return (
+    <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto px-3 md:px-10">
+        {/* ===== HEADER ===== */}
+        <header className="flex flex-col gap-6 pb-10 md:flex-row md:items-end md:justify-between">
+          <div className="flex items-center gap-6">
+            <PlayerAvatar user={user} size="lg" />
+            <div className="min-w-0">
+              <p className="font-general text-xs uppercase tracking-widest text-blue-50/60">
+                {t("account.profile.eyebrow")}
+              </p>
+              <h1 className="special-font mt-4 break-words font-zentry text-6xl uppercase leading-[.9] md:text-9xl">
+                {user.gamertag}
+              </h1>
+              <p className="mt-4 font-circular-web text-blue-50/80">{user.email}</p>
+              <p className="mt-1 text-sm text-blue-50/60">
+                {t("account.profile.memberSince", {
+                  date: new Intl.DateTimeFormat(locale, { dateStyle: "long" }).format(new Date(user.createdAt)),
+                })}
+              </p>
+            </div>
+          </div>
+
+          <Button title={t("account.profile.signOut")} variant="ghost" onClick={signOut} />
+        </header>
+
+        {/* ===== PROFILE FORM ===== */}
+        <div className="max-w-2xl rounded-2xl border border-white/20 bg-white/10 p-6 backdrop-blur-lg md:p-8">
+          <h2 className="mb-6 font-robert-medium text-xl">{t("account.profile.formTitle")}</h2>
+          {/* Keyed so another account's details never linger in the fields */}
+          <ProfileForm key={user.id} user={user} />
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default AccountPage;
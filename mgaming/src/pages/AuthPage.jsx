@@ -0,0 +1,91 @@
+import { useEffect, useMemo } from "react";
+
+import NotFoundPage from "./NotFoundPage";
+import PasswordResetForm from "../components/PasswordResetForm";
+import SignInForm from "../components/SignInForm";
+import SignUpForm from "../components/SignUpForm";
+import { safeRedirect } from "../auth/config";
+import useAuth from "../hooks/useAuth";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import useRouter from "../hooks/useRouter";
+import { markupToText, parseMarkup, renderInlineMarkup } from "../lib/markup";
+
+// Route `:mode` -> form and message group
+const modes = {
+  "sign-in": { form: SignInForm, messages: "signIn" },
+  "sign-up": { form: SignUpForm, messages: "signUp" },
+  reset: { form: PasswordResetForm, messages: "reset" },
+};
+
+/**
+ * AUTH PAGE
+ *
+ * The sign-in, sign-up and password reset screens, at #/account/sign-in,
+ * #/account/sign-up and #/account/reset (?token=… once the link is
+ * opened). Accounts go through the auth context (src/auth/AuthProvider.jsx).
+ *
+ * Once signed in - or when already signed in - the page moves on to the
+ * route in `?next=` (see safeRedirect) or the profile. The reset screen
+ * stays open when signed in, so a player can still change a forgotten
+ * password.
+ *
+ * @param {{mode: string}} params - Route params
+ */
+const AuthPage = ({ params }) => {
+  const { t } = useI18n();
+  const { signedIn } = useAuth();
+  const { query, navigate } = useRouter();
+
+  const mode = modes[params.mode];
+  const search = useMemo(() => new URLSearchParams(query), [query]);
+  const next = safeRedirect(search.get("next"));
+  const token = search.get("token");
+
+  useDocumentTitle(mode && markupToText(parseMarkup(t(`account.${mode.messages}.title`))).toUpperCase());
+
+  /**
+   * EFFECT: Signed in - on to where the player was going
+   */
+  useEffect(() => {
+    if (signedIn && mode && params.mode !== "reset") navigate(next, { replace: true });
+  }, [signedIn, mode, params.mode, next, navigate]);
+
+  if (!mode) return <NotFoundPage />;
+
+  const Form = mode.form;
+  // Keep `next` when switching between signing in and signing up
+  const carry = search.has("next") ? `?next=${encodeURIComponent(next)}` : "";
+  const switchTo = { "sign-in": "sign-up", "sign-up": "sign-in", reset: "sign-in" }[params.mode];
+
+  return (
+    <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto grid gap-12 px-3 md:px-10 lg:grid-cols-2 lg:items-center lg:gap-20">
+        {/* ===== HEADER ===== */}
+        <header>
+          <p className="font-general text-xs uppercase tracking-widest text-blue-50/60">{t("account.eyebrow")}</p>
+          <h1 className="special-font mt-4 font-zentry text-6xl uppercase leading-[.9] md:text-9xl">
+            {renderInlineMarkup(t(`account.${mode.messages}.title`))}
+          </h1>
+          <p className="mt-6 max-w-md font-circular-web text-blue-50/80">
+            {t(token && params.mode === "reset" ? "account.reset.newIntro" : `account.${mode.messages}.intro`)}
+          </p>
+        </header>
+
+        {/* ===== FORM ===== */}
+        <div className="rounded-2xl border border-white/20 bg-white/10 p-6 backdrop-blur-lg md:p-8">
+          <Form token={token} />
+
+          <p className="mt-6 border-t border-white/10 pt-6 text-center text-sm text-gray-300">
+            {t(`account.${mode.messages}.switch`)}{" "}
+            <a href={`#/account/${switchTo}${carry}`} className="text-purple-300 underline hover:text-cyan-400">
+              {t(`account.${mode.messages}.switchLink`)}
+            </a>
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default AuthPage;
@@ -0,0 +1,222 @@
+import { useEffect, useState } from "react";
+import { TiLocationArrow } from "react-icons/ti";
+import clsx from "clsx";
+
+import Button from "../components/Button";
+import GameCard, { GamePrice, GameRating } from "../components/GameCard";
+import MediaSource from "../components/MediaSource";
+import { BentoTilt } from "../components/Features";
+import NotFoundPage from "./NotFoundPage";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import { getGame, queryGameCatalog } from "../lib/gameCatalog";
+
+// Games suggested under "More like this"
+const relatedCount = 3;
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} locale
+ * @returns {string} - e.g. "March 14, 2025"
+ */
+const formatDate = (date, locale) =>
+  new Intl.DateTimeFormat(locale, { dateStyle: "long", timeZone: "UTC" }).format(new Date(`${date}T00:00:00Z`));
+
+/**
+ * GAME PAGE
+ *
+ * One game of the Game Library, at #/games/{id}: the first gallery video
+ * full size with the title and summary, the game's details, its media in a
+ * bento grid, and games sharing a genre. Loaded through the catalog
+ * service, so it works with any provider.
+ *
+ * @param {{id: string}} params - Route params
+ */
+const GamePage = ({ params }) => {
+  const { t, locale } = useI18n();
+
+  // ===== STATE MANAGEMENT =====
+
+  const [state, setState] = useState({ id: null, game: null, error: null });
+  const [related, setRelated] = useState([]);
+  const [attempt, setAttempt] = useState(0); // Bumped by "Try again"
+
+  const { game, error } = state;
+  const loaded = state.id === params.id;
+  useDocumentTitle(game?.title);
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Load the game
+   */
+  useEffect(() => {
+    let cancelled = false;
+    getGame(params.id)
+      .then((result) => !cancelled && setState({ id: params.id, game: result, error: null }))
+      .catch((reason) => !cancelled && setState({ id: params.id, game: null, error: reason }));
+    return () => {
+      cancelled = true;
+    };
+  }, [params.id, attempt]);
+
+  /**
+   * EFFECT: Load games sharing a genre - nice to have, so failures stay quiet
+   */
+  useEffect(() => {
+    if (!game) return;
+    let cancelled = false;
+    queryGameCatalog({ genre: game.genres, sort: "rating" }, { offset: 0, limit: relatedCount + 1 })
+      .then(({ items }) => {
+        if (!cancelled) setRelated(items.filter((entry) => entry.id !== game.id).slice(0, relatedCount));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [game]);
+
+  // ===== COMPONENT RENDER =====
+
+  if (loaded && !game && !error) return <NotFoundPage />;
+
+  const backLink = (
+    <a
+      href="#/games"
+      className="inline-flex items-center gap-2 font-general text-xs uppercase tracking-widest text-blue-50/60 transition-colors duration-300 hover:text-cyan-400"
+    >
+      <TiLocationArrow className="-rotate-90 rtl:rotate-0" />
+      {t("games.back")}
+    </a>
+  );
+
+  if (!loaded || error) {
+    return (
+      <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+        <div className="container mx-auto px-3 md:px-10">
+          {backLink}
+          {error ? (
+            <div role="alert" className="flex-center mt-24 flex-col gap-6 text-center">
+              <p className="max-w-md">{t("games.loadFailed")}</p>
+              <Button title={t("games.retry")} variant="primary" onClick={() => setAttempt((count) => count + 1)} />
+            </div>
+          ) : (
+            <div role="status" className="flex-center mt-32 flex-col gap-4">
+              <div className="three-body">
+                <div className="three-body__dot"></div>
+                <div className="three-body__dot"></div>
+                <div className="three-body__dot"></div>
+              </div>
+              <span className="sr-only">{t("games.loading")}</span>
+            </div>
+          )}
+        </div>
+      </section>
+    );
+  }
+
+  const [feature, ...media] = game.gallery;
+
+  const details = [
+    { label: t("games.developer"), value: game.developer },
+    { label: t("games.releaseDate"), value: formatDate(game.releaseDate, locale) },
+    { label: t("games.genresLabel"), value: game.genres.map((genre) => t(`games.genres.${genre}`)).join(", ") },
+    { label: t("games.platformsLabel"), value: game.platforms.map((platform) => t(`games.platforms.${platform}`)).join(", ") },
+    { label: t("games.price"), value: <GamePrice price={game.price} /> },
+  ];
+
+  return (
+    <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto px-3 md:px-10">
+        {backLink}
+
+        {/* ===== GAME ===== */}
+        <BentoTilt className="border-hsla relative mt-6 h-[70vh] w-full overflow-hidden rounded-md">
+          <MediaSource
+            media={feature}
+            alt={game.title}
+            autoPlay
+            loop
+            muted
+            className="absolute left-0 top-0 size-full object-cover object-center"
+          />
+
+          <div className="relative z-10 flex size-full flex-col justify-between bg-gradient-to-t from-black/80 via-transparent p-5 md:p-10">
+            <div>
+              <ul className="flex flex-wrap gap-2">
+                {game.genres.map((genre) => (
+                  <li
+                    key={genre}
+                    className="border-hsla rounded-full bg-black px-4 py-1.5 text-xs uppercase text-white/60"
+                  >
+                    {t(`games.genres.${genre}`)}
+                  </li>
+                ))}
+              </ul>
+              <h1 className="bento-title special-font mt-4 md:text-9xl">{game.title}</h1>
+              <p className="mt-2 font-general text-sm uppercase tracking-wider md:text-base">{game.developer}</p>
+            </div>
+
+            <div className="flex flex-col gap-4 md:flex-row md:items-end md:justify-between">
+              <p className="max-w-xl font-circular-web text-base md:text-xl">{game.summary}</p>
+              <div className="flex items-center gap-6 text-lg">
+                <GameRating rating={game.rating} />
+                <GamePrice price={game.price} className="font-robert-medium" />
+              </div>
+            </div>
+          </div>
+        </BentoTilt>
+
+        {/* ===== DETAILS ===== */}
+        <dl className="mt-10 grid gap-6 border-y border-white/10 py-8 sm:grid-cols-2 lg:grid-cols-5">
+          {details.map(({ label, value }) => (
+            <div key={label}>
+              <dt className="font-general text-xs uppercase tracking-widest text-blue-50/60">{label}</dt>
+              <dd className="mt-2 font-robert-medium">{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        {/* ===== MEDIA ===== */}
+        {media.length > 0 && (
+          <>
+            <h2 className="mt-20 font-general text-xs uppercase tracking-widest text-blue-50/60">{t("games.gallery")}</h2>
+            <ul className="mt-6 grid gap-7 md:grid-cols-3">
+              {media.map((item, index) => (
+                // The first tile is wide, like the Features bento grid
+                <li key={item} className={clsx(index === 0 && "md:col-span-2")}>
+                  <BentoTilt className="border-hsla relative h-72 overflow-hidden rounded-md md:h-96">
+                    <MediaSource
+                      media={item}
+                      alt={t("games.media", { title: game.title, index: index + 2, count: game.gallery.length })}
+                      autoPlay
+                      loop
+                      muted
+                      className="absolute left-0 top-0 size-full object-cover object-center"
+                    />
+                  </BentoTilt>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {/* ===== MORE LIKE THIS ===== */}
+        {related.length > 0 && (
+          <>
+            <h2 className="mt-20 font-general text-xs uppercase tracking-widest text-blue-50/60">{t("games.more")}</h2>
+            <ul className="mt-6 grid gap-7 md:grid-cols-3">
+              {related.map((entry) => (
+                <li key={entry.id}>
+                  <GameCard game={entry} className="h-96" />
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default GamePage;
@@ -0,0 +1,286 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { FaSearch } from "react-icons/fa";
+import { IoClose } from "react-icons/io5";
+import { MdTune } from "react-icons/md";
+import clsx from "clsx";
+
+import Button from "../components/Button";
+import GameCard from "../components/GameCard";
+import GameFilters from "../components/GameFilters";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useGameLibrary from "../hooks/useGameLibrary";
+import useI18n from "../hooks/useI18n";
+import useMediaQuery from "../hooks/useMediaQuery";
+import useRouter from "../hooks/useRouter";
+import useVirtualGrid from "../hooks/useVirtualGrid";
+import { gameSorts, parseGameFilters, serializeGameFilters } from "../lib/gameQuery";
+import { markupToText, parseMarkup, renderInlineMarkup } from "../lib/markup";
+
+// Card height and the gap below it (px) - rows must all be the same height
+const cardHeight = 384;
+const rowGap = 28;
+
+// Wait for a pause in typing before searching
+const searchDelay = 250;
+
+// Message prefix of each multiple choice facet's options
+const optionLabels = { genre: "games.genres", platform: "games.platforms", price: "games.prices" };
+
+/**
+ * GAMES PAGE
+ *
+ * The Game Library, at #/games: fuzzy search, facet filters, sorting and
+ * an infinite grid of GameCards. Games come from the catalog service
+ * (lib/gameCatalog.js) a page at a time, and only the rows near the screen
+ * are rendered, so the grid stays light however long it gets.
+ *
+ * The filters live in the URL query - #/games?q=drift&genre=racing - so a
+ * search can be shared or bookmarked. Changing them rewrites the URL in
+ * place rather than adding history entries.
+ */
+const GamesPage = () => {
+  const { t } = useI18n();
+  const { query, setQuery } = useRouter();
+  const filters = useMemo(() => parseGameFilters(query), [query]);
+  useDocumentTitle(markupToText(parseMarkup(t("games.title"))).toUpperCase());
+
+  const { items, total, facets, status, loadingMore, hasMore, loadMore, retry } = useGameLibrary(filters);
+
+  // ===== STATE MANAGEMENT =====
+
+  const [search, setSearch] = useState(filters.q);
+  const [filtersOpen, setFiltersOpen] = useState(false); // Facet panel on small screens
+
+  const wide = useMediaQuery("(min-width: 1280px)");
+  const medium = useMediaQuery("(min-width: 640px)");
+  const columns = wide ? 3 : medium ? 2 : 1;
+
+  // ===== REFS =====
+
+  const gridRef = useRef(null);
+  const searchedRef = useRef(filters.q); // Last search this page wrote to the URL
+
+  const { rows, start, end, height } = useVirtualGrid(gridRef, {
+    count: items.length,
+    columns,
+    rowHeight: cardHeight + rowGap,
+  });
+
+  // ===== FILTERS =====
+
+  // Commas are fine in a hash and keep shared links readable: genre=rpg,racing
+  const updateFilters = useCallback(
+    (next) => setQuery(serializeGameFilters(next).toString().replace(/%2C/g, ",")),
+    [setQuery]
+  );
+
+  const clearFilters = () => {
+    searchedRef.current = "";
+    setSearch("");
+    updateFilters({ sort: filters.sort });
+  };
+
+  const activeCount = filters.genre.length + filters.platform.length + filters.price.length + (filters.rating ? 1 : 0);
+
+  // Chips for the picked options, each removing its filter
+  const chips = [
+    ...Object.entries(optionLabels).flatMap(([name, labels]) =>
+      filters[name].map((value) => ({
+        key: `${name}:${value}`,
+        label: t(`${labels}.${value}`),
+        remove: () => updateFilters({ ...filters, [name]: filters[name].filter((entry) => entry !== value) }),
+      }))
+    ),
+    ...(filters.rating
+      ? [{ key: "rating", label: t("games.minRating", { rating: filters.rating }), remove: () => updateFilters({ ...filters, rating: 0 }) }]
+      : []),
+  ];
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Search once typing pauses
+   */
+  useEffect(() => {
+    if (search.trim() === filters.q) return;
+    const timer = setTimeout(() => {
+      searchedRef.current = search.trim();
+      updateFilters({ ...filters, q: search });
+    }, searchDelay);
+    return () => clearTimeout(timer);
+  }, [search, filters, updateFilters]);
+
+  /**
+   * EFFECT: A search changed from outside (address bar, Back) replaces the typed text
+   */
+  useEffect(() => {
+    if (filters.q === searchedRef.current) return;
+    searchedRef.current = filters.q;
+    setSearch(filters.q);
+  }, [filters.q]);
+
+  /**
+   * EFFECT: Infinite scroll - fetch the next page as the last rows come near
+   */
+  useEffect(() => {
+    if (hasMore && end >= rows - 1) loadMore();
+  }, [hasMore, end, rows, loadMore]);
+
+  // ===== COMPONENT RENDER =====
+
+  const firstLoad = status === "loading" && !facets;
+
+  return (
+    <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto px-3 md:px-10">
+        {/* ===== HEADER ===== */}
+        <header className="pb-10">
+          <p className="font-general text-xs uppercase tracking-widest text-blue-50/60">{t("games.eyebrow")}</p>
+          <h1 className="special-font mt-4 font-zentry text-6xl uppercase leading-[.9] md:text-9xl">
+            {renderInlineMarkup(t("games.title"))}
+          </h1>
+        </header>
+
+        {/* ===== TOOLBAR ===== */}
+        <div className="flex flex-col gap-3 border-y border-white/10 py-5 sm:flex-row sm:items-center">
+          <label className="relative flex-1">
+            <span className="sr-only">{t("games.search")}</span>
+            <FaSearch aria-hidden="true" className="absolute start-4 top-1/2 -translate-y-1/2 text-blue-50/50" />
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder={t("games.searchPlaceholder")}
+              className="w-full rounded-full border border-white/20 bg-white/5 py-3 pe-5 ps-11 text-sm placeholder:text-blue-50/40 focus:border-violet-300 focus:outline-none"
+            />
+          </label>
+
+          <div className="flex gap-3">
+            <label className="flex flex-1 items-center gap-2 text-sm">
+              <span className="shrink-0 text-blue-50/60">{t("games.sort")}</span>
+              <select
+                value={filters.sort}
+                onChange={(e) => updateFilters({ ...filters, sort: e.target.value })}
+                className="w-full rounded-full border border-white/20 bg-black px-4 py-3 text-sm focus:border-violet-300 focus:outline-none"
+              >
+                {gameSorts.map((sort) => (
+                  <option key={sort} value={sort}>
+                    {t(`games.sorts.${sort}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <button
+              type="button"
+              aria-expanded={filtersOpen}
+              aria-controls="game-filters"
+              onClick={() => setFiltersOpen((open) => !open)}
+              className="flex shrink-0 items-center gap-2 rounded-full border border-white/20 px-4 py-3 text-sm transition-colors duration-300 hover:border-violet-300 lg:hidden"
+            >
+              <MdTune aria-hidden="true" />
+              {t("games.showFilters", { count: activeCount })}
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-8 lg:grid lg:grid-cols-[14rem_minmax(0,1fr)] lg:gap-10">
+          {/* ===== FACETS ===== */}
+          <aside
+            id="game-filters"
+            aria-label={t("games.filters")}
+            className={clsx("mb-8 lg:sticky lg:top-28 lg:mb-0 lg:block lg:self-start", !filtersOpen && "hidden")}
+          >
+            <GameFilters filters={filters} facets={facets} onChange={updateFilters} />
+          </aside>
+
+          {/* ===== RESULTS ===== */}
+          <div>
+            <div className="mb-6 flex flex-wrap items-center gap-3">
+              <p aria-live="polite" className="me-2 font-robert-medium text-sm">
+                {!firstLoad && t("games.results", { count: total })}
+              </p>
+              {chips.map((chip) => (
+                <button
+                  key={chip.key}
+                  type="button"
+                  onClick={chip.remove}
+                  aria-label={t("games.removeFilter", { label: chip.label })}
+                  className="flex items-center gap-1 rounded-full bg-violet-300/15 px-3 py-1 text-xs text-violet-300 transition-colors duration-200 hover:bg-violet-300/25"
+                >
+                  {chip.label}
+                  <IoClose aria-hidden="true" />
+                </button>
+              ))}
+              {(chips.length > 0 || filters.q) && (
+                <button type="button" onClick={clearFilters} className="text-xs text-blue-50/60 underline hover:text-cyan-400">
+                  {t("games.clearAll")}
+                </button>
+              )}
+            </div>
+
+            {firstLoad ? (
+              <div role="status" className="flex-center flex-col gap-4 py-32">
+                <div className="three-body">
+                  <div className="three-body__dot"></div>
+                  <div className="three-body__dot"></div>
+                  <div className="three-body__dot"></div>
+                </div>
+                <span className="sr-only">{t("games.loading")}</span>
+              </div>
+            ) : status === "ready" && !items.length ? (
+              <div className="flex-center flex-col gap-4 rounded-md border border-dashed border-white/20 px-6 py-24 text-center">
+                <p className="font-robert-medium text-lg">{t("games.empty")}</p>
+                <p className="text-sm text-blue-50/60">{t("games.emptyHint")}</p>
+                <Button title={t("games.clearAll")} variant="ghost" size="sm" onClick={clearFilters} />
+              </div>
+            ) : (
+              // Only rows near the screen are rendered; the list keeps its full height
+              <div
+                ref={gridRef}
+                role="list"
+                aria-busy={status === "loading" || loadingMore}
+                className={clsx("relative transition-opacity duration-300", status === "loading" && "opacity-50")}
+                style={{ height }}
+              >
+                {Array.from({ length: end - start }, (_, index) => start + index).map((row) => (
+                  <div
+                    key={row}
+                    role="none"
+                    className="absolute inset-x-0 grid gap-7"
+                    style={{
+                      top: row * (cardHeight + rowGap),
+                      height: cardHeight,
+                      gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+                    }}
+                  >
+                    {items.slice(row * columns, (row + 1) * columns).map((game, index) => (
+                      <div key={game.id} role="listitem" aria-setsize={total} aria-posinset={row * columns + index + 1}>
+                        <GameCard game={game} className="h-full" />
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {loadingMore && (
+              <p role="status" className="mt-8 text-center text-sm text-blue-50/60">
+                {t("games.loadingMore")}
+              </p>
+            )}
+
+            {status === "error" && (
+              <div role="alert" className="flex-center mt-8 flex-col gap-4 text-center">
+                <p className="max-w-md">{t("games.loadFailed")}</p>
+                <Button title={t("games.retry")} variant="primary" size="sm" onClick={retry} />
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default GamesPage;
@@ -0,0 +1,28 @@
+import About from "../components/About";
+import Contact from "../components/Contact";
+import Features from "../components/Features";
+import Hero from "../components/Hero";
+import Story from "../components/Story";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+
+/**
+ * HOME PAGE
+ *
+ * The one-page site: hero, about, products, story and contact. Sections
+ * register their anchors (useSection), so "#about" links land here.
+ */
+const HomePage = () => {
+  useDocumentTitle();
+
+  return (
+    <>
+      <Hero />
+      <About />
+      <Features />
+      <Story />
+      <Contact />
+    </>
+  );
+};
+
+export default HomePage;
@@ -0,0 +1,226 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { FaSearch } from "react-icons/fa";
+import clsx from "clsx";
+
+import Button from "../components/Button";
+import Leaderboard from "../components/Leaderboard";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import useRouter from "../hooks/useRouter";
+import { leaderboardsEnabled, listLeaderboards } from "../lib/leaderboardService";
+import { markupToText, parseMarkup, renderInlineMarkup } from "../lib/markup";
+
+// Wait for a pause in typing before searching
+const searchDelay = 250;
+
+const pageSize = 25;
+
+/**
+ * LEADERBOARDS PAGE
+ *
+ * Player rankings, at #/leaderboards: the global and season boards and one
+ * per game, with gamertag search and pagination. Standings come from the
+ * leaderboard service (lib/leaderboardService.js) and update live; builds
+ * without a leaderboard backend say they are unavailable instead.
+ *
+ * The board, page and search live in the URL query -
+ * #/leaderboards?board=radiant-rift&page=2&q=neon - so a view can be
+ * shared. Changing them rewrites the URL in place rather than adding
+ * history entries.
+ */
+const LeaderboardsPage = () => {
+  const { t } = useI18n();
+  const { query, setQuery } = useRouter();
+  useDocumentTitle(markupToText(parseMarkup(t("leaderboards.title"))).toUpperCase());
+
+  // ===== STATE MANAGEMENT =====
+
+  const [state, setState] = useState({ boards: null, error: null });
+  const [attempt, setAttempt] = useState(0); // Bumped by "Try again"
+
+  const { boards, error } = state;
+
+  const params = useMemo(() => new URLSearchParams(query), [query]);
+  const requested = params.get("board");
+  const board = boards?.find((entry) => entry.id === requested) ?? boards?.[0] ?? null;
+  const page = Math.max(1, Number.parseInt(params.get("page"), 10) || 1);
+  const q = (params.get("q") ?? "").trim();
+
+  const [search, setSearch] = useState(q);
+  const searchedRef = useRef(q); // Last search this page wrote to the URL
+
+  const gameBoards = boards?.filter((entry) => entry.type === "game") ?? [];
+
+  // ===== URL =====
+
+  /**
+   * Rewrites the query, leaving out defaults
+   * @param {{board?: string, page?: number, q?: string}} changes
+   */
+  const update = useCallback(
+    (changes) => {
+      const next = { board: board?.id, page, q, ...changes };
+      const nextQuery = new URLSearchParams();
+      if (next.board && next.board !== boards?.[0]?.id) nextQuery.set("board", next.board);
+      if (next.page > 1) nextQuery.set("page", next.page);
+      if (next.q) nextQuery.set("q", next.q);
+      setQuery(nextQuery.toString());
+    },
+    [board, boards, page, q, setQuery]
+  );
+
+  /**
+   * @param {string} id - Board to show, from its first page
+   */
+  const selectBoard = (id) => update({ board: id, page: 1 });
+
+  const changePage = useCallback((next) => update({ page: next }), [update]);
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Load the boards on offer
+   */
+  useEffect(() => {
+    if (!leaderboardsEnabled) return;
+    let cancelled = false;
+    listLeaderboards()
+      .then((result) => !cancelled && setState({ boards: result.boards, error: null }))
+      .catch((reason) => !cancelled && setState({ boards: null, error: reason }));
+    return () => {
+      cancelled = true;
+    };
+  }, [attempt]);
+
+  /**
+   * EFFECT: Search once typing pauses
+   */
+  useEffect(() => {
+    if (search.trim() === q) return;
+    const timer = setTimeout(() => {
+      searchedRef.current = search.trim();
+      update({ q: search.trim(), page: 1 });
+    }, searchDelay);
+    return () => clearTimeout(timer);
+  }, [search, q, update]);
+
+  /**
+   * EFFECT: A search changed from outside (address bar, Back) replaces the typed text
+   */
+  useEffect(() => {
+    if (q === searchedRef.current) return;
+    searchedRef.current = q;
+    setSearch(q);
+  }, [q]);
+
+  // ===== COMPONENT RENDER =====
+
+  const boardName = (entry) =>
+    entry.type === "game"
+      ? entry.game.title
+      : t(`leaderboards.boards.${entry.type}`, entry.season && { number: entry.season.number, name: entry.season.name });
+
+  return (
+    <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto px-3 md:px-10">
+        {/* ===== HEADER ===== */}
+        <header className="pb-10">
+          <p className="font-general text-xs uppercase tracking-widest text-blue-50/60">{t("leaderboards.eyebrow")}</p>
+          <h1 className="special-font mt-4 font-zentry text-6xl uppercase leading-[.9] md:text-9xl">
+            {renderInlineMarkup(t("leaderboards.title"))}
+          </h1>
+          <p className="mt-6 max-w-xl font-circular-web text-blue-50/80">{t("leaderboards.intro")}</p>
+        </header>
+
+        {!leaderboardsEnabled ? (
+          <p className="rounded-md border border-dashed border-white/20 py-24 text-center text-blue-50/60">
+            {t("leaderboards.unavailable")}
+          </p>
+        ) : error ? (
+          <div role="alert" className="flex-center flex-col gap-6 py-24 text-center">
+            <p className="max-w-md">{t("leaderboards.loadFailed")}</p>
+            <Button title={t("leaderboards.retry")} variant="primary" onClick={() => setAttempt((count) => count + 1)} />
+          </div>
+        ) : !board ? (
+          <div role="status" className="flex-center flex-col gap-4 py-32">
+            <div className="three-body">
+              <div className="three-body__dot"></div>
+              <div className="three-body__dot"></div>
+              <div className="three-body__dot"></div>
+            </div>
+            <span className="sr-only">{t("leaderboards.loading")}</span>
+          </div>
+        ) : (
+          <>
+            {/* ===== TOOLBAR ===== */}
+            <div className="flex flex-col gap-3 border-y border-white/10 py-5 lg:flex-row lg:items-center">
+              <div role="group" aria-label={t("leaderboards.boardsLabel")} className="flex flex-wrap gap-2">
+                {boards
+                  .filter((entry) => entry.type !== "game")
+                  .map((entry) => (
+                    <button
+                      key={entry.id}
+                      type="button"
+                      aria-pressed={board.id === entry.id}
+                      onClick={() => selectBoard(entry.id)}
+                      className={clsx(
+                        "rounded-full border px-5 py-2 text-sm transition-colors duration-300",
+                        board.id === entry.id
+                          ? "border-violet-300 bg-violet-300/15 text-violet-300"
+                          : "border-white/20 hover:border-violet-300"
+                      )}
+                    >
+                      {boardName(entry)}
+                    </button>
+                  ))}
+
+                {gameBoards.length > 0 && (
+                  <label className="flex items-center">
+                    <span className="sr-only">{t("leaderboards.gameBoard")}</span>
+                    <select
+                      value={board.type === "game" ? board.id : ""}
+                      onChange={(e) => e.target.value && selectBoard(e.target.value)}
+                      className={clsx(
+                        "rounded-full border bg-black px-4 py-2 text-sm focus:border-violet-300 focus:outline-none",
+                        board.type === "game" ? "border-violet-300 text-violet-300" : "border-white/20"
+                      )}
+                    >
+                      <option value="" disabled>
+                        {t("leaderboards.byGame")}
+                      </option>
+                      {gameBoards.map((entry) => (
+                        <option key={entry.id} value={entry.id}>
+                          {entry.game.title}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
+
+              <label className="relative flex-1 lg:ms-auto lg:max-w-sm">
+                <span className="sr-only">{t("leaderboards.search")}</span>
+                <FaSearch aria-hidden="true" className="absolute start-4 top-1/2 -translate-y-1/2 text-blue-50/50" />
+                <input
+                  type="search"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder={t("leaderboards.searchPlaceholder")}
+                  className="w-full rounded-full border border-white/20 bg-white/5 py-3 pe-5 ps-11 text-sm placeholder:text-blue-50/40 focus:border-violet-300 focus:outline-none"
+                />
+              </label>
+            </div>
+
+            {/* ===== BOARD ===== */}
+            <h2 className="mb-6 mt-10 font-general text-xs uppercase tracking-widest text-blue-50/60">
+              {board.type === "game" ? t("leaderboards.boards.game", { title: board.game.title }) : boardName(board)}
+            </h2>
+            <Leaderboard board={board.id} page={page} pageSize={pageSize} q={q} onPageChange={changePage} />
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default LeaderboardsPage;
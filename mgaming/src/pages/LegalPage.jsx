@@ -0,0 +1,78 @@
+import clsx from "clsx";
+
+import NotFoundPage from "./NotFoundPage";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import useSiteContent from "../hooks/useSiteContent";
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} locale
+ * @returns {string} - e.g. "September 1, 2026"
+ */
+const formatDate = (date, locale) =>
+  new Intl.DateTimeFormat(locale, { dateStyle: "long", timeZone: "UTC" }).format(new Date(`${date}T00:00:00Z`));
+
+/**
+ * LEGAL PAGE
+ *
+ * A policy from `legal.pages` in site.json, at #/legal/{id} - where the
+ * footer's legal links point. The other policies are listed at the end.
+ *
+ * @param {{id: string}} params - Route params
+ */
+const LegalPage = ({ params }) => {
+  const { t, locale } = useI18n();
+  const { pages } = useSiteContent().legal;
+  const page = pages.find((entry) => entry.id === params.id);
+  useDocumentTitle(page?.title);
+
+  if (!page) return <NotFoundPage />;
+
+  return (
+    <article className="min-h-dvh bg-black px-6 pb-32 pt-36 text-blue-50">
+      <div className="mx-auto max-w-3xl">
+        {/* ===== HEADER ===== */}
+        <header className="border-b border-white/10 pb-10">
+          <h1 className="special-font font-zentry text-6xl uppercase md:text-8xl">{page.title}</h1>
+          <p className="mt-4 font-general text-xs uppercase tracking-widest text-blue-50/60">
+            {t("legal.updated", { date: formatDate(page.updated, locale) })}
+          </p>
+        </header>
+
+        {/* ===== SECTIONS ===== */}
+        {page.sections.map((section) => (
+          <section key={section.heading} className="mt-10">
+            <h2 className="font-robert-medium text-xl text-violet-300">{section.heading}</h2>
+            <p className="mt-3 font-circular-web text-lg leading-relaxed text-blue-50/80">{section.body}</p>
+          </section>
+        ))}
+
+        {/* ===== OTHER POLICIES ===== */}
+        <nav aria-label={t("legal.other")} className="mt-20 border-t border-white/10 pt-10">
+          <h2 className="font-general text-xs uppercase tracking-widest text-blue-50/60">{t("legal.other")}</h2>
+          <ul className="mt-4 flex flex-wrap gap-3">
+            {pages.map((entry) => (
+              <li key={entry.id}>
+                <a
+                  href={`#/legal/${entry.id}`}
+                  aria-current={entry === page ? "page" : undefined}
+                  className={clsx(
+                    "block rounded-full border px-4 py-2 text-sm transition-colors duration-300",
+                    entry === page
+                      ? "border-violet-300 text-violet-300"
+                      : "border-white/20 text-blue-50/80 hover:border-cyan-400 hover:text-cyan-400"
+                  )}
+                >
+                  {entry.title}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </nav>
+      </div>
+    </article>
+  );
+};
+
+export default LegalPage;
@@ -0,0 +1,149 @@
+import { useCallback, useMemo } from "react";
+import { FaRss } from "react-icons/fa";
+import clsx from "clsx";
+
+import NewsCard from "../components/NewsCard";
+import Pagination from "../components/Pagination";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import useRouter from "../hooks/useRouter";
+import { filterNews, getNewsTags } from "../lib/news";
+import { markupToText, parseMarkup, renderInlineMarkup } from "../lib/markup";
+
+const pageSize = 6;
+
+// Written by plugins/news.js next to index.html
+const feeds = [
+  { format: "rss", href: `${import.meta.env.BASE_URL}news/rss.xml` },
+  { format: "atom", href: `${import.meta.env.BASE_URL}news/atom.xml` },
+];
+
+/**
+ * NEWS PAGE
+ *
+ * The news feed, at #/news: posts newest first, filtered by tag and split
+ * into pages, with links to the RSS and Atom feeds. Posts are Markdown
+ * files in src/content/news, compiled at build time (plugins/news.js).
+ *
+ * The tag and page live in the URL query - #/news?tag=esports&page=2 - so
+ * post pages can link to a tag. Changing them rewrites the URL in place.
+ */
+const NewsPage = () => {
+  const { t } = useI18n();
+  const { query, setQuery } = useRouter();
+  useDocumentTitle(markupToText(parseMarkup(t("news.title"))).toUpperCase());
+
+  // ===== STATE MANAGEMENT =====
+
+  const tags = useMemo(() => getNewsTags(), []);
+
+  const params = useMemo(() => new URLSearchParams(query), [query]);
+  const tag = tags.some((entry) => entry.tag === params.get("tag")) ? params.get("tag") : null;
+  const posts = useMemo(() => filterNews(tag), [tag]);
+
+  const pageCount = Math.ceil(posts.length / pageSize);
+  const page = Math.min(Math.max(1, Number.parseInt(params.get("page"), 10) || 1), Math.max(1, pageCount));
+  const visible = posts.slice((page - 1) * pageSize, page * pageSize);
+
+  // ===== URL =====
+
+  /**
+   * Rewrites the query, leaving out defaults
+   * @param {{tag?: string|null, page?: number}} changes
+   */
+  const update = useCallback(
+    (changes) => {
+      const next = { tag, page, ...changes };
+      const nextQuery = new URLSearchParams();
+      if (next.tag) nextQuery.set("tag", next.tag);
+      if (next.page > 1) nextQuery.set("page", next.page);
+      setQuery(nextQuery.toString());
+    },
+    [tag, page, setQuery]
+  );
+
+  const changePage = (next) => {
+    update({ page: next });
+    window.scrollTo({ top: 0 });
+  };
+
+  // ===== COMPONENT RENDER =====
+
+  const chipClass = (active) =>
+    clsx(
+      "rounded-full border px-5 py-2 text-sm transition-colors duration-300",
+      active ? "border-violet-300 bg-violet-300/15 text-violet-300" : "border-white/20 hover:border-violet-300"
+    );
+
+  return (
+    <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto px-3 md:px-10">
+        {/* ===== HEADER ===== */}
+        <header className="flex flex-col gap-6 pb-10 md:flex-row md:items-end md:justify-between">
+          <div>
+            <p className="font-general text-xs uppercase tracking-widest text-blue-50/60">{t("news.eyebrow")}</p>
+            <h1 className="special-font mt-4 font-zentry text-6xl uppercase leading-[.9] md:text-9xl">
+              {renderInlineMarkup(t("news.title"))}
+            </h1>
+            <p className="mt-6 max-w-xl font-circular-web text-blue-50/80">{t("news.intro")}</p>
+          </div>
+
+          <ul aria-label={t("news.feedsLabel")} className="flex gap-3">
+            {feeds.map(({ format, href }) => (
+              <li key={format}>
+                <a
+                  href={href}
+                  type={`application/${format}+xml`}
+                  className="inline-flex items-center gap-2 rounded-full border border-white/20 px-4 py-2 font-general text-xs uppercase tracking-wider transition-colors duration-300 hover:border-violet-300 hover:text-violet-300"
+                >
+                  <FaRss aria-hidden="true" />
+                  {t(`news.feeds.${format}`)}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </header>
+
+        {/* ===== TAGS ===== */}
+        <div role="group" aria-label={t("news.tagsLabel")} className="flex flex-wrap gap-2 border-y border-white/10 py-5">
+          <button type="button" aria-pressed={!tag} onClick={() => update({ tag: null, page: 1 })} className={chipClass(!tag)}>
+            {t("news.allTags")}
+          </button>
+          {tags.map((entry) => (
+            <button
+              key={entry.tag}
+              type="button"
+              aria-pressed={tag === entry.tag}
+              onClick={() => update({ tag: entry.tag, page: 1 })}
+              className={chipClass(tag === entry.tag)}
+            >
+              {t(`news.tags.${entry.tag}`)}
+              <span className="ms-2 text-blue-50/50">{entry.count}</span>
+            </button>
+          ))}
+        </div>
+
+        {/* ===== POSTS ===== */}
+        <p role="status" className="mb-6 mt-10 font-general text-xs uppercase tracking-widest text-blue-50/60">
+          {t("news.count", { count: posts.length })}
+        </p>
+
+        {visible.length === 0 ? (
+          <p className="rounded-md border border-dashed border-white/20 py-24 text-center text-blue-50/60">{t("news.empty")}</p>
+        ) : (
+          <ul className="grid gap-7 md:grid-cols-2 lg:grid-cols-3">
+            {visible.map((post) => (
+              <li key={post.slug}>
+                <NewsCard post={post} className="h-[28rem]" />
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <Pagination page={page} count={pageCount} onChange={changePage} label={t("news.pagesLabel")} className="mt-12" />
+      </div>
+    </section>
+  );
+};
+
+export default NewsPage;
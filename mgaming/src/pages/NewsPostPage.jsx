@@ -0,0 +1,167 @@
+import { useEffect, useState } from "react";
+import { TiLocationArrow } from "react-icons/ti";
+
+import Button from "../components/Button";
+import MarkdownContent from "../components/MarkdownContent";
+import MediaSource from "../components/MediaSource";
+import NewsCard, { NewsDate, NewsTags } from "../components/NewsCard";
+import NotFoundPage from "./NotFoundPage";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import { getAdjacentNews, loadNewsPost } from "../lib/news";
+
+/**
+ * NEWS POST PAGE
+ *
+ * One post of the news feed, at #/news/{slug}: the title, date, author and
+ * reading time over the cover, the Markdown body (with any embedded
+ * AnimatedTitles and VideoPreviews), and links to the newer and older
+ * posts. The body is its own chunk, loaded on first visit.
+ *
+ * @param {{slug: string}} params - Route params
+ */
+const NewsPostPage = ({ params }) => {
+  const { t } = useI18n();
+
+  // ===== STATE MANAGEMENT =====
+
+  const [state, setState] = useState({ slug: null, post: null, error: null });
+  const [attempt, setAttempt] = useState(0); // Bumped by "Try again"
+
+  const { post, error } = state;
+  const loaded = state.slug === params.slug;
+  useDocumentTitle(post?.title);
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Load the post
+   */
+  useEffect(() => {
+    let cancelled = false;
+    loadNewsPost(params.slug)
+      .then((result) => !cancelled && setState({ slug: params.slug, post: result, error: null }))
+      .catch((reason) => !cancelled && setState({ slug: params.slug, post: null, error: reason }));
+    return () => {
+      cancelled = true;
+    };
+  }, [params.slug, attempt]);
+
+  // ===== COMPONENT RENDER =====
+
+  if (loaded && !post && !error) return <NotFoundPage />;
+
+  const backLink = (
+    <a
+      href="#/news"
+      className="inline-flex items-center gap-2 font-general text-xs uppercase tracking-widest text-blue-50/60 transition-colors duration-300 hover:text-cyan-400"
+    >
+      <TiLocationArrow className="-rotate-90 rtl:rotate-0" />
+      {t("news.back")}
+    </a>
+  );
+
+  if (!loaded || error) {
+    return (
+      <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+        <div className="container mx-auto px-3 md:px-10">
+          {backLink}
+          {error ? (
+            <div role="alert" className="flex-center mt-24 flex-col gap-6 text-center">
+              <p className="max-w-md">{t("news.loadFailed")}</p>
+              <Button title={t("news.retry")} variant="primary" onClick={() => setAttempt((count) => count + 1)} />
+            </div>
+          ) : (
+            <div role="status" className="flex-center mt-32 flex-col gap-4">
+              <div className="three-body">
+                <div className="three-body__dot"></div>
+                <div className="three-body__dot"></div>
+                <div className="three-body__dot"></div>
+              </div>
+              <span className="sr-only">{t("news.loading")}</span>
+            </div>
+          )}
+        </div>
+      </section>
+    );
+  }
+
+  const { newer, older } = getAdjacentNews(post.slug);
+
+  return (
+    <article className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto px-3 md:px-10">
+        {backLink}
+
+        {/* ===== HEADER ===== */}
+        <header className="mx-auto mt-10 max-w-3xl">
+          <NewsTags tags={post.tags} />
+          <h1 className="special-font mt-6 font-zentry text-5xl uppercase leading-[.9] md:text-7xl">{post.title}</h1>
+          <p className="mt-6 font-circular-web text-xl text-blue-50/80">{post.summary}</p>
+
+          <dl className="mt-8 flex flex-wrap gap-x-10 gap-y-4 border-y border-white/10 py-5">
+            <div>
+              <dt className="font-general text-[10px] uppercase tracking-widest text-blue-50/60">{t("news.author")}</dt>
+              <dd className="mt-1 font-robert-medium">{post.author}</dd>
+            </div>
+            <div>
+              <dt className="font-general text-[10px] uppercase tracking-widest text-blue-50/60">{t("news.published")}</dt>
+              <dd className="mt-1 font-robert-medium">
+                <NewsDate date={post.date} dateStyle="long" />
+              </dd>
+            </div>
+            {post.updated && (
+              <div>
+                <dt className="font-general text-[10px] uppercase tracking-widest text-blue-50/60">{t("news.updated")}</dt>
+                <dd className="mt-1 font-robert-medium">
+                  <NewsDate date={post.updated} dateStyle="long" />
+                </dd>
+              </div>
+            )}
+            <div>
+              <dt className="font-general text-[10px] uppercase tracking-widest text-blue-50/60">{t("news.reading")}</dt>
+              <dd className="mt-1 font-robert-medium">{t("news.readingTime", { minutes: post.readingTime })}</dd>
+            </div>
+          </dl>
+        </header>
+
+        {post.cover && (
+          <div className="border-hsla relative mx-auto mt-10 aspect-video max-w-5xl overflow-hidden rounded-md">
+            <MediaSource
+              media={post.cover}
+              alt=""
+              autoPlay
+              loop
+              muted
+              className="absolute left-0 top-0 size-full object-cover object-center"
+            />
+          </div>
+        )}
+
+        {/* ===== BODY ===== */}
+        <MarkdownContent blocks={post.body} className="mx-auto mt-6 max-w-3xl" />
+
+        {/* ===== MORE NEWS ===== */}
+        {(newer || older) && (
+          <nav aria-label={t("news.moreLabel")} className="mx-auto mt-24 grid max-w-5xl gap-7 md:grid-cols-2">
+            {[
+              { entry: newer, label: t("news.newer") },
+              { entry: older, label: t("news.older") },
+            ].map(({ entry, label }) =>
+              entry ? (
+                <div key={entry.slug}>
+                  <p className="mb-4 font-general text-xs uppercase tracking-widest text-blue-50/60">{label}</p>
+                  <NewsCard post={entry} className="h-80" />
+                </div>
+              ) : (
+                <div key={label} className="max-md:hidden" />
+              )
+            )}
+          </nav>
+        )}
+      </div>
+    </article>
+  );
+};
+
+export default NewsPostPage;
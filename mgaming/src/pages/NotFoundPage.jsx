@@ -0,0 +1,36 @@
+import { TiLocationArrow } from "react-icons/ti";
+
+import Button from "../components/Button";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import { renderInlineMarkup } from "../lib/markup";
+
+/**
+ * NOT FOUND PAGE
+ *
+ * Shown for routes that don't exist, and by pages whose `:id` matches
+ * nothing (an unknown product or policy).
+ */
+const NotFoundPage = () => {
+  const { t } = useI18n();
+  useDocumentTitle(t("notFound.title"));
+
+  return (
+    <section className="flex-center min-h-dvh flex-col bg-black px-6 text-center text-blue-50">
+      <p aria-hidden="true" className="hero-heading special-font">
+        {renderInlineMarkup("4<b>0</b>4")}
+      </p>
+      <h1 className="mt-6 font-general text-sm uppercase tracking-widest">{t("notFound.title")}</h1>
+      <p className="mt-3 max-w-md font-circular-web text-lg text-blue-50/60">{t("notFound.description")}</p>
+      <Button
+        href="#/"
+        title={t("notFound.home")}
+        rightIcon={<TiLocationArrow />}
+        variant="primary"
+        containerClass="mt-10"
+      />
+    </section>
+  );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,98 @@
+import { TiLocationArrow } from "react-icons/ti";
+
+import MediaSource from "../components/MediaSource";
+import { BentoTilt } from "../components/Features";
+import NotFoundPage from "./NotFoundPage";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import useSiteContent from "../hooks/useSiteContent";
+import { markupToText, parseMarkup, renderInlineMarkup } from "../lib/markup";
+
+/**
+ * PRODUCT PAGE
+ *
+ * One product from the Features bento grid, at #/products/{id}: its video
+ * full size, the tagline and description, then the other products. Same
+ * site.json entries as the cards, so there is nothing extra to keep in sync.
+ *
+ * @param {{id: string}} params - Route params
+ */
+const ProductPage = ({ params }) => {
+  const { t } = useI18n();
+  const { products } = useSiteContent().features;
+  const product = products.find((entry) => entry.id === params.id);
+  useDocumentTitle(product && markupToText(parseMarkup(product.title)).toUpperCase());
+
+  if (!product) return <NotFoundPage />;
+
+  const others = products.filter((entry) => entry !== product);
+
+  return (
+    <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto px-3 md:px-10">
+        {/* Back to the bento grid on the home page */}
+        <a
+          href="#vault"
+          className="inline-flex items-center gap-2 font-general text-xs uppercase tracking-widest text-blue-50/60 transition-colors duration-300 hover:text-cyan-400"
+        >
+          <TiLocationArrow className="-rotate-90 rtl:rotate-0" />
+          {t("product.back")}
+        </a>
+
+        {/* ===== PRODUCT ===== */}
+        <BentoTilt className="border-hsla relative mt-6 h-[70vh] w-full overflow-hidden rounded-md">
+          <MediaSource
+            media={product.video}
+            autoPlay
+            loop
+            muted
+            className="absolute left-0 top-0 size-full object-cover object-center"
+          />
+
+          <div className="relative z-10 flex size-full flex-col justify-between bg-gradient-to-t from-black/70 via-transparent p-5 md:p-10">
+            <div>
+              {product.comingSoon && (
+                <span className="border-hsla inline-flex items-center gap-1 rounded-full bg-black px-4 py-1.5 text-xs uppercase text-white/60">
+                  <TiLocationArrow />
+                  {t("features.comingSoon")}
+                </span>
+              )}
+              <h1 className="bento-title special-font mt-4 md:text-9xl">{renderInlineMarkup(product.title)}</h1>
+              {product.tagline && (
+                <p className="mt-2 font-general text-sm uppercase tracking-wider md:text-base">{product.tagline}</p>
+              )}
+            </div>
+
+            <p className="max-w-xl font-circular-web text-base md:text-xl">{product.description}</p>
+          </div>
+        </BentoTilt>
+
+        {/* ===== OTHER PRODUCTS ===== */}
+        <h2 className="mt-20 font-general text-xs uppercase tracking-widest text-blue-50/60">{t("product.more")}</h2>
+        <ul className="mt-6 grid gap-7 md:grid-cols-3">
+          {others.map((entry) => (
+            <li key={entry.id}>
+              <BentoTilt className="border-hsla relative h-72 overflow-hidden rounded-md">
+                <a href={`#/products/${entry.id}`} className="group block size-full">
+                  <MediaSource
+                    media={entry.video}
+                    muted
+                    loop
+                    preload="metadata"
+                    className="absolute left-0 top-0 size-full object-cover object-center opacity-60 transition-opacity duration-300 group-hover:opacity-100"
+                  />
+                  <span className="relative z-10 flex size-full flex-col justify-between p-5">
+                    <span className="bento-title special-font">{renderInlineMarkup(entry.title)}</span>
+                    <span className="text-xs md:text-sm">{entry.tagline || entry.description}</span>
+                  </span>
+                </a>
+              </BentoTilt>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  );
+};
+
+export default ProductPage;
@@ -0,0 +1,234 @@
+import { useEffect, useState } from "react";
+import { TiLocationArrow } from "react-icons/ti";
+
+import Button from "../components/Button";
+import Countdown from "../components/Countdown";
+import MediaSource from "../components/MediaSource";
+import RoundRobinTable from "../components/RoundRobinTable";
+import TournamentBracket from "../components/TournamentBracket";
+import { PrizePool, TournamentDates, TournamentStatus } from "../components/TournamentCard";
+import TournamentRegistration from "../components/TournamentRegistration";
+import TournamentSchedule from "../components/TournamentSchedule";
+import { BentoTilt } from "../components/Features";
+import NotFoundPage from "./NotFoundPage";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import useNow from "../hooks/useNow";
+import { getChampion, getTournamentStatus } from "../lib/tournamentData";
+import { getTournament } from "../lib/tournamentService";
+
+/**
+ * TOURNAMENT PAGE
+ *
+ * One event of the Tournaments hub, at #/tournaments/{id}: the game's
+ * cover with the name and a countdown, the event's details, then the
+ * bracket (elimination) or standings (round robin) and the match schedule.
+ * Upcoming events show their entrants and the registration form instead,
+ * until the bracket is drawn.
+ *
+ * @param {{id: string}} params - Route params
+ */
+const TournamentPage = ({ params }) => {
+  const { t } = useI18n();
+  const now = useNow();
+
+  // ===== STATE MANAGEMENT =====
+
+  const [state, setState] = useState({ id: null, tournament: null, error: null });
+  const [attempt, setAttempt] = useState(0); // Bumped by "Try again" and after registering
+
+  const { tournament, error } = state;
+  const loaded = state.id === params.id;
+  useDocumentTitle(tournament?.name);
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Load the tournament
+   * Reloads keep the current one on screen until the new data arrives
+   */
+  useEffect(() => {
+    let cancelled = false;
+    getTournament(params.id)
+      .then((result) => !cancelled && setState({ id: params.id, tournament: result, error: null }))
+      .catch((reason) => !cancelled && setState({ id: params.id, tournament: null, error: reason }));
+    return () => {
+      cancelled = true;
+    };
+  }, [params.id, attempt]);
+
+  // ===== COMPONENT RENDER =====
+
+  if (loaded && !tournament && !error) return <NotFoundPage />;
+
+  const backLink = (
+    <a
+      href="#/tournaments"
+      className="inline-flex items-center gap-2 font-general text-xs uppercase tracking-widest text-blue-50/60 transition-colors duration-300 hover:text-cyan-400"
+    >
+      <TiLocationArrow className="-rotate-90 rtl:rotate-0" />
+      {t("tournaments.back")}
+    </a>
+  );
+
+  if (!loaded || error) {
+    return (
+      <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+        <div className="container mx-auto px-3 md:px-10">
+          {backLink}
+          {error ? (
+            <div role="alert" className="flex-center mt-24 flex-col gap-6 text-center">
+              <p className="max-w-md">{t("tournaments.loadFailed")}</p>
+              <Button title={t("tournaments.retry")} variant="primary" onClick={() => setAttempt((count) => count + 1)} />
+            </div>
+          ) : (
+            <div role="status" className="flex-center mt-32 flex-col gap-4">
+              <div className="three-body">
+                <div className="three-body__dot"></div>
+                <div className="three-body__dot"></div>
+                <div className="three-body__dot"></div>
+              </div>
+              <span className="sr-only">{t("tournaments.loading")}</span>
+            </div>
+          )}
+        </div>
+      </section>
+    );
+  }
+
+  const status = getTournamentStatus(tournament, now);
+  const roundRobin = tournament.format === "round-robin";
+  const drawn = tournament.matches.length > 0;
+  const champion = status === "past" ? getChampion(tournament) : null;
+
+  const details = [
+    { label: t("tournaments.dates"), value: <TournamentDates tournament={tournament} /> },
+    { label: t("tournaments.format"), value: t(`tournaments.formats.${tournament.format}`) },
+    { label: t("tournaments.mode"), value: t("tournaments.teamSize", { size: tournament.teamSize }) },
+    { label: t("tournaments.prizePool"), value: <PrizePool amount={tournament.prizePool} /> },
+    {
+      label: t("tournaments.entrants"),
+      value: t("tournaments.slotsTaken", { count: tournament.participants.length, slots: tournament.slots }),
+    },
+    { label: t("tournaments.location"), value: tournament.location },
+  ];
+
+  const countdown =
+    status === "upcoming" ? (
+      <Countdown to={tournament.startsAt} label={t("tournaments.startsIn")} />
+    ) : status === "live" ? (
+      <Countdown to={tournament.endsAt} label={t("tournaments.endsIn")} />
+    ) : champion ? (
+      <div>
+        <p className="font-general text-xs uppercase tracking-widest text-blue-50/60">{t("tournaments.champion")}</p>
+        <p className="special-font mt-1 font-zentry text-4xl uppercase text-yellow-300">{champion.name}</p>
+      </div>
+    ) : null;
+
+  return (
+    <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto px-3 md:px-10">
+        {backLink}
+
+        {/* ===== TOURNAMENT ===== */}
+        <BentoTilt className="border-hsla relative mt-6 h-[60vh] min-h-[28rem] w-full overflow-hidden rounded-md">
+          {tournament.game.cover && (
+            <MediaSource
+              media={tournament.game.cover}
+              alt=""
+              className="absolute left-0 top-0 size-full object-cover object-center opacity-60"
+            />
+          )}
+
+          <div className="relative z-10 flex size-full flex-col justify-between bg-gradient-to-t from-black/90 via-black/30 p-5 md:p-10">
+            <div>
+              <div className="flex flex-wrap items-center gap-2">
+                <TournamentStatus status={status} />
+                <a
+                  href={`#/games/${tournament.game.id}`}
+                  className="border-hsla rounded-full bg-black px-4 py-1.5 text-xs uppercase text-white/60 transition-colors duration-300 hover:text-cyan-400"
+                >
+                  {tournament.game.title}
+                </a>
+              </div>
+              <h1 className="bento-title special-font mt-4 md:text-8xl">{tournament.name}</h1>
+            </div>
+
+            <div className="flex flex-col gap-6 md:flex-row md:items-end md:justify-between">
+              <p className="max-w-xl font-circular-web text-base md:text-xl">{tournament.summary}</p>
+              {countdown}
+            </div>
+          </div>
+        </BentoTilt>
+
+        {/* ===== DETAILS ===== */}
+        <dl className="mt-10 grid gap-6 border-y border-white/10 py-8 sm:grid-cols-3 lg:grid-cols-6">
+          {details.map(({ label, value }) => (
+            <div key={label}>
+              <dt className="font-general text-xs uppercase tracking-widest text-blue-50/60">{label}</dt>
+              <dd className="mt-2 font-robert-medium">{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        {/* ===== ENTRANTS & REGISTRATION ===== */}
+        {status === "upcoming" && (
+          <div className="mt-16 grid gap-10 lg:grid-cols-[minmax(0,1fr)_26rem]">
+            <div>
+              <h2 className="font-general text-xs uppercase tracking-widest text-blue-50/60">{t("tournaments.entrants")}</h2>
+              <p className="mt-3 text-sm text-blue-50/60">{t("tournaments.bracketPending")}</p>
+              {tournament.participants.length > 0 ? (
+                <ol className="mt-6 grid gap-3 sm:grid-cols-2">
+                  {tournament.participants.map((participant) => (
+                    <li
+                      key={participant.id}
+                      className="flex items-center gap-3 rounded-md border border-white/10 px-4 py-3 text-sm"
+                    >
+                      <span className="w-6 text-xs tabular-nums text-blue-50/40">{participant.seed}</span>
+                      <span className="truncate font-robert-medium">{participant.name}</span>
+                    </li>
+                  ))}
+                </ol>
+              ) : (
+                <p className="mt-6 rounded-md border border-dashed border-white/20 px-6 py-12 text-center text-sm">
+                  {t("tournaments.noEntrants")}
+                </p>
+              )}
+            </div>
+
+            <div className="lg:sticky lg:top-28 lg:self-start">
+              <TournamentRegistration
+                key={tournament.id}
+                tournament={tournament}
+                onRegistered={() => setAttempt((count) => count + 1)}
+              />
+              <Countdown
+                to={tournament.registrationClosesAt}
+                label={t("tournaments.closesIn")}
+                className="mt-6 flex flex-col items-center"
+              />
+            </div>
+          </div>
+        )}
+
+        {/* ===== BRACKET / STANDINGS ===== */}
+        {drawn && (
+          <>
+            <h2 className="mb-6 mt-20 font-general text-xs uppercase tracking-widest text-blue-50/60">
+              {t(roundRobin ? "tournaments.standings" : "tournaments.bracket")}
+            </h2>
+            {roundRobin ? <RoundRobinTable tournament={tournament} /> : <TournamentBracket key={tournament.id} tournament={tournament} />}
+
+            {/* ===== SCHEDULE ===== */}
+            <h2 className="mt-20 font-general text-xs uppercase tracking-widest text-blue-50/60">
+              {t("tournaments.schedule")}
+            </h2>
+            <TournamentSchedule key={tournament.id} tournament={tournament} />
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default TournamentPage;
@@ -0,0 +1,180 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import clsx from "clsx";
+
+import Button from "../components/Button";
+import TournamentCard from "../components/TournamentCard";
+import useDocumentTitle from "../hooks/useDocumentTitle";
+import useI18n from "../hooks/useI18n";
+import useNow from "../hooks/useNow";
+import useRouter from "../hooks/useRouter";
+import { markupToText, parseMarkup, renderInlineMarkup } from "../lib/markup";
+import { filterTournaments, tournamentStatuses } from "../lib/tournamentData";
+import { listTournaments } from "../lib/tournamentService";
+
+/**
+ * TOURNAMENTS PAGE
+ *
+ * The Tournaments hub, at #/tournaments: live, upcoming and past events in
+ * tabs, each a TournamentCard linking to its bracket and schedule.
+ * Tournaments come from the tournament service (lib/tournamentService.js).
+ *
+ * The open tab lives in the URL - #/tournaments?status=past - so it can be
+ * linked to. Without one, live events show when there are any.
+ */
+const TournamentsPage = () => {
+  const { t, dir } = useI18n();
+  const { query, setQuery } = useRouter();
+  const now = useNow();
+  useDocumentTitle(markupToText(parseMarkup(t("tournaments.title"))).toUpperCase());
+
+  // ===== STATE MANAGEMENT =====
+
+  const [state, setState] = useState({ tournaments: null, error: null });
+  const [attempt, setAttempt] = useState(0); // Bumped by "Try again"
+
+  const { tournaments, error } = state;
+
+  // The minute is enough to move events between tabs
+  const minute = Math.floor(now / 60000);
+  const groups = useMemo(
+    () =>
+      Object.fromEntries(
+        tournamentStatuses.map((status) => [status, tournaments ? filterTournaments(tournaments, status, minute * 60000) : []])
+      ),
+    [tournaments, minute]
+  );
+
+  const requested = new URLSearchParams(query).get("status");
+  const active = tournamentStatuses.includes(requested) ? requested : groups.live.length ? "live" : "upcoming";
+
+  // ===== REFS =====
+
+  const tabRefs = useRef({});
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Load the tournaments
+   */
+  useEffect(() => {
+    let cancelled = false;
+    listTournaments()
+      .then((result) => !cancelled && setState({ tournaments: result, error: null }))
+      .catch((reason) => !cancelled && setState({ tournaments: null, error: reason }));
+    return () => {
+      cancelled = true;
+    };
+  }, [attempt]);
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * @param {string} status - Tab to open
+   */
+  const selectTab = (status) => setQuery(new URLSearchParams({ status }).toString());
+
+  /**
+   * Arrow keys, Home and End move between tabs (ARIA tabs pattern)
+   * @param {KeyboardEvent} e
+   */
+  const handleTabKeyDown = (e) => {
+    const rtl = dir === "rtl";
+    const index = tournamentStatuses.indexOf(active);
+    const last = tournamentStatuses.length - 1;
+    const next = index === last ? 0 : index + 1;
+    const previous = index === 0 ? last : index - 1;
+    const targets = {
+      ArrowRight: rtl ? previous : next,
+      ArrowLeft: rtl ? next : previous,
+      Home: 0,
+      End: last,
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    const status = tournamentStatuses[targets[e.key]];
+    selectTab(status);
+    tabRefs.current[status]?.focus();
+  };
+
+  // ===== COMPONENT RENDER =====
+
+  const items = groups[active];
+
+  return (
+    <section className="min-h-dvh bg-black pb-32 pt-28 text-blue-50">
+      <div className="container mx-auto px-3 md:px-10">
+        {/* ===== HEADER ===== */}
+        <header className="pb-10">
+          <p className="font-general text-xs uppercase tracking-widest text-blue-50/60">{t("tournaments.eyebrow")}</p>
+          <h1 className="special-font mt-4 font-zentry text-6xl uppercase leading-[.9] md:text-9xl">
+            {renderInlineMarkup(t("tournaments.title"))}
+          </h1>
+          <p className="mt-6 max-w-xl font-circular-web text-blue-50/80">{t("tournaments.intro")}</p>
+        </header>
+
+        {/* ===== TABS ===== */}
+        <div role="tablist" aria-label={t("tournaments.tabsLabel")} className="flex gap-2 border-y border-white/10 py-5">
+          {tournamentStatuses.map((status) => (
+            <button
+              key={status}
+              ref={(element) => (tabRefs.current[status] = element)}
+              type="button"
+              role="tab"
+              id={`tournaments-tab-${status}`}
+              aria-selected={active === status}
+              aria-controls="tournaments-panel"
+              tabIndex={active === status ? 0 : -1}
+              onClick={() => selectTab(status)}
+              onKeyDown={handleTabKeyDown}
+              className={clsx(
+                "flex items-center gap-2 rounded-full border px-5 py-2 text-sm transition-colors duration-300",
+                active === status ? "border-violet-300 bg-violet-300/15 text-violet-300" : "border-white/20 hover:border-violet-300"
+              )}
+            >
+              {status === "live" && groups.live.length > 0 && (
+                <span aria-hidden="true" className="size-2 animate-pulse rounded-full bg-red-400" />
+              )}
+              {t(`tournaments.tabs.${status}`)}
+              {tournaments && <span className="text-xs opacity-60">{groups[status].length}</span>}
+            </button>
+          ))}
+        </div>
+
+        {/* ===== TOURNAMENTS ===== */}
+        <div id="tournaments-panel" role="tabpanel" aria-labelledby={`tournaments-tab-${active}`} className="mt-10">
+          {error ? (
+            <div role="alert" className="flex-center flex-col gap-6 py-24 text-center">
+              <p className="max-w-md">{t("tournaments.loadFailed")}</p>
+              <Button title={t("tournaments.retry")} variant="primary" onClick={() => setAttempt((count) => count + 1)} />
+            </div>
+          ) : !tournaments ? (
+            <div role="status" className="flex-center flex-col gap-4 py-32">
+              <div className="three-body">
+                <div className="three-body__dot"></div>
+                <div className="three-body__dot"></div>
+                <div className="three-body__dot"></div>
+              </div>
+              <span className="sr-only">{t("tournaments.loading")}</span>
+            </div>
+          ) : !items.length ? (
+            <div className="flex-center flex-col gap-4 rounded-md border border-dashed border-white/20 px-6 py-24 text-center">
+              <p className="font-robert-medium text-lg">{t(`tournaments.empty.${active}`)}</p>
+              <p className="text-sm text-blue-50/60">{t("tournaments.emptyHint")}</p>
+            </div>
+          ) : (
+            <ul className="grid gap-7 md:grid-cols-2 xl:grid-cols-3">
+              {items.map((tournament) => (
+                <li key={tournament.id}>
+                  <TournamentCard tournament={tournament} className="h-[28rem]" />
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default TournamentsPage;
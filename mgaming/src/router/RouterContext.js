@@ -0,0 +1,9 @@
+import { createContext } from "react";
+
+/**
+ * Context shared by RouterProvider and useRouter.
+ * See RouterProvider.jsx for the value's shape.
+ */
+const RouterContext = createContext(null);
+
+export default RouterContext;
@@ -0,0 +1,114 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+import RouterContext from "./RouterContext";
+import { getEntryKey, parseHash, saveScrollPosition } from "./history";
+import { matchRoute } from "./routes";
+
+/**
+ * Current location as the router sees it
+ * @returns {{path: string, query: string, section: string|null, key: string}}
+ */
+const readLocation = () => ({ ...parseHash(window.location.hash), key: getEntryKey() });
+
+/**
+ * ROUTER PROVIDER
+ *
+ * Follows the URL hash and exposes the matched page through `useRouter()`:
+ * - `path` / `section`: route path and home page section (see routes.js)
+ * - `query`: the route's query string, e.g. "genre=rpg&sort=newest"
+ * - `route` / `params`: the matched route and its `:params`
+ * - `key`: id of the history entry, changes on every navigation
+ * - `navigate(path, {replace})`: goes to a route; `replace` swaps the
+ *   current history entry instead of adding one
+ * - `setQuery(query)`: rewrites the current route's query in place, for
+ *   page state that belongs in the URL (filters) - no history entry, no
+ *   page change
+ *
+ * Before each navigation the page's scroll position is stored against the
+ * entry it leaves, so RouterView can restore it on Back / Forward. The
+ * browser's own restoration is switched off - it would jump before the
+ * new page is there.
+ */
+const RouterProvider = ({ children }) => {
+  const [location, setLocation] = useState(readLocation);
+  const locationRef = useRef(location);
+
+  /**
+   * Goes to a route
+   * @param {string} path - e.g. "/legal/privacy"
+   * @param {object} options
+   * @param {boolean} options.replace - Replace the current history entry
+   */
+  const navigate = useCallback((path, { replace = false } = {}) => {
+    if (replace) window.location.replace(`#${path}`);
+    else window.location.hash = path;
+  }, []);
+
+  /**
+   * Rewrites the query of the current route
+   * @param {string|URLSearchParams} query - Empty removes it
+   */
+  const setQuery = useCallback((query) => {
+    const current = locationRef.current;
+    const search = String(query);
+    if (search === current.query) return;
+
+    // replaceState fires no hashchange - the location is updated here
+    window.history.replaceState(window.history.state, "", `#${current.path}${search ? `?${search}` : ""}`);
+    const next = { ...current, query: search };
+    locationRef.current = next;
+    setLocation(next);
+  }, []);
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Take over scroll restoration
+   */
+  useEffect(() => {
+    if (!("scrollRestoration" in window.history)) return;
+    const previous = window.history.scrollRestoration;
+    window.history.scrollRestoration = "manual";
+    return () => {
+      window.history.scrollRestoration = previous;
+    };
+  }, []);
+
+  /**
+   * EFFECT: Follow the hash
+   */
+  useEffect(() => {
+    const handleHashChange = () => {
+      const next = readLocation();
+      const current = locationRef.current;
+      // Remember where the page was left - only when the page changes, a
+      // section link has already scrolled by now
+      if (next.path !== current.path) saveScrollPosition(current.key, window.scrollY);
+      locationRef.current = next;
+      setLocation(next);
+    };
+
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  /**
+   * EFFECT: A reload or a closed tab leaves from the current scroll position too
+   */
+  useEffect(() => {
+    const handlePageHide = () => saveScrollPosition(locationRef.current.key, window.scrollY);
+    window.addEventListener("pagehide", handlePageHide);
+    return () => window.removeEventListener("pagehide", handlePageHide);
+  }, []);
+
+  // ===== CONTEXT VALUE =====
+
+  const value = useMemo(() => {
+    const { route, params } = matchRoute(location.path);
+    return { ...location, route, params, navigate, setQuery };
+  }, [location, navigate, setQuery]);
+
+  return <RouterContext.Provider value={value}>{children}</RouterContext.Provider>;
+};
+
+export default RouterProvider;
@@ -0,0 +1,240 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import gsap from "gsap";
+import { ScrollTrigger } from "gsap/all";
+
+import Button from "../components/Button";
+import useI18n from "../hooks/useI18n";
+import useMotion from "../hooks/useMotion";
+import useRouter from "../hooks/useRouter";
+import { getSection, scrollToSection } from "../lib/sections";
+import { readScrollPosition } from "./history";
+import { loadRoute } from "./routes";
+
+gsap.registerPlugin(ScrollTrigger);
+
+// Fast page loads don't flash the spinner
+const loaderDelay = 300;
+
+/**
+ * ROUTER VIEW
+ *
+ * Renders the page for the current route and handles the change between
+ * pages:
+ * 1. the old page leaves (animation) while the new page's chunk loads
+ * 2. the new page replaces it; ScrollTriggers left behind by the old page
+ *    are killed and the rest are refreshed for the new layout
+ * 3. the scroll position is restored - where the entry was left on Back /
+ *    Forward, the linked section for "#section" links, the top otherwise
+ * 4. focus moves to the new page and it enters (animation)
+ *
+ * Links between sections of the same page only scroll; a new query for the
+ * same page (typed into the address bar) leaves the page to react to it.
+ *
+ * ANIMATION: Full motion draws a curtain over the screen and lifts it off
+ * the new page; lite motion cross-fades; reduced motion swaps at once.
+ */
+const RouterView = () => {
+  const { t } = useI18n();
+  const { fullMotion, reducedMotion } = useMotion();
+  const { path, query, section, key, route, params } = useRouter();
+
+  // ===== STATE MANAGEMENT =====
+
+  // Page on screen - lags behind the URL while the next one loads
+  const [view, setView] = useState(() => ({
+    path,
+    section,
+    key,
+    params,
+    Page: route.component ?? null,
+    error: null,
+  }));
+  const [loading, setLoading] = useState(!route.component);
+  const [slow, setSlow] = useState(false); // Loading long enough to show the spinner
+  const [attempt, setAttempt] = useState(0); // Bumped by "Try again"
+
+  // ===== REFS =====
+
+  const containerRef = useRef(null);
+  const curtainRef = useRef(null);
+  const viewRef = useRef(view);
+  const shownRef = useRef(null); // View last settled - later ones are transitions
+  const motionRef = useRef({ fullMotion, reducedMotion });
+  const navigationRef = useRef({ key, attempt, query }); // Last navigation handled
+
+  useEffect(() => {
+    viewRef.current = view;
+    motionRef.current = { fullMotion, reducedMotion };
+  });
+
+  // ===== TRANSITIONS =====
+
+  /**
+   * Hides the old page
+   * @returns {gsap.core.Tween|null} - Resolves when hidden (null: right away)
+   */
+  const playExit = () => {
+    const { fullMotion: full, reducedMotion: reduced } = motionRef.current;
+    if (reduced) return null;
+    if (full) {
+      return gsap.to(curtainRef.current, { scaleY: 1, transformOrigin: "50% 100%", duration: 0.45, ease: "power3.inOut" });
+    }
+    return gsap.to(containerRef.current, { autoAlpha: 0, duration: 0.25 });
+  };
+
+  /**
+   * Reveals the new page
+   */
+  const playEnter = () => {
+    const { fullMotion: full, reducedMotion: reduced } = motionRef.current;
+    const container = containerRef.current;
+    const curtain = curtainRef.current;
+
+    if (full) {
+      gsap.set(container, { clearProps: "opacity,visibility" });
+      gsap.to(curtain, { scaleY: 0, transformOrigin: "50% 0%", duration: 0.5, ease: "power3.inOut" });
+    } else if (!reduced) {
+      gsap.set(curtain, { scaleY: 0 });
+      gsap.fromTo(container, { autoAlpha: 0 }, { autoAlpha: 1, duration: 0.3, clearProps: "opacity,visibility" });
+    } else {
+      gsap.set(curtain, { scaleY: 0 });
+      gsap.set(container, { clearProps: "opacity,visibility" });
+    }
+  };
+
+  // ===== SIDE EFFECTS =====
+
+  /**
+   * EFFECT: Follow the URL - scroll within the page, or load and swap pages
+   */
+  useEffect(() => {
+    const current = viewRef.current;
+    const previous = navigationRef.current;
+    navigationRef.current = { key, attempt, query };
+
+    // First render of a page that was there from the start - nothing to do
+    if (current.Page && previous.key === key && previous.attempt === attempt) return;
+
+    // Same page: only the section or the query changed, or the page was linked again
+    if (current.Page && path === current.path) {
+      const smooth = !motionRef.current.reducedMotion;
+      if (section) scrollToSection(section, { smooth });
+      else if (query === previous.query) window.scrollTo({ top: 0, behavior: smooth ? "smooth" : "auto" });
+      return;
+    }
+
+    let cancelled = false;
+    const exit = current.Page || current.error ? playExit() : null;
+    const timer = setTimeout(() => setSlow(true), loaderDelay);
+    setLoading(true);
+
+    Promise.all([loadRoute(route), exit])
+      .then(([Page]) => {
+        if (cancelled) return;
+        setView({ path, section, key, params, Page, error: null });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error(`[router] Could not load the page for "${path}":`, error);
+        setView({ path, section, key, params, Page: null, error });
+      })
+      .finally(() => {
+        if (cancelled) return;
+        clearTimeout(timer);
+        setLoading(false);
+        setSlow(false);
+      });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // `route`, `params` and `query` follow `path` and `key`; the view is read from its ref
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [path, section, key, attempt]);
+
+  /**
+   * EFFECT: Settle the new page - ScrollTriggers, scroll position, focus, entrance
+   * Layout effect, so the page is never painted at the old scroll position
+   */
+  useLayoutEffect(() => {
+    if ((!view.Page && !view.error) || shownRef.current === view) return;
+
+    const first = shownRef.current === null;
+    const saved = readScrollPosition(view.key);
+    shownRef.current = view;
+
+    // First page of the visit: only bring back the position of a reload
+    if (first) {
+      if (saved && !view.section) {
+        ScrollTrigger.refresh();
+        window.scrollTo(0, saved);
+      }
+      return;
+    }
+
+    // Triggers whose elements left with the old page, then fresh positions for the rest
+    ScrollTrigger.getAll().forEach((trigger) => {
+      if (trigger.trigger && !trigger.trigger.isConnected) trigger.kill();
+    });
+    ScrollTrigger.clearScrollMemory();
+    ScrollTrigger.refresh();
+
+    if (view.section && getSection(view.section)) {
+      scrollToSection(view.section, { smooth: false });
+    } else {
+      window.scrollTo(0, saved ?? 0);
+      // Keyboard and screen reader users start at the new page, not on the link they left
+      containerRef.current.focus({ preventScroll: true });
+    }
+    ScrollTrigger.update();
+
+    playEnter();
+  }, [view]);
+
+  // ===== COMPONENT RENDER =====
+
+  const { Page, error } = view;
+
+  return (
+    <>
+      <div ref={containerRef} tabIndex={-1} className="outline-none">
+        {error ? (
+          // The page's chunk didn't load - usually the connection
+          <section className="flex-center min-h-dvh flex-col gap-6 bg-black px-6 text-center text-blue-50">
+            <p role="alert" className="max-w-md font-circular-web text-lg">
+              {t("router.loadFailed")}
+            </p>
+            <Button title={t("router.retry")} variant="primary" onClick={() => setAttempt((count) => count + 1)} />
+          </section>
+        ) : Page ? (
+          <Page key={view.path} params={view.params} />
+        ) : (
+          // First visit straight to a lazy page - keep the footer down while it loads
+          <div className="min-h-dvh bg-black" />
+        )}
+      </div>
+
+      {/* Curtain for full motion page changes */}
+      <div
+        ref={curtainRef}
+        aria-hidden="true"
+        className="pointer-events-none fixed inset-0 z-[90] scale-y-0 bg-gradient-to-br from-slate-900 via-purple-900 to-slate-800"
+      />
+
+      {/* Spinner for pages that take a while */}
+      {loading && (slow || !Page) && (
+        <div role="status" className="flex-center pointer-events-none fixed inset-0 z-[95] flex-col gap-4">
+          <div className="three-body">
+            <div className="three-body__dot"></div>
+            <div className="three-body__dot"></div>
+            <div className="three-body__dot"></div>
+          </div>
+          <span className="sr-only">{t("router.loading")}</span>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default RouterView;
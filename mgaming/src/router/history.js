@@ -0,0 +1,66 @@
+import { readStorageJson, writeStorageJson } from "../lib/storage";
+import { decodeUriComponent } from "../lib/uri";
+
+/**
+ * URL and scroll bookkeeping for the hash router
+ *
+ * Each history entry gets a key in `history.state`, so a page reached with
+ * Back / Forward finds the scroll position it was left at. Positions are
+ * kept in sessionStorage - they survive a reload but not the tab.
+ */
+
+const SCROLL_STORAGE_KEY = "mgaming:scroll";
+
+// Entries remembered at most - the oldest are forgotten first
+const maxPositions = 50;
+
+/**
+ * Splits the URL hash into a route path, its query and a home page section
+ * @param {string} hash - location.hash, e.g. "#/games?genre=rpg" or "#about"
+ * @returns {{path: string, query: string, section: string|null}}
+ */
+export const parseHash = (hash) => {
+  const value = hash.replace(/^#/, "");
+  if (value.startsWith("/")) {
+    const [pathname, query = ""] = value.split(/\?(.*)/s);
+    return { path: pathname.replace(/\/+$/, "") || "/", query, section: null };
+  }
+  return { path: "/", query: "", section: value ? decodeUriComponent(value) : null };
+};
+
+/**
+ * Key of the current history entry, created on first visit
+ * @returns {string}
+ */
+export const getEntryKey = () => {
+  const state = window.history.state;
+  if (state?.routeKey) return state.routeKey;
+
+  const routeKey = Math.random().toString(36).slice(2, 10);
+  window.history.replaceState({ ...state, routeKey }, "");
+  return routeKey;
+};
+
+const readPositions = () => readStorageJson(SCROLL_STORAGE_KEY, {}, { area: "session" });
+
+/**
+ * @param {string} key - History entry key
+ * @param {number} y - Scroll position when the entry was left
+ */
+export const saveScrollPosition = (key, y) => {
+  const positions = readPositions();
+  delete positions[key]; // Re-inserted last, as the newest
+  positions[key] = Math.round(y);
+
+  const keys = Object.keys(positions);
+  keys.slice(0, Math.max(keys.length - maxPositions, 0)).forEach((old) => delete positions[old]);
+
+  // Storage full or disabled - Back just starts at the top
+  writeStorageJson(SCROLL_STORAGE_KEY, positions, { area: "session" });
+};
+
+/**
+ * @param {string} key - History entry key
+ * @returns {number|null} - Where the entry was left, if it was
+ */
+export const readScrollPosition = (key) => readPositions()[key] ?? null;
@@ -0,0 +1,85 @@
+import HomePage from "../pages/HomePage";
+import { authEnabled } from "../lib/authService";
+import { decodeUriComponent } from "../lib/uri";
+
+/**
+ * ROUTES
+ *
+ * Pages live behind the URL hash so the site works from any static host
+ * (GitHub Pages serves only index.html under /MGaming/):
+ *
+ *   #/products/nexus  → ProductPage with params.id = "nexus"
+ *   #/games?genre=rpg → GamesPage, with the query in `useRouter().query`
+ *   #about            → HomePage, scrolled to the About section
+ *
+ * Hashes starting with "/" are routes; any other hash is a section of the
+ * home page (lib/sections.js).
+ *
+ * The home page ships with the main bundle. Other pages are split into
+ * their own chunks and loaded on first visit with `load()`.
+ */
+
+export const routes = [
+  { path: "/", component: HomePage },
+  { path: "/products/:id", load: () => import("../pages/ProductPage") },
+  { path: "/games", load: () => import("../pages/GamesPage") },
+  { path: "/games/:id", load: () => import("../pages/GamePage") },
+  { path: "/tournaments", load: () => import("../pages/TournamentsPage") },
+  { path: "/tournaments/:id", load: () => import("../pages/TournamentPage") },
+  { path: "/leaderboards", load: () => import("../pages/LeaderboardsPage") },
+  { path: "/news", load: () => import("../pages/NewsPage") },
+  { path: "/news/:slug", load: () => import("../pages/NewsPostPage") },
+  // Player accounts - only with an auth backend (lib/authService.js)
+  ...(authEnabled
+    ? [
+        { path: "/account", load: () => import("../pages/AccountPage") },
+        { path: "/account/:mode", load: () => import("../pages/AuthPage") },
+      ]
+    : []),
+  { path: "/legal/:id", load: () => import("../pages/LegalPage") },
+];
+
+export const notFoundRoute = { path: "*", load: () => import("../pages/NotFoundPage") };
+
+/**
+ * @param {string} pattern - e.g. "/products/:id"
+ * @param {string} path - e.g. "/products/nexus"
+ * @returns {Object<string, string>|null} - Params, or null when it doesn't match
+ */
+const matchPath = (pattern, path) => {
+  const expected = pattern.split("/");
+  const actual = path.split("/");
+  if (expected.length !== actual.length) return null;
+
+  const params = {};
+  for (let i = 0; i < expected.length; i += 1) {
+    if (expected[i].startsWith(":")) {
+      if (!actual[i]) return null;
+      params[expected[i].slice(1)] = decodeUriComponent(actual[i]);
+    } else if (expected[i] !== actual[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * First route matching a path - the 404 page when none does
+ * @param {string} path
+ * @returns {{route: object, params: Object<string, string>}}
+ */
+export const matchRoute = (path) => {
+  for (const route of routes) {
+    const params = matchPath(route.path, path);
+    if (params) return { route, params };
+  }
+  return { route: notFoundRoute, params: {} };
+};
+
+/**
+ * The page component of a route, loading its chunk if needed
+ * @param {object} route
+ * @returns {Promise<React.ComponentType>}
+ */
+export const loadRoute = (route) =>
+  route.component ? Promise.resolve(route.component) : route.load().then((module) => module.default);
@@ -0,0 +1,47 @@
+/**
+ * PROOF-OF-WORK WORKER
+ *
+ * Finds a nonce such that SHA-256(`${challenge}:${nonce}`) starts with
+ * `difficulty` zero bits. Runs off the main thread so the form stays
+ * responsive while the browser does the (deliberately) expensive work.
+ *
+ * Message in:  { challenge: string, difficulty: number }
+ * Message out: { nonce: number, hash: string } | { error: string }
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Counts the leading zero bits of a digest
+ * @param {Uint8Array} bytes
+ */
+const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+self.onmessage = async ({ data: { challenge, difficulty } }) => {
+  try {
+    for (let nonce = 0; ; nonce += 1) {
+      const digest = new Uint8Array(
+        await crypto.subtle.digest("SHA-256", encoder.encode(`${challenge}:${nonce}`))
+      );
+      if (leadingZeroBits(digest) >= difficulty) {
+        self.postMessage({ nonce, hash: toHex(digest) });
+        return;
+      }
+    }
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
@@ -1,6 +1,7 @@
 /** @type {import('tailwindcss').Config} */
 export default {
-  content: ["./index.html", "./src/**/*.{js,ts,jsx,tsx}"],
+  // JSON content files carry class names too (icon colours, gradients)
+  content: ["./index.html", "./src/**/*.{js,ts,jsx,tsx,json}"],
   theme: {
     extend: {
       fontFamily: {
@@ -1,11 +1,29 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import siteContent from './plugins/siteContent.js'
+import mediaManifest from './plugins/mediaManifest.js'
+import news from './plugins/news.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    siteContent(),
+    siteContent({ content: 'src/content/games.json', schema: 'src/content/games.schema.json', locales: null }),
+    siteContent({ content: 'src/content/tournaments.json', schema: 'src/content/tournaments.schema.json', locales: null }),
+    siteContent({ content: 'src/content/leaderboards.json', schema: 'src/content/leaderboards.schema.json', locales: null }),
+    mediaManifest(),
+    news(),
+  ],
   base: '/MGaming/',  // Use your GitHub repository name here
   build: {
     outDir: 'dist',
-  }
+  },
+  server: {
+    // Forward API calls to the local mock server (`npm run mock`)
+    proxy: {
+      // ws: the leaderboards' live updates can use a WebSocket
+      '/api': { target: process.env.MOCK_API_URL || 'http://localhost:8787', ws: true },
+    },
+  },
 })